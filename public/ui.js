@@ -193,6 +193,11 @@ let starterBridgeRequestToken = 0;
 let starterReadinessRefreshTimer = null;
 let starterReadinessRequestToken = 0;
 let workspaceContextRefreshTimer = null;
+let timelineStream = null;
+let timelineRenderTimer = null;
+let workspaceStream = null;
+let workspaceStreamId = '';
+let workspaceStreamSyncTimer = null;
 
 const els = {
   bootstrapBtn: document.getElementById('bootstrapBtn'),
@@ -3290,6 +3295,7 @@ function renderApprovalInbox() {
 }
 
 function clearTimeline(message) {
+  closeTimelineStream();
   els.timelineTag.textContent = 'idle';
   els.timelineTag.style.color = '#5f6b7f';
   els.timelineMeta.textContent = message;
@@ -3472,40 +3478,101 @@ function refreshTimelineBaseRunSelect() {
   els.timelineBaseRunSelect.value = keep;
 }
 
+function renderRunTimeline(runId) {
+  const events = state.timelineEvents;
+  const audit = state.timelineAudit;
+  els.timelineEventsPayload.textContent = JSON.stringify(events, null, 2);
+  els.timelineAuditPayload.textContent = JSON.stringify(audit, null, 2);
+
+  const eventCount = events.items.length;
+  const auditCount = audit.items.length;
+  const run = state.runs.find((item) => item.id === runId);
+
+  els.timelineTag.textContent = `${eventCount}/${auditCount}`;
+  els.timelineTag.style.color = '#1d9a6c';
+  els.timelineMeta.textContent = `${runId} · status ${run?.status || 'unknown'} · events ${eventCount} · audit ${auditCount} · live`;
+}
+
+function closeTimelineStream() {
+  if (timelineStream) timelineStream.close();
+  timelineStream = null;
+  clearTimeout(timelineRenderTimer);
+}
+
+// The run stream replays the ledgers first and then pushes appends; EventSource reconnects
+// with Last-Event-ID on its own, so nothing is fetched twice.
 async function loadRunTimeline(runId) {
+  closeTimelineStream();
   if (!runId) {
     clearTimeline('No run selected.');
     return;
   }
 
-  try {
-    els.timelineTag.textContent = 'loading';
-    els.timelineTag.style.color = '#1456f0';
+  els.timelineTag.textContent = 'loading';
+  els.timelineTag.style.color = '#1456f0';
+  state.timelineEvents = { run_id: runId, items: [] };
+  state.timelineAudit = { run_id: runId, items: [] };
 
-    const [events, audit] = await Promise.all([
-      api(`/v0/runs/${runId}/events`),
-      api(`/v0/runs/${runId}/audit`)
-    ]);
+  const stream = new EventSource(`/v0/runs/${encodeURIComponent(runId)}/stream`);
+  timelineStream = stream;
+  const scheduleRender = () => {
+    clearTimeout(timelineRenderTimer);
+    timelineRenderTimer = setTimeout(() => {
+      if (timelineStream === stream) renderRunTimeline(runId);
+    }, 60);
+  };
+
+  stream.addEventListener('open', scheduleRender);
+  stream.addEventListener('run.event', (message) => {
+    state.timelineEvents.items.push(JSON.parse(message.data));
+    scheduleRender();
+  });
+  stream.addEventListener('run.audit', (message) => {
+    state.timelineAudit.items.push(JSON.parse(message.data));
+    scheduleRender();
+  });
+  stream.addEventListener('error', () => {
+    if (timelineStream !== stream) return;
+    els.timelineTag.textContent = stream.readyState === EventSource.CLOSED ? 'error' : 'reconnecting';
+    els.timelineTag.style.color = '#d92d20';
+  });
+}
 
-    state.timelineEvents = events;
-    state.timelineAudit = audit;
-    els.timelineEventsPayload.textContent = JSON.stringify(events, null, 2);
-    els.timelineAuditPayload.textContent = JSON.stringify(audit, null, 2);
+const WORKSPACE_STREAM_SYNC_EVENTS = new Set([
+  'run.created',
+  'approval.requested',
+  'approval.resolved',
+  'approval.expired',
+  'run.completed',
+  'run.failed',
+  'run.cancelled'
+]);
 
-    const eventCount = Array.isArray(events.items) ? events.items.length : 0;
-    const auditCount = Array.isArray(audit.items) ? audit.items.length : 0;
-    const run = state.runs.find((item) => item.id === runId);
+function scheduleWorkspaceStreamSync() {
+  clearTimeout(workspaceStreamSyncTimer);
+  workspaceStreamSyncTimer = setTimeout(async () => {
+    try {
+      await syncState();
+      refreshRuntimeViews();
+    } catch (err) {
+      logAction('stream:sync:error', String(err));
+    }
+  }, 250);
+}
 
-    els.timelineTag.textContent = `${eventCount}/${auditCount}`;
-    els.timelineTag.style.color = '#1d9a6c';
-    els.timelineMeta.textContent = `${runId} · status ${run?.status || 'unknown'} · events ${eventCount} · audit ${auditCount}`;
-  } catch (err) {
-    els.timelineTag.textContent = 'error';
-    els.timelineTag.style.color = '#d92d20';
-    els.timelineMeta.textContent = String(err);
-    els.timelineEventsPayload.textContent = String(err);
-    els.timelineAuditPayload.textContent = String(err);
-  }
+// Keeps the approval inbox and run feed current from the workspace stream.
+function ensureWorkspaceStream() {
+  const workspaceId = currentWorkspaceId() || 'wsp_mindverse_cn';
+  if (workspaceStream && workspaceStreamId === workspaceId) return;
+  if (workspaceStream) workspaceStream.close();
+
+  workspaceStreamId = workspaceId;
+  workspaceStream = new EventSource(`/v0/runs/stream?workspace_id=${encodeURIComponent(workspaceId)}`);
+  workspaceStream.addEventListener('run.audit', (message) => {
+    const entry = JSON.parse(message.data);
+    if (WORKSPACE_STREAM_SYNC_EVENTS.has(entry.event_type)) scheduleWorkspaceStreamSync();
+  });
+  workspaceStream.addEventListener('stream.reset', scheduleWorkspaceStreamSync);
 }
 
 async function loadRunTimelineDiff(runId) {
@@ -3768,6 +3835,7 @@ function renderRunFeed() {
 }
 
 function refreshRuntimeViews() {
+  ensureWorkspaceStream();
   refreshStats();
   renderRunFeed();
   renderApprovalInbox();
@@ -21,12 +21,18 @@ const exampleSchemaMap = {
   'agent-blueprint-remediation-plan.json': 'https://flockmesh.dev/spec/schemas/agent-blueprint-remediation-plan.schema.json',
   'agent-profile.json': 'https://flockmesh.dev/spec/schemas/agent-profile.schema.json',
   'audit-entry.json': 'https://flockmesh.dev/spec/schemas/audit-entry.schema.json',
+  'audit-chain-verification.json': 'https://flockmesh.dev/spec/schemas/audit-chain-verification.schema.json',
+  'ledger-checkpoint.json': 'https://flockmesh.dev/spec/schemas/ledger-checkpoint.schema.json',
+  'ledger-checkpoint-list.json': 'https://flockmesh.dev/spec/schemas/ledger-checkpoint-list.schema.json',
   'connector-binding.json': 'https://flockmesh.dev/spec/schemas/connector-binding.schema.json',
   'connector-manifest.json': 'https://flockmesh.dev/spec/schemas/connector-manifest.schema.json',
+  'connector-http-mapping.json': 'https://flockmesh.dev/spec/schemas/connector-http-mapping.schema.json',
   'connector-health.json': 'https://flockmesh.dev/spec/schemas/connector-health.schema.json',
   'connector-drift.json': 'https://flockmesh.dev/spec/schemas/connector-drift.schema.json',
   'connector-adapter-simulate-result.json': 'https://flockmesh.dev/spec/schemas/connector-adapter-simulation-result.schema.json',
   'connector-adapter-invoke-result.json': 'https://flockmesh.dev/spec/schemas/connector-adapter-invoke-result.schema.json',
+  'policy-rule-condition.json': 'https://flockmesh.dev/spec/schemas/policy-rule-condition.schema.json',
+  'policy-approver-constraints.json': 'https://flockmesh.dev/spec/schemas/policy-approver-constraints.schema.json',
   'policy-decision.json': 'https://flockmesh.dev/spec/schemas/policy-decision.schema.json',
   'policy-profile-catalog.json': 'https://flockmesh.dev/spec/schemas/policy-profile-catalog.schema.json',
   'policy-profile-version.json': 'https://flockmesh.dev/spec/schemas/policy-profile-version.schema.json',
@@ -34,7 +40,11 @@ const exampleSchemaMap = {
   'policy-patch-history-export-package.json': 'https://flockmesh.dev/spec/schemas/policy-patch-history-export-package.schema.json',
   'policy-simulation.json': 'https://flockmesh.dev/spec/schemas/policy-simulation.schema.json',
   'policy-profile-patch-result.json': 'https://flockmesh.dev/spec/schemas/policy-profile-patch-result.schema.json',
+  'policy-patch-proposal.json': 'https://flockmesh.dev/spec/schemas/policy-patch-proposal.schema.json',
+  'policy-patch-proposal-list.json': 'https://flockmesh.dev/spec/schemas/policy-patch-proposal-list.schema.json',
+  'playbook-catalog.json': 'https://flockmesh.dev/spec/schemas/playbook-catalog.schema.json',
   'run-record.json': 'https://flockmesh.dev/spec/schemas/run-record.schema.json',
+  'run-step-list.json': 'https://flockmesh.dev/spec/schemas/run-step-list.schema.json',
   'incident-export-package.json': 'https://flockmesh.dev/spec/schemas/incident-export-package.schema.json',
   'run-timeline-diff.json': 'https://flockmesh.dev/spec/schemas/run-timeline-diff.schema.json',
   'run-replay-integrity.json': 'https://flockmesh.dev/spec/schemas/run-replay-integrity.schema.json',
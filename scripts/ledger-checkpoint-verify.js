@@ -0,0 +1,51 @@
+import path from 'node:path';
+
+import { DualLedger } from '../src/lib/dual-ledger.js';
+import { resolveIncidentExportSigningKeys } from '../src/lib/incident-export.js';
+import { verifyLedgerCheckpoints } from '../src/lib/ledger-checkpoints.js';
+
+function parseString(name, fallback) {
+  const arg = process.argv.find((item) => item.startsWith(`--${name}=`));
+  if (!arg) return fallback;
+  return arg.slice(name.length + 3) || fallback;
+}
+
+function parseFlag(name, fallback = false) {
+  const arg = process.argv.find((item) => item.startsWith(`--${name}=`));
+  if (!arg) return fallback;
+  const value = arg.split('=')[1];
+  return value === '1' || value === 'true';
+}
+
+async function main() {
+  const dataDir = path.resolve(parseString('data-dir', path.join(process.cwd(), 'data')));
+  const allowEmpty = parseFlag('allow-empty', false);
+
+  const ledger = new DualLedger({ rootDir: path.dirname(dataDir), dataDir });
+  const report = verifyLedgerCheckpoints({
+    checkpoints: await ledger.readCheckpoints(),
+    ledgers: await ledger.readAuditLedgers(),
+    legacyRunIds: await ledger.loadLegacyChainRuns(),
+    keys: resolveIncidentExportSigningKeys()
+  });
+
+  console.log(JSON.stringify({ data_dir: dataDir, ...report }, null, 2));
+
+  if (report.checkpoint_state === 'invalid') {
+    console.error(`ledger checkpoint verify failed: issues=${report.issues.length}`);
+    process.exit(2);
+  }
+
+  if (report.checkpoint_state === 'empty' && !allowEmpty) {
+    console.error('ledger checkpoint verify failed: no checkpoints found');
+    process.exit(2);
+  }
+
+  console.log('ledger checkpoint verify passed');
+}
+
+main().catch((err) => {
+  console.error('ledger checkpoint verify failed');
+  console.error(err?.stack || err?.message || err);
+  process.exit(2);
+});
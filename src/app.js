@@ -1,6 +1,7 @@
 import fs from 'node:fs/promises';
 import path from 'node:path';
 import crypto from 'node:crypto';
+import { Readable } from 'node:stream';
 import { fileURLToPath } from 'node:url';
 
 import Fastify from 'fastify';
@@ -11,8 +12,17 @@ import { makeId } from './lib/ids.js';
 import { nowIso } from './lib/time.js';
 import { loadContractSchemas } from './lib/schemas.js';
 import { DualLedger } from './lib/dual-ledger.js';
-import { POLICY_LIBRARY, evaluatePolicy } from './lib/policy-engine.js';
-import { compilePolicyProfileDsl, loadPolicyLibraryFromDir } from './lib/policy-dsl.js';
+import { POLICY_LIBRARY, checkApproverConstraints, evaluatePolicy } from './lib/policy-engine.js';
+import {
+  APPROVAL_TTL_MAX_SECONDS,
+  APPROVAL_TTL_MIN_SECONDS,
+  compilePolicyProfileDsl,
+  loadPolicyLibraryFromDir,
+  normalizeApproverConstraints,
+  normalizePolicyRuleCondition,
+  POLICY_CAPABILITY_PATTERN,
+  resolvePolicyProfileInheritance
+} from './lib/policy-dsl.js';
 import {
   buildConnectorHealthSummary,
   detectScopeDrift,
@@ -23,6 +33,48 @@ import {
   AdapterCapabilityError,
   buildConnectorAdapterRegistry
 } from './lib/connector-adapters.js';
+import { parseEmailDomain, summarizeEmailRecipients } from './lib/mail-client.js';
+import {
+  DEFAULT_SLACK_API_BASE_URL,
+  postSlackMessage,
+  postSlackWebhook,
+  testSlackAuth
+} from './lib/slack-client.js';
+import { DEFAULT_FEISHU_API_BASE_URL, sendFeishuCard, sendFeishuDirectText } from './lib/feishu-client.js';
+import {
+  SLACK_SIGNATURE_HEADER,
+  SLACK_TIMESTAMP_HEADER,
+  buildFeishuApprovalCard,
+  buildSlackApprovalBlocks,
+  compileChatApproverDocument,
+  loadChatApproverIdentitiesFromDir,
+  mergeChatApproverIdentities,
+  parseFeishuCardAction,
+  parseSlackBlockAction,
+  resolveChatApprover,
+  verifySlackRequest
+} from './lib/chat-approvals.js';
+import {
+  EXTERNAL_IDENTITY_PROVIDERS,
+  EXTERNAL_IDENTITY_STATUSES,
+  IDENTITY_VERIFICATION_MAX_ATTEMPTS,
+  buildVerificationMessage,
+  checkIdentityVerification,
+  countVerificationAttempts,
+  findVerifiedExternalIdentity,
+  generateVerificationCode,
+  issueIdentityVerification
+} from './lib/external-identities.js';
+import { probeDingTalkWebhook } from './lib/dingtalk-client.js';
+import {
+  FEISHU_MESSAGE_EVENT_TYPE,
+  decryptFeishuEventPayload,
+  isFeishuTimestampFresh,
+  loadFeishuEventTriggersFromDir,
+  matchFeishuEventTrigger,
+  parseFeishuMessageEvent,
+  verifyFeishuEventSignature
+} from './lib/feishu-events.js';
 import {
   evaluateMcpAllowlist,
   loadMcpAllowlistsFromDir
@@ -30,7 +82,8 @@ import {
 import {
   canActorManagePolicyProfile,
   loadPolicyAdminConfigFromDir,
-  mergePolicyAdminConfigs
+  mergePolicyAdminConfigs,
+  resolvePolicyProfileQuorum
 } from './lib/policy-admins.js';
 import {
   createConnectorRateLimiter,
@@ -39,6 +92,7 @@ import {
 import {
   buildAdapterRetryDecision,
   classifyAdapterFailureReason,
+  compileAdapterRetryPolicy,
   computeAdapterRetryDelayMs,
   resolveAdapterRetryPolicy
 } from './lib/adapter-retry.js';
@@ -56,13 +110,59 @@ import {
   makeBlueprintAuthRef
 } from './lib/agent-kits.js';
 import { MCP_BRIDGE_TOOL_DEFINITIONS, createMcpBridgeCore } from './lib/mcp-bridge-core.js';
+import {
+  expandPlaybookActionIntents,
+  listPlaybooks,
+  loadPlaybooksFromDir,
+  renderPlaybookTemplate,
+  resolvePlaybookInputs
+} from './lib/playbooks.js';
 import {
   buildDefaultActionIntents,
   buildExecutionResult,
+  buildInitialStepState,
   buildRunRecord,
-  runStatusFromDecisions
+  resolveReadyStepIntents,
+  runStatusFromDecisions,
+  runStatusFromStepStates
 } from './lib/runtime.js';
+import {
+  SCHEDULE_CATCH_UP_DEFAULT,
+  SCHEDULE_CATCH_UP_POLICIES,
+  assertTimeZone,
+  nextCronFireTime,
+  parseCronExpression,
+  planScheduleFires
+} from './lib/schedules.js';
+import {
+  createRunStreamHub,
+  formatRunStreamCursor,
+  formatSseMessage,
+  mergeRunStreamBacklog,
+  parseRunStreamCursor
+} from './lib/run-stream.js';
 import { RevisionConflictError, StateDB } from './lib/state-db.js';
+import {
+  WEBHOOK_REPLAY_WINDOW_DEFAULT_SECONDS,
+  WEBHOOK_REPLAY_WINDOW_MAX_SECONDS,
+  WEBHOOK_REPLAY_WINDOW_MIN_SECONDS,
+  WEBHOOK_SIGNATURE_HEADER,
+  WEBHOOK_TIMESTAMP_HEADER,
+  digestWebhookPayload,
+  generateWebhookSecret,
+  normalizeWebhookParameterMapping,
+  verifyWebhookDelivery
+} from './lib/webhook-triggers.js';
+import {
+  DEFAULT_EVENT_WEBHOOK_RETRY_POLICY,
+  buildEventWebhookBody,
+  checkEventSubscriptionTarget,
+  createEventWebhookDispatcher,
+  normalizeEventSubscriptionAllowedHosts,
+  normalizeEventSubscriptionNames,
+  subscriptionMatchesEvent
+} from './lib/event-webhooks.js';
+import { buildLedgerCheckpoint, ledgerHeadsChanged } from './lib/ledger-checkpoints.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -71,7 +171,6 @@ const POLICY_PATCH_HISTORY_DIRNAME = path.join('data', 'policy-patches');
 const POLICY_PATCH_HISTORY_FILE = 'history.jsonl';
 const POLICY_PATCH_ID_PATTERN = /^pph_[A-Za-z0-9_-]{6,64}$/;
 const POLICY_PROFILE_NAME_PATTERN = /^[a-z][a-z0-9_]{2,80}$/;
-const POLICY_CAPABILITY_PATTERN = /^(\*|[a-z][a-z0-9_]*(\.[a-z][a-z0-9_]*)+)$/;
 const ACTOR_ID_PATTERN = /^(usr|svc|agt|sys)_[A-Za-z0-9_-]{4,128}$/;
 const POLICY_DECISION_SET = new Set(['allow', 'deny', 'escalate']);
 const POLICY_READ_ONLY_SUFFIXES = ['.read', '.list', '.status', '.search', '.get'];
@@ -90,6 +189,9 @@ const POLICY_DECISION_WEIGHT = {
   escalate: 2,
   deny: 3
 };
+const POLICY_PATCH_IMPACT_RUN_LIMIT_DEFAULT = 50;
+const POLICY_PATCH_IMPACT_RUN_LIMIT_MAX = 500;
+const POLICY_PATCH_PROPOSAL_STATUSES = ['pending', 'applying', 'applied', 'rejected'];
 const MCP_BRIDGE_STDIO_COMMAND = process.execPath || 'node';
 const MCP_BRIDGE_CORE_TOOL_NAMES = MCP_BRIDGE_TOOL_DEFINITIONS.map((item) => item.name);
 const MCP_BRIDGE_PROTOCOL_VERSION = '2025-11-25';
@@ -97,6 +199,7 @@ const MCP_PROTOCOL_HEADER = 'mcp-protocol-version';
 const MCP_SESSION_HEADER = 'mcp-session-id';
 const MCP_BRIDGE_SESSION_TTL_MS = 30 * 60 * 1000;
 const MCP_BRIDGE_MAX_SESSIONS = 500;
+const SSE_HEARTBEAT_MS = 15000;
 const ACCESS_MODE_SET = new Set(['opc', 'organization']);
 const ENV_SCOPE_SET = new Set(['opc', 'workspace', 'org', 'agent']);
 const ENV_VISIBILITY_SET = new Set(['secret', 'masked', 'plain']);
@@ -110,6 +213,14 @@ const WORKSTATION_READINESS_STAGE_WEIGHT = Object.freeze({
   session_audit: 10
 });
 const ROLE_NAME_SET = new Set(['org_admin', 'workspace_admin', 'operator', 'auditor']);
+const DELEGABLE_PERMISSION_SET = new Set(['approval.resolve']);
+const DELEGATION_STATUS_SET = new Set(['active', 'revoked']);
+const DELEGATION_MAX_SECONDS = 90 * 24 * 60 * 60;
+const WEBHOOK_TRIGGER_STATUS_SET = new Set(['active', 'revoked']);
+const SCHEDULE_STATUS_SET = new Set(['active', 'paused', 'revoked']);
+const EVENT_SUBSCRIPTION_STATUS_SET = new Set(['active', 'revoked']);
+const EVENT_DELIVERY_STATUS_SET = new Set(['pending', 'retrying', 'delivered', 'dead_lettered', 'cancelled']);
+const AUDIT_ENTRY_SCHEMA_ID = 'https://flockmesh.dev/spec/schemas/audit-entry.schema.json';
 const ROLE_PERMISSION_LIBRARY = Object.freeze({
   org_admin: [
     'environment.manage',
@@ -155,6 +266,72 @@ class AdapterTimeoutError extends Error {
   }
 }
 
+// preParsing hook for callbacks whose signatures cover the exact request bytes.
+async function captureRawBody(request, reply, payload) {
+  const chunks = [];
+  for await (const chunk of payload) chunks.push(chunk);
+  const raw = Buffer.concat(chunks);
+  request.rawBody = raw.toString('utf8');
+  const replay = Readable.from([raw]);
+  replay.receivedEncodedLength = raw.length;
+  return replay;
+}
+
+// Event subscriptions and card callbacks share one Feishu app, so they share its token,
+// signature and encryption settings. Card clicks resolve approvals, so they are refused unless
+// deliveries are signed, which Feishu only does when an encrypt key is set.
+function openFeishuCallback(app, request, { reasonPrefix, requireSignature = false }) {
+  const config = app.feishuEventConfig;
+  const fail = (statusCode, reason, message) => ({
+    ok: false,
+    statusCode,
+    reason_code: `${reasonPrefix}.${reason}`,
+    message
+  });
+  if (!config.verification_token && !config.encrypt_key) {
+    return fail(503, 'not_configured', 'Feishu callbacks are not configured');
+  }
+  if (requireSignature && !config.encrypt_key) {
+    return fail(503, 'encrypt_key_required', 'Feishu card callbacks require an encrypt key');
+  }
+
+  let envelope = request.body && typeof request.body === 'object' ? request.body : {};
+  if (config.encrypt_key) {
+    // Feishu signs deliveries but not the one-off url_verification challenge.
+    const signature = asTrimmedString(request.headers['x-lark-signature']);
+    const timestamp = asTrimmedString(request.headers['x-lark-request-timestamp']);
+    if (signature && !isFeishuTimestampFresh(timestamp)) {
+      return fail(401, 'timestamp_outside_window', 'Feishu callback timestamp is outside the allowed window');
+    }
+    if (signature && !verifyFeishuEventSignature({
+      signature,
+      timestamp,
+      nonce: asTrimmedString(request.headers['x-lark-request-nonce']),
+      encryptKey: config.encrypt_key,
+      rawBody: request.rawBody || ''
+    })) {
+      return fail(401, 'signature_invalid', 'Feishu callback signature mismatch');
+    }
+    if (typeof envelope.encrypt !== 'string') {
+      return fail(400, 'encrypt_missing', 'Feishu callback payload must be encrypted');
+    }
+    try {
+      envelope = decryptFeishuEventPayload(envelope.encrypt, config.encrypt_key);
+    } catch {
+      return fail(400, 'decrypt_failed', 'Feishu callback payload could not be decrypted');
+    }
+    if (!signature && envelope?.type !== 'url_verification') {
+      return fail(401, 'signature_missing', 'Feishu callback signature is required');
+    }
+  }
+
+  const token = asTrimmedString(envelope?.token || envelope?.header?.token);
+  if (config.verification_token && token !== config.verification_token) {
+    return fail(401, 'token_invalid', 'Feishu verification token mismatch');
+  }
+  return { ok: true, envelope };
+}
+
 async function withTimeout(promiseFactory, timeoutMs) {
   return await new Promise((resolve, reject) => {
     const timer = setTimeout(() => {
@@ -225,6 +402,42 @@ function resolveFeishuConnectionStatus(app) {
   };
 }
 
+function resolveActiveDingTalkWebhook(app) {
+  const runtimeWebhook = asTrimmedString(app?.integrationRuntime?.dingtalk_webhook_url);
+  if (runtimeWebhook) {
+    return {
+      webhook_url: runtimeWebhook,
+      secret: asTrimmedString(app.integrationRuntime.dingtalk_secret),
+      source: 'runtime'
+    };
+  }
+
+  const envWebhook = asTrimmedString(process.env.FLOCKMESH_DINGTALK_WEBHOOK_URL);
+  if (envWebhook) {
+    return {
+      webhook_url: envWebhook,
+      secret: asTrimmedString(process.env.FLOCKMESH_DINGTALK_SECRET),
+      source: 'env'
+    };
+  }
+
+  return { webhook_url: '', secret: '', source: 'none' };
+}
+
+function resolveDingTalkConnectionStatus(app) {
+  const active = resolveActiveDingTalkWebhook(app);
+  const signed = Boolean(active.webhook_url && active.secret);
+  return {
+    integration: 'dingtalk',
+    connected: Boolean(active.webhook_url),
+    delivery_mode: !active.webhook_url ? 'stub' : (signed ? 'dingtalk_signed_webhook' : 'dingtalk_webhook'),
+    source: active.source,
+    webhook_masked: active.webhook_url ? maskSecretUrl(active.webhook_url) : '',
+    signing_enabled: signed,
+    webhook_configurable: true
+  };
+}
+
 function normalizeAccessMode(value = '') {
   const normalized = String(value || '').trim().toLowerCase();
   if (ACCESS_MODE_SET.has(normalized)) return normalized;
@@ -476,6 +689,307 @@ function buildEnvironmentProviderVerification(provider = '', entries = []) {
         }
       }
     }
+  } else if (normalizedProvider === 'dingtalk') {
+    const webhook = findByKeys(['FLOCKMESH_DINGTALK_WEBHOOK_URL', 'DINGTALK_WEBHOOK_URL']);
+    if (!webhook) {
+      addCheck({
+        code: 'dingtalk.webhook.missing',
+        status: 'fail',
+        key: 'FLOCKMESH_DINGTALK_WEBHOOK_URL',
+        message: 'DingTalk robot webhook URL is required.'
+      });
+      recommendations.push('Add DingTalk robot webhook URL to enable approval/result delivery.');
+    } else {
+      const parsed = parseHttpUrl(webhook.value);
+      if (!parsed) {
+        addCheck({
+          code: 'dingtalk.webhook.invalid_url',
+          status: 'fail',
+          key: webhook.key,
+          message: 'Webhook must be a valid http/https URL.'
+        });
+      } else {
+        addCheck({
+          code: 'dingtalk.webhook.url_format',
+          status: 'pass',
+          key: webhook.key,
+          message: 'Webhook URL format is valid.'
+        });
+        if (!/(^|\.)dingtalk\.com$/i.test(parsed.hostname)) {
+          addCheck({
+            code: 'dingtalk.webhook.host_unusual',
+            status: 'warn',
+            key: webhook.key,
+            message: 'Webhook host does not look like DingTalk.'
+          });
+          recommendations.push('Confirm webhook host is the official DingTalk endpoint (oapi.dingtalk.com).');
+        }
+        if (!parsed.searchParams.get('access_token')) {
+          addCheck({
+            code: 'dingtalk.webhook.access_token_missing',
+            status: 'warn',
+            key: webhook.key,
+            message: 'Robot webhook URL has no access_token query parameter.'
+          });
+        }
+      }
+    }
+
+    const secret = findByKeys(['FLOCKMESH_DINGTALK_SECRET', 'DINGTALK_SECRET']);
+    if (!secret) {
+      addCheck({
+        code: 'dingtalk.secret.missing',
+        status: 'warn',
+        key: 'FLOCKMESH_DINGTALK_SECRET',
+        message: 'No signing secret: requests are unsigned and robots with signing enabled will reject them.'
+      });
+      recommendations.push('Enable robot signing and add its SEC... secret so deliveries are HMAC signed.');
+    } else if (!/^SEC[A-Za-z0-9]+$/.test(asTrimmedString(secret.value))) {
+      addCheck({
+        code: 'dingtalk.secret.format',
+        status: 'warn',
+        key: secret.key,
+        message: 'Signing secret does not look like a DingTalk robot secret (SEC...).'
+      });
+    } else {
+      addCheck({
+        code: 'dingtalk.secret.present',
+        status: 'pass',
+        key: secret.key,
+        message: 'Signing secret is present; deliveries will carry timestamp and sign.'
+      });
+    }
+  } else if (normalizedProvider === 'slack') {
+    const webhook = findByKeys(['SLACK_WEBHOOK_URL']);
+    const botToken = findByKeys(['SLACK_BOT_TOKEN']);
+    if (!webhook && !botToken) {
+      addCheck({
+        code: 'slack.credentials.missing',
+        status: 'fail',
+        key: 'SLACK_WEBHOOK_URL',
+        message: 'SLACK_WEBHOOK_URL or SLACK_BOT_TOKEN is required.'
+      });
+      recommendations.push('Add a Slack incoming webhook or bot token to enable channel delivery.');
+    }
+
+    if (webhook) {
+      const parsed = parseHttpUrl(webhook.value);
+      if (!parsed) {
+        addCheck({
+          code: 'slack.webhook.invalid_url',
+          status: 'fail',
+          key: webhook.key,
+          message: 'Webhook must be a valid http/https URL.'
+        });
+      } else {
+        addCheck({
+          code: 'slack.webhook.url_format',
+          status: 'pass',
+          key: webhook.key,
+          message: 'Webhook URL format is valid.'
+        });
+        if (!/(^|\.)slack\.com$/i.test(parsed.hostname)) {
+          addCheck({
+            code: 'slack.webhook.host_unusual',
+            status: 'warn',
+            key: webhook.key,
+            message: 'Webhook host does not look like Slack.'
+          });
+          recommendations.push('Confirm webhook host is the official Slack endpoint (hooks.slack.com).');
+        }
+      }
+    }
+
+    if (botToken) {
+      if (!/^xox[bp]-/.test(asTrimmedString(botToken.value))) {
+        addCheck({
+          code: 'slack.bot_token.format',
+          status: 'warn',
+          key: botToken.key,
+          message: 'SLACK_BOT_TOKEN does not look like a Slack bot token (xoxb-).'
+        });
+      }
+      if (!findByKeys(['SLACK_DEFAULT_CHANNEL'])) {
+        addCheck({
+          code: 'slack.channel.missing',
+          status: 'warn',
+          key: 'SLACK_DEFAULT_CHANNEL',
+          message: 'Bot delivery needs a channel on every message without SLACK_DEFAULT_CHANNEL.'
+        });
+      }
+    }
+
+    const apiBase = findByKeys(['SLACK_API_BASE_URL']);
+    if (apiBase && !parseHttpUrl(apiBase.value)) {
+      addCheck({
+        code: 'slack.api_base_url.invalid_url',
+        status: 'fail',
+        key: apiBase.key,
+        message: 'SLACK_API_BASE_URL must be a valid http/https URL.'
+      });
+    }
+  } else if (normalizedProvider === 'caldav') {
+    const url = findByKeys(['CALDAV_URL']);
+    if (!url) {
+      addCheck({
+        code: 'caldav.url.missing',
+        status: 'fail',
+        key: 'CALDAV_URL',
+        message: 'CALDAV_URL is required.'
+      });
+      recommendations.push('Add the CalDAV calendar collection URL to route calendar.read/write to it.');
+    } else {
+      const parsed = parseHttpUrl(url.value);
+      if (!parsed) {
+        addCheck({
+          code: 'caldav.url.invalid_url',
+          status: 'fail',
+          key: url.key,
+          message: 'CALDAV_URL must be a valid http/https URL.'
+        });
+      } else {
+        addCheck({
+          code: 'caldav.url.url_format',
+          status: parsed.protocol === 'https:' ? 'pass' : 'warn',
+          key: url.key,
+          message: parsed.protocol === 'https:'
+            ? 'CALDAV_URL uses HTTPS.'
+            : 'CALDAV_URL should use HTTPS in production.'
+        });
+      }
+    }
+
+    if (findByKeys(['CALDAV_USERNAME']) && !findByKeys(['CALDAV_PASSWORD'])) {
+      addCheck({
+        code: 'caldav.password.missing',
+        status: 'warn',
+        key: 'CALDAV_PASSWORD',
+        message: 'CALDAV_USERNAME is set without CALDAV_PASSWORD.'
+      });
+    }
+  } else if (normalizedProvider === 'jira') {
+    const baseUrl = findByKeys(['JIRA_BASE_URL']);
+    if (!baseUrl) {
+      addCheck({
+        code: 'jira.base_url.missing',
+        status: 'fail',
+        key: 'JIRA_BASE_URL',
+        message: 'JIRA_BASE_URL is required.'
+      });
+      recommendations.push('Add the Jira site URL to route jira.* capabilities to it.');
+    } else {
+      const parsed = parseHttpUrl(baseUrl.value);
+      if (!parsed) {
+        addCheck({
+          code: 'jira.base_url.invalid_url',
+          status: 'fail',
+          key: baseUrl.key,
+          message: 'JIRA_BASE_URL must be a valid http/https URL.'
+        });
+      } else {
+        addCheck({
+          code: 'jira.base_url.url_format',
+          status: parsed.protocol === 'https:' ? 'pass' : 'warn',
+          key: baseUrl.key,
+          message: parsed.protocol === 'https:'
+            ? 'JIRA_BASE_URL uses HTTPS.'
+            : 'JIRA_BASE_URL should use HTTPS in production.'
+        });
+      }
+    }
+
+    const hasPat = Boolean(findByKeys(['JIRA_PAT']));
+    const hasToken = Boolean(findByKeys(['JIRA_EMAIL']) && findByKeys(['JIRA_API_TOKEN']));
+    if (!hasPat && !hasToken) {
+      addCheck({
+        code: 'jira.credentials.missing',
+        status: 'fail',
+        key: 'JIRA_API_TOKEN',
+        message: 'Set JIRA_EMAIL + JIRA_API_TOKEN (Cloud) or JIRA_PAT (Server/Data Center).'
+      });
+    }
+  } else if (normalizedProvider === 'wiki') {
+    const baseUrl = findByKeys(['WIKI_BASE_URL']);
+    if (!baseUrl) {
+      addCheck({
+        code: 'wiki.base_url.missing',
+        status: 'fail',
+        key: 'WIKI_BASE_URL',
+        message: 'WIKI_BASE_URL is required.'
+      });
+      recommendations.push('Add the wiki site URL to route doc.read/doc.write to it.');
+    } else {
+      const parsed = parseHttpUrl(baseUrl.value);
+      addCheck(parsed
+        ? {
+          code: 'wiki.base_url.url_format',
+          status: parsed.protocol === 'https:' ? 'pass' : 'warn',
+          key: baseUrl.key,
+          message: parsed.protocol === 'https:'
+            ? 'WIKI_BASE_URL uses HTTPS.'
+            : 'WIKI_BASE_URL should use HTTPS in production.'
+        }
+        : {
+          code: 'wiki.base_url.invalid_url',
+          status: 'fail',
+          key: baseUrl.key,
+          message: 'WIKI_BASE_URL must be a valid http/https URL.'
+        });
+    }
+
+    if (!findByKeys(['WIKI_PAT']) && !(findByKeys(['WIKI_USERNAME']) && findByKeys(['WIKI_API_TOKEN']))) {
+      addCheck({
+        code: 'wiki.credentials.missing',
+        status: 'fail',
+        key: 'WIKI_API_TOKEN',
+        message: 'Set WIKI_USERNAME + WIKI_API_TOKEN or WIKI_PAT.'
+      });
+    }
+  } else if (normalizedProvider === 'email') {
+    const smtpHost = findByKeys(['SMTP_HOST']);
+    const imapHost = findByKeys(['IMAP_HOST']);
+    if (!smtpHost && !imapHost) {
+      addCheck({
+        code: 'email.host.missing',
+        status: 'fail',
+        key: 'SMTP_HOST',
+        message: 'SMTP_HOST or IMAP_HOST is required.'
+      });
+      recommendations.push('Add SMTP_HOST/SMTP_FROM for email.send and IMAP_HOST/IMAP_USERNAME for email.read/search.');
+    }
+
+    if (smtpHost && !parseEmailDomain(findByKeys(['SMTP_FROM'])?.value || '')) {
+      addCheck({
+        code: 'email.smtp.from_missing',
+        status: 'fail',
+        key: 'SMTP_FROM',
+        message: 'SMTP_HOST is set without a valid SMTP_FROM address.'
+      });
+    }
+    if (smtpHost && !imapHost) {
+      addCheck({
+        code: 'email.imap.missing',
+        status: 'warn',
+        key: 'IMAP_HOST',
+        message: 'IMAP_HOST is not set; email.read/search stay stubbed.'
+      });
+    }
+    if (imapHost && !findByKeys(['IMAP_USERNAME'])) {
+      addCheck({
+        code: 'email.imap.username_missing',
+        status: 'fail',
+        key: 'IMAP_USERNAME',
+        message: 'IMAP_HOST is set without IMAP_USERNAME.'
+      });
+    }
+    if (!findByKeys(['EMAIL_INTERNAL_DOMAINS'])) {
+      addCheck({
+        code: 'email.internal_domains.missing',
+        status: 'warn',
+        key: 'EMAIL_INTERNAL_DOMAINS',
+        message: 'Only the SMTP_FROM domain counts as internal for recipient policy checks.'
+      });
+    }
   } else if (normalizedProvider === 'langfuse') {
     const host = findByKeys(['LANGFUSE_HOST']);
     const publicKey = findByKeys(['LANGFUSE_PUBLIC_KEY']);
@@ -873,33 +1387,170 @@ async function probeProviderConnectivity({
     });
   }
 
-  if (normalizedProvider === 'langfuse') {
-    const host = findEnvironmentEntryValue(providerEntries, ['LANGFUSE_HOST']);
-    const parsed = parseHttpUrl(host);
+  if (normalizedProvider === 'dingtalk') {
+    const webhook = findEnvironmentEntryValue(providerEntries, [
+      'FLOCKMESH_DINGTALK_WEBHOOK_URL',
+      'DINGTALK_WEBHOOK_URL'
+    ]);
+    const parsed = parseHttpUrl(webhook);
     if (!parsed) {
       return finalizeProviderConnectivityProbe({
         provider: normalizedProvider,
-        endpoint: host,
+        endpoint: webhook,
         status: 'fail',
-        message: 'LANGFUSE_HOST missing or invalid.',
-        errorCode: 'langfuse.host.invalid'
+        message: 'DingTalk webhook URL missing or invalid.',
+        errorCode: 'dingtalk.webhook.invalid'
       });
     }
 
-    const healthEndpoint = new URL('/api/public/health', parsed).toString();
+    const secret = findEnvironmentEntryValue(providerEntries, ['FLOCKMESH_DINGTALK_SECRET', 'DINGTALK_SECRET']);
+    let probe;
+    try {
+      probe = await probeDingTalkWebhook({ webhookUrl: parsed.toString(), secret, timeoutMs });
+    } catch (err) {
+      return finalizeProviderConnectivityProbe({
+        provider: normalizedProvider,
+        endpoint: parsed.toString(),
+        reachable: false,
+        status: 'fail',
+        message: 'DingTalk endpoint is unreachable from runtime.',
+        errorCode: 'network.error',
+        errorMessage: err.message
+      });
+    }
+
+    return finalizeProviderConnectivityProbe({
+      provider: normalizedProvider,
+      endpoint: parsed.toString(),
+      reachable: true,
+      httpStatus: probe.status,
+      status: probe.rejected ? 'fail' : (probe.status >= 500 ? 'warn' : 'pass'),
+      message: probe.rejected
+        ? `DingTalk robot rejected the ${probe.signed ? 'signed' : 'unsigned'} request.`
+        : (probe.status >= 500
+          ? 'DingTalk endpoint reachable but returned 5xx.'
+          : `DingTalk robot accepted the ${probe.signed ? 'signed' : 'unsigned'} request.`),
+      errorCode: probe.rejected ? `dingtalk.errcode.${probe.errcode ?? probe.status}` : '',
+      errorMessage: probe.rejected ? probe.errmsg : ''
+    });
+  }
+
+  if (normalizedProvider === 'slack') {
+    const botToken = findEnvironmentEntryValue(providerEntries, ['SLACK_BOT_TOKEN']);
+    if (botToken) {
+      const apiBaseRaw = findEnvironmentEntryValue(providerEntries, ['SLACK_API_BASE_URL']) || DEFAULT_SLACK_API_BASE_URL;
+      const apiBase = parseHttpUrl(apiBaseRaw);
+      if (!apiBase) {
+        return finalizeProviderConnectivityProbe({
+          provider: normalizedProvider,
+          endpoint: apiBaseRaw,
+          status: 'fail',
+          message: 'SLACK_API_BASE_URL is invalid.',
+          errorCode: 'slack.api_base_url.invalid'
+        });
+      }
+
+      const authEndpoint = `${apiBase.toString().replace(/\/+$/, '')}/auth.test`;
+      try {
+        const identity = await testSlackAuth({ apiBaseUrl: apiBase.toString(), botToken, timeoutMs });
+        return finalizeProviderConnectivityProbe({
+          provider: normalizedProvider,
+          endpoint: authEndpoint,
+          reachable: true,
+          httpStatus: 200,
+          status: 'pass',
+          message: `Slack bot token accepted${identity.team ? ` for workspace ${identity.team}` : ''}.`
+        });
+      } catch (err) {
+        const reachable = Number.isFinite(err.status);
+        return finalizeProviderConnectivityProbe({
+          provider: normalizedProvider,
+          endpoint: authEndpoint,
+          reachable,
+          httpStatus: err.status,
+          status: reachable && Number(err.status) >= 500 ? 'warn' : 'fail',
+          message: reachable
+            ? 'Slack rejected the bot token.'
+            : 'Slack API is unreachable from runtime.',
+          errorCode: reachable ? `slack.${err.slack_error || 'auth_failed'}` : 'network.error',
+          errorMessage: err.message
+        });
+      }
+    }
+
+    const webhook = findEnvironmentEntryValue(providerEntries, ['SLACK_WEBHOOK_URL']);
+    const parsed = parseHttpUrl(webhook);
+    if (!parsed) {
+      return finalizeProviderConnectivityProbe({
+        provider: normalizedProvider,
+        endpoint: webhook,
+        status: 'fail',
+        message: 'Slack webhook URL missing or invalid.',
+        errorCode: 'slack.webhook.invalid'
+      });
+    }
+
+    // Slack answers a GET on a live webhook with 4xx "invalid_payload"; revoked hooks answer 403/404/410.
     const probe = await probeHttpEndpoint({
-      url: healthEndpoint,
+      url: parsed.toString(),
       method: 'GET',
       timeoutMs
     });
     if (!probe.reachable) {
       return finalizeProviderConnectivityProbe({
         provider: normalizedProvider,
-        endpoint: healthEndpoint,
+        endpoint: parsed.toString(),
         reachable: false,
         httpStatus: probe.http_status,
         status: 'fail',
-        message: 'Langfuse host is unreachable from runtime.',
+        message: 'Slack webhook endpoint is unreachable from runtime.',
+        errorCode: probe.error_code,
+        errorMessage: probe.error_message
+      });
+    }
+
+    const revoked = [403, 404, 410].includes(Number(probe.http_status));
+    return finalizeProviderConnectivityProbe({
+      provider: normalizedProvider,
+      endpoint: parsed.toString(),
+      reachable: true,
+      httpStatus: probe.http_status,
+      status: revoked ? 'fail' : (Number(probe.http_status) >= 500 ? 'warn' : 'pass'),
+      message: revoked
+        ? 'Slack webhook was rejected (revoked or unknown).'
+        : (Number(probe.http_status) >= 500
+          ? 'Slack webhook reachable but returned 5xx.'
+          : 'Slack webhook reachable.')
+    });
+  }
+
+  if (normalizedProvider === 'langfuse') {
+    const host = findEnvironmentEntryValue(providerEntries, ['LANGFUSE_HOST']);
+    const parsed = parseHttpUrl(host);
+    if (!parsed) {
+      return finalizeProviderConnectivityProbe({
+        provider: normalizedProvider,
+        endpoint: host,
+        status: 'fail',
+        message: 'LANGFUSE_HOST missing or invalid.',
+        errorCode: 'langfuse.host.invalid'
+      });
+    }
+
+    const healthEndpoint = new URL('/api/public/health', parsed).toString();
+    const probe = await probeHttpEndpoint({
+      url: healthEndpoint,
+      method: 'GET',
+      timeoutMs
+    });
+    if (!probe.reachable) {
+      return finalizeProviderConnectivityProbe({
+        provider: normalizedProvider,
+        endpoint: healthEndpoint,
+        reachable: false,
+        httpStatus: probe.http_status,
+        status: 'fail',
+        message: 'Langfuse host is unreachable from runtime.',
         errorCode: probe.error_code,
         errorMessage: probe.error_message
       });
@@ -1135,6 +1786,8 @@ function verifyEnvironmentSet(environmentSet = {}) {
     },
     runtime_readiness: {
       feishu_delivery: ['pass', 'warn'].includes(findProviderStatus('feishu')),
+      slack_delivery: ['pass', 'warn'].includes(findProviderStatus('slack')),
+      dingtalk_delivery: ['pass', 'warn'].includes(findProviderStatus('dingtalk')),
       langfuse_observability: ['pass', 'warn'].includes(findProviderStatus('langfuse')),
       claude_code_bridge: ['pass', 'warn'].includes(findProviderStatus('claude_code')),
       codex_bridge: ['pass', 'warn'].includes(findProviderStatus('codex'))
@@ -1767,6 +2420,387 @@ function buildEffectiveEnvironmentEntries({
   };
 }
 
+function resolveOfficeCalendarRuntime(app, workspaceId = '') {
+  if (!workspaceId) return null;
+  const entries = buildEffectiveEnvironmentEntries({ app, workspaceId }).items
+    .filter((entry) => entry.provider === 'caldav');
+  const endpoint = parseHttpUrl(findEnvironmentEntryValue(entries, ['CALDAV_URL']));
+  if (!endpoint) return null;
+
+  return {
+    backend: 'caldav',
+    endpoint: endpoint.toString(),
+    username: findEnvironmentEntryValue(entries, ['CALDAV_USERNAME']),
+    password: findEnvironmentEntryValue(entries, ['CALDAV_PASSWORD']),
+    timeout_ms: app.adapterTimeoutMs
+  };
+}
+
+function resolveEmailInternalDomains(entries = []) {
+  const configured = findEnvironmentEntryValue(entries, ['EMAIL_INTERNAL_DOMAINS'])
+    .split(',')
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean);
+  const senderDomain = parseEmailDomain(findEnvironmentEntryValue(entries, ['SMTP_FROM']));
+  return Array.from(new Set([...configured, ...(senderDomain ? [senderDomain] : [])])).sort();
+}
+
+function parseMailPort(value, fallback) {
+  const port = Number(value);
+  return Number.isInteger(port) && port > 0 && port < 65536 ? port : fallback;
+}
+
+function resolveOfficeEmailRuntime(app, workspaceId = '') {
+  if (!workspaceId) return null;
+  const entries = buildEffectiveEnvironmentEntries({ app, workspaceId }).items
+    .filter((entry) => entry.provider === 'email');
+  if (!entries.length) return null;
+
+  const runtime = {
+    internal_domains: resolveEmailInternalDomains(entries),
+    timeout_ms: app.adapterTimeoutMs
+  };
+
+  const smtpHost = findEnvironmentEntryValue(entries, ['SMTP_HOST']);
+  const smtpFrom = findEnvironmentEntryValue(entries, ['SMTP_FROM']);
+  if (smtpHost && smtpFrom) {
+    const secure = findEnvironmentEntryValue(entries, ['SMTP_SECURE']).toLowerCase() === 'true';
+    runtime.smtp = {
+      host: smtpHost,
+      port: parseMailPort(findEnvironmentEntryValue(entries, ['SMTP_PORT']), secure ? 465 : 587),
+      secure,
+      username: findEnvironmentEntryValue(entries, ['SMTP_USERNAME']),
+      password: findEnvironmentEntryValue(entries, ['SMTP_PASSWORD']),
+      from: smtpFrom
+    };
+  }
+
+  const imapHost = findEnvironmentEntryValue(entries, ['IMAP_HOST']);
+  const imapUsername = findEnvironmentEntryValue(entries, ['IMAP_USERNAME']);
+  if (imapHost && imapUsername) {
+    const secure = findEnvironmentEntryValue(entries, ['IMAP_SECURE']).toLowerCase() !== 'false';
+    runtime.imap = {
+      host: imapHost,
+      port: parseMailPort(findEnvironmentEntryValue(entries, ['IMAP_PORT']), secure ? 993 : 143),
+      secure,
+      username: imapUsername,
+      password: findEnvironmentEntryValue(entries, ['IMAP_PASSWORD']),
+      mailbox: findEnvironmentEntryValue(entries, ['IMAP_MAILBOX']) || 'INBOX'
+    };
+  }
+
+  return runtime;
+}
+
+// Recipient domains are copied onto the intent target so `when.target` clauses can
+// escalate sends that leave the workspace's internal domains.
+function annotateEmailIntentTarget(app, { workspaceId = '', intent }) {
+  if (intent?.capability !== 'email.send') return intent;
+  const entries = workspaceId
+    ? buildEffectiveEnvironmentEntries({ app, workspaceId }).items.filter((entry) => entry.provider === 'email')
+    : [];
+  const summary = summarizeEmailRecipients(intent.parameters || {}, {
+    internalDomains: resolveEmailInternalDomains(entries)
+  });
+  return {
+    ...intent,
+    target: {
+      ...(intent.target || {}),
+      recipient_count: summary.recipient_count,
+      recipient_domains: summary.recipient_domains.join(','),
+      external_recipient_domains: summary.external_recipient_domains.join(','),
+      external_recipients: summary.external_recipients
+    }
+  };
+}
+
+// Jira Cloud authenticates with account email + API token; Server/Data Center with a
+// personal access token.
+function resolveJiraRuntime(app, workspaceId = '') {
+  if (!workspaceId) return null;
+  const entries = buildEffectiveEnvironmentEntries({ app, workspaceId }).items
+    .filter((entry) => entry.provider === 'jira');
+  const baseUrl = parseHttpUrl(findEnvironmentEntryValue(entries, ['JIRA_BASE_URL']));
+  if (!baseUrl) return null;
+
+  const pat = findEnvironmentEntryValue(entries, ['JIRA_PAT']);
+  const auth = pat
+    ? { type: 'bearer', token: pat }
+    : {
+      type: 'basic',
+      username: findEnvironmentEntryValue(entries, ['JIRA_EMAIL']),
+      password: findEnvironmentEntryValue(entries, ['JIRA_API_TOKEN'])
+    };
+
+  return {
+    base_url: baseUrl.toString(),
+    auth,
+    default_project: findEnvironmentEntryValue(entries, ['JIRA_DEFAULT_PROJECT']),
+    timeout_ms: app.adapterTimeoutMs
+  };
+}
+
+function resolveWikiRuntime(app, workspaceId = '') {
+  if (!workspaceId) return null;
+  const entries = buildEffectiveEnvironmentEntries({ app, workspaceId }).items
+    .filter((entry) => entry.provider === 'wiki');
+  const baseUrl = parseHttpUrl(findEnvironmentEntryValue(entries, ['WIKI_BASE_URL']));
+  if (!baseUrl) return null;
+
+  const pat = findEnvironmentEntryValue(entries, ['WIKI_PAT']);
+  return {
+    base_url: baseUrl.toString(),
+    auth: pat
+      ? { type: 'bearer', token: pat }
+      : {
+        type: 'basic',
+        username: findEnvironmentEntryValue(entries, ['WIKI_USERNAME']),
+        password: findEnvironmentEntryValue(entries, ['WIKI_API_TOKEN'])
+      },
+    timeout_ms: app.adapterTimeoutMs
+  };
+}
+
+// A bot token wins over an incoming webhook because it can address any channel the bot joined.
+function resolveSlackRuntime(app, workspaceId = '') {
+  if (!workspaceId) return null;
+  const entries = buildEffectiveEnvironmentEntries({ app, workspaceId }).items
+    .filter((entry) => entry.provider === 'slack');
+  const botToken = findEnvironmentEntryValue(entries, ['SLACK_BOT_TOKEN']);
+  const webhookUrl = parseHttpUrl(findEnvironmentEntryValue(entries, ['SLACK_WEBHOOK_URL']));
+  if (!botToken && !webhookUrl) return null;
+
+  const apiBaseUrl = parseHttpUrl(findEnvironmentEntryValue(entries, ['SLACK_API_BASE_URL']));
+  return {
+    delivery_mode: botToken ? 'bot' : 'webhook',
+    ...(botToken
+      ? { bot_token: botToken, api_base_url: apiBaseUrl ? apiBaseUrl.toString() : DEFAULT_SLACK_API_BASE_URL }
+      : { webhook_url: webhookUrl.toString() }),
+    default_channel: findEnvironmentEntryValue(entries, ['SLACK_DEFAULT_CHANNEL']),
+    approval_channel: findEnvironmentEntryValue(entries, ['SLACK_APPROVAL_CHANNEL']),
+    timeout_ms: app.adapterTimeoutMs
+  };
+}
+
+// Cards and direct messages need a Feishu app bot; approval cards also need the approvers' chat.
+function resolveFeishuAppRuntime(app, workspaceId = '') {
+  if (!workspaceId) return null;
+  const entries = buildEffectiveEnvironmentEntries({ app, workspaceId }).items
+    .filter((entry) => entry.provider === 'feishu');
+  const appId = findEnvironmentEntryValue(entries, ['FEISHU_APP_ID']);
+  const appSecret = findEnvironmentEntryValue(entries, ['FEISHU_APP_SECRET']);
+  if (!appId || !appSecret) return null;
+
+  const apiBaseUrl = parseHttpUrl(findEnvironmentEntryValue(entries, ['FEISHU_API_BASE_URL']));
+  return {
+    app_id: appId,
+    app_secret: appSecret,
+    approval_chat_id: findEnvironmentEntryValue(entries, ['FEISHU_APPROVAL_CHAT_ID']),
+    api_base_url: apiBaseUrl ? apiBaseUrl.toString() : DEFAULT_FEISHU_API_BASE_URL,
+    timeout_ms: app.adapterTimeoutMs
+  };
+}
+
+function resolveFeishuApprovalRuntime(app, workspaceId = '') {
+  const runtime = resolveFeishuAppRuntime(app, workspaceId);
+  return runtime?.approval_chat_id ? { ...runtime, chat_id: runtime.approval_chat_id } : null;
+}
+
+async function sendApprovalCard({ provider, runtime, run, intent, approvalState }) {
+  if (provider === 'feishu') {
+    const sent = await sendFeishuCard(
+      { apiBaseUrl: runtime.api_base_url, appId: runtime.app_id, appSecret: runtime.app_secret, timeoutMs: runtime.timeout_ms },
+      { chatId: runtime.chat_id, card: buildFeishuApprovalCard({ run, intent, approvalState }) }
+    );
+    return { channel: sent.chat_id, message_ref: sent.message_id };
+  }
+
+  const { text, blocks } = buildSlackApprovalBlocks({ run, intent, approvalState });
+  const sent = runtime.delivery_mode === 'bot'
+    ? await postSlackMessage(
+      { apiBaseUrl: runtime.api_base_url, botToken: runtime.bot_token, timeoutMs: runtime.timeout_ms },
+      { channel: runtime.approval_channel, text, blocks }
+    )
+    : await postSlackWebhook({
+      webhookUrl: runtime.webhook_url,
+      channel: runtime.approval_channel,
+      text,
+      blocks,
+      timeoutMs: runtime.timeout_ms
+    });
+  return { channel: sent.channel, message_ref: sent.ts };
+}
+
+// Posts one Approve/Reject card per pending intent to each configured approver channel. Cards pin
+// the run revision, so they are re-posted whenever an approval moves it. Delivery problems never
+// block the run; they are recorded as run events.
+async function postApprovalCards(app, run) {
+  if (run.status !== 'waiting_approval') return;
+  const slack = resolveSlackRuntime(app, run.workspace_id);
+  const targets = [
+    ['feishu', resolveFeishuApprovalRuntime(app, run.workspace_id)],
+    ['slack', slack?.approval_channel ? slack : null]
+  ].filter(([, runtime]) => runtime);
+
+  for (const [actionIntentId, approvalState] of Object.entries(run.approval_state || {})) {
+    const intent = run.action_intents.find((item) => item.id === actionIntentId);
+    if (!intent) continue;
+    for (const [provider, runtime] of targets) {
+      try {
+        const sent = await sendApprovalCard({ provider, runtime, run, intent, approvalState });
+        await appendEvent({
+          app,
+          runId: run.id,
+          name: 'approval.card.posted',
+          payload: { provider, action_intent_id: actionIntentId, expected_revision: run.revision, ...sent }
+        });
+      } catch (err) {
+        await appendEvent({
+          app,
+          runId: run.id,
+          name: 'approval.card.failed',
+          payload: { provider, action_intent_id: actionIntentId, error: err.message }
+        });
+      }
+    }
+  }
+}
+
+// One-time codes go to the chat account itself, so entering one proves control of that account.
+async function sendIdentityVerificationCode(app, identity, text) {
+  if (identity.provider === 'feishu') {
+    const runtime = resolveFeishuAppRuntime(app, identity.workspace_id);
+    if (!runtime) return null;
+    const sent = await sendFeishuDirectText(
+      { apiBaseUrl: runtime.api_base_url, appId: runtime.app_id, appSecret: runtime.app_secret, timeoutMs: runtime.timeout_ms },
+      { openId: identity.external_user_id, text }
+    );
+    return { delivery_mode: sent.delivery_mode, message_ref: sent.message_id };
+  }
+
+  // Incoming webhooks post to a fixed channel and cannot reach one user.
+  const runtime = resolveSlackRuntime(app, identity.workspace_id);
+  if (runtime?.delivery_mode !== 'bot') return null;
+  const sent = await postSlackMessage(
+    { apiBaseUrl: runtime.api_base_url, botToken: runtime.bot_token, timeoutMs: runtime.timeout_ms },
+    { channel: identity.external_user_id, text }
+  );
+  return { delivery_mode: 'bot', message_ref: sent.ts };
+}
+
+// Chat clicks are replayed through the approvals route as the mapped user, so permissions,
+// approver constraints and expected_revision apply exactly as they do for API callers.
+async function resolveChatApprovalAction(app, request, { provider, chatUserId, action }) {
+  if (!action) {
+    return { ok: false, status: 'ignored', reason_code: 'chat_approval.action_invalid', message: 'Unrecognized approval action' };
+  }
+  request.externalIdentity = {
+    workspace_id: app.store.runs.get(action.run_id)?.workspace_id || '',
+    provider,
+    external_user_id: chatUserId
+  };
+  const actorIdentity = resolveRequestActorId(request);
+  const actorId = actorIdentity.ok ? actorIdentity.actor_id : '';
+  if (!actorId) {
+    return {
+      ok: false,
+      status: 'rejected',
+      reason_code: 'chat_approval.identity_unmapped',
+      message: 'This chat account is not linked to a FlockMesh user'
+    };
+  }
+
+  const res = await app.inject({
+    method: 'POST',
+    url: `/v0/runs/${action.run_id}/approvals`,
+    headers: { 'x-flockmesh-actor-id': actorId },
+    payload: {
+      action_intent_id: action.action_intent_id,
+      approved: action.approved,
+      approved_by: actorId,
+      expected_revision: action.expected_revision,
+      note: `Resolved from ${provider} card by ${chatUserId}`
+    }
+  });
+  const payload = res.json();
+  const outcome = res.statusCode === 200
+    ? {
+      ok: true,
+      status: payload.status,
+      reason_code: action.approved ? 'chat_approval.approved' : 'chat_approval.rejected',
+      message: action.approved ? `Approved by ${actorId}` : `Rejected by ${actorId}`
+    }
+    : {
+      ok: false,
+      status: 'rejected',
+      reason_code: payload.reason_code || (payload.current_revision ? 'chat_approval.card_stale' : 'chat_approval.not_applied'),
+      message: payload.message
+    };
+
+  // The audit entry only hashes the note, so the chat identity behind the click is kept here.
+  if (app.store.runs.has(action.run_id)) {
+    await appendEvent({
+      app,
+      runId: action.run_id,
+      name: 'approval.card.action',
+      payload: {
+        provider,
+        chat_user_id: chatUserId,
+        actor_id: actorId,
+        action_intent_id: action.action_intent_id,
+        approved: action.approved,
+        expected_revision: action.expected_revision,
+        reason_code: outcome.reason_code
+      }
+    });
+  }
+  return outcome;
+}
+
+function resolveHttpConnectorRuntime(app, { workspaceId = '', connectorId = '' } = {}) {
+  const mapping = app.connectorRegistry[connectorId]?.http_mapping;
+  if (!mapping || !workspaceId) return null;
+  const entries = buildEffectiveEnvironmentEntries({ app, workspaceId }).items
+    .filter((entry) => entry.provider === mapping.env_provider);
+  const baseUrl = parseHttpUrl(findEnvironmentEntryValue(entries, [mapping.base_url_key]));
+  if (!baseUrl) return null;
+
+  const auth = { type: mapping.auth.type };
+  if (mapping.auth.type === 'bearer') {
+    auth.token = findEnvironmentEntryValue(entries, [mapping.auth.token_key]);
+  } else if (mapping.auth.type === 'basic') {
+    auth.username = findEnvironmentEntryValue(entries, [mapping.auth.username_key]);
+    auth.password = findEnvironmentEntryValue(entries, [mapping.auth.password_key]);
+  }
+
+  return {
+    base_url: baseUrl.toString(),
+    auth,
+    timeout_ms: app.adapterTimeoutMs
+  };
+}
+
+function buildAdapterRuntimeConfig(app, { workspaceId = '', connectorId = '' } = {}) {
+  const runtime = {
+    feishuWebhookUrl: resolveActiveFeishuWebhook(app).webhook_url
+  };
+  const dingtalk = resolveActiveDingTalkWebhook(app);
+  if (dingtalk.webhook_url) runtime.dingtalk = { ...dingtalk, timeout_ms: app.adapterTimeoutMs };
+  const calendar = resolveOfficeCalendarRuntime(app, workspaceId);
+  if (calendar) runtime.calendar = calendar;
+  const email = resolveOfficeEmailRuntime(app, workspaceId);
+  if (email) runtime.email = email;
+  const jira = resolveJiraRuntime(app, workspaceId);
+  if (jira) runtime.jira = jira;
+  const wiki = resolveWikiRuntime(app, workspaceId);
+  if (wiki) runtime.wiki = wiki;
+  const slack = resolveSlackRuntime(app, workspaceId);
+  if (slack) runtime.slack = slack;
+  const http = resolveHttpConnectorRuntime(app, { workspaceId, connectorId });
+  if (http) runtime.http = http;
+  return runtime;
+}
+
 function sanitizeEffectiveEnvironmentEntry(entry = {}, { includePlainValues = false } = {}) {
   const sanitized = sanitizeEnvironmentEntry(entry, { includeValue: includePlainValues });
   return {
@@ -1903,6 +2937,24 @@ function ensureActorPermission({
     actorId: actorIdentity.actor_id,
     permission
   })) {
+    const delegation = findActiveDelegation({
+      app,
+      workspaceId: targetWorkspace,
+      delegateId: actorIdentity.actor_id,
+      permission
+    });
+    if (delegation) {
+      return {
+        ok: true,
+        actor_id: actorIdentity.actor_id,
+        bootstrap: false,
+        delegation: {
+          delegation_id: delegation.id,
+          principal_id: delegation.principal_id
+        }
+      };
+    }
+
     return {
       ok: false,
       errorCode: 403,
@@ -1917,6 +2969,146 @@ function ensureActorPermission({
   };
 }
 
+function isDelegationInEffect(delegation, now = Date.now()) {
+  return delegation?.status === 'active' &&
+    parseIsoTimeMs(delegation.starts_at) <= now &&
+    now < parseIsoTimeMs(delegation.expires_at);
+}
+
+// Delegations do not chain: the principal must hold the permission through a role binding.
+function findActiveDelegation({
+  app,
+  workspaceId = '',
+  delegateId = '',
+  permission = '',
+  now = Date.now()
+}) {
+  if (!DELEGABLE_PERMISSION_SET.has(permission)) return null;
+
+  return Array.from(app.store.delegations.values())
+    .filter((delegation) =>
+      delegation.workspace_id === workspaceId &&
+      delegation.delegate_id === delegateId &&
+      delegation.permission === permission &&
+      isDelegationInEffect(delegation, now) &&
+      actorHasPermission({
+        app,
+        workspaceId,
+        actorId: delegation.principal_id,
+        permission
+      })
+    )
+    .sort((a, b) => a.created_at.localeCompare(b.created_at) || a.id.localeCompare(b.id))[0] || null;
+}
+
+function toDelegationView(delegation, now = Date.now()) {
+  return {
+    ...delegation,
+    in_effect: isDelegationInEffect(delegation, now)
+  };
+}
+
+// The signing secret is returned once at creation and never listed again.
+function toWebhookTriggerView(webhook) {
+  const { secret, ...view } = webhook;
+  return {
+    ...view,
+    delivery_path: `/v0/triggers/webhooks/${webhook.id}/deliveries`
+  };
+}
+
+function toEventSubscriptionView(subscription) {
+  const { secret, ...view } = subscription;
+  return view;
+}
+
+function toEventDeliveryView(delivery) {
+  const { body, ...view } = delivery;
+  return {
+    ...view,
+    payload: JSON.parse(body)
+  };
+}
+
+function knownAuditEventNames(app) {
+  return app.getSchema(AUDIT_ENTRY_SCHEMA_ID)?.properties?.event_type?.enum || [];
+}
+
+// Outbound events are audit entries; a run's workspace decides which subscriptions see them.
+function enqueueEventWebhookDeliveries(app, message) {
+  if (message.kind !== 'audit' || !message.workspace_id) return;
+  const entry = message.item;
+  for (const subscription of app.store.eventSubscriptions.values()) {
+    if (subscription.status !== 'active' || subscription.workspace_id !== message.workspace_id) continue;
+    if (!subscriptionMatchesEvent(subscription, entry.event_type)) continue;
+
+    const deliveryId = makeId('evd');
+    const body = buildEventWebhookBody({
+      deliveryId,
+      eventName: entry.event_type,
+      workspaceId: message.workspace_id,
+      run: app.store.runs.get(entry.run_id),
+      entry
+    });
+    const now = nowIso();
+    const delivery = {
+      id: deliveryId,
+      subscription_id: subscription.id,
+      workspace_id: subscription.workspace_id,
+      event_name: entry.event_type,
+      run_id: entry.run_id,
+      audit_entry_id: entry.id,
+      status: 'pending',
+      payload_digest: digestWebhookPayload(body),
+      body,
+      attempts: [],
+      next_attempt_at: null,
+      created_at: now,
+      updated_at: now
+    };
+    app.stateDb.saveEventDelivery(delivery);
+    app.eventWebhooks.dispatch(delivery);
+  }
+}
+
+function canManageDelegation({ app, delegation, actorId }) {
+  return actorId === delegation.principal_id || actorHasPermission({
+    app,
+    workspaceId: delegation.workspace_id,
+    actorId,
+    permission: 'role.manage'
+  });
+}
+
+// The code digest never leaves the server; callers see the expiry and remaining attempts.
+function toExternalIdentityView(identity) {
+  const { verification, ...view } = identity;
+  if (!verification) return view;
+  const { code_digest, ...visible } = verification;
+  return { ...view, verification: visible };
+}
+
+function canManageExternalIdentity({ app, identity, actorId }) {
+  return actorId === identity.actor_id || actorHasPermission({
+    app,
+    workspaceId: identity.workspace_id,
+    actorId,
+    permission: 'role.manage'
+  });
+}
+
+// Verified registry mappings are per workspace; policies/chat-approvers files apply everywhere.
+function resolveExternalIdentityActor(app, { workspace_id: workspaceId, provider, external_user_id: externalUserId }) {
+  const mapped = findVerifiedExternalIdentity(app.store.externalIdentities.values(), {
+    workspaceId,
+    provider,
+    externalUserId
+  });
+  if (mapped) return { actor_id: mapped.actor_id, source: 'registry', identity_id: mapped.id };
+  const configured = resolveChatApprover(app.chatApproverIdentities, { provider, chatUserId: externalUserId });
+  return configured ? { actor_id: configured, source: 'chat_approvers' } : null;
+}
+
 function bootstrapWorkspaceRoleBindings({
   app,
   workspaceId = '',
@@ -1968,11 +3160,41 @@ function resolveFeishuWebhookFromEnvironmentSet(environmentSet = {}) {
   return '';
 }
 
+function resolveDingTalkWebhookFromEnvironmentSet(environmentSet = {}) {
+  const entries = Array.isArray(environmentSet.entries) ? environmentSet.entries : [];
+  const resolved = { webhook_url: '', secret: '' };
+  for (const entry of entries) {
+    if (asTrimmedString(entry.provider).toLowerCase() !== 'dingtalk') continue;
+    const key = asTrimmedString(entry.key).toUpperCase();
+    const value = asTrimmedString(entry.value);
+    if (!value) continue;
+
+    if (!resolved.webhook_url && (key === 'FLOCKMESH_DINGTALK_WEBHOOK_URL' || key === 'DINGTALK_WEBHOOK_URL')) {
+      resolved.webhook_url = value;
+    }
+    if (!resolved.secret && (key === 'FLOCKMESH_DINGTALK_SECRET' || key === 'DINGTALK_SECRET')) {
+      resolved.secret = value;
+    }
+  }
+  return resolved;
+}
+
 function actor(type, id) {
   return { type, id };
 }
 
-function makeAuditEntry({ runId, eventType, actorInfo, payload, decisionRef }) {
+function makeAuditEntry({
+  runId,
+  eventType,
+  actorInfo,
+  payload,
+  decisionRef,
+  approvalConstraints,
+  delegation,
+  contentChange,
+  triggerDelivery,
+  scheduleFire
+}) {
   return {
     id: makeId('aud'),
     run_id: runId,
@@ -1980,10 +3202,32 @@ function makeAuditEntry({ runId, eventType, actorInfo, payload, decisionRef }) {
     actor: actorInfo,
     payload_hash: sha256(payload),
     ...(decisionRef ? { decision_ref: decisionRef } : {}),
+    ...(approvalConstraints ? { approval_constraints: approvalConstraints } : {}),
+    ...(delegation ? { delegation } : {}),
+    ...(contentChange ? { content_change: contentChange } : {}),
+    ...(triggerDelivery ? { trigger_delivery: triggerDelivery } : {}),
+    ...(scheduleFire ? { schedule_fire: scheduleFire } : {}),
     occurred_at: nowIso()
   };
 }
 
+// Document writes carry a diff; its digests are lifted onto the audit entry because the entry
+// itself only keeps a hash of the payload.
+function buildAuditContentChange(execution) {
+  const output = execution?.output?.output;
+  const diff = output?.diff;
+  if (!diff?.before_digest || !diff?.after_digest) return null;
+  return {
+    item_ref: String(output.item_ref || ''),
+    ...(Number.isInteger(output.revision_before) ? { revision_before: output.revision_before } : {}),
+    ...(Number.isInteger(output.revision_after) ? { revision_after: output.revision_after } : {}),
+    before_digest: diff.before_digest,
+    after_digest: diff.after_digest,
+    added_lines: diff.added_lines,
+    removed_lines: diff.removed_lines
+  };
+}
+
 async function appendEvent({ app, runId, name, payload }) {
   const event = {
     id: makeId('evt'),
@@ -1994,12 +3238,82 @@ async function appendEvent({ app, runId, name, payload }) {
   };
 
   addRunEvent(app.store, runId, event);
-  await app.ledger.appendEvent(event);
+  const persisted = await app.ledger.appendEvent(event);
+  publishRunStreamItem(app, 'event', persisted);
+}
+
+async function appendDeliveryReceiptEvent({ app, runId, execution }) {
+  const receipt = execution?.output?.receipt;
+  if (!receipt) return;
+  await appendEvent({
+    app,
+    runId,
+    name: 'connector.delivery.receipt',
+    payload: {
+      action_intent_id: execution.action_intent_id,
+      connector_id: execution.connector_id,
+      capability: execution.capability,
+      tx_id: execution.output.tx_id,
+      ...receipt
+    }
+  });
 }
 
 async function appendAudit({ app, entry }) {
-  addRunAudit(app.store, entry.run_id, entry);
-  await app.ledger.appendAudit(entry);
+  const chained = await app.ledger.appendAudit(entry);
+  addRunAudit(app.store, entry.run_id, chained);
+  publishRunStreamItem(app, 'audit', chained);
+  return chained;
+}
+
+function publishRunStreamItem(app, kind, item) {
+  app.runStreams.publish({
+    workspaceId: app.store.runs.get(item.run_id)?.workspace_id || '',
+    runId: item.run_id,
+    kind,
+    item
+  });
+}
+
+function runStreamEventName(kind) {
+  return kind === 'audit' ? 'run.audit' : 'run.event';
+}
+
+// Hijacks the reply for a long-lived text/event-stream; open streams are ended before close.
+function openSseStream(app, reply) {
+  reply.hijack();
+  const raw = reply.raw;
+  raw.writeHead(200, {
+    'content-type': 'text/event-stream; charset=utf-8',
+    'cache-control': 'no-cache, no-transform',
+    connection: 'keep-alive',
+    'x-accel-buffering': 'no'
+  });
+  raw.write('retry: 3000\n\n');
+
+  const cleanups = [];
+  let closed = false;
+  const heartbeat = setInterval(() => raw.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+  heartbeat.unref();
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    untrack();
+    for (const cleanup of cleanups) cleanup();
+    raw.end();
+  };
+  const untrack = app.runStreams.track(close);
+  raw.on('close', close);
+
+  return {
+    send(message) {
+      if (!closed) raw.write(formatSseMessage(message));
+    },
+    onClose(cleanup) {
+      cleanups.push(cleanup);
+    }
+  };
 }
 
 function findBindingForAgent(store, agentId, workspaceId, capability) {
@@ -2128,9 +3442,7 @@ async function invokeIntentViaConnector({ app, run, intent }) {
     };
   }
 
-  const runtimeConfig = {
-    feishuWebhookUrl: resolveActiveFeishuWebhook(app).webhook_url
-  };
+  const runtimeConfig = buildAdapterRuntimeConfig(app, { workspaceId: run.workspace_id, connectorId });
   let adapterPayload;
   let lastAdapterError;
   let lastFailureReasonCode = '';
@@ -2289,6 +3601,7 @@ async function executeIntent({ app, run, intent }) {
       name: result.status === 'executed' ? 'connector.invoked' : 'connector.invoke.failed',
       payload: result
     });
+    await appendDeliveryReceiptEvent({ app, runId: run.id, execution: result });
 
     await appendAudit({
       app,
@@ -2296,7 +3609,8 @@ async function executeIntent({ app, run, intent }) {
         runId: run.id,
         eventType: result.status === 'executed' ? 'connector.invoke.executed' : 'connector.invoke.error',
         actorInfo: actor('agent', run.agent_id),
-        payload: result
+        payload: result,
+        contentChange: buildAuditContentChange(result)
       })
     });
   }
@@ -2321,25 +3635,249 @@ async function executeIntent({ app, run, intent }) {
   return result;
 }
 
-async function executeAllowedIntents({ app, run }) {
-  const decisionsByActionId = new Map(
-    run.policy_decisions.map((decision) => [decision.action_intent_id, decision])
+function loadRunStepStates(app, runId) {
+  return Object.fromEntries(
+    app.stateDb.listRunSteps(runId).map((stepState) => [stepState.step_id, stepState])
   );
+}
 
-  for (const intent of run.action_intents) {
-    const decision = decisionsByActionId.get(intent.id);
-    if (!decision || decision.decision !== 'allow') continue;
-    const execution = await executeIntent({ app, run, intent });
-    if (!execution || execution.status !== 'executed') {
-      return {
-        ok: false,
+function saveRunStepState(app, stepState, patch = {}) {
+  const next = {
+    ...stepState,
+    ...patch,
+    updated_at: nowIso()
+  };
+  app.stateDb.saveRunStep(next);
+  return next;
+}
+
+// Runs persisted before step rows existed only left their results under the intent's
+// idempotency key; `backfillExecuted` turns those into settled steps instead of fresh pending ones.
+function ensureRunStepStates({ app, run, backfillExecuted = false }) {
+  const stepStates = loadRunStepStates(app, run.id);
+  for (const intent of run.action_intents || []) {
+    if (stepStates[intent.step_id]) continue;
+    let stepState = buildInitialStepState({ runId: run.id, actionIntent: intent });
+    const execution = backfillExecuted && intent.idempotency_key
+      ? app.stateDb.getIdempotencyResult(intent.idempotency_key)
+      : null;
+    if (execution) {
+      stepState = {
+        ...stepState,
+        status: execution.status === 'executed' ? 'completed' : 'failed',
+        attempts: 1,
+        result: execution,
+        ended_at: execution.executed_at || nowIso()
+      };
+    }
+    app.stateDb.saveRunStep(stepState);
+    stepStates[stepState.step_id] = stepState;
+  }
+  return stepStates;
+}
+
+// A step caught mid-invoke may already have reached the outside world. Re-running it is only
+// safe when nothing can double up: reads, runtime stubs, a result already stored under the
+// idempotency key, or a capability whose adapter dedupes on that key.
+function canRetryInterruptedStep(app, intent) {
+  if (intent.side_effect !== 'mutation') return true;
+  if (intent.idempotency_key && app.stateDb.getIdempotencyResult(intent.idempotency_key)) return true;
+
+  const bindingId = String(intent.connector_binding_id || '').trim();
+  if (!bindingId) return true;
+  const binding = findBindingById(app, bindingId);
+  const adapter = binding ? app.connectorAdapters[binding.connector_id] : null;
+  return Boolean(adapter?.replaySafeCapabilities?.includes(intent.capability));
+}
+
+function skipPendingRunSteps({ app, runId, reason }) {
+  for (const stepState of Object.values(loadRunStepStates(app, runId))) {
+    if (stepState.status !== 'pending') continue;
+    saveRunStepState(app, stepState, { status: 'skipped', skip_reason: reason });
+  }
+}
+
+function renderStepIntent({ intent, stepStates }) {
+  if (!intent.depends_on?.length) return intent;
+
+  const steps = {};
+  for (const stepId of intent.depends_on) {
+    steps[stepId] = stepStates[stepId]?.result || {};
+  }
+
+  return {
+    ...intent,
+    parameters: renderPlaybookTemplate(intent.parameters || {}, { steps }),
+    ...(intent.target ? { target: renderPlaybookTemplate(intent.target, { steps }) } : {})
+  };
+}
+
+async function executeRunStep({ app, run, intent, stepStates }) {
+  let stepState = saveRunStepState(app, stepStates[intent.step_id], {
+    status: 'running',
+    attempts: Number(stepStates[intent.step_id].attempts || 0) + 1,
+    started_at: nowIso()
+  });
+  stepStates[intent.step_id] = stepState;
+
+  await appendEvent({
+    app,
+    runId: run.id,
+    name: 'step.started',
+    payload: { step_id: intent.step_id, action_intent_id: intent.id, attempt: stepState.attempts }
+  });
+
+  const renderedIntent = renderStepIntent({ intent, stepStates });
+  const execution = await executeIntent({ app, run, intent: renderedIntent });
+  const ok = execution?.status === 'executed';
+
+  stepState = saveRunStepState(app, stepState, {
+    status: ok ? 'completed' : 'failed',
+    ...(renderedIntent !== intent ? { resolved_parameters: renderedIntent.parameters } : {}),
+    result: execution || null,
+    ended_at: nowIso()
+  });
+  stepStates[intent.step_id] = stepState;
+
+  await appendEvent({
+    app,
+    runId: run.id,
+    name: ok ? 'step.completed' : 'step.failed',
+    payload: {
+      step_id: intent.step_id,
+      action_intent_id: intent.id,
+      ...(ok ? {} : { reason_code: execution?.reason_code || 'action.execute.error' })
+    }
+  });
+
+  return ok
+    ? null
+    : {
         failed_intent_id: intent.id,
         reason_code: execution?.reason_code || 'action.execute.error'
       };
+}
+
+// Steps run one at a time in declaration order so ledger order stays deterministic.
+async function advanceRunExecution({ app, run, failure: priorFailure = null }) {
+  const stepStates = ensureRunStepStates({ app, run });
+  let failure = priorFailure;
+
+  while (!failure) {
+    const readyIntents = resolveReadyStepIntents({
+      actionIntents: run.action_intents,
+      decisions: run.policy_decisions,
+      stepStates
+    });
+    if (!readyIntents.length) break;
+
+    for (const intent of readyIntents) {
+      failure = await executeRunStep({ app, run, intent, stepStates });
+      if (failure) break;
     }
   }
 
-  return { ok: true };
+  const status = runStatusFromStepStates({
+    actionIntents: run.action_intents,
+    decisions: run.policy_decisions,
+    stepStates
+  });
+
+  if (status === 'failed') {
+    skipPendingRunSteps({ app, runId: run.id, reason: 'run.failed' });
+    run.status = 'failed';
+    run.ended_at = nowIso();
+    run.approval_state = {};
+    app.store.pendingApprovals.delete(run.id);
+
+    await appendAudit({
+      app,
+      entry: makeAuditEntry({
+        runId: run.id,
+        eventType: 'run.failed',
+        actorInfo: actor('system', 'runtime'),
+        payload: {
+          reason: failure?.reason_code || 'action.execute.error',
+          failed_intent_id: failure?.failed_intent_id || ''
+        }
+      })
+    });
+  } else if (status === 'completed') {
+    run.status = 'completed';
+    run.ended_at = nowIso();
+
+    await appendAudit({
+      app,
+      entry: makeAuditEntry({
+        runId: run.id,
+        eventType: 'run.completed',
+        actorInfo: actor('system', 'runtime'),
+        payload: { status: run.status }
+      })
+    });
+  } else {
+    run.status = status;
+  }
+
+  return run;
+}
+
+async function resumeInterruptedRuns(app) {
+  const runs = Array.from(app.store.runs.values()).filter((run) =>
+    ['running', 'waiting_approval'].includes(run.status)
+  );
+
+  for (const storedRun of runs) {
+    const stepStates = ensureRunStepStates({ app, run: storedRun, backfillExecuted: true });
+    const interrupted = Object.values(stepStates).filter((stepState) => stepState.status === 'running');
+    const hasReadySteps = resolveReadyStepIntents({
+      actionIntents: storedRun.action_intents,
+      decisions: storedRun.policy_decisions,
+      stepStates
+    }).length > 0;
+    const hasFailedSteps = Object.values(stepStates).some((stepState) => stepState.status === 'failed');
+    if (!interrupted.length && !hasReadySteps && !hasFailedSteps) continue;
+
+    await appendEvent({
+      app,
+      runId: storedRun.id,
+      name: 'run.resumed',
+      payload: { interrupted_steps: interrupted.map((stepState) => stepState.step_id) }
+    });
+
+    const intentsByStep = new Map((storedRun.action_intents || []).map((intent) => [intent.step_id, intent]));
+    let failure = null;
+    for (const stepState of interrupted) {
+      const intent = intentsByStep.get(stepState.step_id);
+      if (!intent || canRetryInterruptedStep(app, intent)) {
+        saveRunStepState(app, stepState, { status: 'pending' });
+        continue;
+      }
+
+      const result = makeIntentFailureResult({
+        intent,
+        connectorBindingId: intent.connector_binding_id || '',
+        reasonCode: 'step.interrupted',
+        message: 'Step was interrupted mid-invoke and its connector cannot dedupe a retry'
+      });
+      saveRunStepState(app, stepState, { status: 'failed', result, ended_at: nowIso() });
+      await appendEvent({
+        app,
+        runId: storedRun.id,
+        name: 'step.failed',
+        payload: {
+          step_id: stepState.step_id,
+          action_intent_id: stepState.action_intent_id,
+          reason_code: 'step.interrupted'
+        }
+      });
+      failure = failure || { failed_intent_id: stepState.action_intent_id, reason_code: 'step.interrupted' };
+    }
+
+    let run = await advanceRunExecution({ app, run: storedRun, failure });
+    run = app.stateDb.saveRun(run);
+    app.store.runs.set(run.id, run);
+  }
 }
 
 function rebuildPendingApprovalsForRun(run) {
@@ -2357,6 +3895,7 @@ function rebuildPendingApprovalsForRun(run) {
     pending.set(decision.action_intent_id, {
       decision_id: state.decision_id,
       required_approvals: state.required_approvals,
+      expires_at: state.expires_at || '',
       approvals: new Set(state.approved_by || [])
     });
   }
@@ -2364,12 +3903,123 @@ function rebuildPendingApprovalsForRun(run) {
   return pending;
 }
 
+function buildApprovalState({ app, decision, initiatorId = '', requestedAt = Date.now() }) {
+  const ttlSeconds = Number(decision.approval_ttl_seconds || app.approvalTtlSeconds);
+  const constraints = decision.approver_constraints;
+  return {
+    decision_id: decision.id,
+    required_approvals: decision.required_approvals,
+    approved_by: [],
+    expires_at: new Date(requestedAt + ttlSeconds * 1000).toISOString(),
+    ...(constraints ? { approver_constraints: constraints } : {}),
+    ...(constraints?.exclude_initiator && initiatorId ? { initiator_id: initiatorId } : {}),
+    ...(constraints?.distinct_roles ? { credited_roles: {} } : {})
+  };
+}
+
+function listExpiredApprovalIntentIds(run, now = Date.now()) {
+  return Object.entries(run.approval_state || {})
+    .filter(([, state]) => state?.expires_at && Date.parse(state.expires_at) <= now)
+    .map(([actionIntentId]) => actionIntentId);
+}
+
+async function expireRunApprovals({ app, run: storedRun, now = Date.now() }) {
+  const expiredIntentIds = listExpiredApprovalIntentIds(storedRun, now);
+  if (storedRun.status !== 'waiting_approval' || !expiredIntentIds.length) return null;
+
+  let run = structuredClone(storedRun);
+  const expiredStates = [];
+  for (const actionIntentId of expiredIntentIds) {
+    expiredStates.push({ actionIntentId, state: run.approval_state[actionIntentId] });
+    delete run.approval_state[actionIntentId];
+
+    const decision = run.policy_decisions.find((item) => item.action_intent_id === actionIntentId);
+    if (decision) {
+      decision.decision = 'deny';
+      decision.reason_codes = Array.from(new Set([...decision.reason_codes, 'approval.expired']));
+      decision.required_approvals = 0;
+      decision.evaluated_at = nowIso();
+    }
+  }
+
+  run.status = 'failed';
+  run.ended_at = nowIso();
+  run.approval_state = {};
+
+  try {
+    run = app.stateDb.saveRun(run, { expectedRevision: storedRun.revision });
+  } catch (err) {
+    // A concurrent approval moved the run; the next sweep re-evaluates it.
+    if (err instanceof RevisionConflictError) return null;
+    throw err;
+  }
+
+  app.store.runs.set(run.id, run);
+  app.store.pendingApprovals.delete(run.id);
+  skipPendingRunSteps({ app, runId: run.id, reason: 'approval_expired' });
+
+  for (const { actionIntentId, state } of expiredStates) {
+    await appendAudit({
+      app,
+      entry: makeAuditEntry({
+        runId: run.id,
+        eventType: 'approval.expired',
+        actorInfo: actor('system', 'approval-sweeper'),
+        payload: {
+          action_intent_id: actionIntentId,
+          expires_at: state.expires_at,
+          approved_by: state.approved_by || []
+        },
+        decisionRef: state.decision_id
+      })
+    });
+  }
+
+  await appendAudit({
+    app,
+    entry: makeAuditEntry({
+      runId: run.id,
+      eventType: 'run.failed',
+      actorInfo: actor('system', 'runtime'),
+      payload: {
+        reason: 'approval_expired',
+        expired_intent_ids: expiredIntentIds
+      }
+    })
+  });
+
+  return run;
+}
+
+async function sweepExpiredApprovals(app, { now = Date.now() } = {}) {
+  const expiredRuns = [];
+  for (const run of Array.from(app.store.runs.values())) {
+    if (run.status !== 'waiting_approval') continue;
+    const expiredRun = await expireRunApprovals({ app, run, now });
+    if (expiredRun) expiredRuns.push(expiredRun.id);
+  }
+  return expiredRuns;
+}
+
 function findRunById(app, runId) {
   const run = app.store.runs.get(runId) || app.stateDb.getRun(runId);
   if (run) app.store.runs.set(run.id, run);
   return run;
 }
 
+function buildPolicyConditionContext(app, { run, runId, agentId } = {}) {
+  const resolvedRun = run || (runId ? findRunById(app, runId) : null);
+  const resolvedAgentId = agentId || resolvedRun?.agent_id;
+  const agent = resolvedAgentId
+    ? app.store.agents.get(resolvedAgentId) || app.stateDb.getAgent(resolvedAgentId)
+    : null;
+
+  return {
+    ...(resolvedRun?.trigger?.type ? { trigger_type: resolvedRun.trigger.type } : {}),
+    ...(agent?.role ? { agent_role: agent.role } : {})
+  };
+}
+
 function findBindingById(app, bindingId) {
   const binding = app.store.connectorBindings.get(bindingId) || app.stateDb.getBinding(bindingId);
   if (binding) app.store.connectorBindings.set(binding.id, binding);
@@ -2460,6 +4110,24 @@ function resolveRuntimePolicyContext({
 }
 
 function resolveRequestActorId(request, { fallbackActorId = '' } = {}) {
+  // Verified integration callbacks attach the chat sender, whose mapping replaces the actor header.
+  if (request?.externalIdentity) {
+    const mapped = resolveExternalIdentityActor(request.server, request.externalIdentity);
+    if (!mapped) {
+      return {
+        ok: false,
+        errorCode: 403,
+        reason_code: 'identity.unmapped',
+        message: `External identity is not linked to a FlockMesh user: ${request.externalIdentity.provider}`
+      };
+    }
+    return {
+      ok: true,
+      actor_id: mapped.actor_id,
+      external_identity: { ...request.externalIdentity, source: mapped.source }
+    };
+  }
+
   const headerValue = request?.headers?.['x-flockmesh-actor-id'];
   const actorIdRaw = Array.isArray(headerValue) ? headerValue[0] : headerValue;
   const actorId = String(actorIdRaw || fallbackActorId || '').trim();
@@ -2589,10 +4257,37 @@ function normalizePolicyPatchRules(rawRules = []) {
       throw new Error(`patch_rules[${i}] must set required_approvals between 1 and 5 for escalate`);
     }
 
+    let approvalTtlSeconds;
+    if (rule.approval_ttl_seconds !== undefined) {
+      approvalTtlSeconds = Number(rule.approval_ttl_seconds);
+      if (decision !== 'escalate') {
+        throw new Error(`patch_rules[${i}] can only set approval_ttl_seconds for escalate`);
+      }
+      if (
+        !Number.isInteger(approvalTtlSeconds) ||
+        approvalTtlSeconds < APPROVAL_TTL_MIN_SECONDS ||
+        approvalTtlSeconds > APPROVAL_TTL_MAX_SECONDS
+      ) {
+        throw new Error(
+          `patch_rules[${i}] must set approval_ttl_seconds between ${APPROVAL_TTL_MIN_SECONDS} and ${APPROVAL_TTL_MAX_SECONDS}`
+        );
+      }
+    }
+
+    const when = normalizePolicyRuleCondition(rule.when, { label: `patch_rules[${i}].when` });
+    const approverConstraints = normalizeApproverConstraints(rule.approver_constraints, {
+      label: `patch_rules[${i}].approver_constraints`,
+      decision,
+      requiredApprovals
+    });
+
     normalized.push({
       capability,
       decision,
-      required_approvals: decision === 'escalate' ? requiredApprovals : 0
+      required_approvals: decision === 'escalate' ? requiredApprovals : 0,
+      ...(approvalTtlSeconds ? { approval_ttl_seconds: approvalTtlSeconds } : {}),
+      ...(approverConstraints ? { approver_constraints: approverConstraints } : {}),
+      ...(when ? { when } : {})
     });
   }
 
@@ -2612,16 +4307,38 @@ function profileRulesToList(profile = {}) {
       decision: String(rule.decision || 'deny'),
       required_approvals: String(rule.decision || '') === 'escalate'
         ? Math.max(1, Math.min(5, Number(rule.requiredApprovals || 1)))
-        : 0
+        : 0,
+      ...(String(rule.decision || '') === 'escalate' && rule.approvalTtlSeconds
+        ? { approval_ttl_seconds: Number(rule.approvalTtlSeconds) }
+        : {}),
+      ...(String(rule.decision || '') === 'escalate' && rule.approverConstraints
+        ? { approver_constraints: rule.approverConstraints }
+        : {}),
+      ...(rule.when ? { when: rule.when } : {})
     }))
     .sort((a, b) => a.capability.localeCompare(b.capability));
 }
 
+function profileDeclaredRulesToList(profile = {}) {
+  return profileRulesToList({ rules: profile?.declaredRules || profile?.rules });
+}
+
+function profileExtendsList(profile = {}) {
+  return Array.isArray(profile?.extends) ? [...profile.extends] : [];
+}
+
 function profileRulesToDocumentRules(rules = []) {
   return (rules || []).map((item) => ({
     capability: item.capability,
     decision: item.decision,
-    ...(item.decision === 'escalate' ? { required_approvals: item.required_approvals } : {})
+    ...(item.decision === 'escalate' ? { required_approvals: item.required_approvals } : {}),
+    ...(item.decision === 'escalate' && item.approval_ttl_seconds
+      ? { approval_ttl_seconds: item.approval_ttl_seconds }
+      : {}),
+    ...(item.decision === 'escalate' && item.approver_constraints
+      ? { approver_constraints: item.approver_constraints }
+      : {}),
+    ...(item.when ? { when: item.when } : {})
   }));
 }
 
@@ -2630,9 +4347,11 @@ function normalizePolicyFileDocument(document = {}, { profileName } = {}) {
   const rules = Array.isArray(document?.rules)
     ? document.rules
     : [];
+  const parents = Array.isArray(document?.extends) ? document.extends : [];
   return {
     version: 'v0',
     name: docProfileName,
+    ...(parents.length ? { extends: parents } : {}),
     rules
   };
 }
@@ -2641,7 +4360,14 @@ function toPolicyRulePatchList(rules = []) {
   return (rules || []).map((item) => ({
     capability: item.capability,
     decision: item.decision,
-    required_approvals: item.decision === 'escalate' ? Number(item.required_approvals || 1) : 0
+    required_approvals: item.decision === 'escalate' ? Number(item.required_approvals || 1) : 0,
+    ...(item.decision === 'escalate' && item.approval_ttl_seconds
+      ? { approval_ttl_seconds: Number(item.approval_ttl_seconds) }
+      : {}),
+    ...(item.decision === 'escalate' && item.approver_constraints
+      ? { approver_constraints: item.approver_constraints }
+      : {}),
+    ...(item.when ? { when: item.when } : {})
   }));
 }
 
@@ -2679,22 +4405,30 @@ function listPolicyProfileCatalogItems(policyLibrary = {}) {
 function buildPatchedPolicyProfile({ profileName, beforeProfile, patchRules }) {
   const nextRules = {};
 
-  for (const item of profileRulesToList(beforeProfile)) {
+  for (const item of profileDeclaredRulesToList(beforeProfile)) {
     nextRules[item.capability] = {
       decision: item.decision,
-      requiredApprovals: item.decision === 'escalate' ? item.required_approvals : 0
+      requiredApprovals: item.decision === 'escalate' ? item.required_approvals : 0,
+      ...(item.approval_ttl_seconds ? { approvalTtlSeconds: item.approval_ttl_seconds } : {}),
+      ...(item.approver_constraints ? { approverConstraints: item.approver_constraints } : {}),
+      ...(item.when ? { when: item.when } : {})
     };
   }
 
   for (const item of patchRules) {
     nextRules[item.capability] = {
       decision: item.decision,
-      requiredApprovals: item.decision === 'escalate' ? item.required_approvals : 0
+      requiredApprovals: item.decision === 'escalate' ? item.required_approvals : 0,
+      ...(item.approval_ttl_seconds ? { approvalTtlSeconds: item.approval_ttl_seconds } : {}),
+      ...(item.approver_constraints ? { approverConstraints: item.approver_constraints } : {}),
+      ...(item.when ? { when: item.when } : {})
     };
   }
 
+  const parents = profileExtendsList(beforeProfile);
   return {
     name: profileName,
+    ...(parents.length ? { extends: parents } : {}),
     rules: nextRules
   };
 }
@@ -2716,7 +4450,10 @@ function comparePolicyRules({ beforeRules, afterRules }) {
 
     if (
       previous.decision !== item.decision ||
-      Number(previous.required_approvals || 0) !== Number(item.required_approvals || 0)
+      Number(previous.required_approvals || 0) !== Number(item.required_approvals || 0) ||
+      Number(previous.approval_ttl_seconds || 0) !== Number(item.approval_ttl_seconds || 0) ||
+      JSON.stringify(previous.approver_constraints || null) !== JSON.stringify(item.approver_constraints || null) ||
+      JSON.stringify(previous.when || null) !== JSON.stringify(item.when || null)
     ) {
       updated.push(item.capability);
     } else {
@@ -2753,11 +4490,13 @@ function comparePolicyRules({ beforeRules, afterRules }) {
 }
 
 function toPolicyProfileDocument({ profileName, profile }) {
-  const rules = profileRulesToDocumentRules(profileRulesToList(profile));
+  const rules = profileRulesToDocumentRules(profileDeclaredRulesToList(profile));
+  const parents = profileExtendsList(profile);
 
   return {
     version: 'v0',
     name: profileName,
+    ...(parents.length ? { extends: parents } : {}),
     rules
   };
 }
@@ -2782,6 +4521,9 @@ function buildPolicyProfileVersionSnapshot({ profileName, profile }) {
   return {
     profile_name: normalizedProfileName,
     rule_count: rules.length,
+    declared_rule_count: profileDeclaredRulesToList(profile).length,
+    extends: profileExtendsList(profile),
+    ancestry: Array.isArray(profile?.ancestry) ? [...profile.ancestry] : [],
     document_hash: hashPolicyProfileDocument(document),
     file_path: path.join('policies', `${normalizedProfileName}.policy.json`)
   };
@@ -2845,6 +4587,8 @@ function buildPolicyPatchHistorySummaryItem(entry = {}) {
     file_path: String(entry.file_path || ''),
     before_profile_hash: String(entry.before_profile_hash || ''),
     after_profile_hash: String(entry.after_profile_hash || ''),
+    proposal_id: String(entry.proposal_id || ''),
+    approver_ids: Array.isArray(entry.approver_ids) ? entry.approver_ids : [],
     summary: {
       total_rules_before: Number(entry.summary?.total_rules_before || 0),
       total_rules_after: Number(entry.summary?.total_rules_after || 0),
@@ -2899,79 +4643,338 @@ async function listPolicyPatchHistoryPage({
   return paginateDescendingByAppliedAt(filtered, { limit, offset });
 }
 
-function buildPolicyPatchResponsePayload({
-  mode,
+// Writes the profile document, swaps the re-resolved library in, and records the
+// applied audit entry plus the patch history line shared by patch, rollback and proposals.
+async function applyPolicyProfileChange(app, {
+  rootDir,
+  operation,
   profileName,
   actorInfo,
   reason,
-  persisted,
   filePath,
+  beforeDocument,
+  afterDocument,
+  beforeProfileHash,
+  afterProfileHash,
   summary,
+  compared,
   patchRules,
-  beforeRules,
-  afterRules,
+  simulationPreview,
+  rollbackTargetPatchId = '',
+  rollbackTargetState = '',
+  proposal = null
+}) {
+  const source = `policy.${operation}.runtime`;
+  const afterLibrary = resolvePolicyProfileInheritance({
+    ...app.policyLibrary,
+    [profileName]: compilePolicyProfileDsl(afterDocument, { source })
+  }, { source });
+
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, `${JSON.stringify(afterDocument, null, 2)}\n`, 'utf8');
+  Object.assign(app.policyLibrary, afterLibrary);
+  const patchId = makeId('pph');
+  const proposalFields = proposal
+    ? {
+        proposal_id: proposal.id,
+        approver_ids: proposal.approvals.map((item) => item.actor_id)
+      }
+    : {};
+
+  const auditEntry = makeAuditEntry({
+    runId: proposal?.audit_run_id || makeId('run'),
+    eventType: `policy.${operation}.applied`,
+    actorInfo,
+    payload: {
+      profile_name: profileName,
+      mode: 'apply',
+      reason,
+      ...(operation === 'rollback'
+        ? {
+            rollback_target_patch_id: rollbackTargetPatchId,
+            rollback_target_state: rollbackTargetState
+          }
+        : { patch_rules: patchRules }),
+      summary,
+      simulation_preview: simulationPreview,
+      ...proposalFields
+    }
+  });
+  await appendAudit({ app, entry: auditEntry });
+
+  await appendPolicyPatchHistoryEntry({
+    rootDir,
+    entry: {
+      version: 'v0',
+      patch_id: patchId,
+      operation,
+      rollback_target_patch_id: rollbackTargetPatchId,
+      rollback_target_state: rollbackTargetState,
+      profile_name: profileName,
+      actor_id: actorInfo.id,
+      reason,
+      applied_at: nowIso(),
+      file_path: filePath,
+      before_profile_hash: beforeProfileHash,
+      after_profile_hash: afterProfileHash,
+      summary,
+      changes: {
+        added_capabilities: compared.added_capabilities,
+        updated_capabilities: compared.updated_capabilities,
+        removed_capabilities: compared.removed_capabilities,
+        unchanged_capabilities: compared.unchanged_capabilities
+      },
+      simulation_preview: simulationPreview,
+      ...proposalFields,
+      before_document: beforeDocument,
+      after_document: afterDocument
+    }
+  });
+
+  return { patchId, auditEntry };
+}
+
+function buildPolicyPatchProposal({
+  operation,
+  profileName,
+  quorum,
+  actorInfo,
+  reason,
+  filePath,
+  beforeDocument,
+  afterDocument,
+  beforeProfileHash,
+  afterProfileHash,
+  summary,
   compared,
+  patchRules,
   simulationPreview,
-  auditEntry,
-  patchId = null,
-  rollbackTargetPatchId = null,
-  beforeProfileHash = '',
-  afterProfileHash = ''
+  rollbackTargetPatchId = '',
+  rollbackTargetState = ''
 }) {
+  const createdAt = nowIso();
   return {
     version: 'v0',
-    generated_at: nowIso(),
-    mode,
+    id: makeId('ppr'),
     profile_name: profileName,
-    actor_id: actorInfo.id,
+    operation,
+    status: 'pending',
+    revision: 1,
+    quorum,
+    proposer_id: actorInfo.id,
     reason,
-    persisted,
-    patch_id: patchId,
+    approvals: [{ actor_id: actorInfo.id, approved_at: createdAt }],
+    rejection: null,
     rollback_target_patch_id: rollbackTargetPatchId,
+    rollback_target_state: rollbackTargetState,
+    file_path: filePath,
     before_profile_hash: beforeProfileHash,
     after_profile_hash: afterProfileHash,
-    file_path: filePath,
     summary,
-    patch_rules: patchRules,
-    before_profile: {
-      name: profileName,
-      rules: beforeRules
-    },
-    after_profile: {
-      name: profileName,
-      rules: afterRules
-    },
     changes: {
       added_capabilities: compared.added_capabilities,
       updated_capabilities: compared.updated_capabilities,
       removed_capabilities: compared.removed_capabilities,
       unchanged_capabilities: compared.unchanged_capabilities
     },
+    patch_rules: patchRules,
     simulation_preview: simulationPreview,
-    audit_entry: auditEntry
+    before_document: beforeDocument,
+    after_document: afterDocument,
+    audit_run_id: makeId('run'),
+    patch_id: null,
+    created_at: createdAt,
+    updated_at: createdAt,
+    decided_at: null
   };
 }
 
-function classifyCapabilityForPolicyPatchSimulation(capability) {
-  const value = String(capability || '').toLowerCase();
-  if (POLICY_READ_ONLY_SUFFIXES.some((suffix) => value.endsWith(suffix))) {
-    return { side_effect: 'none', risk_hint: 'R0' };
-  }
+function toPolicyPatchProposalView(proposal) {
+  const {
+    before_document: _beforeDocument,
+    after_document: _afterDocument,
+    ...view
+  } = proposal;
+  return view;
+}
 
-  if (POLICY_HIGH_RISK_TOKENS.some((token) => value.includes(token))) {
-    return { side_effect: 'mutation', risk_hint: 'R3' };
+// Withdraws the approval that reached quorum so its approver (or another admin) can retry the
+// apply. If the profile write had already landed, the profile hash check refuses the retry.
+function reopenPolicyPatchProposal(proposal) {
+  return {
+    ...proposal,
+    status: 'pending',
+    approvals: proposal.approvals.slice(0, -1),
+    updated_at: nowIso()
+  };
+}
+
+// A crash mid-apply leaves a proposal `applying`, which would block its profile for good.
+function reopenInterruptedPolicyPatchProposals(app) {
+  const { items } = app.stateDb.listPolicyPatchProposals({ status: 'applying', limit: 500 });
+  for (const proposal of items) {
+    app.stateDb.savePolicyPatchProposal(reopenPolicyPatchProposal(proposal), {
+      expectedRevision: proposal.revision || 0
+    });
+    app.log.warn({ proposal_id: proposal.id }, 'reopened policy patch proposal interrupted while applying');
   }
+}
 
-  return { side_effect: 'mutation', risk_hint: 'R2' };
+async function submitPolicyPatchProposal(app, { proposal }) {
+  app.stateDb.savePolicyPatchProposal(proposal);
+  const auditEntry = makeAuditEntry({
+    runId: proposal.audit_run_id,
+    eventType: 'policy.proposal.submitted',
+    actorInfo: resolvePolicyPatchActor(proposal.proposer_id),
+    payload: {
+      proposal_id: proposal.id,
+      profile_name: proposal.profile_name,
+      operation: proposal.operation,
+      quorum: proposal.quorum,
+      reason: proposal.reason,
+      summary: proposal.summary,
+      before_profile_hash: proposal.before_profile_hash,
+      after_profile_hash: proposal.after_profile_hash
+    }
+  });
+  await appendAudit({ app, entry: auditEntry });
+  return auditEntry;
 }
 
-function summarizePolicyDecisions(decisions = []) {
-  return decisions.reduce((acc, decision) => {
-    acc.total += 1;
-    if (decision.decision === 'allow') acc.allow += 1;
-    if (decision.decision === 'escalate') acc.escalate += 1;
-    if (decision.decision === 'deny') acc.deny += 1;
-    return acc;
+function authorizePolicyProposalDecision(app, request, { verb }) {
+  const actorIdentity = resolveRequestActorId(request, {
+    fallbackActorId: app.trustedDefaultActorId
+  });
+  if (!actorIdentity.ok) {
+    return { ok: false, errorCode: actorIdentity.errorCode, payload: { message: actorIdentity.message } };
+  }
+  const actorClaim = String(request.body?.actor_id || '').trim();
+  if (actorClaim && actorClaim !== actorIdentity.actor_id) {
+    return {
+      ok: false,
+      errorCode: 403,
+      payload: {
+        message: 'Authenticated actor does not match actor_id',
+        reason_code: 'auth.actor_claim_mismatch'
+      }
+    };
+  }
+
+  const proposal = app.stateDb.getPolicyPatchProposal(request.params.proposal_id);
+  if (!proposal) {
+    return {
+      ok: false,
+      errorCode: 404,
+      payload: { message: `Policy patch proposal not found: ${request.params.proposal_id}` }
+    };
+  }
+  if (proposal.status !== 'pending') {
+    return {
+      ok: false,
+      errorCode: 409,
+      payload: { message: `Policy patch proposal is already ${proposal.status}: ${proposal.id}` }
+    };
+  }
+
+  const actorInfo = resolvePolicyPatchActor(actorIdentity.actor_id);
+  const authz = canActorManagePolicyProfile({
+    config: app.policyAdminConfig,
+    actorId: actorInfo.id,
+    profileName: proposal.profile_name
+  });
+  if (!authz.allowed) {
+    return {
+      ok: false,
+      errorCode: 403,
+      payload: {
+        message: `Actor is not authorized to ${verb} proposals for profile: ${proposal.profile_name}`,
+        reason_code: authz.reason_code
+      }
+    };
+  }
+
+  return { ok: true, proposal, actorInfo };
+}
+
+function buildPolicyPatchResponsePayload({
+  mode,
+  profileName,
+  actorInfo,
+  reason,
+  persisted,
+  filePath,
+  summary,
+  patchRules,
+  beforeRules,
+  afterRules,
+  compared,
+  simulationPreview,
+  descendantImpact,
+  historicalImpact = null,
+  proposal = null,
+  auditEntry,
+  patchId = null,
+  rollbackTargetPatchId = null,
+  beforeProfileHash = '',
+  afterProfileHash = ''
+}) {
+  return {
+    version: 'v0',
+    generated_at: nowIso(),
+    mode,
+    profile_name: profileName,
+    actor_id: actorInfo.id,
+    reason,
+    persisted,
+    patch_id: patchId,
+    rollback_target_patch_id: rollbackTargetPatchId,
+    before_profile_hash: beforeProfileHash,
+    after_profile_hash: afterProfileHash,
+    file_path: filePath,
+    summary,
+    patch_rules: patchRules,
+    before_profile: {
+      name: profileName,
+      rules: beforeRules
+    },
+    after_profile: {
+      name: profileName,
+      rules: afterRules
+    },
+    changes: {
+      added_capabilities: compared.added_capabilities,
+      updated_capabilities: compared.updated_capabilities,
+      removed_capabilities: compared.removed_capabilities,
+      unchanged_capabilities: compared.unchanged_capabilities
+    },
+    simulation_preview: simulationPreview,
+    descendant_impact: descendantImpact,
+    ...(historicalImpact ? { historical_impact: historicalImpact } : {}),
+    ...(proposal ? { proposal: toPolicyPatchProposalView(proposal) } : {}),
+    audit_entry: auditEntry
+  };
+}
+
+function classifyCapabilityForPolicyPatchSimulation(capability) {
+  const value = String(capability || '').toLowerCase();
+  if (POLICY_READ_ONLY_SUFFIXES.some((suffix) => value.endsWith(suffix))) {
+    return { side_effect: 'none', risk_hint: 'R0' };
+  }
+
+  if (POLICY_HIGH_RISK_TOKENS.some((token) => value.includes(token))) {
+    return { side_effect: 'mutation', risk_hint: 'R3' };
+  }
+
+  return { side_effect: 'mutation', risk_hint: 'R2' };
+}
+
+function summarizePolicyDecisions(decisions = []) {
+  return decisions.reduce((acc, decision) => {
+    acc.total += 1;
+    if (decision.decision === 'allow') acc.allow += 1;
+    if (decision.decision === 'escalate') acc.escalate += 1;
+    if (decision.decision === 'deny') acc.deny += 1;
+    return acc;
   }, {
     total: 0,
     allow: 0,
@@ -3052,6 +5055,141 @@ function simulatePolicyPatch({
   };
 }
 
+function listPolicyProfileDescendants(policyLibrary = {}, profileName) {
+  return Object.keys(policyLibrary || {})
+    .filter((name) => (policyLibrary[name]?.ancestry || []).includes(profileName));
+}
+
+function buildPolicyDescendantImpact({
+  profileName,
+  patchRules,
+  beforeLibrary,
+  afterLibrary
+}) {
+  const descendants = Array.from(new Set([
+    ...listPolicyProfileDescendants(beforeLibrary, profileName),
+    ...listPolicyProfileDescendants(afterLibrary, profileName)
+  ])).sort();
+
+  const items = descendants.map((descendant) => {
+    const compared = comparePolicyRules({
+      beforeRules: profileRulesToList(beforeLibrary[descendant]),
+      afterRules: profileRulesToList(afterLibrary[descendant])
+    });
+    const simulation = simulatePolicyPatch({
+      profileName: descendant,
+      patchRules,
+      beforeLibrary,
+      afterLibrary
+    });
+
+    return {
+      profile_name: descendant,
+      ancestry: [...(afterLibrary[descendant]?.ancestry || [])],
+      added_capabilities: compared.added_capabilities,
+      updated_capabilities: compared.updated_capabilities,
+      removed_capabilities: compared.removed_capabilities,
+      summary_before: simulation.summary_before,
+      summary_after: simulation.summary_after,
+      improved_capabilities: simulation.improved_capabilities
+    };
+  });
+
+  return {
+    total_descendants: items.length,
+    affected_descendants: items.filter((item) =>
+      item.added_capabilities.length || item.updated_capabilities.length || item.removed_capabilities.length
+    ).length,
+    items
+  };
+}
+
+function policyContextFromDecisionTrace(trace = {}) {
+  return {
+    org_policy: trace.org_policy,
+    workspace_policy: trace.workspace_policy,
+    agent_policy: trace.agent_policy,
+    run_override: trace.run_override || ''
+  };
+}
+
+// Re-evaluates the stored action intents of the most recent runs under both libraries,
+// reusing the policy context recorded in each original decision trace.
+function analyzePolicyPatchHistoricalImpact({
+  app,
+  runLimit,
+  beforeLibrary,
+  afterLibrary
+}) {
+  const runs = runLimit > 0 ? app.stateDb.listRuns({ limit: runLimit }).items : [];
+  const transitions = new Map();
+  const items = [];
+  let intentsEvaluated = 0;
+
+  for (const run of runs) {
+    const decisionsByIntent = new Map(
+      (run.policy_decisions || []).map((decision) => [decision.action_intent_id, decision])
+    );
+    const conditionContext = buildPolicyConditionContext(app, { run });
+
+    for (const intent of run.action_intents || []) {
+      const original = decisionsByIntent.get(intent.id);
+      if (!original) continue;
+
+      const policyContext = policyContextFromDecisionTrace(original.policy_trace);
+      const intentConditionContext = {
+        ...conditionContext,
+        ...(original.evaluated_at ? { at: original.evaluated_at } : {})
+      };
+      const before = evaluatePolicy({
+        runId: run.id,
+        actionIntent: intent,
+        policyContext,
+        policyLibrary: beforeLibrary,
+        conditionContext: intentConditionContext
+      });
+      const after = evaluatePolicy({
+        runId: run.id,
+        actionIntent: intent,
+        policyContext,
+        policyLibrary: afterLibrary,
+        conditionContext: intentConditionContext
+      });
+      intentsEvaluated += 1;
+      if (before.decision === after.decision) continue;
+
+      const key = `${before.decision}:${after.decision}`;
+      transitions.set(key, (transitions.get(key) || 0) + 1);
+      items.push({
+        run_id: run.id,
+        workspace_id: run.workspace_id,
+        action_intent_id: intent.id,
+        capability: intent.capability,
+        policy_context: policyContext,
+        decision_before: before.decision,
+        decision_after: after.decision,
+        direction: POLICY_DECISION_WEIGHT[after.decision] > POLICY_DECISION_WEIGHT[before.decision]
+          ? 'tightened'
+          : 'loosened'
+      });
+    }
+  }
+
+  return {
+    run_limit: runLimit,
+    runs_scanned: runs.length,
+    intents_evaluated: intentsEvaluated,
+    flipped_intents: items.length,
+    transitions: Array.from(transitions.entries())
+      .map(([key, count]) => {
+        const [from, to] = key.split(':');
+        return { from, to, count };
+      })
+      .sort((a, b) => a.from.localeCompare(b.from) || a.to.localeCompare(b.to)),
+    items
+  };
+}
+
 function resolvePolicyPatchActor(actorIdRaw = '') {
   const actorId = String(actorIdRaw || '').trim() || 'usr_policy_admin';
   if (actorId.startsWith('usr_')) return actor('user', actorId);
@@ -3485,6 +5623,7 @@ function replayStateFromContext({
   runStatus,
   issues
 }) {
+  if (issues.includes('replay.audit_chain_broken')) return 'inconsistent';
   if (['accepted', 'running', 'waiting_approval'].includes(runStatus)) {
     return 'pending';
   }
@@ -3613,6 +5752,176 @@ function collectReplayExecutionStats({
   };
 }
 
+async function writeLedgerCheckpoint(app, { force = false } = {}) {
+  const write = app.ledgerCheckpointQueue.tail.catch(() => {}).then(async () => {
+    const checkpoints = await app.ledger.readCheckpoints();
+    const previous = checkpoints[checkpoints.length - 1] || null;
+    const { heads, excluded } = await app.ledger.listAuditHeads();
+    if (!force && !ledgerHeadsChanged(previous, heads, excluded)) return null;
+
+    const checkpoint = buildLedgerCheckpoint({
+      heads,
+      excluded,
+      previous,
+      createdAt: nowIso(),
+      signing: app.incidentExportSigning
+    });
+    await app.ledger.appendCheckpoint(checkpoint);
+    return checkpoint;
+  });
+
+  app.ledgerCheckpointQueue.tail = write;
+  return write;
+}
+
+// Validates cron and timezone together and returns the first fire after `after`; an expression
+// that can never fire (e.g. 30 February) is rejected rather than stored as a dead schedule.
+function compileScheduleTiming({ cron, timezone, after }) {
+  let parsed;
+  try {
+    parsed = parseCronExpression(cron);
+  } catch (err) {
+    return { ok: false, message: err.message, reason_code: 'schedule.cron_invalid' };
+  }
+
+  let zone;
+  try {
+    zone = assertTimeZone(timezone);
+  } catch (err) {
+    return { ok: false, message: err.message, reason_code: 'schedule.timezone_invalid' };
+  }
+
+  const next = nextCronFireTime(parsed, { timezone: zone, after });
+  if (next === null) {
+    return { ok: false, message: 'Cron expression never fires', reason_code: 'schedule.never_fires' };
+  }
+
+  return {
+    ok: true,
+    cron: String(cron).trim().split(/\s+/).join(' '),
+    timezone: zone,
+    next_fire_at: new Date(next).toISOString()
+  };
+}
+
+function scheduleFireKey(scheduleId, fireAt) {
+  return `schedule_fire_${scheduleId}_${Math.floor(Date.parse(fireAt) / 1000)}`;
+}
+
+// One run per fire window: the key is claimed before the run is created and persisted with it,
+// so neither an overlapping tick nor a restart after a crash fires the same window twice.
+async function fireSchedule(app, schedule, fireAt) {
+  const fireKey = scheduleFireKey(schedule.id, fireAt);
+  const existing = app.store.idempotencyResults.get(fireKey) || app.stateDb.getIdempotencyResult(fireKey);
+  if (existing) {
+    return { status: 'deduped', fire_at: fireAt, run_id: existing.run_id || null };
+  }
+
+  app.store.idempotencyResults.set(fireKey, { status: 'pending', schedule_id: schedule.id });
+  const runCreateRes = await app.inject({
+    method: 'POST',
+    url: '/v0/runs',
+    headers: {
+      'x-flockmesh-actor-id': schedule.actor_id
+    },
+    payload: {
+      workspace_id: schedule.workspace_id,
+      agent_id: schedule.agent_id,
+      playbook_id: schedule.playbook_id,
+      trigger: {
+        type: 'scheduled',
+        source: `schedule:${schedule.id}`,
+        actor_id: schedule.actor_id,
+        at: fireAt
+      },
+      ...(Object.keys(schedule.policy_context).length ? { policy_context: schedule.policy_context } : {}),
+      ...(Object.keys(schedule.inputs).length ? { inputs: schedule.inputs } : {})
+    }
+  });
+  const runPayload = runCreateRes.json();
+  if (runCreateRes.statusCode !== 202) {
+    app.store.idempotencyResults.delete(fireKey);
+    return {
+      status: 'failed',
+      fire_at: fireAt,
+      run_id: null,
+      error: runPayload?.message || `run creation returned ${runCreateRes.statusCode}`
+    };
+  }
+
+  const result = {
+    status: 'fired',
+    schedule_id: schedule.id,
+    fire_at: fireAt,
+    run_id: runPayload.id,
+    run_status: runPayload.status
+  };
+  app.store.idempotencyResults.set(fireKey, result);
+  app.stateDb.saveIdempotencyResult({
+    key: fireKey,
+    runId: runPayload.id,
+    payload: result,
+    createdAt: nowIso()
+  });
+
+  await appendAudit({
+    app,
+    entry: makeAuditEntry({
+      runId: runPayload.id,
+      eventType: 'trigger.schedule.fired',
+      actorInfo: actor('system', 'scheduler'),
+      payload: { schedule_id: schedule.id, fire_at: fireAt, catch_up: schedule.catch_up },
+      scheduleFire: {
+        schedule_id: schedule.id,
+        fire_at: fireAt
+      }
+    })
+  });
+  return result;
+}
+
+async function runScheduleTick(app, { now = app.scheduleClock() } = {}) {
+  const tick = app.scheduleTickQueue.tail.catch(() => {}).then(async () => {
+    const reports = [];
+    for (const schedule of Array.from(app.store.schedules.values())) {
+      if (schedule.status !== 'active' || !schedule.next_fire_at) continue;
+      if (Date.parse(schedule.next_fire_at) > now) continue;
+
+      const plan = planScheduleFires({ schedule, now });
+      const outcomes = [];
+      for (const fireAt of plan.fires) {
+        outcomes.push(await fireSchedule(app, schedule, fireAt));
+      }
+
+      // A PATCH or revoke that landed while runs were being created owns the timing fields.
+      const current = app.store.schedules.get(schedule.id) || schedule;
+      const last = outcomes[outcomes.length - 1];
+      const { last_fire_error: previousError, ...base } = current;
+      const updated = {
+        ...base,
+        ...(current === schedule ? { next_fire_at: plan.next_fire_at } : {}),
+        ...(last
+          ? {
+              last_fire_at: last.fire_at,
+              last_fire_status: last.status,
+              last_run_id: last.run_id || current.last_run_id,
+              ...(last.error ? { last_fire_error: last.error } : {})
+            }
+          : (previousError ? { last_fire_error: previousError } : {})),
+        skipped_fire_count: (current.skipped_fire_count || 0) + plan.skipped,
+        updated_at: nowIso()
+      };
+      app.store.schedules.set(updated.id, updated);
+      app.stateDb.saveSchedule(updated);
+      reports.push({ schedule_id: schedule.id, fires: outcomes, skipped: plan.skipped });
+    }
+    return reports;
+  });
+
+  app.scheduleTickQueue.tail = tick;
+  return tick;
+}
+
 async function buildReplayIntegrityPayload({
   app,
   run,
@@ -3620,7 +5929,7 @@ async function buildReplayIntegrityPayload({
   sampleLimit = 20,
   generatedAt = nowIso()
 }) {
-  const [eventEvidence, auditEvidence] = await Promise.all([
+  const [eventEvidence, auditEvidence, auditChain] = await Promise.all([
     collectLedgerEvidence({
       listFn: app.ledger.listEvents.bind(app.ledger),
       runId: run.id,
@@ -3630,7 +5939,8 @@ async function buildReplayIntegrityPayload({
       listFn: app.ledger.listAudit.bind(app.ledger),
       runId: run.id,
       maxItemsPerStream
-    })
+    }),
+    app.ledger.verifyAuditChain(run.id)
   ]);
 
   const replayStats = collectReplayExecutionStats({
@@ -3639,6 +5949,9 @@ async function buildReplayIntegrityPayload({
     auditEvidence,
     sampleLimit
   });
+  if (auditChain.chain_state === 'broken') {
+    replayStats.issues.push('replay.audit_chain_broken');
+  }
   const replayState = replayStateFromContext({
     runStatus: run.status,
     issues: replayStats.issues
@@ -3657,6 +5970,7 @@ async function buildReplayIntegrityPayload({
     unexpected_actions: replayStats.unexpectedActions,
     duplicate_actions: replayStats.duplicateActions,
     issues: replayStats.issues,
+    audit_chain: auditChain,
     evidence: {
       max_items_per_stream: maxItemsPerStream,
       events: toEvidenceDigest(eventEvidence),
@@ -3670,6 +5984,11 @@ export function buildApp({
   rootDir = defaultProjectRoot,
   dbPath,
   adapterTimeoutMs = Number(process.env.FLOCKMESH_ADAPTER_TIMEOUT_MS || 1200),
+  approvalTtlSeconds = Number(process.env.FLOCKMESH_APPROVAL_TTL_SECONDS || 86400),
+  approvalSweepIntervalMs = Number(process.env.FLOCKMESH_APPROVAL_SWEEP_INTERVAL_MS || 30000),
+  ledgerCheckpointIntervalMs = Number(process.env.FLOCKMESH_LEDGER_CHECKPOINT_INTERVAL_MS || 300000),
+  scheduleTickIntervalMs = Number(process.env.FLOCKMESH_SCHEDULE_TICK_INTERVAL_MS || 30000),
+  scheduleClock = Date.now,
   adapterRetryPolicy,
   connectorRateLimitPolicy,
   incidentExportSigningKeys,
@@ -3677,7 +5996,15 @@ export function buildApp({
   policyAdminConfig,
   trustedDefaultActorId = process.env.FLOCKMESH_TRUSTED_DEFAULT_ACTOR_ID || '',
   mcpBridgeBearerToken = process.env.FLOCKMESH_MCP_BRIDGE_BEARER_TOKEN || '',
-  mcpBridgePublicBaseUrl = process.env.FLOCKMESH_PUBLIC_BASE_URL || ''
+  mcpBridgePublicBaseUrl = process.env.FLOCKMESH_PUBLIC_BASE_URL || '',
+  feishuEventVerificationToken = process.env.FLOCKMESH_FEISHU_VERIFICATION_TOKEN || '',
+  feishuEventEncryptKey = process.env.FLOCKMESH_FEISHU_ENCRYPT_KEY || '',
+  feishuBotOpenId = process.env.FLOCKMESH_FEISHU_BOT_OPEN_ID || '',
+  eventWebhookRetryPolicy,
+  eventWebhookTimeoutMs = 5000,
+  eventSubscriptionAllowedHosts = process.env.FLOCKMESH_EVENT_SUBSCRIPTION_ALLOWED_HOSTS || '',
+  slackSigningSecret = process.env.FLOCKMESH_SLACK_SIGNING_SECRET || '',
+  chatApproverIdentities = []
 } = {}) {
   const app = Fastify({ logger });
   const store = createStore();
@@ -3689,11 +6016,19 @@ export function buildApp({
   const resolvedAdapterRetryPolicy = resolveAdapterRetryPolicy({
     overridePolicy: adapterRetryPolicy
   });
+  const resolvedEventWebhookRetryPolicy = compileAdapterRetryPolicy(
+    eventWebhookRetryPolicy || DEFAULT_EVENT_WEBHOOK_RETRY_POLICY,
+    { source: 'eventWebhookRetryPolicy' }
+  );
   const incidentExportSigning = resolveIncidentExportSigningConfig({
     overrideKeys: incidentExportSigningKeys,
     keyId: incidentExportSigningKeyId
   });
 
+  let approvalSweepTimer = null;
+  let ledgerCheckpointTimer = null;
+  let scheduleTickTimer = null;
+
   app.decorate('store', store);
   app.decorate('ledger', ledger);
   app.decorate('stateDb', stateDb);
@@ -3702,19 +6037,58 @@ export function buildApp({
   app.decorate('connectorAdapters', buildConnectorAdapterRegistry());
   app.decorate('mcpAllowlists', []);
   app.decorate('adapterTimeoutMs', adapterTimeoutMs);
+  app.decorate('approvalTtlSeconds', approvalTtlSeconds);
   app.decorate('adapterRetryPolicy', resolvedAdapterRetryPolicy);
   app.decorate('connectorRateLimitPolicy', resolvedRateLimitPolicy);
   app.decorate('incidentExportSigning', incidentExportSigning);
+  app.decorate('ledgerCheckpointQueue', { tail: Promise.resolve(null) });
+  app.decorate('scheduleTickQueue', { tail: Promise.resolve(null) });
+  app.decorate('scheduleClock', scheduleClock);
   app.decorate('connectorRateLimiter', createConnectorRateLimiter({
     policy: resolvedRateLimitPolicy
   }));
   app.decorate('agentKitLibrary', {});
+  app.decorate('playbookLibrary', {});
   app.decorate('policyAdminConfig', mergePolicyAdminConfigs([policyAdminConfig]));
   app.decorate('trustedDefaultActorId', String(trustedDefaultActorId || '').trim());
   app.decorate('mcpBridgeBearerToken', String(mcpBridgeBearerToken || '').trim());
   app.decorate('mcpBridgePublicBaseUrl', normalizeBaseUrl(mcpBridgePublicBaseUrl));
   app.decorate('integrationRuntime', {
-    feishu_webhook_url: ''
+    feishu_webhook_url: '',
+    dingtalk_webhook_url: '',
+    dingtalk_secret: ''
+  });
+  app.decorate('feishuEventConfig', {
+    verification_token: String(feishuEventVerificationToken || '').trim(),
+    encrypt_key: String(feishuEventEncryptKey || '').trim(),
+    bot_open_id: String(feishuBotOpenId || '').trim()
+  });
+  app.decorate('feishuEventTriggers', []);
+  app.decorate('slackInteractionConfig', {
+    signing_secret: String(slackSigningSecret || '').trim()
+  });
+  app.decorate('chatApproverIdentities', []);
+  app.decorateRequest('externalIdentity', null);
+  app.decorate('runStreams', createRunStreamHub());
+  app.decorate('eventSubscriptionAllowedHosts', normalizeEventSubscriptionAllowedHosts(eventSubscriptionAllowedHosts));
+  app.decorate('eventWebhooks', createEventWebhookDispatcher({
+    policy: resolvedEventWebhookRetryPolicy,
+    timeoutMs: eventWebhookTimeoutMs,
+    resolveSubscription: (subscriptionId) => app.store.eventSubscriptions.get(subscriptionId),
+    saveDelivery: (delivery) => app.stateDb.saveEventDelivery(delivery),
+    checkTarget: (url) => checkEventSubscriptionTarget(url, {
+      allowedHosts: app.eventSubscriptionAllowedHosts,
+      requireResolution: false
+    }),
+    allowedHosts: app.eventSubscriptionAllowedHosts,
+    onError: (err, delivery) => app.log.error({ err, delivery_id: delivery.id }, 'event webhook delivery failed')
+  }));
+  app.runStreams.subscribe({}, (message) => {
+    try {
+      enqueueEventWebhookDeliveries(app, message);
+    } catch (err) {
+      app.log.error({ err }, 'event webhook enqueue failed');
+    }
   });
   app.decorate('mcpBridgeSessions', new Map());
   app.decorate('mcpBridgeCore', createMcpBridgeCore({
@@ -3729,6 +6103,11 @@ export function buildApp({
     app.addSchema(schema);
   }
 
+  // Slack interactivity posts `payload=<json>` as a form body.
+  app.addContentTypeParser('application/x-www-form-urlencoded', { parseAs: 'string' }, (request, body, done) => {
+    done(null, Object.fromEntries(new URLSearchParams(body)));
+  });
+
   app.addHook('onReady', async () => {
     stateDb.init();
     await ledger.init();
@@ -3737,10 +6116,22 @@ export function buildApp({
     const loadedMcpAllowlists = await loadMcpAllowlistsFromDir({ rootDir });
     const loadedPolicyAdminConfig = await loadPolicyAdminConfigFromDir({ rootDir });
     const loadedAgentKits = await loadAgentKitsFromDir({ rootDir });
+    const loadedPlaybooks = await loadPlaybooksFromDir({ rootDir });
+    const loadedFeishuEventTriggers = await loadFeishuEventTriggersFromDir({ rootDir });
+    const loadedChatApprovers = await loadChatApproverIdentitiesFromDir({ rootDir });
     Object.assign(app.policyLibrary, loadedPolicies);
     Object.assign(app.connectorRegistry, loadedConnectors);
+    Object.assign(app.connectorAdapters, buildConnectorAdapterRegistry({ manifests: loadedConnectors }));
     app.mcpAllowlists.splice(0, app.mcpAllowlists.length, ...loadedMcpAllowlists);
     Object.assign(app.agentKitLibrary, loadedAgentKits);
+    Object.assign(app.playbookLibrary, loadedPlaybooks);
+    app.feishuEventTriggers.splice(0, app.feishuEventTriggers.length, ...loadedFeishuEventTriggers);
+    app.chatApproverIdentities.splice(0, app.chatApproverIdentities.length, ...mergeChatApproverIdentities([
+      loadedChatApprovers,
+      compileChatApproverDocument({ version: 'v0', identities: chatApproverIdentities }, {
+        source: 'chatApproverIdentities'
+      })
+    ]));
     const resolvedPolicyAdminConfig = mergePolicyAdminConfigs([
       loadedPolicyAdminConfig,
       policyAdminConfig
@@ -3748,6 +6139,7 @@ export function buildApp({
     app.policyAdminConfig.version = resolvedPolicyAdminConfig.version;
     app.policyAdminConfig.global_admins = resolvedPolicyAdminConfig.global_admins;
     app.policyAdminConfig.profile_admins = resolvedPolicyAdminConfig.profile_admins;
+    app.policyAdminConfig.profile_quorum = resolvedPolicyAdminConfig.profile_quorum;
 
     const agents = stateDb.listAgents({ limit: 5000, offset: 0 }).items;
     const bindings = stateDb.listBindings({ limit: 5000, offset: 0 }).items;
@@ -3755,11 +6147,21 @@ export function buildApp({
     const idempotencyResults = stateDb.listIdempotencyResults({ limit: 5000, offset: 0 });
     const environmentSets = stateDb.listEnvironmentSets({ limit: 5000, offset: 0 }).items;
     const roleBindings = stateDb.listRoleBindings({ limit: 5000, offset: 0 }).items;
+    const delegations = stateDb.listDelegations({ limit: 5000, offset: 0 }).items;
+    const externalIdentities = stateDb.listExternalIdentities({ limit: 5000, offset: 0 }).items;
+    const webhookTriggers = stateDb.listWebhookTriggers({ limit: 5000, offset: 0 }).items;
+    const schedules = stateDb.listSchedules({ limit: 5000, offset: 0 }).items;
+    const eventSubscriptions = stateDb.listEventSubscriptions({ limit: 5000, offset: 0 }).items;
 
     for (const agent of agents) app.store.agents.set(agent.id, agent);
     for (const binding of bindings) app.store.connectorBindings.set(binding.id, binding);
     for (const environmentSet of environmentSets) app.store.environmentSets.set(environmentSet.id, environmentSet);
     for (const roleBinding of roleBindings) app.store.roleBindings.set(roleBinding.id, roleBinding);
+    for (const delegation of delegations) app.store.delegations.set(delegation.id, delegation);
+    for (const identity of externalIdentities) app.store.externalIdentities.set(identity.id, identity);
+    for (const webhook of webhookTriggers) app.store.webhookTriggers.set(webhook.id, webhook);
+    for (const schedule of schedules) app.store.schedules.set(schedule.id, schedule);
+    for (const subscription of eventSubscriptions) app.store.eventSubscriptions.set(subscription.id, subscription);
 
     for (const run of runs) {
       app.store.runs.set(run.id, run);
@@ -3771,9 +6173,60 @@ export function buildApp({
     for (const entry of idempotencyResults) {
       app.store.idempotencyResults.set(entry.key, entry.payload);
     }
+
+    reopenInterruptedPolicyPatchProposals(app);
+    await sweepExpiredApprovals(app);
+    await resumeInterruptedRuns(app);
+    for (const status of ['pending', 'retrying']) {
+      for (const delivery of stateDb.listEventDeliveries({ status, limit: 5000, offset: 0 }).items) {
+        app.eventWebhooks.dispatch(delivery);
+      }
+    }
+    // Fires missed while the server was down are settled by each schedule's catch-up policy. Not
+    // awaited: the tick creates runs through app.inject, which itself waits for ready.
+    runScheduleTick(app).catch((err) => {
+      app.log.error({ err }, 'schedule catch-up tick failed');
+    });
+
+    if (approvalSweepIntervalMs > 0) {
+      approvalSweepTimer = setInterval(() => {
+        sweepExpiredApprovals(app).catch((err) => {
+          app.log.error({ err }, 'approval expiry sweep failed');
+        });
+      }, approvalSweepIntervalMs);
+      approvalSweepTimer.unref();
+    }
+
+    if (ledgerCheckpointIntervalMs > 0) {
+      ledgerCheckpointTimer = setInterval(() => {
+        writeLedgerCheckpoint(app).catch((err) => {
+          app.log.error({ err }, 'ledger checkpoint failed');
+        });
+      }, ledgerCheckpointIntervalMs);
+      ledgerCheckpointTimer.unref();
+    }
+
+    if (scheduleTickIntervalMs > 0) {
+      scheduleTickTimer = setInterval(() => {
+        runScheduleTick(app).catch((err) => {
+          app.log.error({ err }, 'schedule tick failed');
+        });
+      }, scheduleTickIntervalMs);
+      scheduleTickTimer.unref();
+    }
+  });
+
+  app.addHook('preClose', async () => {
+    app.runStreams.closeAll();
+    await app.eventWebhooks.close();
   });
 
   app.addHook('onClose', async () => {
+    if (approvalSweepTimer) clearInterval(approvalSweepTimer);
+    if (ledgerCheckpointTimer) clearInterval(ledgerCheckpointTimer);
+    if (scheduleTickTimer) clearInterval(scheduleTickTimer);
+    await app.scheduleTickQueue.tail.catch(() => {});
+    await app.ledgerCheckpointQueue.tail.catch(() => {});
     stateDb.close();
   });
 
@@ -3925,6 +6378,16 @@ export function buildApp({
     return listAgentKits({ kitLibrary: app.agentKitLibrary });
   });
 
+  app.get('/v0/playbooks', {
+    schema: {
+      response: {
+        200: { $ref: 'https://flockmesh.dev/spec/schemas/playbook-catalog.schema.json#' }
+      }
+    }
+  }, async () => {
+    return listPlaybooks({ playbookLibrary: app.playbookLibrary });
+  });
+
   app.post('/v0/agent-blueprints/preview', {
     schema: {
       body: {
@@ -4718,57 +7181,1473 @@ export function buildApp({
       }
     }
   }, async (request, reply) => {
-    const body = request.body;
-    const workspaceId = asTrimmedString(body.workspace_id || '');
-    const permission = ensureActorPermission({
-      app,
-      request,
-      workspaceId,
-      permission: 'role.manage',
-      allowWorkspaceBootstrap: true
-    });
-    if (!permission.ok) {
-      reply.code(permission.errorCode);
-      return { message: permission.message };
+    const body = request.body;
+    const workspaceId = asTrimmedString(body.workspace_id || '');
+    const permission = ensureActorPermission({
+      app,
+      request,
+      workspaceId,
+      permission: 'role.manage',
+      allowWorkspaceBootstrap: true
+    });
+    if (!permission.ok) {
+      reply.code(permission.errorCode);
+      return { message: permission.message };
+    }
+
+    if (permission.bootstrap && asTrimmedString(body.actor_id) !== permission.actor_id) {
+      reply.code(403);
+      return { message: 'Bootstrap role binding can only target current actor' };
+    }
+
+    const role = normalizeRoleName(body.role);
+    const actorId = asTrimmedString(body.actor_id || '');
+    const existing = listActorRoleBindings({
+      app,
+      workspaceId,
+      actorId
+    }).find((binding) => binding.role === role);
+
+    if (existing) {
+      reply.code(200);
+      return {
+        ...existing,
+        reused: true
+      };
+    }
+
+    const now = nowIso();
+    const binding = {
+      id: makeId('rlb'),
+      workspace_id: workspaceId,
+      actor_id: actorId,
+      role,
+      source: permission.bootstrap ? 'workspace_bootstrap_manual' : 'manual_grant',
+      reason: asTrimmedString(body.reason || ''),
+      created_at: now,
+      updated_at: now
+    };
+
+    app.store.roleBindings.set(binding.id, binding);
+    app.stateDb.saveRoleBinding(binding);
+    reply.code(201);
+    return binding;
+  });
+
+  app.get('/v0/access/delegations', {
+    schema: {
+      querystring: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['workspace_id'],
+        properties: {
+          workspace_id: { type: 'string', pattern: '^wsp_[A-Za-z0-9_-]{6,64}$' },
+          actor_id: { type: 'string', pattern: '^usr_[A-Za-z0-9_-]{4,64}$' },
+          status: { type: 'string', enum: Array.from(DELEGATION_STATUS_SET) },
+          limit: { type: 'integer', minimum: 1, maximum: 1000 },
+          offset: { type: 'integer', minimum: 0 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const workspaceId = asTrimmedString(request.query?.workspace_id || '');
+    const actorIdentity = resolveRequestActorId(request, {
+      fallbackActorId: app.trustedDefaultActorId
+    });
+    if (!actorIdentity.ok) {
+      reply.code(actorIdentity.errorCode);
+      return { message: actorIdentity.message };
+    }
+
+    const canManage = actorHasPermission({
+      app,
+      workspaceId,
+      actorId: actorIdentity.actor_id,
+      permission: 'role.manage'
+    });
+    const actorFilter = asTrimmedString(request.query?.actor_id || '');
+    if (!canManage && actorFilter && actorFilter !== actorIdentity.actor_id) {
+      reply.code(403);
+      return { message: 'Actor lacks permission: role.manage' };
+    }
+
+    const page = app.stateDb.listDelegations({
+      workspaceId,
+      actorId: canManage ? actorFilter : actorIdentity.actor_id,
+      status: request.query?.status,
+      limit: request.query?.limit,
+      offset: request.query?.offset
+    });
+    const now = Date.now();
+
+    return {
+      total: page.total,
+      limit: page.limit,
+      offset: page.offset,
+      items: page.items.map((item) => toDelegationView(item, now))
+    };
+  });
+
+  app.post('/v0/access/delegations', {
+    schema: {
+      body: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['workspace_id', 'principal_id', 'delegate_id', 'expires_at'],
+        properties: {
+          workspace_id: { type: 'string', pattern: '^wsp_[A-Za-z0-9_-]{6,64}$' },
+          principal_id: { type: 'string', pattern: '^usr_[A-Za-z0-9_-]{4,64}$' },
+          delegate_id: { type: 'string', pattern: '^usr_[A-Za-z0-9_-]{4,64}$' },
+          permission: { type: 'string', enum: Array.from(DELEGABLE_PERMISSION_SET) },
+          starts_at: { type: 'string', format: 'date-time' },
+          expires_at: { type: 'string', format: 'date-time' },
+          reason: { type: 'string', maxLength: 300 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const body = request.body;
+    const actorIdentity = resolveRequestActorId(request, {
+      fallbackActorId: app.trustedDefaultActorId
+    });
+    if (!actorIdentity.ok) {
+      reply.code(actorIdentity.errorCode);
+      return { message: actorIdentity.message };
+    }
+
+    const now = nowIso();
+    const draft = {
+      workspace_id: asTrimmedString(body.workspace_id),
+      principal_id: asTrimmedString(body.principal_id),
+      delegate_id: asTrimmedString(body.delegate_id),
+      permission: body.permission || 'approval.resolve'
+    };
+    // A role manager could otherwise lend themselves any principal's approvals and get past the
+    // approver constraints that bind that principal; revoking stays open to role managers.
+    if (actorIdentity.actor_id !== draft.principal_id) {
+      reply.code(403);
+      return { message: 'Only the principal can delegate their own permission' };
+    }
+
+    if (draft.principal_id === draft.delegate_id) {
+      reply.code(400);
+      return { message: 'delegate_id must differ from principal_id' };
+    }
+
+    if (!actorHasPermission({
+      app,
+      workspaceId: draft.workspace_id,
+      actorId: draft.principal_id,
+      permission: draft.permission
+    })) {
+      reply.code(409);
+      return { message: `Principal lacks permission: ${draft.permission}` };
+    }
+
+    const startsAt = body.starts_at ? new Date(body.starts_at).toISOString() : now;
+    const expiresAt = new Date(body.expires_at).toISOString();
+    const windowStartMs = Math.max(Date.parse(startsAt), Date.parse(now));
+    if (Date.parse(expiresAt) <= windowStartMs) {
+      reply.code(400);
+      return { message: 'expires_at must be later than starts_at and now' };
+    }
+    if (Date.parse(expiresAt) - Date.parse(startsAt) > DELEGATION_MAX_SECONDS * 1000) {
+      reply.code(400);
+      return { message: `Delegation window cannot exceed ${DELEGATION_MAX_SECONDS} seconds` };
+    }
+
+    const delegation = {
+      id: makeId('dlg'),
+      ...draft,
+      status: 'active',
+      starts_at: startsAt,
+      expires_at: expiresAt,
+      reason: asTrimmedString(body.reason || ''),
+      created_by: actorIdentity.actor_id,
+      created_at: now,
+      updated_at: now
+    };
+
+    app.store.delegations.set(delegation.id, delegation);
+    app.stateDb.saveDelegation(delegation);
+    reply.code(201);
+    return toDelegationView(delegation);
+  });
+
+  app.post('/v0/access/delegations/:delegation_id/revoke', {
+    schema: {
+      params: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['delegation_id'],
+        properties: {
+          delegation_id: { type: 'string', pattern: '^dlg_[A-Za-z0-9_-]{6,64}$' }
+        }
+      },
+      body: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          reason: { type: 'string', maxLength: 300 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const actorIdentity = resolveRequestActorId(request, {
+      fallbackActorId: app.trustedDefaultActorId
+    });
+    if (!actorIdentity.ok) {
+      reply.code(actorIdentity.errorCode);
+      return { message: actorIdentity.message };
+    }
+
+    const delegation = app.store.delegations.get(request.params.delegation_id);
+    if (!delegation) {
+      reply.code(404);
+      return { message: 'Delegation not found' };
+    }
+
+    if (!canManageDelegation({ app, delegation, actorId: actorIdentity.actor_id })) {
+      reply.code(403);
+      return { message: 'Only the principal or a role manager can revoke this delegation' };
+    }
+
+    if (delegation.status === 'revoked') {
+      reply.code(409);
+      return { message: 'Delegation is already revoked' };
+    }
+
+    const now = nowIso();
+    const revoked = {
+      ...delegation,
+      status: 'revoked',
+      revoked_at: now,
+      revoked_by: actorIdentity.actor_id,
+      revoke_reason: asTrimmedString(request.body?.reason || ''),
+      updated_at: now
+    };
+
+    app.store.delegations.set(revoked.id, revoked);
+    app.stateDb.saveDelegation(revoked);
+    return toDelegationView(revoked);
+  });
+
+  app.get('/v0/access/identities', {
+    schema: {
+      querystring: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['workspace_id'],
+        properties: {
+          workspace_id: { type: 'string', pattern: '^wsp_[A-Za-z0-9_-]{6,64}$' },
+          actor_id: { type: 'string', pattern: '^usr_[A-Za-z0-9_-]{4,64}$' },
+          provider: { type: 'string', enum: Array.from(EXTERNAL_IDENTITY_PROVIDERS) },
+          status: { type: 'string', enum: Array.from(EXTERNAL_IDENTITY_STATUSES) },
+          limit: { type: 'integer', minimum: 1, maximum: 1000 },
+          offset: { type: 'integer', minimum: 0 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const workspaceId = asTrimmedString(request.query?.workspace_id || '');
+    const actorIdentity = resolveRequestActorId(request, {
+      fallbackActorId: app.trustedDefaultActorId
+    });
+    if (!actorIdentity.ok) {
+      reply.code(actorIdentity.errorCode);
+      return { message: actorIdentity.message };
+    }
+
+    const canManage = actorHasPermission({
+      app,
+      workspaceId,
+      actorId: actorIdentity.actor_id,
+      permission: 'role.manage'
+    });
+    const actorFilter = asTrimmedString(request.query?.actor_id || '');
+    if (!canManage && actorFilter && actorFilter !== actorIdentity.actor_id) {
+      reply.code(403);
+      return { message: 'Actor lacks permission: role.manage' };
+    }
+
+    const page = app.stateDb.listExternalIdentities({
+      workspaceId,
+      actorId: canManage ? actorFilter : actorIdentity.actor_id,
+      provider: request.query?.provider,
+      status: request.query?.status,
+      limit: request.query?.limit,
+      offset: request.query?.offset
+    });
+    return {
+      total: page.total,
+      limit: page.limit,
+      offset: page.offset,
+      items: page.items.map(toExternalIdentityView)
+    };
+  });
+
+  app.post('/v0/access/identities', {
+    schema: {
+      body: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['workspace_id', 'provider', 'external_user_id'],
+        properties: {
+          workspace_id: { type: 'string', pattern: '^wsp_[A-Za-z0-9_-]{6,64}$' },
+          provider: { type: 'string', enum: Array.from(EXTERNAL_IDENTITY_PROVIDERS) },
+          external_user_id: { type: 'string', pattern: '^[A-Za-z0-9_-]{2,128}$' },
+          actor_id: { type: 'string', pattern: '^usr_[A-Za-z0-9_-]{4,64}$' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const body = request.body;
+    const actorIdentity = resolveRequestActorId(request, {
+      fallbackActorId: app.trustedDefaultActorId
+    });
+    if (!actorIdentity.ok) {
+      reply.code(actorIdentity.errorCode);
+      return { message: actorIdentity.message };
+    }
+
+    const workspaceId = asTrimmedString(body.workspace_id);
+    const actorId = asTrimmedString(body.actor_id || actorIdentity.actor_id);
+    if (actorId !== actorIdentity.actor_id && !actorHasPermission({
+      app,
+      workspaceId,
+      actorId: actorIdentity.actor_id,
+      permission: 'role.manage'
+    })) {
+      reply.code(403);
+      return { message: 'Actor lacks permission: role.manage' };
+    }
+    if (workspaceHasRoleBindings(app, workspaceId) && !actorHasAnyWorkspaceRole({ app, workspaceId, actorId })) {
+      reply.code(409);
+      return { message: `Actor has no role in workspace: ${actorId}` };
+    }
+
+    const key = { workspaceId, provider: body.provider, externalUserId: body.external_user_id };
+    const linked = findVerifiedExternalIdentity(app.store.externalIdentities.values(), key);
+    if (linked && linked.actor_id !== actorId) {
+      reply.code(409);
+      return { message: 'External identity is already linked to another actor', reason_code: 'identity.already_linked' };
+    }
+    if (linked) {
+      return { ...toExternalIdentityView(linked), reused: true };
+    }
+
+    // Asking again for the same link re-issues the code on the pending record.
+    const pending = Array.from(app.store.externalIdentities.values()).find((item) => (
+      item.status === 'pending_verification' &&
+      item.workspace_id === workspaceId &&
+      item.provider === body.provider &&
+      item.external_user_id === body.external_user_id &&
+      item.actor_id === actorId
+    ));
+    const now = nowIso();
+    // No fresh codes for an account whose guesses are spent; that also stops code spam to it.
+    const accountAttempts = countVerificationAttempts(app.store.externalIdentities.values(), {
+      ...key,
+      now: Date.parse(now)
+    });
+    if (accountAttempts >= IDENTITY_VERIFICATION_MAX_ATTEMPTS) {
+      reply.code(429);
+      return {
+        message: 'Verification attempts for this chat account are exhausted; try again later',
+        reason_code: 'identity.verification_attempts_exhausted'
+      };
+    }
+
+    const draft = pending || {
+      id: makeId('xid'),
+      workspace_id: workspaceId,
+      provider: body.provider,
+      external_user_id: body.external_user_id,
+      actor_id: actorId,
+      status: 'pending_verification',
+      created_by: actorIdentity.actor_id,
+      created_at: now
+    };
+
+    const code = generateVerificationCode();
+    const verification = issueIdentityVerification({
+      identityId: draft.id,
+      code,
+      now: Date.parse(now),
+      previous: pending?.verification
+    });
+    let delivery = null;
+    try {
+      delivery = await sendIdentityVerificationCode(app, draft, buildVerificationMessage({
+        code,
+        workspaceId,
+        actorId,
+        expiresAt: verification.expires_at
+      }));
+    } catch (err) {
+      reply.code(502);
+      return { message: err.message, reason_code: 'identity.code_delivery_failed' };
+    }
+    if (!delivery) {
+      reply.code(409);
+      return {
+        message: body.provider === 'feishu'
+          ? 'Workspace has no Feishu app credentials (FEISHU_APP_ID, FEISHU_APP_SECRET)'
+          : 'Workspace has no Slack bot token (SLACK_BOT_TOKEN)',
+        reason_code: 'identity.delivery_unavailable'
+      };
+    }
+
+    const identity = {
+      ...draft,
+      verification: { ...verification, ...delivery },
+      updated_at: now
+    };
+    app.store.externalIdentities.set(identity.id, identity);
+    app.stateDb.saveExternalIdentity(identity);
+    reply.code(pending ? 200 : 201);
+    return toExternalIdentityView(identity);
+  });
+
+  app.post('/v0/access/identities/:identity_id/verify', {
+    schema: {
+      params: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['identity_id'],
+        properties: {
+          identity_id: { type: 'string', pattern: '^xid_[A-Za-z0-9_-]{6,64}$' }
+        }
+      },
+      body: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['code'],
+        properties: {
+          code: { type: 'string', pattern: '^[0-9]{6}$' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const actorIdentity = resolveRequestActorId(request, {
+      fallbackActorId: app.trustedDefaultActorId
+    });
+    if (!actorIdentity.ok) {
+      reply.code(actorIdentity.errorCode);
+      return { message: actorIdentity.message };
+    }
+
+    const identity = app.store.externalIdentities.get(request.params.identity_id);
+    if (!identity) {
+      reply.code(404);
+      return { message: 'External identity not found' };
+    }
+    // The code proves control of the chat account; entering it proves control of the actor.
+    if (identity.actor_id !== actorIdentity.actor_id) {
+      reply.code(403);
+      return { message: 'Only the linked actor can verify this identity' };
+    }
+
+    const checked = checkIdentityVerification(identity, request.body.code, {
+      accountAttempts: countVerificationAttempts(app.store.externalIdentities.values(), {
+        workspaceId: identity.workspace_id,
+        provider: identity.provider,
+        externalUserId: identity.external_user_id
+      })
+    });
+    if (!checked.ok) {
+      if (checked.verification !== identity.verification) {
+        const attempted = { ...identity, verification: checked.verification, updated_at: nowIso() };
+        app.store.externalIdentities.set(attempted.id, attempted);
+        app.stateDb.saveExternalIdentity(attempted);
+      }
+      reply.code(checked.reason_code === 'identity.verification_code_invalid' ? 400 : 409);
+      return { message: 'External identity verification failed', reason_code: checked.reason_code };
+    }
+
+    const linked = findVerifiedExternalIdentity(app.store.externalIdentities.values(), {
+      workspaceId: identity.workspace_id,
+      provider: identity.provider,
+      externalUserId: identity.external_user_id
+    });
+    if (linked) {
+      reply.code(409);
+      return { message: 'External identity is already linked to another actor', reason_code: 'identity.already_linked' };
+    }
+
+    const now = nowIso();
+    const { code_digest, ...verification } = checked.verification;
+    const verified = {
+      ...identity,
+      status: 'verified',
+      verification,
+      verified_at: now,
+      updated_at: now
+    };
+    app.store.externalIdentities.set(verified.id, verified);
+    app.stateDb.saveExternalIdentity(verified);
+    return toExternalIdentityView(verified);
+  });
+
+  app.post('/v0/access/identities/:identity_id/revoke', {
+    schema: {
+      params: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['identity_id'],
+        properties: {
+          identity_id: { type: 'string', pattern: '^xid_[A-Za-z0-9_-]{6,64}$' }
+        }
+      },
+      body: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          reason: { type: 'string', maxLength: 300 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const actorIdentity = resolveRequestActorId(request, {
+      fallbackActorId: app.trustedDefaultActorId
+    });
+    if (!actorIdentity.ok) {
+      reply.code(actorIdentity.errorCode);
+      return { message: actorIdentity.message };
+    }
+
+    const identity = app.store.externalIdentities.get(request.params.identity_id);
+    if (!identity) {
+      reply.code(404);
+      return { message: 'External identity not found' };
+    }
+    if (!canManageExternalIdentity({ app, identity, actorId: actorIdentity.actor_id })) {
+      reply.code(403);
+      return { message: 'Only the linked actor or a role manager can revoke this identity' };
+    }
+    if (identity.status === 'revoked') {
+      reply.code(409);
+      return { message: 'External identity is already revoked' };
+    }
+
+    const now = nowIso();
+    const revoked = {
+      ...identity,
+      status: 'revoked',
+      revoked_at: now,
+      revoked_by: actorIdentity.actor_id,
+      revoke_reason: asTrimmedString(request.body?.reason || ''),
+      updated_at: now
+    };
+    app.store.externalIdentities.set(revoked.id, revoked);
+    app.stateDb.saveExternalIdentity(revoked);
+    return toExternalIdentityView(revoked);
+  });
+
+  app.get('/v0/triggers/webhooks', {
+    schema: {
+      querystring: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['workspace_id'],
+        properties: {
+          workspace_id: { type: 'string', pattern: '^wsp_[A-Za-z0-9_-]{6,64}$' },
+          status: { type: 'string', enum: Array.from(WEBHOOK_TRIGGER_STATUS_SET) },
+          limit: { type: 'integer', minimum: 1, maximum: 1000 },
+          offset: { type: 'integer', minimum: 0 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const workspaceId = asTrimmedString(request.query?.workspace_id || '');
+    const actorIdentity = resolveRequestActorId(request, {
+      fallbackActorId: app.trustedDefaultActorId
+    });
+    if (!actorIdentity.ok) {
+      reply.code(actorIdentity.errorCode);
+      return { message: actorIdentity.message };
+    }
+
+    const hasWorkspaceRole = actorHasAnyWorkspaceRole({
+      app,
+      workspaceId,
+      actorId: actorIdentity.actor_id
+    });
+    if (!hasWorkspaceRole && workspaceHasRoleBindings(app, workspaceId)) {
+      reply.code(403);
+      return { message: 'Actor is not assigned in workspace' };
+    }
+
+    const page = app.stateDb.listWebhookTriggers({
+      workspaceId,
+      status: request.query?.status,
+      limit: request.query?.limit,
+      offset: request.query?.offset
+    });
+    return {
+      total: page.total,
+      limit: page.limit,
+      offset: page.offset,
+      items: page.items.map((item) => toWebhookTriggerView(item))
+    };
+  });
+
+  app.post('/v0/triggers/webhooks', {
+    schema: {
+      body: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['workspace_id', 'agent_id', 'playbook_id'],
+        properties: {
+          workspace_id: { type: 'string', pattern: '^wsp_[A-Za-z0-9_-]{6,64}$' },
+          agent_id: { type: 'string', pattern: '^agt_[A-Za-z0-9_-]{6,64}$' },
+          playbook_id: { type: 'string', pattern: '^pbk_[A-Za-z0-9_-]{6,64}$' },
+          name: { type: 'string', minLength: 1, maxLength: 120 },
+          parameter_mapping: {
+            type: 'object',
+            additionalProperties: { type: 'string', minLength: 1, maxLength: 500 }
+          },
+          policy_context: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              org_policy: { type: 'string' },
+              workspace_policy: { type: 'string' },
+              agent_policy: { type: 'string' },
+              run_override: { type: 'string' }
+            }
+          },
+          replay_window_seconds: {
+            type: 'integer',
+            minimum: WEBHOOK_REPLAY_WINDOW_MIN_SECONDS,
+            maximum: WEBHOOK_REPLAY_WINDOW_MAX_SECONDS
+          }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const body = request.body;
+    const workspaceId = asTrimmedString(body.workspace_id);
+    const permission = ensureActorPermission({
+      app,
+      request,
+      workspaceId,
+      permission: 'environment.manage',
+      allowWorkspaceBootstrap: true
+    });
+    if (!permission.ok) {
+      reply.code(permission.errorCode);
+      return { message: permission.message };
+    }
+
+    // Deliveries start runs as the creator, so the creator must be able to run them today.
+    if (!permission.bootstrap && !actorHasPermission({
+      app,
+      workspaceId,
+      actorId: permission.actor_id,
+      permission: 'run.execute'
+    })) {
+      reply.code(403);
+      return { message: 'Actor lacks permission: run.execute' };
+    }
+
+    const agent = app.store.agents.get(body.agent_id) || app.stateDb.getAgent(body.agent_id);
+    if (!agent) {
+      reply.code(404);
+      return { message: 'Agent not found' };
+    }
+    if (agent.workspace_id !== workspaceId) {
+      reply.code(409);
+      return { message: 'Agent workspace does not match webhook workspace_id' };
+    }
+
+    const playbook = app.playbookLibrary[body.playbook_id] || null;
+    let parameterMapping;
+    try {
+      parameterMapping = normalizeWebhookParameterMapping(body.parameter_mapping || {}, {
+        declaredInputs: playbook?.inputs || {}
+      });
+    } catch (err) {
+      reply.code(400);
+      return { message: err.message };
+    }
+
+    const now = nowIso();
+    const webhook = {
+      id: makeId('whk'),
+      workspace_id: workspaceId,
+      name: asTrimmedString(body.name || '') || `${body.playbook_id} webhook`,
+      agent_id: body.agent_id,
+      playbook_id: body.playbook_id,
+      actor_id: permission.actor_id,
+      parameter_mapping: parameterMapping,
+      policy_context: body.policy_context || {},
+      replay_window_seconds: body.replay_window_seconds || WEBHOOK_REPLAY_WINDOW_DEFAULT_SECONDS,
+      secret: generateWebhookSecret(),
+      status: 'active',
+      created_by: permission.actor_id,
+      created_at: now,
+      updated_at: now
+    };
+
+    app.store.webhookTriggers.set(webhook.id, webhook);
+    app.stateDb.saveWebhookTrigger(webhook);
+    reply.code(201);
+    return {
+      ...toWebhookTriggerView(webhook),
+      secret: webhook.secret
+    };
+  });
+
+  app.post('/v0/triggers/webhooks/:webhook_id/revoke', {
+    schema: {
+      params: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['webhook_id'],
+        properties: {
+          webhook_id: { type: 'string', pattern: '^whk_[A-Za-z0-9_-]{6,64}$' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const webhook = app.store.webhookTriggers.get(request.params.webhook_id);
+    if (!webhook) {
+      reply.code(404);
+      return { message: 'Webhook trigger not found' };
+    }
+
+    const permission = ensureActorPermission({
+      app,
+      request,
+      workspaceId: webhook.workspace_id,
+      permission: 'environment.manage'
+    });
+    if (!permission.ok) {
+      reply.code(permission.errorCode);
+      return { message: permission.message };
+    }
+
+    if (webhook.status === 'revoked') {
+      reply.code(409);
+      return { message: 'Webhook trigger is already revoked' };
+    }
+
+    const now = nowIso();
+    const revoked = {
+      ...webhook,
+      status: 'revoked',
+      revoked_at: now,
+      revoked_by: permission.actor_id,
+      updated_at: now
+    };
+    app.store.webhookTriggers.set(revoked.id, revoked);
+    app.stateDb.saveWebhookTrigger(revoked);
+    return toWebhookTriggerView(revoked);
+  });
+
+  app.post('/v0/triggers/webhooks/:webhook_id/deliveries', {
+    preParsing: captureRawBody,
+    schema: {
+      params: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['webhook_id'],
+        properties: {
+          webhook_id: { type: 'string', pattern: '^whk_[A-Za-z0-9_-]{6,64}$' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const webhook = app.store.webhookTriggers.get(request.params.webhook_id);
+    if (!webhook || webhook.status !== 'active') {
+      reply.code(404);
+      return { message: 'Webhook trigger not found', reason_code: 'webhook.not_found' };
+    }
+
+    const signature = asTrimmedString(request.headers[WEBHOOK_SIGNATURE_HEADER]);
+    const timestamp = asTrimmedString(request.headers[WEBHOOK_TIMESTAMP_HEADER]);
+    const verification = verifyWebhookDelivery({
+      secret: webhook.secret,
+      signature,
+      timestamp,
+      rawBody: request.rawBody || '',
+      replayWindowSeconds: webhook.replay_window_seconds
+    });
+    if (!verification.ok) {
+      reply.code(401);
+      return { message: 'Webhook delivery failed verification', reason_code: verification.reason_code };
+    }
+
+    // A signature is only valid inside the replay window; remembering accepted ones closes the window.
+    const replayKey = `webhook_delivery_${webhook.id}_${shortHash(signature)}`;
+    if (app.store.idempotencyResults.has(replayKey) || app.stateDb.getIdempotencyResult(replayKey)) {
+      reply.code(409);
+      return { message: 'Webhook delivery was already accepted', reason_code: 'webhook.replayed' };
+    }
+
+    const payload = request.body;
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+      reply.code(400);
+      return { message: 'Webhook payload must be a JSON object', reason_code: 'webhook.payload_invalid' };
+    }
+
+    const payloadDigest = digestWebhookPayload(request.rawBody || '');
+    const inputs = renderPlaybookTemplate(webhook.parameter_mapping, { payload });
+    // Claim the key before the first await so a concurrent copy of this delivery is refused too;
+    // a failed run creation releases it, matching the sender retrying an unaccepted delivery.
+    app.store.idempotencyResults.set(replayKey, { status: 'pending', webhook_id: webhook.id });
+    const runCreateRes = await app.inject({
+      method: 'POST',
+      url: '/v0/runs',
+      headers: {
+        'x-flockmesh-actor-id': webhook.actor_id
+      },
+      payload: {
+        workspace_id: webhook.workspace_id,
+        agent_id: webhook.agent_id,
+        playbook_id: webhook.playbook_id,
+        trigger: {
+          type: 'event',
+          source: `webhook:${webhook.id}`,
+          actor_id: webhook.actor_id,
+          at: nowIso()
+        },
+        ...(Object.keys(webhook.policy_context).length ? { policy_context: webhook.policy_context } : {}),
+        ...(Object.keys(inputs).length ? { inputs } : {})
+      }
+    });
+    const runPayload = runCreateRes.json();
+    if (runCreateRes.statusCode !== 202) {
+      app.store.idempotencyResults.delete(replayKey);
+      reply.code(runCreateRes.statusCode);
+      return {
+        message: 'Webhook delivery failed while creating run',
+        reason_code: 'webhook.run_create_failed',
+        detail: runPayload
+      };
+    }
+
+    const receivedAt = new Date(Number(timestamp) * 1000).toISOString();
+    await appendAudit({
+      app,
+      entry: makeAuditEntry({
+        runId: runPayload.id,
+        eventType: 'trigger.webhook.accepted',
+        actorInfo: actor('system', 'webhook-trigger'),
+        payload: { webhook_id: webhook.id, payload_digest: payloadDigest, signed_at: receivedAt },
+        triggerDelivery: {
+          webhook_id: webhook.id,
+          payload_digest: payloadDigest,
+          signed_at: receivedAt
+        }
+      })
+    });
+
+    const result = {
+      status: 'accepted',
+      webhook_id: webhook.id,
+      run_id: runPayload.id,
+      run_status: runPayload.status,
+      payload_digest: payloadDigest
+    };
+    app.store.idempotencyResults.set(replayKey, result);
+    app.stateDb.saveIdempotencyResult({
+      key: replayKey,
+      runId: runPayload.id,
+      payload: result,
+      createdAt: nowIso()
+    });
+    reply.code(202);
+    return result;
+  });
+
+  app.get('/v0/schedules', {
+    schema: {
+      querystring: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['workspace_id'],
+        properties: {
+          workspace_id: { type: 'string', pattern: '^wsp_[A-Za-z0-9_-]{6,64}$' },
+          status: { type: 'string', enum: Array.from(SCHEDULE_STATUS_SET) },
+          limit: { type: 'integer', minimum: 1, maximum: 1000 },
+          offset: { type: 'integer', minimum: 0 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const workspaceId = asTrimmedString(request.query?.workspace_id || '');
+    const actorIdentity = resolveRequestActorId(request, {
+      fallbackActorId: app.trustedDefaultActorId
+    });
+    if (!actorIdentity.ok) {
+      reply.code(actorIdentity.errorCode);
+      return { message: actorIdentity.message };
+    }
+
+    const hasWorkspaceRole = actorHasAnyWorkspaceRole({
+      app,
+      workspaceId,
+      actorId: actorIdentity.actor_id
+    });
+    if (!hasWorkspaceRole && workspaceHasRoleBindings(app, workspaceId)) {
+      reply.code(403);
+      return { message: 'Actor is not assigned in workspace' };
+    }
+
+    return app.stateDb.listSchedules({
+      workspaceId,
+      status: request.query?.status,
+      limit: request.query?.limit,
+      offset: request.query?.offset
+    });
+  });
+
+  app.post('/v0/schedules', {
+    schema: {
+      body: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['workspace_id', 'agent_id', 'playbook_id', 'cron'],
+        properties: {
+          workspace_id: { type: 'string', pattern: '^wsp_[A-Za-z0-9_-]{6,64}$' },
+          agent_id: { type: 'string', pattern: '^agt_[A-Za-z0-9_-]{6,64}$' },
+          playbook_id: { type: 'string', pattern: '^pbk_[A-Za-z0-9_-]{6,64}$' },
+          name: { type: 'string', minLength: 1, maxLength: 120 },
+          cron: { type: 'string', minLength: 9, maxLength: 120 },
+          timezone: { type: 'string', minLength: 1, maxLength: 64 },
+          catch_up: { type: 'string', enum: SCHEDULE_CATCH_UP_POLICIES },
+          policy_context: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              org_policy: { type: 'string' },
+              workspace_policy: { type: 'string' },
+              agent_policy: { type: 'string' },
+              run_override: { type: 'string' }
+            }
+          },
+          inputs: {
+            type: 'object',
+            additionalProperties: true
+          }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const body = request.body;
+    const workspaceId = asTrimmedString(body.workspace_id);
+    const permission = ensureActorPermission({
+      app,
+      request,
+      workspaceId,
+      permission: 'environment.manage',
+      allowWorkspaceBootstrap: true
+    });
+    if (!permission.ok) {
+      reply.code(permission.errorCode);
+      return { message: permission.message };
+    }
+
+    // Fires start runs as the creator, so the creator must be able to run them today.
+    if (!permission.bootstrap && !actorHasPermission({
+      app,
+      workspaceId,
+      actorId: permission.actor_id,
+      permission: 'run.execute'
+    })) {
+      reply.code(403);
+      return { message: 'Actor lacks permission: run.execute' };
+    }
+
+    const agent = app.store.agents.get(body.agent_id) || app.stateDb.getAgent(body.agent_id);
+    if (!agent) {
+      reply.code(404);
+      return { message: 'Agent not found' };
+    }
+    if (agent.workspace_id !== workspaceId) {
+      reply.code(409);
+      return { message: 'Agent workspace does not match schedule workspace_id' };
+    }
+
+    const timing = compileScheduleTiming({
+      cron: body.cron,
+      timezone: body.timezone || 'UTC',
+      after: app.scheduleClock()
+    });
+    if (!timing.ok) {
+      reply.code(400);
+      return { message: timing.message, reason_code: timing.reason_code };
+    }
+
+    const now = nowIso();
+    const schedule = {
+      id: makeId('sch'),
+      workspace_id: workspaceId,
+      name: asTrimmedString(body.name || '') || `${body.playbook_id} schedule`,
+      agent_id: body.agent_id,
+      playbook_id: body.playbook_id,
+      actor_id: permission.actor_id,
+      cron: timing.cron,
+      timezone: timing.timezone,
+      catch_up: body.catch_up || SCHEDULE_CATCH_UP_DEFAULT,
+      policy_context: body.policy_context || {},
+      inputs: body.inputs || {},
+      status: 'active',
+      next_fire_at: timing.next_fire_at,
+      last_fire_at: null,
+      last_fire_status: null,
+      last_run_id: null,
+      skipped_fire_count: 0,
+      created_by: permission.actor_id,
+      created_at: now,
+      updated_at: now
+    };
+
+    app.store.schedules.set(schedule.id, schedule);
+    app.stateDb.saveSchedule(schedule);
+
+    if (permission.bootstrap) {
+      bootstrapWorkspaceRoleBindings({
+        app,
+        workspaceId,
+        ownerActorId: permission.actor_id
+      });
+    }
+
+    reply.code(201);
+    return schedule;
+  });
+
+  app.get('/v0/schedules/:schedule_id', {
+    schema: {
+      params: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['schedule_id'],
+        properties: {
+          schedule_id: { type: 'string', pattern: '^sch_[A-Za-z0-9_-]{6,64}$' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const schedule = app.store.schedules.get(request.params.schedule_id);
+    if (!schedule) {
+      reply.code(404);
+      return { message: 'Schedule not found' };
+    }
+
+    const actorIdentity = resolveRequestActorId(request, {
+      fallbackActorId: app.trustedDefaultActorId
+    });
+    if (!actorIdentity.ok) {
+      reply.code(actorIdentity.errorCode);
+      return { message: actorIdentity.message };
+    }
+
+    const hasWorkspaceRole = actorHasAnyWorkspaceRole({
+      app,
+      workspaceId: schedule.workspace_id,
+      actorId: actorIdentity.actor_id
+    });
+    if (!hasWorkspaceRole && workspaceHasRoleBindings(app, schedule.workspace_id)) {
+      reply.code(403);
+      return { message: 'Actor is not assigned in workspace' };
+    }
+
+    return schedule;
+  });
+
+  app.patch('/v0/schedules/:schedule_id', {
+    schema: {
+      params: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['schedule_id'],
+        properties: {
+          schedule_id: { type: 'string', pattern: '^sch_[A-Za-z0-9_-]{6,64}$' }
+        }
+      },
+      body: {
+        type: 'object',
+        additionalProperties: false,
+        minProperties: 1,
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: 120 },
+          cron: { type: 'string', minLength: 9, maxLength: 120 },
+          timezone: { type: 'string', minLength: 1, maxLength: 64 },
+          catch_up: { type: 'string', enum: SCHEDULE_CATCH_UP_POLICIES },
+          status: { type: 'string', enum: ['active', 'paused'] },
+          policy_context: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              org_policy: { type: 'string' },
+              workspace_policy: { type: 'string' },
+              agent_policy: { type: 'string' },
+              run_override: { type: 'string' }
+            }
+          },
+          inputs: {
+            type: 'object',
+            additionalProperties: true
+          }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const schedule = app.store.schedules.get(request.params.schedule_id);
+    if (!schedule) {
+      reply.code(404);
+      return { message: 'Schedule not found' };
+    }
+
+    const permission = ensureActorPermission({
+      app,
+      request,
+      workspaceId: schedule.workspace_id,
+      permission: 'environment.manage'
+    });
+    if (!permission.ok) {
+      reply.code(permission.errorCode);
+      return { message: permission.message };
+    }
+
+    if (schedule.status === 'revoked') {
+      reply.code(409);
+      return { message: 'Schedule is revoked' };
+    }
+
+    const body = request.body;
+    // Fires run as `actor_id`, so whoever rewrites what they run takes them over and must be
+    // able to execute runs; nobody can borrow another actor's run rights through a PATCH.
+    const rebindsActor = Boolean(body.policy_context || body.inputs);
+    if (rebindsActor && !actorHasPermission({
+      app,
+      workspaceId: schedule.workspace_id,
+      actorId: permission.actor_id,
+      permission: 'run.execute'
+    })) {
+      reply.code(403);
+      return { message: 'Actor lacks permission: run.execute' };
+    }
+
+    const updated = {
+      ...schedule,
+      ...(body.name ? { name: asTrimmedString(body.name) } : {}),
+      ...(body.catch_up ? { catch_up: body.catch_up } : {}),
+      ...(body.status ? { status: body.status } : {}),
+      ...(body.policy_context ? { policy_context: body.policy_context } : {}),
+      ...(body.inputs ? { inputs: body.inputs } : {}),
+      ...(rebindsActor ? { actor_id: permission.actor_id } : {}),
+      updated_by: permission.actor_id,
+      updated_at: nowIso()
+    };
+
+    // New timing, or resuming after a pause, starts from now: windows that passed while paused
+    // were not missed by downtime and are not caught up.
+    const resumed = schedule.status === 'paused' && updated.status === 'active';
+    if (body.cron || body.timezone || resumed) {
+      const timing = compileScheduleTiming({
+        cron: body.cron || schedule.cron,
+        timezone: body.timezone || schedule.timezone,
+        after: app.scheduleClock()
+      });
+      if (!timing.ok) {
+        reply.code(400);
+        return { message: timing.message, reason_code: timing.reason_code };
+      }
+      updated.cron = timing.cron;
+      updated.timezone = timing.timezone;
+      updated.next_fire_at = timing.next_fire_at;
+    }
+
+    app.store.schedules.set(updated.id, updated);
+    app.stateDb.saveSchedule(updated);
+    return updated;
+  });
+
+  app.post('/v0/schedules/:schedule_id/revoke', {
+    schema: {
+      params: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['schedule_id'],
+        properties: {
+          schedule_id: { type: 'string', pattern: '^sch_[A-Za-z0-9_-]{6,64}$' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const schedule = app.store.schedules.get(request.params.schedule_id);
+    if (!schedule) {
+      reply.code(404);
+      return { message: 'Schedule not found' };
+    }
+
+    const permission = ensureActorPermission({
+      app,
+      request,
+      workspaceId: schedule.workspace_id,
+      permission: 'environment.manage'
+    });
+    if (!permission.ok) {
+      reply.code(permission.errorCode);
+      return { message: permission.message };
+    }
+
+    if (schedule.status === 'revoked') {
+      reply.code(409);
+      return { message: 'Schedule is already revoked' };
+    }
+
+    const now = nowIso();
+    const revoked = {
+      ...schedule,
+      status: 'revoked',
+      next_fire_at: null,
+      revoked_at: now,
+      revoked_by: permission.actor_id,
+      updated_at: now
+    };
+    app.store.schedules.set(revoked.id, revoked);
+    app.stateDb.saveSchedule(revoked);
+    return revoked;
+  });
+
+  app.get('/v0/events/subscriptions', {
+    schema: {
+      querystring: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['workspace_id'],
+        properties: {
+          workspace_id: { type: 'string', pattern: '^wsp_[A-Za-z0-9_-]{6,64}$' },
+          status: { type: 'string', enum: Array.from(EVENT_SUBSCRIPTION_STATUS_SET) },
+          limit: { type: 'integer', minimum: 1, maximum: 1000 },
+          offset: { type: 'integer', minimum: 0 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const workspaceId = asTrimmedString(request.query?.workspace_id || '');
+    const actorIdentity = resolveRequestActorId(request, {
+      fallbackActorId: app.trustedDefaultActorId
+    });
+    if (!actorIdentity.ok) {
+      reply.code(actorIdentity.errorCode);
+      return { message: actorIdentity.message };
+    }
+
+    const hasWorkspaceRole = actorHasAnyWorkspaceRole({
+      app,
+      workspaceId,
+      actorId: actorIdentity.actor_id
+    });
+    if (!hasWorkspaceRole && workspaceHasRoleBindings(app, workspaceId)) {
+      reply.code(403);
+      return { message: 'Actor is not assigned in workspace' };
+    }
+
+    const page = app.stateDb.listEventSubscriptions({
+      workspaceId,
+      status: request.query?.status,
+      limit: request.query?.limit,
+      offset: request.query?.offset
+    });
+    return {
+      total: page.total,
+      limit: page.limit,
+      offset: page.offset,
+      items: page.items.map((item) => toEventSubscriptionView(item))
+    };
+  });
+
+  app.post('/v0/events/subscriptions', {
+    schema: {
+      body: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['workspace_id', 'url', 'event_names'],
+        properties: {
+          workspace_id: { type: 'string', pattern: '^wsp_[A-Za-z0-9_-]{6,64}$' },
+          url: { type: 'string', minLength: 8, maxLength: 2048 },
+          name: { type: 'string', minLength: 1, maxLength: 120 },
+          event_names: {
+            type: 'array',
+            minItems: 1,
+            items: { type: 'string', minLength: 1, maxLength: 120 }
+          }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const body = request.body;
+    const workspaceId = asTrimmedString(body.workspace_id);
+    const permission = ensureActorPermission({
+      app,
+      request,
+      workspaceId,
+      permission: 'environment.manage',
+      allowWorkspaceBootstrap: true
+    });
+    if (!permission.ok) {
+      reply.code(permission.errorCode);
+      return { message: permission.message };
+    }
+
+    const target = parseHttpUrl(body.url);
+    if (!target) {
+      reply.code(400);
+      return { message: 'url must be a valid http/https URL' };
+    }
+    const targetCheck = await checkEventSubscriptionTarget(target, {
+      allowedHosts: app.eventSubscriptionAllowedHosts
+    });
+    if (!targetCheck.ok) {
+      reply.code(400);
+      return { message: targetCheck.message, reason_code: targetCheck.reason_code };
+    }
+
+    let eventNames;
+    try {
+      eventNames = normalizeEventSubscriptionNames(body.event_names, {
+        knownEventNames: knownAuditEventNames(app)
+      });
+    } catch (err) {
+      reply.code(400);
+      return { message: err.message };
+    }
+
+    const now = nowIso();
+    const subscription = {
+      id: makeId('evs'),
+      workspace_id: workspaceId,
+      name: asTrimmedString(body.name || '') || `${target.host} events`,
+      url: target.toString(),
+      event_names: eventNames,
+      secret: generateWebhookSecret(),
+      status: 'active',
+      created_by: permission.actor_id,
+      created_at: now,
+      updated_at: now
+    };
+
+    app.store.eventSubscriptions.set(subscription.id, subscription);
+    app.stateDb.saveEventSubscription(subscription);
+    reply.code(201);
+    return {
+      ...toEventSubscriptionView(subscription),
+      secret: subscription.secret
+    };
+  });
+
+  app.post('/v0/events/subscriptions/:subscription_id/revoke', {
+    schema: {
+      params: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['subscription_id'],
+        properties: {
+          subscription_id: { type: 'string', pattern: '^evs_[A-Za-z0-9_-]{6,64}$' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const subscription = app.store.eventSubscriptions.get(request.params.subscription_id);
+    if (!subscription) {
+      reply.code(404);
+      return { message: 'Event subscription not found' };
+    }
+
+    const permission = ensureActorPermission({
+      app,
+      request,
+      workspaceId: subscription.workspace_id,
+      permission: 'environment.manage'
+    });
+    if (!permission.ok) {
+      reply.code(permission.errorCode);
+      return { message: permission.message };
+    }
+
+    if (subscription.status === 'revoked') {
+      reply.code(409);
+      return { message: 'Event subscription is already revoked' };
+    }
+
+    const now = nowIso();
+    const revoked = {
+      ...subscription,
+      status: 'revoked',
+      revoked_at: now,
+      revoked_by: permission.actor_id,
+      updated_at: now
+    };
+    app.store.eventSubscriptions.set(revoked.id, revoked);
+    app.stateDb.saveEventSubscription(revoked);
+    return toEventSubscriptionView(revoked);
+  });
+
+  app.get('/v0/events/subscriptions/:subscription_id/deliveries', {
+    schema: {
+      params: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['subscription_id'],
+        properties: {
+          subscription_id: { type: 'string', pattern: '^evs_[A-Za-z0-9_-]{6,64}$' }
+        }
+      },
+      querystring: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          status: { type: 'string', enum: Array.from(EVENT_DELIVERY_STATUS_SET) },
+          limit: { type: 'integer', minimum: 1, maximum: 500 },
+          offset: { type: 'integer', minimum: 0 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const subscription = app.store.eventSubscriptions.get(request.params.subscription_id);
+    if (!subscription) {
+      reply.code(404);
+      return { message: 'Event subscription not found' };
     }
 
-    if (permission.bootstrap && asTrimmedString(body.actor_id) !== permission.actor_id) {
-      reply.code(403);
-      return { message: 'Bootstrap role binding can only target current actor' };
+    const actorIdentity = resolveRequestActorId(request, {
+      fallbackActorId: app.trustedDefaultActorId
+    });
+    if (!actorIdentity.ok) {
+      reply.code(actorIdentity.errorCode);
+      return { message: actorIdentity.message };
     }
 
-    const role = normalizeRoleName(body.role);
-    const actorId = asTrimmedString(body.actor_id || '');
-    const existing = listActorRoleBindings({
+    const hasWorkspaceRole = actorHasAnyWorkspaceRole({
       app,
-      workspaceId,
-      actorId
-    }).find((binding) => binding.role === role);
-
-    if (existing) {
-      reply.code(200);
-      return {
-        ...existing,
-        reused: true
-      };
+      workspaceId: subscription.workspace_id,
+      actorId: actorIdentity.actor_id
+    });
+    if (!hasWorkspaceRole && workspaceHasRoleBindings(app, subscription.workspace_id)) {
+      reply.code(403);
+      return { message: 'Actor is not assigned in workspace' };
     }
 
-    const now = nowIso();
-    const binding = {
-      id: makeId('rlb'),
-      workspace_id: workspaceId,
-      actor_id: actorId,
-      role,
-      source: permission.bootstrap ? 'workspace_bootstrap_manual' : 'manual_grant',
-      reason: asTrimmedString(body.reason || ''),
-      created_at: now,
-      updated_at: now
+    const page = app.stateDb.listEventDeliveries({
+      subscriptionId: subscription.id,
+      status: request.query?.status,
+      limit: request.query?.limit ?? 50,
+      offset: request.query?.offset
+    });
+    return {
+      subscription_id: subscription.id,
+      total: page.total,
+      limit: page.limit,
+      offset: page.offset,
+      items: page.items.map((item) => toEventDeliveryView(item))
     };
-
-    app.store.roleBindings.set(binding.id, binding);
-    app.stateDb.saveRoleBinding(binding);
-    reply.code(201);
-    return binding;
   });
 
   app.get('/v0/environments/sets', {
@@ -5202,6 +9081,9 @@ export function buildApp({
 
     const feishuWebhook = resolveFeishuWebhookFromEnvironmentSet(environmentSet);
     app.integrationRuntime.feishu_webhook_url = feishuWebhook;
+    const dingtalkWebhook = resolveDingTalkWebhookFromEnvironmentSet(environmentSet);
+    app.integrationRuntime.dingtalk_webhook_url = dingtalkWebhook.webhook_url;
+    app.integrationRuntime.dingtalk_secret = dingtalkWebhook.webhook_url ? dingtalkWebhook.secret : '';
 
     return {
       version: 'v0',
@@ -5209,9 +9091,11 @@ export function buildApp({
       set_id: environmentSet.id,
       workspace_id: environmentSet.workspace_id,
       runtime_updates: {
-        feishu_webhook_applied: Boolean(feishuWebhook)
+        feishu_webhook_applied: Boolean(feishuWebhook),
+        dingtalk_webhook_applied: Boolean(dingtalkWebhook.webhook_url)
       },
-      feishu_status: resolveFeishuConnectionStatus(app)
+      feishu_status: resolveFeishuConnectionStatus(app),
+      dingtalk_status: resolveDingTalkConnectionStatus(app)
     };
   });
 
@@ -5491,7 +9375,12 @@ export function buildApp({
     return {
       version: 'v0',
       generated_at: nowIso(),
-      ...resolveFeishuConnectionStatus(app)
+      ...resolveFeishuConnectionStatus(app),
+      event_subscription: {
+        configured: Boolean(app.feishuEventConfig.verification_token || app.feishuEventConfig.encrypt_key),
+        encrypted: Boolean(app.feishuEventConfig.encrypt_key),
+        trigger_count: app.feishuEventTriggers.length
+      }
     };
   });
 
@@ -5516,12 +9405,356 @@ export function buildApp({
     }
 
     if (clear) {
-      app.integrationRuntime.feishu_webhook_url = '';
+      app.integrationRuntime.feishu_webhook_url = '';
+      return {
+        version: 'v0',
+        updated_at: nowIso(),
+        status: 'cleared',
+        ...resolveFeishuConnectionStatus(app)
+      };
+    }
+
+    try {
+      const parsed = new URL(webhookUrl);
+      if (parsed.protocol !== 'https:') {
+        reply.code(400);
+        return { message: 'webhook_url must use https protocol' };
+      }
+    } catch {
+      reply.code(400);
+      return { message: 'webhook_url must be a valid URL' };
+    }
+
+    app.integrationRuntime.feishu_webhook_url = webhookUrl;
+    return {
+      version: 'v0',
+      updated_at: nowIso(),
+      status: 'updated',
+      ...resolveFeishuConnectionStatus(app)
+    };
+  });
+
+  app.post('/v0/integrations/feishu/test-message', {
+    schema: {
+      body: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          channel: { type: 'string', minLength: 1, maxLength: 120 },
+          content: { type: 'string', minLength: 1, maxLength: 4000 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const adapter = app.connectorAdapters.con_feishu_official;
+    if (!adapter) {
+      reply.code(501);
+      return { message: 'Feishu adapter not implemented' };
+    }
+
+    const payload = request.body || {};
+    const channel = asTrimmedString(payload.channel || 'flockmesh-onboarding');
+    const content = asTrimmedString(payload.content || 'FlockMesh onboarding Feishu connectivity test');
+
+    try {
+      const adapterResult = await withTimeout(
+        () => adapter.invoke({
+          runId: `run_probe_${shortHash({ at: nowIso(), channel, content })}`,
+          capability: 'message.send',
+          parameters: { channel, content },
+          attempt: 1,
+          runtime: buildAdapterRuntimeConfig(app)
+        }),
+        app.adapterTimeoutMs
+      );
+
+      return {
+        version: 'v0',
+        generated_at: nowIso(),
+        ...resolveFeishuConnectionStatus(app),
+        adapter_result: adapterResult
+      };
+    } catch (err) {
+      if (err instanceof AdapterCapabilityError) {
+        reply.code(409);
+        return { message: err.message };
+      }
+      if (err instanceof AdapterTimeoutError) {
+        reply.code(503);
+        return {
+          message: 'Feishu test message timed out',
+          reason_code: 'connector.invoke.timeout',
+          timeout_ms: err.timeoutMs
+        };
+      }
+      throw err;
+    }
+  });
+
+  app.post('/v0/integrations/feishu/events', {
+    preParsing: captureRawBody
+  }, async (request, reply) => {
+    const verified = openFeishuCallback(app, request, { reasonPrefix: 'feishu.events' });
+    if (!verified.ok) {
+      reply.code(verified.statusCode);
+      return { message: verified.message, reason_code: verified.reason_code };
+    }
+    const envelope = verified.envelope;
+    if (envelope?.type === 'url_verification') {
+      return { challenge: String(envelope.challenge || '') };
+    }
+
+    const config = app.feishuEventConfig;
+    const message = parseFeishuMessageEvent(envelope);
+    if (message.event_type !== FEISHU_MESSAGE_EVENT_TYPE) {
+      return { status: 'ignored', reason_code: 'feishu.events.unsupported_type', event_type: message.event_type };
+    }
+    if (message.sender_type !== 'user') {
+      return { status: 'ignored', reason_code: 'feishu.events.non_user_sender', event_id: message.event_id };
+    }
+
+    const deliveryId = message.event_id || message.message_id;
+    if (!deliveryId) {
+      reply.code(400);
+      return { message: 'Feishu event has neither event_id nor message_id', reason_code: 'feishu.events.id_missing' };
+    }
+
+    const matched = matchFeishuEventTrigger(app.feishuEventTriggers, message, {
+      botOpenId: config.bot_open_id
+    });
+    if (!matched) {
+      return { status: 'ignored', reason_code: 'feishu.events.no_matching_trigger', event_id: message.event_id };
+    }
+
+    const { rule, groups } = matched;
+    // Feishu retries deliveries it considers unacknowledged; the event id is stable across retries.
+    const dedupeKey = `feishu_event_${rule.workspace_id}_${rule.trigger_id}_${deliveryId}`;
+    const persisted = app.stateDb.getIdempotencyResult(dedupeKey);
+    if (persisted && !app.store.idempotencyResults.has(dedupeKey)) {
+      app.store.idempotencyResults.set(dedupeKey, persisted);
+    }
+    if (app.store.idempotencyResults.has(dedupeKey)) {
+      return { ...app.store.idempotencyResults.get(dedupeKey), status: 'duplicate' };
+    }
+
+    let actorId = rule.actor_id;
+    if (rule.attribute_to_sender) {
+      request.externalIdentity = {
+        workspace_id: rule.workspace_id,
+        provider: 'feishu',
+        external_user_id: message.sender_open_id
+      };
+      const sender = resolveRequestActorId(request);
+      if (!sender.ok) {
+        return {
+          status: 'ignored',
+          reason_code: 'feishu.events.sender_unmapped',
+          event_id: message.event_id,
+          trigger_id: rule.trigger_id
+        };
+      }
+      actorId = sender.actor_id;
+    }
+
+    const inputs = renderPlaybookTemplate(rule.inputs, {
+      event: {
+        text: message.text,
+        chat_id: message.chat_id,
+        message_id: message.message_id,
+        sender_open_id: message.sender_open_id,
+        groups
+      }
+    });
+    // Claimed before the first await so a retry racing the first delivery is a duplicate; a
+    // failed run creation releases it for Feishu's next retry.
+    app.store.idempotencyResults.set(dedupeKey, {
+      status: 'pending',
+      event_id: message.event_id,
+      trigger_id: rule.trigger_id
+    });
+    const runCreateRes = await app.inject({
+      method: 'POST',
+      url: '/v0/runs',
+      headers: {
+        'x-flockmesh-actor-id': actorId
+      },
+      payload: {
+        workspace_id: rule.workspace_id,
+        agent_id: rule.agent_id,
+        playbook_id: rule.playbook_id,
+        trigger: {
+          type: 'event',
+          source: `feishu.chat:${message.chat_id}/message:${message.message_id}`.slice(0, 120),
+          actor_id: actorId,
+          at: nowIso()
+        },
+        ...(Object.keys(rule.policy_context).length ? { policy_context: rule.policy_context } : {}),
+        ...(Object.keys(inputs).length ? { inputs } : {})
+      }
+    });
+    const runPayload = runCreateRes.json();
+    if (runCreateRes.statusCode !== 202) {
+      app.store.idempotencyResults.delete(dedupeKey);
+      reply.code(runCreateRes.statusCode);
+      return {
+        message: 'Feishu event trigger failed while creating run',
+        trigger_id: rule.trigger_id,
+        detail: runPayload
+      };
+    }
+
+    const result = {
+      status: 'accepted',
+      event_id: message.event_id,
+      trigger_id: rule.trigger_id,
+      run_id: runPayload.id,
+      actor_id: actorId
+    };
+    app.store.idempotencyResults.set(dedupeKey, result);
+    app.stateDb.saveIdempotencyResult({
+      key: dedupeKey,
+      runId: runPayload.id,
+      payload: result,
+      createdAt: nowIso()
+    });
+    return result;
+  });
+
+  app.post('/v0/integrations/feishu/card-actions', {
+    preParsing: captureRawBody
+  }, async (request, reply) => {
+    const verified = openFeishuCallback(app, request, {
+      reasonPrefix: 'feishu.card_actions',
+      requireSignature: true
+    });
+    if (!verified.ok) {
+      reply.code(verified.statusCode);
+      return { message: verified.message, reason_code: verified.reason_code };
+    }
+    const envelope = verified.envelope;
+    if (envelope?.type === 'url_verification') {
+      return { challenge: String(envelope.challenge || '') };
+    }
+
+    const cardAction = parseFeishuCardAction(envelope);
+    if (!cardAction) {
+      return { status: 'ignored', reason_code: 'feishu.card_actions.unsupported_type' };
+    }
+
+    // Feishu retries callbacks it considers unanswered; replay the first outcome instead of
+    // failing the retry on the revision the first click already moved.
+    const dedupeKey = cardAction.event_id ? `feishu_card_action_${cardAction.event_id}` : '';
+    const persisted = dedupeKey ? app.stateDb.getIdempotencyResult(dedupeKey) : null;
+    if (persisted) return persisted;
+
+    const outcome = await resolveChatApprovalAction(app, request, {
+      provider: 'feishu',
+      chatUserId: cardAction.chat_user_id,
+      action: cardAction.action
+    });
+    const result = {
+      toast: { type: outcome.ok ? 'success' : 'error', content: outcome.message },
+      status: outcome.status,
+      reason_code: outcome.reason_code
+    };
+    if (dedupeKey && cardAction.action) {
+      app.stateDb.saveIdempotencyResult({
+        key: dedupeKey,
+        runId: cardAction.action.run_id,
+        payload: result,
+        createdAt: nowIso()
+      });
+    }
+    return result;
+  });
+
+  app.post('/v0/integrations/slack/interactions', {
+    preParsing: captureRawBody
+  }, async (request, reply) => {
+    const signingSecret = app.slackInteractionConfig.signing_secret;
+    if (!signingSecret) {
+      reply.code(503);
+      return {
+        message: 'Slack interactivity is not configured',
+        reason_code: 'slack.interactions.not_configured'
+      };
+    }
+
+    const verification = verifySlackRequest({
+      signingSecret,
+      signature: asTrimmedString(request.headers[SLACK_SIGNATURE_HEADER]),
+      timestamp: asTrimmedString(request.headers[SLACK_TIMESTAMP_HEADER]),
+      rawBody: request.rawBody || ''
+    });
+    if (!verification.ok) {
+      reply.code(401);
+      return { message: 'Slack request failed verification', reason_code: verification.reason_code };
+    }
+
+    let payload = null;
+    try {
+      payload = JSON.parse(request.body?.payload || '');
+    } catch {
+      reply.code(400);
+      return { message: 'Slack interaction payload must be JSON', reason_code: 'slack.interactions.payload_invalid' };
+    }
+
+    const blockAction = parseSlackBlockAction(payload);
+    if (!blockAction) {
+      return { status: 'ignored', reason_code: 'slack.interactions.unsupported_type' };
+    }
+
+    const outcome = await resolveChatApprovalAction(app, request, {
+      provider: 'slack',
+      chatUserId: blockAction.chat_user_id,
+      action: blockAction.action
+    });
+    return {
+      response_type: 'ephemeral',
+      replace_original: false,
+      text: outcome.message,
+      status: outcome.status,
+      reason_code: outcome.reason_code
+    };
+  });
+
+  app.get('/v0/integrations/dingtalk/status', async () => {
+    return {
+      version: 'v0',
+      generated_at: nowIso(),
+      ...resolveDingTalkConnectionStatus(app)
+    };
+  });
+
+  app.post('/v0/integrations/dingtalk/webhook', {
+    schema: {
+      body: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          webhook_url: { type: 'string', minLength: 1, maxLength: 2000 },
+          secret: { type: 'string', minLength: 1, maxLength: 256 },
+          clear: { type: 'boolean' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const clear = request.body?.clear === true;
+    const webhookUrl = asTrimmedString(request.body?.webhook_url || '');
+
+    if (!clear && !webhookUrl) {
+      reply.code(400);
+      return { message: 'webhook_url is required unless clear=true' };
+    }
+
+    if (clear) {
+      app.integrationRuntime.dingtalk_webhook_url = '';
+      app.integrationRuntime.dingtalk_secret = '';
       return {
         version: 'v0',
         updated_at: nowIso(),
         status: 'cleared',
-        ...resolveFeishuConnectionStatus(app)
+        ...resolveDingTalkConnectionStatus(app)
       };
     }
 
@@ -5536,47 +9769,43 @@ export function buildApp({
       return { message: 'webhook_url must be a valid URL' };
     }
 
-    app.integrationRuntime.feishu_webhook_url = webhookUrl;
+    app.integrationRuntime.dingtalk_webhook_url = webhookUrl;
+    app.integrationRuntime.dingtalk_secret = asTrimmedString(request.body?.secret || '');
     return {
       version: 'v0',
       updated_at: nowIso(),
       status: 'updated',
-      ...resolveFeishuConnectionStatus(app)
+      ...resolveDingTalkConnectionStatus(app)
     };
   });
 
-  app.post('/v0/integrations/feishu/test-message', {
+  app.post('/v0/integrations/dingtalk/test-message', {
     schema: {
       body: {
         type: 'object',
         additionalProperties: false,
         properties: {
-          channel: { type: 'string', minLength: 1, maxLength: 120 },
           content: { type: 'string', minLength: 1, maxLength: 4000 }
         }
       }
     }
   }, async (request, reply) => {
-    const adapter = app.connectorAdapters.con_feishu_official;
+    const adapter = app.connectorAdapters.con_dingtalk_official;
     if (!adapter) {
       reply.code(501);
-      return { message: 'Feishu adapter not implemented' };
+      return { message: 'DingTalk adapter not implemented' };
     }
 
-    const payload = request.body || {};
-    const channel = asTrimmedString(payload.channel || 'flockmesh-onboarding');
-    const content = asTrimmedString(payload.content || 'FlockMesh onboarding Feishu connectivity test');
+    const content = asTrimmedString(request.body?.content || 'FlockMesh onboarding DingTalk connectivity test');
 
     try {
       const adapterResult = await withTimeout(
         () => adapter.invoke({
-          runId: `run_probe_${shortHash({ at: nowIso(), channel, content })}`,
+          runId: `run_probe_${shortHash({ at: nowIso(), content })}`,
           capability: 'message.send',
-          parameters: { channel, content },
+          parameters: { content },
           attempt: 1,
-          runtime: {
-            feishuWebhookUrl: resolveActiveFeishuWebhook(app).webhook_url
-          }
+          runtime: buildAdapterRuntimeConfig(app)
         }),
         app.adapterTimeoutMs
       );
@@ -5584,7 +9813,7 @@ export function buildApp({
       return {
         version: 'v0',
         generated_at: nowIso(),
-        ...resolveFeishuConnectionStatus(app),
+        ...resolveDingTalkConnectionStatus(app),
         adapter_result: adapterResult
       };
     } catch (err) {
@@ -5595,11 +9824,19 @@ export function buildApp({
       if (err instanceof AdapterTimeoutError) {
         reply.code(503);
         return {
-          message: 'Feishu test message timed out',
+          message: 'DingTalk test message timed out',
           reason_code: 'connector.invoke.timeout',
           timeout_ms: err.timeoutMs
         };
       }
+      if (err?.code === 'DINGTALK_DELIVERY_FAILED') {
+        reply.code(503);
+        return {
+          message: err.message,
+          reason_code: 'connector.invoke.error',
+          errcode: err.errcode
+        };
+      }
       throw err;
     }
   });
@@ -6037,22 +10274,26 @@ export function buildApp({
       };
     }
 
-    const actionIntent = buildAdapterActionIntent({
-      runId: body.run_id,
-      bindingId: binding.id,
-      connectorId,
-      capability: body.capability,
-      sideEffect: body.side_effect,
-      riskHint: body.risk_hint,
-      idempotencyKey: body.idempotency_key,
-      parameters: body.parameters
+    const actionIntent = annotateEmailIntentTarget(app, {
+      workspaceId: body.workspace_id,
+      intent: buildAdapterActionIntent({
+        runId: body.run_id,
+        bindingId: binding.id,
+        connectorId,
+        capability: body.capability,
+        sideEffect: body.side_effect,
+        riskHint: body.risk_hint,
+        idempotencyKey: body.idempotency_key,
+        parameters: body.parameters
+      })
     });
 
     const policyDecision = evaluatePolicy({
       runId: body.run_id,
       actionIntent,
       policyContext: body.policy_context || defaultPolicyContext(),
-      policyLibrary: app.policyLibrary
+      policyLibrary: app.policyLibrary,
+      conditionContext: buildPolicyConditionContext(app, { runId: body.run_id, agentId: body.agent_id })
     });
 
     let adapterPreview;
@@ -6062,9 +10303,7 @@ export function buildApp({
           runId: body.run_id,
           capability: body.capability,
           parameters: body.parameters,
-          runtime: {
-            feishuWebhookUrl: resolveActiveFeishuWebhook(app).webhook_url
-          }
+          runtime: buildAdapterRuntimeConfig(app, { workspaceId: body.workspace_id, connectorId })
         }),
         app.adapterTimeoutMs
       );
@@ -6254,22 +10493,26 @@ export function buildApp({
       };
     }
 
-    const actionIntent = buildAdapterActionIntent({
-      runId: body.run_id,
-      bindingId: binding.id,
-      connectorId,
-      capability: body.capability,
-      sideEffect: body.side_effect,
-      riskHint: body.risk_hint,
-      idempotencyKey: body.idempotency_key,
-      parameters: body.parameters
+    const actionIntent = annotateEmailIntentTarget(app, {
+      workspaceId: body.workspace_id,
+      intent: buildAdapterActionIntent({
+        runId: body.run_id,
+        bindingId: binding.id,
+        connectorId,
+        capability: body.capability,
+        sideEffect: body.side_effect,
+        riskHint: body.risk_hint,
+        idempotencyKey: body.idempotency_key,
+        parameters: body.parameters
+      })
     });
 
     const policyDecision = evaluatePolicy({
       runId: body.run_id,
       actionIntent,
       policyContext: body.policy_context || defaultPolicyContext(),
-      policyLibrary: app.policyLibrary
+      policyLibrary: app.policyLibrary,
+      conditionContext: buildPolicyConditionContext(app, { runId: body.run_id, agentId: body.agent_id })
     });
 
     await appendAudit({
@@ -6433,9 +10676,7 @@ export function buildApp({
             parameters: body.parameters,
             idempotencyKey: key,
             attempt,
-            runtime: {
-              feishuWebhookUrl: resolveActiveFeishuWebhook(app).webhook_url
-            }
+            runtime: buildAdapterRuntimeConfig(app, { workspaceId: body.workspace_id, connectorId })
           }),
           app.adapterTimeoutMs
         );
@@ -6585,6 +10826,7 @@ export function buildApp({
       name: 'connector.invoked',
       payload: execution
     });
+    await appendDeliveryReceiptEvent({ app, runId: body.run_id, execution });
 
     await appendAudit({
       app,
@@ -6593,7 +10835,8 @@ export function buildApp({
         eventType: 'connector.invoke.executed',
         actorInfo: actor('agent', body.agent_id),
         payload: execution,
-        decisionRef: policyDecision.id
+        decisionRef: policyDecision.id,
+        contentChange: buildAuditContentChange(execution)
       })
     });
 
@@ -7027,7 +11270,7 @@ export function buildApp({
               properties: {
                 capability: {
                   type: 'string',
-                  pattern: '^(\\*|[a-z][a-z0-9_]*(\\.[a-z][a-z0-9_]*)+)$'
+                  pattern: '^(\\*|(\\*|[a-z][a-z0-9_]*)(\\.(\\*|[a-z][a-z0-9_]*))+)$'
                 },
                 decision: {
                   type: 'string',
@@ -7037,7 +11280,16 @@ export function buildApp({
                   type: 'integer',
                   minimum: 1,
                   maximum: 5
-                }
+                },
+                approval_ttl_seconds: {
+                  type: 'integer',
+                  minimum: APPROVAL_TTL_MIN_SECONDS,
+                  maximum: APPROVAL_TTL_MAX_SECONDS
+                },
+                approver_constraints: {
+                  $ref: 'https://flockmesh.dev/spec/schemas/policy-approver-constraints.schema.json#'
+                },
+                when: { $ref: 'https://flockmesh.dev/spec/schemas/policy-rule-condition.schema.json#' }
               }
             }
           },
@@ -7053,6 +11305,11 @@ export function buildApp({
           expected_profile_hash: {
             type: 'string',
             pattern: '^sha256:[a-f0-9]{64}$'
+          },
+          impact_run_limit: {
+            type: 'integer',
+            minimum: 0,
+            maximum: POLICY_PATCH_IMPACT_RUN_LIMIT_MAX
           }
         },
         allOf: [
@@ -7072,6 +11329,7 @@ export function buildApp({
       },
       response: {
         200: { $ref: 'https://flockmesh.dev/spec/schemas/policy-profile-patch-result.schema.json#' },
+        202: { $ref: 'https://flockmesh.dev/spec/schemas/policy-profile-patch-result.schema.json#' },
         403: {
           type: 'object',
           additionalProperties: false,
@@ -7144,7 +11402,7 @@ export function buildApp({
         };
       }
       const patchRules = normalizePolicyPatchRules(body.patch_rules);
-      const beforeRules = profileRulesToList(beforeProfile);
+      const beforeRules = profileDeclaredRulesToList(beforeProfile);
       const afterProfile = buildPatchedPolicyProfile({
         profileName,
         beforeProfile,
@@ -7159,7 +11417,7 @@ export function buildApp({
       );
       const afterProfileHash = hashPolicyProfileDocument(afterDocument);
       compilePolicyProfileDsl(afterDocument, { source: 'policy.patch.runtime' });
-      const afterRules = profileRulesToList(afterProfile);
+      const afterRules = profileDeclaredRulesToList(afterProfile);
       const compared = comparePolicyRules({
         beforeRules,
         afterRules
@@ -7169,16 +11427,28 @@ export function buildApp({
         patch_rules: patchRules.length
       };
 
-      const afterLibrary = {
+      const afterLibrary = resolvePolicyProfileInheritance({
         ...app.policyLibrary,
         [profileName]: afterProfile
-      };
+      }, { source: 'policy.patch.runtime' });
       const simulationPreview = simulatePolicyPatch({
         profileName,
         patchRules,
         beforeLibrary: app.policyLibrary,
         afterLibrary
       });
+      const descendantImpact = buildPolicyDescendantImpact({
+        profileName,
+        patchRules,
+        beforeLibrary: app.policyLibrary,
+        afterLibrary
+      });
+      const historicalImpact = analyzePolicyPatchHistoricalImpact({
+        app,
+        runLimit: body.impact_run_limit ?? POLICY_PATCH_IMPACT_RUN_LIMIT_DEFAULT,
+        beforeLibrary: app.policyLibrary,
+        afterLibrary
+      });
 
       const filePath = path.join(rootDir, 'policies', `${profileName}.policy.json`);
       const reason = String(body.reason || '').trim();
@@ -7186,6 +11456,7 @@ export function buildApp({
       let persisted = false;
       let auditEntry = null;
       let patchId = null;
+      let proposal = null;
 
       if (mode === 'apply') {
         const authz = canActorManagePolicyProfile({
@@ -7201,55 +11472,30 @@ export function buildApp({
           };
         }
 
-        await fs.mkdir(path.dirname(filePath), { recursive: true });
-        await fs.writeFile(filePath, `${JSON.stringify(afterDocument, null, 2)}\n`, 'utf8');
-        app.policyLibrary[profileName] = afterProfile;
-        persisted = true;
-        patchId = makeId('pph');
-
-        const auditRunId = makeId('run');
-        auditEntry = makeAuditEntry({
-          runId: auditRunId,
-          eventType: 'policy.patch.applied',
+        const change = {
+          operation: 'patch',
+          profileName,
           actorInfo,
-          payload: {
-            profile_name: profileName,
-            mode,
-            reason,
-            summary,
-            patch_rules: patchRules,
-            simulation_preview: simulationPreview
-          }
-        });
-        await appendAudit({ app, entry: auditEntry });
-
-        await appendPolicyPatchHistoryEntry({
-          rootDir,
-          entry: {
-            version: 'v0',
-            patch_id: patchId,
-            operation: 'patch',
-            rollback_target_patch_id: '',
-            rollback_target_state: '',
-            profile_name: profileName,
-            actor_id: actorInfo.id,
-            reason,
-            applied_at: nowIso(),
-            file_path: filePath,
-            before_profile_hash: beforeProfileHash,
-            after_profile_hash: afterProfileHash,
-            summary,
-            changes: {
-              added_capabilities: compared.added_capabilities,
-              updated_capabilities: compared.updated_capabilities,
-              removed_capabilities: compared.removed_capabilities,
-              unchanged_capabilities: compared.unchanged_capabilities
-            },
-            simulation_preview: simulationPreview,
-            before_document: beforeDocument,
-            after_document: afterDocument
-          }
-        });
+          reason,
+          filePath,
+          beforeDocument,
+          afterDocument,
+          beforeProfileHash,
+          afterProfileHash,
+          summary,
+          compared,
+          patchRules,
+          simulationPreview
+        };
+        const quorum = resolvePolicyProfileQuorum({ config: app.policyAdminConfig, profileName });
+        if (quorum > 1) {
+          proposal = buildPolicyPatchProposal({ ...change, quorum });
+          auditEntry = await submitPolicyPatchProposal(app, { proposal });
+          reply.code(202);
+        } else {
+          ({ patchId, auditEntry } = await applyPolicyProfileChange(app, { rootDir, ...change }));
+          persisted = true;
+        }
       }
 
       return buildPolicyPatchResponsePayload({
@@ -7265,6 +11511,9 @@ export function buildApp({
         afterRules,
         compared,
         simulationPreview,
+        descendantImpact,
+        historicalImpact,
+        proposal,
         auditEntry,
         patchId,
         beforeProfileHash,
@@ -7330,6 +11579,7 @@ export function buildApp({
       },
       response: {
         200: { $ref: 'https://flockmesh.dev/spec/schemas/policy-profile-patch-result.schema.json#' },
+        202: { $ref: 'https://flockmesh.dev/spec/schemas/policy-profile-patch-result.schema.json#' },
         403: {
           type: 'object',
           additionalProperties: false,
@@ -7434,8 +11684,8 @@ export function buildApp({
       const afterProfile = compilePolicyProfileDsl(targetDocument, {
         source: `policy.rollback.${targetEntry.patch_id || 'unknown'}`
       });
-      const beforeRules = profileRulesToList(beforeProfile);
-      const afterRules = profileRulesToList(afterProfile);
+      const beforeRules = profileDeclaredRulesToList(beforeProfile);
+      const afterRules = profileDeclaredRulesToList(afterProfile);
       const patchRules = toPolicyRulePatchList(afterRules);
       const compared = comparePolicyRules({
         beforeRules,
@@ -7445,16 +11695,22 @@ export function buildApp({
         ...compared.summary
       };
 
-      const afterLibrary = {
+      const afterLibrary = resolvePolicyProfileInheritance({
         ...app.policyLibrary,
         [profileName]: afterProfile
-      };
+      }, { source: 'policy.rollback.runtime' });
       const simulationPreview = simulatePolicyPatch({
         profileName,
         patchRules,
         beforeLibrary: app.policyLibrary,
         afterLibrary
       });
+      const descendantImpact = buildPolicyDescendantImpact({
+        profileName,
+        patchRules,
+        beforeLibrary: app.policyLibrary,
+        afterLibrary
+      });
 
       const filePath = path.join(rootDir, 'policies', `${profileName}.policy.json`);
       const reason = String(body.reason || '').trim() || `rollback to ${targetState}:${targetEntry.patch_id}`;
@@ -7462,6 +11718,7 @@ export function buildApp({
       let persisted = false;
       let auditEntry = null;
       let patchId = null;
+      let proposal = null;
 
       if (mode === 'apply') {
         const authz = canActorManagePolicyProfile({
@@ -7477,56 +11734,32 @@ export function buildApp({
           };
         }
 
-        await fs.mkdir(path.dirname(filePath), { recursive: true });
-        await fs.writeFile(filePath, `${JSON.stringify(targetDocument, null, 2)}\n`, 'utf8');
-        app.policyLibrary[profileName] = afterProfile;
-        persisted = true;
-        patchId = makeId('pph');
-
-        const auditRunId = makeId('run');
-        auditEntry = makeAuditEntry({
-          runId: auditRunId,
-          eventType: 'policy.rollback.applied',
+        const change = {
+          operation: 'rollback',
+          profileName,
           actorInfo,
-          payload: {
-            profile_name: profileName,
-            mode,
-            reason,
-            rollback_target_patch_id: targetEntry.patch_id,
-            rollback_target_state: targetState,
-            summary,
-            simulation_preview: simulationPreview
-          }
-        });
-        await appendAudit({ app, entry: auditEntry });
-
-        await appendPolicyPatchHistoryEntry({
-          rootDir,
-          entry: {
-            version: 'v0',
-            patch_id: patchId,
-            operation: 'rollback',
-            rollback_target_patch_id: targetEntry.patch_id,
-            rollback_target_state: targetState,
-            profile_name: profileName,
-            actor_id: actorInfo.id,
-            reason,
-            applied_at: nowIso(),
-            file_path: filePath,
-            before_profile_hash: beforeProfileHash,
-            after_profile_hash: afterProfileHash,
-            summary,
-            changes: {
-              added_capabilities: compared.added_capabilities,
-              updated_capabilities: compared.updated_capabilities,
-              removed_capabilities: compared.removed_capabilities,
-              unchanged_capabilities: compared.unchanged_capabilities
-            },
-            simulation_preview: simulationPreview,
-            before_document: beforeDocument,
-            after_document: targetDocument
-          }
-        });
+          reason,
+          filePath,
+          beforeDocument,
+          afterDocument: targetDocument,
+          beforeProfileHash,
+          afterProfileHash,
+          summary,
+          compared,
+          patchRules,
+          simulationPreview,
+          rollbackTargetPatchId: targetEntry.patch_id,
+          rollbackTargetState: targetState
+        };
+        const quorum = resolvePolicyProfileQuorum({ config: app.policyAdminConfig, profileName });
+        if (quorum > 1) {
+          proposal = buildPolicyPatchProposal({ ...change, quorum });
+          auditEntry = await submitPolicyPatchProposal(app, { proposal });
+          reply.code(202);
+        } else {
+          ({ patchId, auditEntry } = await applyPolicyProfileChange(app, { rootDir, ...change }));
+          persisted = true;
+        }
       }
 
       return buildPolicyPatchResponsePayload({
@@ -7542,6 +11775,8 @@ export function buildApp({
         afterRules,
         compared,
         simulationPreview,
+        descendantImpact,
+        proposal,
         auditEntry,
         patchId,
         rollbackTargetPatchId: targetEntry.patch_id || null,
@@ -7554,6 +11789,308 @@ export function buildApp({
     }
   });
 
+  app.get('/v0/policy/proposals', {
+    schema: {
+      querystring: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          profile_name: {
+            type: 'string',
+            pattern: '^[a-z][a-z0-9_]{2,80}$'
+          },
+          status: {
+            type: 'string',
+            enum: POLICY_PATCH_PROPOSAL_STATUSES
+          },
+          limit: { type: 'integer', minimum: 1, maximum: 500 },
+          offset: { type: 'integer', minimum: 0 }
+        }
+      },
+      response: {
+        200: { $ref: 'https://flockmesh.dev/spec/schemas/policy-patch-proposal-list.schema.json#' }
+      }
+    }
+  }, async (request) => {
+    const query = request.query || {};
+    const page = app.stateDb.listPolicyPatchProposals({
+      profileName: query.profile_name,
+      status: query.status,
+      limit: query.limit,
+      offset: query.offset
+    });
+
+    return {
+      version: 'v0',
+      generated_at: nowIso(),
+      total: page.total,
+      limit: page.limit,
+      offset: page.offset,
+      items: page.items.map(toPolicyPatchProposalView)
+    };
+  });
+
+  app.get('/v0/policy/proposals/:proposal_id', {
+    schema: {
+      params: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['proposal_id'],
+        properties: {
+          proposal_id: { type: 'string', pattern: '^ppr_[A-Za-z0-9_-]{6,64}$' }
+        }
+      },
+      response: {
+        200: { $ref: 'https://flockmesh.dev/spec/schemas/policy-patch-proposal.schema.json#' }
+      }
+    }
+  }, async (request, reply) => {
+    const proposal = app.stateDb.getPolicyPatchProposal(request.params.proposal_id);
+    if (!proposal) {
+      reply.code(404);
+      return { message: `Policy patch proposal not found: ${request.params.proposal_id}` };
+    }
+    return toPolicyPatchProposalView(proposal);
+  });
+
+  app.post('/v0/policy/proposals/:proposal_id/approve', {
+    schema: {
+      params: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['proposal_id'],
+        properties: {
+          proposal_id: { type: 'string', pattern: '^ppr_[A-Za-z0-9_-]{6,64}$' }
+        }
+      },
+      body: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          actor_id: {
+            type: 'string',
+            minLength: 3,
+            maxLength: 128
+          },
+          note: {
+            type: 'string',
+            maxLength: 320
+          }
+        }
+      },
+      response: {
+        200: { $ref: 'https://flockmesh.dev/spec/schemas/policy-patch-proposal.schema.json#' },
+        403: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['message', 'reason_code'],
+          properties: {
+            message: { type: 'string' },
+            reason_code: { type: 'string' }
+          }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const decision = authorizePolicyProposalDecision(app, request, { verb: 'approve' });
+    if (!decision.ok) {
+      reply.code(decision.errorCode);
+      return decision.payload;
+    }
+    const { proposal, actorInfo } = decision;
+
+    if (proposal.approvals.some((item) => item.actor_id === actorInfo.id)) {
+      reply.code(403);
+      return {
+        message: `Actor has already approved policy patch proposal: ${proposal.id}`,
+        reason_code: 'policy.proposal.duplicate_approver'
+      };
+    }
+
+    const decidedAt = nowIso();
+    const next = {
+      ...proposal,
+      approvals: [...proposal.approvals, { actor_id: actorInfo.id, approved_at: decidedAt }],
+      updated_at: decidedAt
+    };
+    const quorumReached = next.approvals.length >= next.quorum;
+
+    if (quorumReached) {
+      const currentProfile = app.policyLibrary[next.profile_name];
+      const currentProfileHash = currentProfile
+        ? hashPolicyProfileDocument(normalizePolicyFileDocument(
+            toPolicyProfileDocument({ profileName: next.profile_name, profile: currentProfile }),
+            { profileName: next.profile_name }
+          ))
+        : '';
+      if (currentProfileHash !== next.before_profile_hash) {
+        reply.code(409);
+        return {
+          message: `Policy profile changed since proposal was submitted: ${next.profile_name}`
+        };
+      }
+      // Another proposal from the same base hash may be mid-apply and not yet visible in the
+      // library; it owns the profile until it settles.
+      const applying = app.stateDb.listPolicyPatchProposals({
+        profileName: next.profile_name,
+        status: 'applying',
+        limit: 1
+      });
+      if (applying.total > 0) {
+        reply.code(409);
+        return {
+          message: `Another policy patch proposal is being applied to profile: ${next.profile_name}`
+        };
+      }
+      next.status = 'applying';
+    }
+
+    // Record the approval (and claim the apply) before the first await, so a concurrent approve
+    // or reject of the same revision gets a conflict instead of a second apply.
+    let claimed;
+    try {
+      claimed = app.stateDb.savePolicyPatchProposal(next, { expectedRevision: proposal.revision || 0 });
+    } catch (err) {
+      if (!(err instanceof RevisionConflictError)) throw err;
+      reply.code(409);
+      return { message: `Policy patch proposal changed concurrently: ${proposal.id}` };
+    }
+
+    await appendAudit({
+      app,
+      entry: makeAuditEntry({
+        runId: next.audit_run_id,
+        eventType: 'policy.proposal.approved',
+        actorInfo,
+        payload: {
+          proposal_id: next.id,
+          profile_name: next.profile_name,
+          approvals: next.approvals.length,
+          quorum: next.quorum,
+          note: String(request.body?.note || '').trim()
+        }
+      })
+    });
+
+    if (!quorumReached) return toPolicyPatchProposalView(claimed);
+
+    let patchId;
+    try {
+      ({ patchId } = await applyPolicyProfileChange(app, {
+        rootDir,
+        operation: next.operation,
+        profileName: next.profile_name,
+        actorInfo: resolvePolicyPatchActor(next.proposer_id),
+        reason: next.reason,
+        filePath: next.file_path,
+        beforeDocument: next.before_document,
+        afterDocument: next.after_document,
+        beforeProfileHash: next.before_profile_hash,
+        afterProfileHash: next.after_profile_hash,
+        summary: next.summary,
+        compared: next.changes,
+        patchRules: next.patch_rules,
+        simulationPreview: next.simulation_preview,
+        rollbackTargetPatchId: next.rollback_target_patch_id,
+        rollbackTargetState: next.rollback_target_state,
+        proposal: next
+      }));
+    } catch (err) {
+      app.stateDb.savePolicyPatchProposal(reopenPolicyPatchProposal(claimed));
+      throw err;
+    }
+
+    const applied = app.stateDb.savePolicyPatchProposal({
+      ...claimed,
+      status: 'applied',
+      patch_id: patchId,
+      decided_at: decidedAt
+    }, { expectedRevision: claimed.revision });
+    return toPolicyPatchProposalView(applied);
+  });
+
+  app.post('/v0/policy/proposals/:proposal_id/reject', {
+    schema: {
+      params: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['proposal_id'],
+        properties: {
+          proposal_id: { type: 'string', pattern: '^ppr_[A-Za-z0-9_-]{6,64}$' }
+        }
+      },
+      body: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          actor_id: {
+            type: 'string',
+            minLength: 3,
+            maxLength: 128
+          },
+          note: {
+            type: 'string',
+            maxLength: 320
+          }
+        }
+      },
+      response: {
+        200: { $ref: 'https://flockmesh.dev/spec/schemas/policy-patch-proposal.schema.json#' },
+        403: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['message', 'reason_code'],
+          properties: {
+            message: { type: 'string' },
+            reason_code: { type: 'string' }
+          }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const decision = authorizePolicyProposalDecision(app, request, { verb: 'reject' });
+    if (!decision.ok) {
+      reply.code(decision.errorCode);
+      return decision.payload;
+    }
+    const { proposal, actorInfo } = decision;
+
+    const decidedAt = nowIso();
+    const note = String(request.body?.note || '').trim();
+    const next = {
+      ...proposal,
+      status: 'rejected',
+      rejection: { actor_id: actorInfo.id, note, rejected_at: decidedAt },
+      updated_at: decidedAt,
+      decided_at: decidedAt
+    };
+
+    let rejected;
+    try {
+      rejected = app.stateDb.savePolicyPatchProposal(next, { expectedRevision: proposal.revision || 0 });
+    } catch (err) {
+      if (!(err instanceof RevisionConflictError)) throw err;
+      reply.code(409);
+      return { message: `Policy patch proposal changed concurrently: ${proposal.id}` };
+    }
+
+    await appendAudit({
+      app,
+      entry: makeAuditEntry({
+        runId: next.audit_run_id,
+        eventType: 'policy.proposal.rejected',
+        actorInfo,
+        payload: {
+          proposal_id: next.id,
+          profile_name: next.profile_name,
+          note
+        }
+      })
+    });
+
+    return toPolicyPatchProposalView(rejected);
+  });
+
   app.post('/v0/policy/evaluate', {
     schema: {
       body: {
@@ -7572,6 +12109,15 @@ export function buildApp({
               agent_policy: { type: 'string' },
               run_override: { type: 'string' }
             }
+          },
+          condition_context: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              trigger_type: { type: 'string', minLength: 1, maxLength: 64 },
+              agent_role: { type: 'string', minLength: 1, maxLength: 128 },
+              at: { type: 'string', format: 'date-time' }
+            }
           }
         }
       },
@@ -7584,7 +12130,8 @@ export function buildApp({
       runId: request.body.run_id,
       actionIntent: request.body.action_intent,
       policyContext: request.body.policy_context,
-      policyLibrary: app.policyLibrary
+      policyLibrary: app.policyLibrary,
+      conditionContext: request.body.condition_context
     });
 
     return decision;
@@ -7612,6 +12159,15 @@ export function buildApp({
               agent_policy: { type: 'string' },
               run_override: { type: 'string' }
             }
+          },
+          condition_context: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              trigger_type: { type: 'string', minLength: 1, maxLength: 64 },
+              agent_role: { type: 'string', minLength: 1, maxLength: 128 },
+              at: { type: 'string', format: 'date-time' }
+            }
           }
         }
       },
@@ -7625,7 +12181,8 @@ export function buildApp({
         runId: request.body.run_id,
         actionIntent: intent,
         policyContext: request.body.policy_context,
-        policyLibrary: app.policyLibrary
+        policyLibrary: app.policyLibrary,
+        conditionContext: request.body.condition_context
       })
     );
 
@@ -7681,6 +12238,10 @@ export function buildApp({
               agent_policy: { type: 'string' },
               run_override: { type: 'string' }
             }
+          },
+          inputs: {
+            type: 'object',
+            additionalProperties: true
           }
         }
       },
@@ -7736,6 +12297,20 @@ export function buildApp({
       return { message: 'Agent workspace does not match run workspace_id' };
     }
 
+    const playbook = app.playbookLibrary[body.playbook_id] || null;
+    let playbookInputs = {};
+    if (playbook) {
+      try {
+        playbookInputs = resolvePlaybookInputs({ playbook, inputs: body.inputs });
+      } catch (err) {
+        reply.code(400);
+        return { message: err.message };
+      }
+    } else if (body.inputs && Object.keys(body.inputs).length) {
+      reply.code(400);
+      return { message: `Playbook does not declare inputs: ${body.playbook_id}` };
+    }
+
     let run = buildRunRecord({
       workspaceId: body.workspace_id,
       agentId: body.agent_id,
@@ -7765,17 +12340,36 @@ export function buildApp({
       })
     });
 
-    const binding = findBindingForAgent(
-      app.store,
-      body.agent_id,
-      body.workspace_id,
-      'message.send'
-    );
+    if (playbook) {
+      run.action_intents = expandPlaybookActionIntents({
+        playbook,
+        run,
+        inputs: playbookInputs,
+        resolveConnectorBindingId: (capability) => findBindingForAgent(
+          app.store,
+          body.agent_id,
+          body.workspace_id,
+          capability
+        )?.id
+      });
+    } else {
+      // Unregistered playbooks keep the legacy single-step summary plan.
+      const binding = findBindingForAgent(
+        app.store,
+        body.agent_id,
+        body.workspace_id,
+        'message.send'
+      );
 
-    run.action_intents = buildDefaultActionIntents({
-      runId: run.id,
-      connectorBindingId: binding?.id
-    });
+      run.action_intents = buildDefaultActionIntents({
+        runId: run.id,
+        connectorBindingId: binding?.id
+      });
+    }
+    run.action_intents = run.action_intents.map((intent) => annotateEmailIntentTarget(app, {
+      workspaceId: body.workspace_id,
+      intent
+    }));
 
     for (const intent of run.action_intents) {
       await appendAudit({
@@ -7803,7 +12397,8 @@ export function buildApp({
         runId: run.id,
         actionIntent: intent,
         policyContext,
-        policyLibrary: app.policyLibrary
+        policyLibrary: app.policyLibrary,
+        conditionContext: buildPolicyConditionContext(app, { run, agentId: agent.id })
       })
     );
 
@@ -7840,14 +12435,16 @@ export function buildApp({
       const pendingMap = new Map();
       for (const decision of run.policy_decisions) {
         if (decision.decision !== 'escalate') continue;
-        run.approval_state[decision.action_intent_id] = {
-          decision_id: decision.id,
-          required_approvals: decision.required_approvals,
-          approved_by: []
-        };
+        const approvalState = buildApprovalState({
+          app,
+          decision,
+          initiatorId: run.trigger?.actor_id || ''
+        });
+        run.approval_state[decision.action_intent_id] = approvalState;
         pendingMap.set(decision.action_intent_id, {
           decision_id: decision.id,
           required_approvals: decision.required_approvals,
+          expires_at: approvalState.expires_at,
           approvals: new Set()
         });
 
@@ -7859,7 +12456,8 @@ export function buildApp({
             actorInfo: actor('system', 'runtime'),
             payload: {
               action_intent_id: decision.action_intent_id,
-              required_approvals: decision.required_approvals
+              required_approvals: decision.required_approvals,
+              expires_at: approvalState.expires_at
             },
             decisionRef: decision.id
           })
@@ -7868,42 +12466,16 @@ export function buildApp({
       app.store.pendingApprovals.set(run.id, pendingMap);
     }
 
-    if (run.status === 'running') {
-      const executionSummary = await executeAllowedIntents({ app, run });
-      if (executionSummary?.ok) {
-        run.status = 'completed';
-        run.ended_at = nowIso();
-
-        await appendAudit({
-          app,
-          entry: makeAuditEntry({
-            runId: run.id,
-            eventType: 'run.completed',
-            actorInfo: actor('system', 'runtime'),
-            payload: { status: run.status }
-          })
-        });
-      } else {
-        run.status = 'failed';
-        run.ended_at = nowIso();
-
-        await appendAudit({
-          app,
-          entry: makeAuditEntry({
-            runId: run.id,
-            eventType: 'run.failed',
-            actorInfo: actor('system', 'runtime'),
-            payload: {
-              reason: executionSummary?.reason_code || 'action.execute.error',
-              failed_intent_id: executionSummary?.failed_intent_id || ''
-            }
-          })
-        });
-      }
+    if (run.status !== 'failed') {
+      ensureRunStepStates({ app, run });
+      run = app.stateDb.saveRun(run);
+      app.store.runs.set(run.id, run);
+      run = await advanceRunExecution({ app, run });
     }
 
     run = app.stateDb.saveRun(run);
     app.store.runs.set(run.id, run);
+    await postApprovalCards(app, run);
 
     reply.code(202);
     return run;
@@ -7964,17 +12536,19 @@ export function buildApp({
       return { message: 'Run not found' };
     }
 
-    const workspaceBootstrap = !workspaceHasRoleBindings(app, run.workspace_id);
-    const canResolveApproval = actorHasPermission({
+    const approvalPermission = ensureActorPermission({
       app,
+      request,
       workspaceId: run.workspace_id,
-      actorId: actorIdentity.actor_id,
-      permission: 'approval.resolve'
+      permission: 'approval.resolve',
+      allowWorkspaceBootstrap: true
     });
-    if (!workspaceBootstrap && !canResolveApproval) {
-      reply.code(403);
-      return { message: 'Actor lacks permission: approval.resolve' };
+    if (!approvalPermission.ok) {
+      reply.code(approvalPermission.errorCode);
+      return { message: approvalPermission.message };
     }
+    const delegation = approvalPermission.delegation || null;
+    const principalId = delegation ? delegation.principal_id : approvedBy;
 
     if (run.status !== 'waiting_approval') {
       reply.code(409);
@@ -7996,6 +12570,12 @@ export function buildApp({
       return { message: 'Approval target not found' };
     }
 
+    if (listExpiredApprovalIntentIds(run).length) {
+      await expireRunApprovals({ app, run });
+      reply.code(409);
+      return { message: 'Approval window expired' };
+    }
+
     const decision = run.policy_decisions.find((item) => item.action_intent_id === actionIntentId);
     const intent = run.action_intents.find((item) => item.id === actionIntentId);
     if (!decision || !intent) {
@@ -8003,6 +12583,40 @@ export function buildApp({
       return { message: 'Action intent or policy decision missing' };
     }
 
+    // Denials fail the run, so they need the same eligibility; distinct_roles only decides
+    // which role an approval is credited to.
+    let constraintCheck = null;
+    if (approvalState.approver_constraints) {
+      constraintCheck = checkApproverConstraints({
+        constraints: approved
+          ? approvalState.approver_constraints
+          : { ...approvalState.approver_constraints, distinct_roles: false },
+        approverId: principalId,
+        delegateId: delegation ? approvedBy : '',
+        approverRoles: resolveActorPermissions({
+          app,
+          workspaceId: run.workspace_id,
+          actorId: principalId
+        }).roles,
+        initiatorId: approvalState.initiator_id || '',
+        creditedRoles: approvalState.credited_roles || {}
+      });
+      if (!constraintCheck.ok) {
+        reply.code(403);
+        return {
+          message: constraintCheck.message,
+          reason_code: constraintCheck.reasonCode
+        };
+      }
+    }
+    const approvalConstraints = constraintCheck
+      ? {
+          satisfied: constraintCheck.satisfied,
+          ...(constraintCheck.creditedRole ? { approver_role: constraintCheck.creditedRole } : {}),
+          ...(constraintCheck.approverGroup ? { approver_group: constraintCheck.approverGroup } : {})
+        }
+      : null;
+
     if (!approved) {
       run.status = 'failed';
       run.ended_at = nowIso();
@@ -8013,8 +12627,14 @@ export function buildApp({
       decision.evaluated_at = nowIso();
     } else {
       const approvedBySet = new Set(approvalState.approved_by || []);
-      approvedBySet.add(approvedBy);
+      approvedBySet.add(principalId);
       approvalState.approved_by = Array.from(approvedBySet);
+      if (constraintCheck?.creditedRole) {
+        approvalState.credited_roles = {
+          ...approvalState.credited_roles,
+          [principalId]: constraintCheck.creditedRole
+        };
+      }
 
       const approvalsLeft = Math.max(0, approvalState.required_approvals - approvalState.approved_by.length);
       if (approvalsLeft > 0) {
@@ -8042,9 +12662,12 @@ export function buildApp({
             eventType: 'approval.resolved',
             actorInfo: actor('user', approvedBy),
             payload: { approved, note: note || '', approvals_left: approvalsLeft },
-            decisionRef: approvalState.decision_id
+            decisionRef: approvalState.decision_id,
+            approvalConstraints,
+            delegation
           })
         });
+        await postApprovalCards(app, run);
 
         return {
           status: 'waiting_more_approvals',
@@ -8059,8 +12682,7 @@ export function buildApp({
       decision.required_approvals = 0;
       decision.evaluated_at = nowIso();
       if (!Object.keys(run.approval_state).length) {
-        run.status = 'completed';
-        run.ended_at = nowIso();
+        run.status = 'running';
       }
     }
 
@@ -8092,11 +12714,15 @@ export function buildApp({
         eventType: 'approval.resolved',
         actorInfo: actor('user', approvedBy),
         payload: { approved, note: note || '' },
-        decisionRef: approvalState.decision_id
+        decisionRef: approvalState.decision_id,
+        approvalConstraints,
+        delegation
       })
     });
 
     if (!approved) {
+      skipPendingRunSteps({ app, runId, reason: 'approval_rejected' });
+
       await appendAudit({
         app,
         entry: makeAuditEntry({
@@ -8104,7 +12730,8 @@ export function buildApp({
           eventType: 'action.denied',
           actorInfo: actor('user', approvedBy),
           payload: { action_intent_id: actionIntentId, note: note || '' },
-          decisionRef: approvalState.decision_id
+          decisionRef: approvalState.decision_id,
+          delegation
         })
       });
 
@@ -8118,39 +12745,14 @@ export function buildApp({
         })
       });
     } else if (decision.decision === 'allow') {
-      const execution = await executeIntent({ app, run, intent });
-      if (!execution || execution.status !== 'executed') {
-        run.status = 'failed';
-        run.ended_at = nowIso();
-        run = app.stateDb.saveRun(run);
-        app.store.runs.set(run.id, run);
-
-        await appendAudit({
-          app,
-          entry: makeAuditEntry({
-            runId,
-            eventType: 'run.failed',
-            actorInfo: actor('system', 'runtime'),
-            payload: {
-              reason: execution?.reason_code || 'action.execute.error',
-              action_intent_id: actionIntentId
-            }
-          })
-        });
+      run = await advanceRunExecution({ app, run });
+      run = app.stateDb.saveRun(run);
+      app.store.runs.set(run.id, run);
+      if (run.status !== 'waiting_approval') {
+        app.store.pendingApprovals.delete(run.id);
       }
     }
-
-    if (run.status === 'completed') {
-      await appendAudit({
-        app,
-        entry: makeAuditEntry({
-          runId,
-          eventType: 'run.completed',
-          actorInfo: actor('system', 'runtime'),
-          payload: { status: run.status }
-        })
-      });
-    }
+    await postApprovalCards(app, run);
 
     return {
       status: run.status,
@@ -8223,6 +12825,7 @@ export function buildApp({
     run.ended_at = nowIso();
     app.store.pendingApprovals.delete(runId);
     run.approval_state = {};
+    skipPendingRunSteps({ app, runId, reason: 'run.cancelled' });
 
     try {
       run = app.stateDb.saveRun(run, { expectedRevision });
@@ -8498,6 +13101,127 @@ export function buildApp({
     };
   });
 
+  app.get('/v0/runs/:run_id/audit/verify', {
+    schema: {
+      params: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['run_id'],
+        properties: {
+          run_id: { type: 'string', pattern: '^run_[A-Za-z0-9_-]{6,64}$' }
+        }
+      },
+      response: {
+        200: { $ref: 'https://flockmesh.dev/spec/schemas/audit-chain-verification.schema.json#' }
+      }
+    }
+  }, async (request, reply) => {
+    const run = app.store.runs.get(request.params.run_id) || app.stateDb.getRun(request.params.run_id);
+    if (!run) {
+      reply.code(404);
+      return { message: 'Run not found' };
+    }
+    app.store.runs.set(run.id, run);
+
+    return {
+      version: 'v0',
+      generated_at: nowIso(),
+      run_id: run.id,
+      ...await app.ledger.verifyAuditChain(run.id)
+    };
+  });
+
+  app.get('/v0/runs/stream', {
+    schema: {
+      querystring: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['workspace_id'],
+        properties: {
+          workspace_id: { type: 'string', pattern: '^wsp_[A-Za-z0-9_-]{6,64}$' },
+          last_event_id: { type: 'string', maxLength: 32 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const workspaceId = request.query.workspace_id;
+    const resumeFrom = asTrimmedString(request.headers['last-event-id'] || request.query.last_event_id || '');
+    const stream = openSseStream(app, reply);
+
+    let lastSeq = /^\d{1,15}$/.test(resumeFrom) ? Number(resumeFrom) : app.runStreams.lastSeq;
+    const send = (message) => {
+      if (message.seq <= lastSeq) return;
+      lastSeq = message.seq;
+      stream.send({ id: message.seq, event: runStreamEventName(message.kind), data: message.item });
+    };
+    stream.onClose(app.runStreams.subscribe({ workspaceId }, send));
+
+    if (resumeFrom) {
+      const replay = app.runStreams.replaySince(lastSeq, { workspaceId });
+      if (!replay.complete) {
+        lastSeq = app.runStreams.lastSeq;
+        stream.send({
+          id: lastSeq,
+          event: 'stream.reset',
+          data: { workspace_id: workspaceId, reason_code: 'stream.cursor_expired' }
+        });
+      }
+      for (const message of replay.messages) send(message);
+    }
+  });
+
+  app.get('/v0/runs/:run_id/stream', {
+    schema: {
+      params: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['run_id'],
+        properties: {
+          run_id: { type: 'string', pattern: '^run_[A-Za-z0-9_-]{6,64}$' }
+        }
+      },
+      querystring: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          last_event_id: { type: 'string', maxLength: 32 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const run = app.store.runs.get(request.params.run_id) || app.stateDb.getRun(request.params.run_id);
+    if (!run) {
+      reply.code(404);
+      return { message: 'Run not found' };
+    }
+    app.store.runs.set(run.id, run);
+
+    const cursor = parseRunStreamCursor(request.headers['last-event-id'] || request.query.last_event_id);
+    const stream = openSseStream(app, reply);
+    const send = ({ kind, item }) => {
+      const position = kind === 'audit' ? 'audit' : 'events';
+      if (item.seq <= cursor[position]) return;
+      cursor[position] = item.seq;
+      stream.send({ id: formatRunStreamCursor(cursor), event: runStreamEventName(kind), data: item });
+    };
+
+    // Subscribe before reading the ledgers so appends racing the backlog read are queued, not lost.
+    const queued = [];
+    let live = false;
+    stream.onClose(app.runStreams.subscribe({ runId: run.id }, (message) => {
+      if (live) send(message);
+      else queued.push(message);
+    }));
+
+    const backlog = await app.ledger.readRunStreamBacklog(run.id, {
+      afterEventSeq: cursor.events,
+      afterAuditSeq: cursor.audit
+    });
+    for (const message of mergeRunStreamBacklog(backlog)) send(message);
+    for (const message of queued) send(message);
+    live = true;
+  });
+
   app.get('/v0/runs/:run_id/events', {
     schema: {
       params: {
@@ -8533,6 +13257,40 @@ export function buildApp({
     };
   });
 
+  app.get('/v0/runs/:run_id/steps', {
+    schema: {
+      params: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['run_id'],
+        properties: {
+          run_id: { type: 'string', pattern: '^run_[A-Za-z0-9_-]{6,64}$' }
+        }
+      },
+      response: {
+        200: { $ref: 'https://flockmesh.dev/spec/schemas/run-step-list.schema.json#' }
+      }
+    }
+  }, async (request, reply) => {
+    const run = app.store.runs.get(request.params.run_id) || app.stateDb.getRun(request.params.run_id);
+    if (!run) {
+      reply.code(404);
+      return { message: 'Run not found' };
+    }
+    app.store.runs.set(run.id, run);
+
+    const stepStates = loadRunStepStates(app, run.id);
+    const items = (run.action_intents || [])
+      .map((intent) => stepStates[intent.step_id])
+      .filter(Boolean);
+    return {
+      run_id: run.id,
+      run_status: run.status,
+      total: items.length,
+      items
+    };
+  });
+
   app.get('/v0/runs/:run_id/timeline-diff', {
     schema: {
       params: {
@@ -8887,6 +13645,62 @@ export function buildApp({
     };
   });
 
+  app.get('/v0/monitoring/ledger-checkpoints', {
+    schema: {
+      querystring: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          limit: { type: 'integer', minimum: 1, maximum: 500 },
+          offset: { type: 'integer', minimum: 0 }
+        }
+      },
+      response: {
+        200: { $ref: 'https://flockmesh.dev/spec/schemas/ledger-checkpoint-list.schema.json#' }
+      }
+    }
+  }, async (request) => {
+    const { limit, offset } = request.query;
+    const page = await app.ledger.listCheckpoints({ limit, offset });
+    return {
+      version: 'v0',
+      generated_at: nowIso(),
+      ...page,
+      items: page.items.filter(Boolean)
+    };
+  });
+
+  app.post('/v0/monitoring/ledger-checkpoints', {
+    schema: {
+      body: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['workspace_id'],
+        properties: {
+          workspace_id: { type: 'string', pattern: '^wsp_[A-Za-z0-9_-]{6,64}$' }
+        }
+      },
+      response: {
+        201: { $ref: 'https://flockmesh.dev/spec/schemas/ledger-checkpoint.schema.json#' }
+      }
+    }
+  }, async (request, reply) => {
+    const permission = ensureActorPermission({
+      app,
+      request,
+      workspaceId: request.body.workspace_id,
+      permission: 'role.manage'
+    });
+    if (!permission.ok) {
+      reply.code(permission.errorCode);
+      return { message: permission.message };
+    }
+
+    const checkpoint = await writeLedgerCheckpoint(app, { force: true });
+    reply.code(201);
+    return checkpoint;
+  });
+
   app.get('/v0/runs/:run_id/incident-export', {
     schema: {
       params: {
@@ -95,7 +95,11 @@ const DEFAULT_AGENT_KIT_LIBRARY = Object.freeze({
       'tool.list',
       'tool.read',
       'delegation.request',
-      'delegation.status'
+      'delegation.status',
+      'jira.search',
+      'jira.read',
+      'jira.comment',
+      'jira.transition'
     ],
     connector_candidates: [
       {
@@ -115,6 +119,12 @@ const DEFAULT_AGENT_KIT_LIBRARY = Object.freeze({
         required_capabilities: ['delegation.request', 'delegation.status'],
         optional_capabilities: ['delegation.cancel'],
         risk_profile: 'high_control'
+      },
+      {
+        connector_id: 'con_jira_tickets',
+        required_capabilities: ['jira.search', 'jira.read'],
+        optional_capabilities: ['jira.comment', 'jira.create', 'jira.transition'],
+        risk_profile: 'standard'
       }
     ],
     rollout: [
@@ -160,7 +170,8 @@ const MUTATION_TOKENS = Object.freeze([
   'invoke',
   'cancel',
   'execute',
-  'publish'
+  'publish',
+  'transition'
 ]);
 
 const POLICY_DECISION_WEIGHT = Object.freeze({
@@ -0,0 +1,151 @@
+import crypto from 'node:crypto';
+
+export const AUDIT_CHAIN_GENESIS_HASH = `sha256:${'0'.repeat(64)}`;
+
+function sha256Hex(payload) {
+  return crypto.createHash('sha256').update(payload).digest('hex');
+}
+
+function stableSerialize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => stableSerialize(item)).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter((key) => value[key] !== undefined).sort();
+    const body = keys
+      .map((key) => `${JSON.stringify(key)}:${stableSerialize(value[key])}`)
+      .join(',');
+    return `{${body}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+function hasChainFields(entry) {
+  return Boolean(entry) &&
+    Number.isInteger(entry.seq) &&
+    typeof entry.prev_hash === 'string' &&
+    typeof entry.entry_hash === 'string';
+}
+
+export function computeAuditEntryHash(entry) {
+  const { entry_hash: _entryHash, ...hashed } = entry || {};
+  return `sha256:${sha256Hex(stableSerialize(hashed))}`;
+}
+
+export function resolveAuditChainHead(entries = []) {
+  const last = entries[entries.length - 1];
+  if (!hasChainFields(last)) return null;
+  return {
+    seq: last.seq,
+    entry_hash: last.entry_hash
+  };
+}
+
+export function linkAuditEntry(entry, head = null) {
+  const linked = {
+    ...entry,
+    seq: head ? head.seq + 1 : 1,
+    prev_hash: head ? head.entry_hash : AUDIT_CHAIN_GENESIS_HASH
+  };
+
+  return {
+    ...linked,
+    entry_hash: computeAuditEntryHash(linked)
+  };
+}
+
+function brokenLink({ index, entry, reason, expected = '', actual = '' }) {
+  return {
+    index,
+    seq: Number.isInteger(entry?.seq) ? entry.seq : null,
+    entry_id: typeof entry?.id === 'string' ? entry.id : '',
+    reason,
+    expected: String(expected),
+    actual: String(actual)
+  };
+}
+
+// Only runs that already had audit lines when chaining was enabled (`allowLegacyPrefix`) may
+// start with unchained entries; everywhere else a missing chain field is a break. Once the chain
+// starts every later line must link, and seq 1 must anchor on genesis.
+export function verifyAuditChain(entries = [], { allowLegacyPrefix = false } = {}) {
+  const firstChainedIndex = allowLegacyPrefix ? entries.findIndex((entry) => hasChainFields(entry)) : 0;
+  const legacyEntries = firstChainedIndex === -1 ? entries.length : firstChainedIndex;
+
+  if (!entries.length || firstChainedIndex === -1) {
+    return {
+      chain_state: entries.length ? 'unchained' : 'empty',
+      total_entries: entries.length,
+      legacy_entries: legacyEntries,
+      verified_entries: 0,
+      head: null,
+      first_broken_link: null
+    };
+  }
+
+  let head = null;
+  let verified = 0;
+
+  for (let index = firstChainedIndex; index < entries.length; index += 1) {
+    const entry = entries[index];
+    let failure = null;
+
+    if (entry === null) {
+      failure = brokenLink({ index, entry, reason: 'chain.entry_unparseable' });
+    } else if (!hasChainFields(entry)) {
+      failure = brokenLink({ index, entry, reason: 'chain.fields_missing' });
+    } else if (entry.seq !== (head ? head.seq + 1 : 1)) {
+      failure = brokenLink({
+        index,
+        entry,
+        reason: 'chain.seq_mismatch',
+        expected: head ? head.seq + 1 : 1,
+        actual: entry.seq
+      });
+    } else if (entry.prev_hash !== (head ? head.entry_hash : AUDIT_CHAIN_GENESIS_HASH)) {
+      failure = brokenLink({
+        index,
+        entry,
+        reason: 'chain.prev_hash_mismatch',
+        expected: head ? head.entry_hash : AUDIT_CHAIN_GENESIS_HASH,
+        actual: entry.prev_hash
+      });
+    } else {
+      const recomputed = computeAuditEntryHash(entry);
+      if (recomputed !== entry.entry_hash) {
+        failure = brokenLink({
+          index,
+          entry,
+          reason: 'chain.entry_hash_mismatch',
+          expected: recomputed,
+          actual: entry.entry_hash
+        });
+      }
+    }
+
+    if (failure) {
+      return {
+        chain_state: 'broken',
+        total_entries: entries.length,
+        legacy_entries: legacyEntries,
+        verified_entries: verified,
+        head,
+        first_broken_link: failure
+      };
+    }
+
+    head = { seq: entry.seq, entry_hash: entry.entry_hash };
+    verified += 1;
+  }
+
+  return {
+    chain_state: 'intact',
+    total_entries: entries.length,
+    legacy_entries: legacyEntries,
+    verified_entries: verified,
+    head,
+    first_broken_link: null
+  };
+}
@@ -0,0 +1,275 @@
+import { sendHttpRequest } from './http-json.js';
+
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_EVENT_MINUTES = 30;
+const DEFAULT_QUERY_DAYS = 7;
+
+export class CalDavRequestError extends Error {
+  constructor(message, { status = null } = {}) {
+    super(message);
+    this.name = 'CalDavRequestError';
+    this.code = 'CALDAV_REQUEST_FAILED';
+    this.status = status;
+  }
+}
+
+function toDate(value, label) {
+  const parsed = new Date(value);
+  if (Number.isNaN(parsed.getTime())) {
+    throw new CalDavRequestError(`CalDAV ${label} must be an ISO date-time`);
+  }
+  return parsed;
+}
+
+export function formatICalendarDateTime(value) {
+  return toDate(value, 'date-time').toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function parseICalendarDateTime(value = '') {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) return value.trim();
+  const [, year, month, day, hour, minute, second, utc] = match;
+  if (!hour) return `${year}-${month}-${day}`;
+  return `${year}-${month}-${day}T${hour}:${minute}:${second}${utc ? '.000Z' : ''}`;
+}
+
+function escapeICalendarText(value = '') {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function unescapeICalendarText(value = '') {
+  return value.replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+function escapeXml(value = '') {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function decodeXmlText(value = '') {
+  const cdata = /^\s*<!\[CDATA\[([\s\S]*)\]\]>\s*$/.exec(value);
+  if (cdata) return cdata[1];
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#13;/g, '\r')
+    .replace(/&#10;/g, '\n')
+    .replace(/&amp;/g, '&');
+}
+
+export function buildCalendarEventIcs({
+  uid,
+  title,
+  startAt,
+  endAt,
+  description = '',
+  location = '',
+  stampAt = new Date().toISOString()
+}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//FlockMesh//Office Calendar//EN',
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatICalendarDateTime(stampAt)}`,
+    `DTSTART:${formatICalendarDateTime(startAt)}`,
+    `DTEND:${formatICalendarDateTime(endAt)}`,
+    `SUMMARY:${escapeICalendarText(title)}`
+  ];
+  if (description) lines.push(`DESCRIPTION:${escapeICalendarText(description)}`);
+  if (location) lines.push(`LOCATION:${escapeICalendarText(location)}`);
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+export function parseCalendarEvents(ics = '') {
+  const lines = String(ics).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      current = {};
+      continue;
+    }
+    if (line === 'END:VEVENT') {
+      if (current) {
+        events.push({
+          uid: current.UID || '',
+          title: unescapeICalendarText(current.SUMMARY || ''),
+          start_at: parseICalendarDateTime(current.DTSTART || ''),
+          end_at: parseICalendarDateTime(current.DTEND || ''),
+          description: unescapeICalendarText(current.DESCRIPTION || ''),
+          location: unescapeICalendarText(current.LOCATION || '')
+        });
+      }
+      current = null;
+      continue;
+    }
+    if (!current) continue;
+
+    const separator = line.indexOf(':');
+    if (separator <= 0) continue;
+    const name = line.slice(0, separator).split(';')[0].toUpperCase();
+    if (!(name in current)) current[name] = line.slice(separator + 1);
+  }
+
+  return events;
+}
+
+function readXmlElement(block, localName) {
+  const pattern = new RegExp(
+    `<(?:[\\w-]+:)?${localName}\\b[^>]*?(?:/>|>([\\s\\S]*?)</(?:[\\w-]+:)?${localName}>)`,
+    'i'
+  );
+  const match = pattern.exec(block);
+  return match ? decodeXmlText(match[1] || '') : '';
+}
+
+// Servers disagree on namespace prefixes, so elements are matched by local name only.
+export function parseCalDavMultistatus(xml = '') {
+  const responses = String(xml).match(
+    /<(?:[\w-]+:)?response\b[^>]*>[\s\S]*?<\/(?:[\w-]+:)?response>/gi
+  ) || [];
+
+  return responses.map((block) => ({
+    href: readXmlElement(block, 'href').trim(),
+    etag: readXmlElement(block, 'getetag').trim(),
+    calendar_data: readXmlElement(block, 'calendar-data')
+  }));
+}
+
+function resolveEventUrl(endpoint, uid) {
+  const base = endpoint.endsWith('/') ? endpoint : `${endpoint}/`;
+  return new URL(`${encodeURIComponent(uid)}.ics`, base).toString();
+}
+
+function sendCalDavRequest({
+  url,
+  method,
+  username = '',
+  password = '',
+  headers,
+  body,
+  timeoutMs = DEFAULT_TIMEOUT_MS
+}) {
+  return sendHttpRequest(url, {
+    method,
+    auth: { type: 'basic', username, password },
+    headers,
+    body,
+    timeoutMs,
+    label: `CalDAV ${method}`,
+    createError: (message) => new CalDavRequestError(message)
+  });
+}
+
+// If-None-Match keeps retried writes from duplicating an event: a 412 means the UID
+// already exists, which is reported as a replay rather than a failure.
+export async function putCalendarEvent({
+  endpoint,
+  username,
+  password,
+  event,
+  timeoutMs
+}) {
+  const url = resolveEventUrl(endpoint, event.uid);
+  const response = await sendCalDavRequest({
+    url,
+    method: 'PUT',
+    username,
+    password,
+    timeoutMs,
+    headers: {
+      'content-type': 'text/calendar; charset=utf-8',
+      'if-none-match': '*'
+    },
+    body: buildCalendarEventIcs(event)
+  });
+
+  if (response.status === 412) {
+    return { href: url, etag: '', replayed: true };
+  }
+  if (response.status < 200 || response.status >= 300) {
+    throw new CalDavRequestError(`CalDAV PUT returned ${response.status}`, { status: response.status });
+  }
+
+  return {
+    href: url,
+    etag: response.headers.get('etag') || '',
+    replayed: false
+  };
+}
+
+export async function queryCalendarEvents({
+  endpoint,
+  username,
+  password,
+  startAt,
+  endAt,
+  timeoutMs
+}) {
+  const body = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">',
+    '<d:prop><d:getetag/><c:calendar-data/></d:prop>',
+    '<c:filter><c:comp-filter name="VCALENDAR"><c:comp-filter name="VEVENT">',
+    `<c:time-range start="${escapeXml(formatICalendarDateTime(startAt))}" end="${escapeXml(formatICalendarDateTime(endAt))}"/>`,
+    '</c:comp-filter></c:comp-filter></c:filter>',
+    '</c:calendar-query>'
+  ].join('');
+
+  const response = await sendCalDavRequest({
+    url: endpoint,
+    method: 'REPORT',
+    username,
+    password,
+    timeoutMs,
+    headers: {
+      'content-type': 'application/xml; charset=utf-8',
+      depth: '1'
+    },
+    body
+  });
+
+  if (response.status !== 207) {
+    throw new CalDavRequestError(`CalDAV REPORT returned ${response.status}`, { status: response.status });
+  }
+
+  return parseCalDavMultistatus(response.text).flatMap((item) => (
+    parseCalendarEvents(item.calendar_data).map((calendarEvent) => ({
+      ...calendarEvent,
+      href: item.href,
+      etag: item.etag
+    }))
+  ));
+}
+
+export function resolveCalendarEventWindow({ startAt, endAt, defaultMinutes = DEFAULT_EVENT_MINUTES } = {}) {
+  const start = toDate(startAt, 'start_at');
+  const end = endAt
+    ? toDate(endAt, 'end_at')
+    : new Date(start.getTime() + defaultMinutes * 60 * 1000);
+  if (end.getTime() <= start.getTime()) {
+    throw new CalDavRequestError('CalDAV end_at must be after start_at');
+  }
+  return { start_at: start.toISOString(), end_at: end.toISOString() };
+}
+
+export function resolveCalendarQueryWindow({ startAt, endAt, now = new Date() } = {}) {
+  return resolveCalendarEventWindow({
+    startAt: startAt || now.toISOString(),
+    endAt,
+    defaultMinutes: DEFAULT_QUERY_DAYS * 24 * 60
+  });
+}
@@ -0,0 +1,260 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+export const CHAT_APPROVAL_PROVIDERS = Object.freeze(['feishu', 'slack']);
+export const SLACK_SIGNATURE_HEADER = 'x-slack-signature';
+export const SLACK_TIMESTAMP_HEADER = 'x-slack-request-timestamp';
+export const SLACK_SIGNATURE_TOLERANCE_SECONDS = 300;
+export const SLACK_APPROVE_ACTION_ID = 'flockmesh_approval_approve';
+export const SLACK_REJECT_ACTION_ID = 'flockmesh_approval_reject';
+export const FEISHU_CARD_ACTION_EVENT_TYPE = 'card.action.trigger';
+
+const RUN_ID_PATTERN = /^run_[A-Za-z0-9_-]{6,64}$/;
+const ACTION_INTENT_ID_PATTERN = /^act_[A-Za-z0-9_-]{6,64}$/;
+const ACTOR_ID_PATTERN = /^usr_[A-Za-z0-9_-]{4,64}$/;
+const CHAT_USER_ID_PATTERN = /^[A-Za-z0-9_-]{2,128}$/;
+
+function assertObject(value, label, source) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`[${source}] ${label} must be an object`);
+  }
+}
+
+// Buttons carry everything the callback needs to replay POST /v0/runs/:run_id/approvals,
+// including the run revision the card was rendered against.
+export function buildApprovalActionValue({ runId, actionIntentId, expectedRevision, approved }) {
+  return {
+    kind: 'flockmesh.approval',
+    run_id: runId,
+    action_intent_id: actionIntentId,
+    expected_revision: expectedRevision,
+    decision: approved ? 'approve' : 'reject'
+  };
+}
+
+export function parseApprovalActionValue(value) {
+  let parsed = value;
+  if (typeof parsed === 'string') {
+    try {
+      parsed = JSON.parse(parsed);
+    } catch {
+      return null;
+    }
+  }
+  if (!parsed || typeof parsed !== 'object' || parsed.kind !== 'flockmesh.approval') return null;
+  if (!RUN_ID_PATTERN.test(String(parsed.run_id || ''))) return null;
+  if (!ACTION_INTENT_ID_PATTERN.test(String(parsed.action_intent_id || ''))) return null;
+  if (!Number.isInteger(parsed.expected_revision) || parsed.expected_revision < 1) return null;
+  if (!['approve', 'reject'].includes(parsed.decision)) return null;
+  return {
+    run_id: parsed.run_id,
+    action_intent_id: parsed.action_intent_id,
+    expected_revision: parsed.expected_revision,
+    approved: parsed.decision === 'approve'
+  };
+}
+
+function summarizeApprovalRequest({ run, intent, approvalState }) {
+  return {
+    title: `Approval needed: ${intent.capability}`,
+    lines: [
+      `Run ${run.id} (${run.playbook_id}) in ${run.workspace_id}`,
+      `Action ${intent.id} | ${intent.side_effect} | risk ${intent.risk_hint}`,
+      `Approvals required: ${approvalState.required_approvals} | expires ${approvalState.expires_at}`
+    ]
+  };
+}
+
+export function buildFeishuApprovalCard({ run, intent, approvalState }) {
+  const summary = summarizeApprovalRequest({ run, intent, approvalState });
+  const button = (approved) => ({
+    tag: 'button',
+    text: { tag: 'plain_text', content: approved ? 'Approve' : 'Reject' },
+    type: approved ? 'primary' : 'danger',
+    value: buildApprovalActionValue({
+      runId: run.id,
+      actionIntentId: intent.id,
+      expectedRevision: run.revision,
+      approved
+    })
+  });
+  return {
+    config: { wide_screen_mode: true, update_multi: true },
+    header: {
+      template: 'orange',
+      title: { tag: 'plain_text', content: summary.title }
+    },
+    elements: [
+      { tag: 'div', text: { tag: 'lark_md', content: summary.lines.join('\n') } },
+      { tag: 'action', actions: [button(true), button(false)] }
+    ]
+  };
+}
+
+export function buildSlackApprovalBlocks({ run, intent, approvalState }) {
+  const summary = summarizeApprovalRequest({ run, intent, approvalState });
+  const button = (approved) => ({
+    type: 'button',
+    action_id: approved ? SLACK_APPROVE_ACTION_ID : SLACK_REJECT_ACTION_ID,
+    text: { type: 'plain_text', text: approved ? 'Approve' : 'Reject' },
+    style: approved ? 'primary' : 'danger',
+    value: JSON.stringify(buildApprovalActionValue({
+      runId: run.id,
+      actionIntentId: intent.id,
+      expectedRevision: run.revision,
+      approved
+    }))
+  });
+  return {
+    text: summary.title,
+    blocks: [
+      { type: 'header', text: { type: 'plain_text', text: summary.title } },
+      { type: 'section', text: { type: 'mrkdwn', text: summary.lines.join('\n') } },
+      { type: 'actions', block_id: `approval_${intent.id}`, elements: [button(true), button(false)] }
+    ]
+  };
+}
+
+// v2 card callbacks: header.event_type is card.action.trigger and the operator is the clicker.
+export function parseFeishuCardAction(envelope = {}) {
+  if (envelope?.header?.event_type !== FEISHU_CARD_ACTION_EVENT_TYPE) return null;
+  const event = envelope.event || {};
+  return {
+    provider: 'feishu',
+    event_id: String(envelope.header.event_id || ''),
+    chat_user_id: String(event.operator?.open_id || ''),
+    message_ref: String(event.context?.open_message_id || ''),
+    action: parseApprovalActionValue(event.action?.value)
+  };
+}
+
+export function parseSlackBlockAction(payload = {}) {
+  if (payload?.type !== 'block_actions') return null;
+  const action = (payload.actions || []).find((item) => (
+    item?.action_id === SLACK_APPROVE_ACTION_ID || item?.action_id === SLACK_REJECT_ACTION_ID
+  ));
+  if (!action) return null;
+  const parsed = parseApprovalActionValue(action.value);
+  // The action id decides the outcome so a tampered value cannot flip a reject into an approve.
+  if (parsed && parsed.approved !== (action.action_id === SLACK_APPROVE_ACTION_ID)) return null;
+  return {
+    provider: 'slack',
+    chat_user_id: String(payload.user?.id || ''),
+    message_ref: String(payload.container?.message_ts || payload.message?.ts || ''),
+    action: parsed
+  };
+}
+
+// Slack signs "v0:<timestamp>:<raw body>" with the app signing secret.
+export function computeSlackRequestSignature({ signingSecret, timestamp, rawBody = '' }) {
+  const digest = crypto
+    .createHmac('sha256', String(signingSecret))
+    .update(`v0:${timestamp}:${rawBody}`, 'utf8')
+    .digest('hex');
+  return `v0=${digest}`;
+}
+
+export function verifySlackRequest({
+  signingSecret,
+  signature = '',
+  timestamp = '',
+  rawBody = '',
+  toleranceSeconds = SLACK_SIGNATURE_TOLERANCE_SECONDS,
+  now = Date.now()
+}) {
+  if (!signature || !timestamp) {
+    return { ok: false, reason_code: 'slack.signature_missing' };
+  }
+  if (!/^\d{1,12}$/.test(String(timestamp))) {
+    return { ok: false, reason_code: 'slack.timestamp_invalid' };
+  }
+  if (Math.abs(now - Number(timestamp) * 1000) > toleranceSeconds * 1000) {
+    return { ok: false, reason_code: 'slack.timestamp_outside_window' };
+  }
+
+  const expected = Buffer.from(computeSlackRequestSignature({ signingSecret, timestamp, rawBody }), 'utf8');
+  const received = Buffer.from(String(signature), 'utf8');
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { ok: false, reason_code: 'slack.signature_invalid' };
+  }
+  return { ok: true };
+}
+
+export function compileChatApproverDocument(document, { source = 'memory' } = {}) {
+  assertObject(document, 'document', source);
+  const version = document.version || 'v0';
+  if (version !== 'v0') {
+    throw new Error(`[${source}] unsupported chat approver version: ${version}`);
+  }
+  if (!Array.isArray(document.identities)) {
+    throw new Error(`[${source}] identities must be an array`);
+  }
+
+  return document.identities.map((identity, index) => {
+    const label = `${source}#identities[${index}]`;
+    assertObject(identity, 'identity', label);
+    const provider = String(identity.provider || '').trim();
+    const chatUserId = String(identity.chat_user_id || '').trim();
+    const actorId = String(identity.actor_id || '').trim();
+    if (!CHAT_APPROVAL_PROVIDERS.includes(provider)) {
+      throw new Error(`[${label}] unsupported provider: ${provider}`);
+    }
+    if (!CHAT_USER_ID_PATTERN.test(chatUserId)) {
+      throw new Error(`[${label}] invalid chat_user_id`);
+    }
+    if (!ACTOR_ID_PATTERN.test(actorId)) {
+      throw new Error(`[${label}] invalid actor_id`);
+    }
+    return { provider, chat_user_id: chatUserId, actor_id: actorId };
+  });
+}
+
+// A chat identity may approve as exactly one user; conflicting files fail the load.
+export function mergeChatApproverIdentities(lists = []) {
+  const byIdentity = new Map();
+  for (const identity of lists.flat()) {
+    const key = `${identity.provider}:${identity.chat_user_id}`;
+    const existing = byIdentity.get(key);
+    if (existing && existing.actor_id !== identity.actor_id) {
+      throw new Error(`chat identity ${key} maps to both ${existing.actor_id} and ${identity.actor_id}`);
+    }
+    byIdentity.set(key, identity);
+  }
+  return Array.from(byIdentity.values()).sort((a, b) => (
+    a.provider.localeCompare(b.provider) || a.chat_user_id.localeCompare(b.chat_user_id)
+  ));
+}
+
+export async function loadChatApproverIdentitiesFromDir({
+  rootDir,
+  dirName = path.join('policies', 'chat-approvers')
+} = {}) {
+  const directoryPath = path.join(rootDir, dirName);
+  let entries = [];
+  try {
+    entries = await fs.readdir(directoryPath, { withFileTypes: true });
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const files = entries
+    .filter((entry) => entry.isFile() && entry.name.endsWith('.chat-approvers.json'))
+    .map((entry) => entry.name)
+    .sort();
+
+  const compiled = [];
+  for (const fileName of files) {
+    const raw = await fs.readFile(path.join(directoryPath, fileName), 'utf8');
+    compiled.push(compileChatApproverDocument(JSON.parse(raw), { source: fileName }));
+  }
+  return mergeChatApproverIdentities(compiled);
+}
+
+export function resolveChatApprover(identities = [], { provider, chatUserId }) {
+  const matched = identities.find((identity) => (
+    identity.provider === provider && identity.chat_user_id === chatUserId
+  ));
+  return matched ? matched.actor_id : '';
+}
@@ -1,5 +1,33 @@
 import crypto from 'node:crypto';
+import {
+  putCalendarEvent,
+  queryCalendarEvents,
+  resolveCalendarEventWindow,
+  resolveCalendarQueryWindow
+} from './caldav-client.js';
+import { buildContentDiff, digestContent } from './content-diff.js';
+import { parseJsonBody, sendJsonRequest } from './http-json.js';
+import {
+  addJiraComment,
+  createJiraIssue,
+  getJiraIssue,
+  searchJiraIssues,
+  transitionJiraIssue
+} from './jira-client.js';
+import {
+  readEmail,
+  searchEmails,
+  sendEmail,
+  summarizeEmailRecipients
+} from './mail-client.js';
+import { sendDingTalkText } from './dingtalk-client.js';
+import { renderPlaybookTemplate } from './playbooks.js';
+import { normalizeSlackChannel, postSlackMessage, postSlackWebhook } from './slack-client.js';
 import { nowIso } from './time.js';
+import { getWikiPage, updateWikiPage } from './wiki-client.js';
+
+const HTTP_TEMPLATE_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*(?:\.[A-Za-z0-9_]+)*)\s*\}\}/g;
+const DEFAULT_HTTP_TIMEOUT_MS = 5000;
 
 function digest(payload) {
   return crypto
@@ -23,6 +51,15 @@ async function maybeSimulateTimeout(parameters) {
   await new Promise((resolve) => setTimeout(resolve, ms));
 }
 
+export class HttpConnectorRequestError extends Error {
+  constructor(message, { status = null } = {}) {
+    super(message);
+    this.name = 'HttpConnectorRequestError';
+    this.code = 'HTTP_CONNECTOR_REQUEST_FAILED';
+    this.status = status;
+  }
+}
+
 function maybeSimulateError(parameters) {
   if (!parameters?.simulate_error) return;
   const detail = parameters.simulate_error === true
@@ -126,6 +163,67 @@ function buildA2aGatewayAdapter() {
   };
 }
 
+function resolveCalendarBackend(runtime) {
+  const calendar = runtime?.calendar;
+  if (calendar?.backend === 'caldav' && calendar.endpoint) return calendar;
+  return { backend: 'stub' };
+}
+
+async function invokeCalDavCalendar({ calendar, capability, parameters, runId, idempotencyKey }) {
+  const connection = {
+    endpoint: calendar.endpoint,
+    username: calendar.username,
+    password: calendar.password,
+    timeoutMs: calendar.timeout_ms
+  };
+
+  if (capability === 'calendar.read') {
+    const window = resolveCalendarQueryWindow({
+      startAt: parameters?.start_at,
+      endAt: parameters?.end_at
+    });
+    const items = await queryCalendarEvents({
+      ...connection,
+      startAt: window.start_at,
+      endAt: window.end_at
+    });
+    return {
+      ok: true,
+      capability,
+      backend: 'caldav',
+      window,
+      item_count: items.length,
+      items
+    };
+  }
+
+  // The UID is derived from the idempotency key so a retried write lands on the same event.
+  const uid = `flockmesh-${digest({ runId, key: idempotencyKey || parameters || {} })}`;
+  const window = resolveCalendarEventWindow({
+    startAt: parameters?.start_at,
+    endAt: parameters?.end_at
+  });
+  const written = await putCalendarEvent({
+    ...connection,
+    event: {
+      uid,
+      title: parameters?.title || 'FlockMesh event',
+      startAt: window.start_at,
+      endAt: window.end_at,
+      description: parameters?.description || '',
+      location: parameters?.location || ''
+    }
+  });
+  return {
+    ok: true,
+    capability,
+    backend: 'caldav',
+    item_ref: `calendar://event/${uid}`,
+    href: written.href,
+    replayed: written.replayed
+  };
+}
+
 function buildOfficeCalendarAdapter() {
   const id = 'con_office_calendar';
   const capabilities = ['calendar.read', 'calendar.write'];
@@ -133,7 +231,8 @@ function buildOfficeCalendarAdapter() {
   return {
     id,
     capabilities,
-    async simulate({ capability, parameters, runId }) {
+    replaySafeCapabilities: ['calendar.write'],
+    async simulate({ capability, parameters, runId, runtime }) {
       assertCapability(capabilities, capability, id);
       maybeSimulateError(parameters);
       await maybeSimulateTimeout(parameters);
@@ -144,26 +243,374 @@ function buildOfficeCalendarAdapter() {
         protocol: 'http',
         preview: {
           calendar_owner: parameters?.owner || 'usr_unknown',
-          mutation: capability === 'calendar.write'
+          mutation: capability === 'calendar.write',
+          backend: resolveCalendarBackend(runtime).backend
         }
       };
     },
-    async invoke({ capability, parameters, runId }) {
+    async invoke({ capability, parameters, runId, idempotencyKey, runtime }) {
       assertCapability(capabilities, capability, id);
       maybeSimulateError(parameters);
       await maybeSimulateTimeout(parameters);
+      const calendar = resolveCalendarBackend(runtime);
+      const output = calendar.backend === 'caldav'
+        ? await invokeCalDavCalendar({ calendar, capability, parameters, runId, idempotencyKey })
+        : {
+          ok: true,
+          capability,
+          item_ref: `calendar://event/${digest(parameters || {})}`
+        };
       return {
         mode: 'invoke',
         connector_id: id,
         run_id: runId,
         protocol: 'http',
         tx_id: `cal_tx_${digest({ runId, capability, parameters, at: nowIso() })}`,
-        output: {
+        output
+      };
+    }
+  };
+}
+
+function toRecipientList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+}
+
+// Receipts ride on the adapter payload so the runtime can append them to the run's event stream.
+async function sendOfficeEmail({ email, parameters, runId, idempotencyKey }) {
+  const recipients = summarizeEmailRecipients(parameters, { internalDomains: email?.internal_domains || [] });
+  const fromDomain = String(email?.smtp?.from || '').split('@')[1]?.replace(/>$/, '') || 'flockmesh.local';
+  const messageId = `<${digest({ runId, key: idempotencyKey || parameters || {} })}.${runId}@${fromDomain}>`;
+
+  if (!email?.smtp) {
+    return {
+      output: {
+        ok: true,
+        capability: 'email.send',
+        backend: 'stub',
+        message_ref: `email://message/${digest(parameters || {})}`,
+        ...recipients
+      },
+      receipt: { backend: 'stub', message_id: messageId, accepted: [], rejected: [], response: 'stubbed' }
+    };
+  }
+
+  const receipt = await sendEmail({
+    ...email.smtp,
+    timeoutMs: email.timeout_ms,
+    to: toRecipientList(parameters?.to),
+    cc: toRecipientList(parameters?.cc),
+    bcc: toRecipientList(parameters?.bcc),
+    subject: parameters?.subject || '',
+    text: parameters?.text || parameters?.body || '',
+    messageId
+  });
+  return {
+    output: {
+      ok: true,
+      capability: 'email.send',
+      backend: 'smtp',
+      message_ref: `email://message/${encodeURIComponent(messageId)}`,
+      ...recipients
+    },
+    receipt: { backend: 'smtp', ...receipt }
+  };
+}
+
+async function readOfficeEmail({ email, capability, parameters }) {
+  if (!email?.imap) {
+    return {
+      ok: true,
+      capability,
+      backend: 'stub',
+      item_ref: `email://mailbox/${digest(parameters || {})}`
+    };
+  }
+
+  const connection = { ...email.imap, timeoutMs: email.timeout_ms };
+  if (capability === 'email.read' && parameters?.uid !== undefined) {
+    return {
+      ok: true,
+      capability,
+      backend: 'imap',
+      message: await readEmail(connection, { uid: parameters.uid })
+    };
+  }
+
+  const query = capability === 'email.search'
+    ? {
+      from: parameters?.from,
+      to: parameters?.to,
+      subject: parameters?.subject,
+      text: parameters?.text,
+      since: parameters?.since,
+      unseen: parameters?.unseen,
+      limit: parameters?.limit
+    }
+    : { limit: parameters?.limit };
+  const result = await searchEmails(connection, query);
+  return {
+    ok: true,
+    capability,
+    backend: 'imap',
+    total: result.total,
+    items: result.items
+  };
+}
+
+function buildOfficeEmailAdapter() {
+  const id = 'con_office_email';
+  const capabilities = ['email.read', 'email.search', 'email.send'];
+
+  return {
+    id,
+    capabilities,
+    async simulate({ capability, parameters, runId, runtime }) {
+      assertCapability(capabilities, capability, id);
+      maybeSimulateError(parameters);
+      await maybeSimulateTimeout(parameters);
+      const email = runtime?.email;
+      const mutation = capability === 'email.send';
+      return {
+        mode: 'simulate',
+        connector_id: id,
+        run_id: runId,
+        protocol: 'sdk',
+        preview: {
+          mutation,
+          backend: mutation ? (email?.smtp ? 'smtp' : 'stub') : (email?.imap ? 'imap' : 'stub'),
+          ...(mutation
+            ? summarizeEmailRecipients(parameters, { internalDomains: email?.internal_domains || [] })
+            : {})
+        }
+      };
+    },
+    async invoke({ capability, parameters, runId, idempotencyKey, runtime }) {
+      assertCapability(capabilities, capability, id);
+      maybeSimulateError(parameters);
+      await maybeSimulateTimeout(parameters);
+      const txId = `mail_tx_${digest({ runId, capability, parameters, at: nowIso() })}`;
+      if (capability === 'email.send') {
+        const sent = await sendOfficeEmail({ email: runtime?.email, parameters, runId, idempotencyKey });
+        return {
+          mode: 'invoke',
+          connector_id: id,
+          run_id: runId,
+          protocol: 'sdk',
+          tx_id: txId,
+          output: sent.output,
+          receipt: sent.receipt
+        };
+      }
+
+      return {
+        mode: 'invoke',
+        connector_id: id,
+        run_id: runId,
+        protocol: 'sdk',
+        tx_id: txId,
+        output: await readOfficeEmail({ email: runtime?.email, capability, parameters })
+      };
+    }
+  };
+}
+
+function jiraIssueRef(issueKey) {
+  return `jira://issue/${issueKey}`;
+}
+
+async function invokeJira({ jira, capability, parameters, runId, idempotencyKey }) {
+  const connection = { baseUrl: jira.base_url, auth: jira.auth, timeoutMs: jira.timeout_ms };
+
+  if (capability === 'jira.search') {
+    const result = await searchJiraIssues(connection, { jql: parameters?.jql, limit: parameters?.limit });
+    return {
+      ok: true,
+      capability,
+      backend: 'jira',
+      total: result.total,
+      issue_keys: result.items.map((item) => item.issue_key),
+      items: result.items
+    };
+  }
+
+  if (capability === 'jira.read') {
+    const issue = await getJiraIssue(connection, { issueKey: parameters?.issue_key });
+    return {
+      ok: true,
+      capability,
+      backend: 'jira',
+      issue_key: issue.issue_key,
+      item_ref: jiraIssueRef(issue.issue_key),
+      issue
+    };
+  }
+
+  let result;
+  if (capability === 'jira.create') {
+    result = await createJiraIssue(connection, {
+      projectKey: parameters?.project_key || jira.default_project,
+      summary: parameters?.summary,
+      issueType: parameters?.issue_type || 'Task',
+      description: parameters?.description || '',
+      labels: Array.isArray(parameters?.labels) ? parameters.labels.map(String) : [],
+      marker: `flockmesh-${digest({ runId, key: idempotencyKey || parameters || {} })}`
+    });
+  } else if (capability === 'jira.transition') {
+    result = await transitionJiraIssue(connection, {
+      issueKey: parameters?.issue_key,
+      transition: parameters?.transition
+    });
+  } else {
+    result = await addJiraComment(connection, { issueKey: parameters?.issue_key, body: parameters?.body });
+  }
+
+  return {
+    ok: true,
+    capability,
+    backend: 'jira',
+    ...result,
+    item_ref: jiraIssueRef(result.issue_key)
+  };
+}
+
+// Every result names the issue it touched so run timelines can link back to the ticket.
+function buildJiraAdapter() {
+  const id = 'con_jira_tickets';
+  const capabilities = ['jira.search', 'jira.read', 'jira.create', 'jira.transition', 'jira.comment'];
+
+  return {
+    id,
+    capabilities,
+    replaySafeCapabilities: ['jira.create', 'jira.transition'],
+    async simulate({ capability, parameters, runId, runtime }) {
+      assertCapability(capabilities, capability, id);
+      maybeSimulateError(parameters);
+      await maybeSimulateTimeout(parameters);
+      return {
+        mode: 'simulate',
+        connector_id: id,
+        run_id: runId,
+        protocol: 'http',
+        preview: {
+          mutation: !['jira.search', 'jira.read'].includes(capability),
+          backend: runtime?.jira?.base_url ? 'jira' : 'stub',
+          issue_key: parameters?.issue_key ? String(parameters.issue_key).toUpperCase() : ''
+        }
+      };
+    },
+    async invoke({ capability, parameters, runId, idempotencyKey, runtime }) {
+      assertCapability(capabilities, capability, id);
+      maybeSimulateError(parameters);
+      await maybeSimulateTimeout(parameters);
+      const output = runtime?.jira?.base_url
+        ? await invokeJira({ jira: runtime.jira, capability, parameters, runId, idempotencyKey })
+        : {
           ok: true,
           capability,
-          item_ref: `calendar://event/${digest(parameters || {})}`
+          backend: 'stub',
+          issue_key: parameters?.issue_key ? String(parameters.issue_key).toUpperCase() : '',
+          item_ref: `jira://issue/${digest(parameters || {})}`
+        };
+      return {
+        mode: 'invoke',
+        connector_id: id,
+        run_id: runId,
+        protocol: 'http',
+        tx_id: `jira_tx_${digest({ runId, capability, parameters, at: nowIso() })}`,
+        output
+      };
+    }
+  };
+}
+
+async function invokeWiki({ wiki, capability, parameters }) {
+  const connection = { baseUrl: wiki.base_url, auth: wiki.auth, timeoutMs: wiki.timeout_ms };
+
+  if (capability === 'doc.read') {
+    const page = await getWikiPage(connection, { pageId: parameters?.page_id });
+    return {
+      ok: true,
+      capability,
+      backend: 'wiki',
+      item_ref: `wiki://page/${page.page_id}`,
+      ...page,
+      content_digest: digestContent(page.content)
+    };
+  }
+
+  const result = await updateWikiPage(connection, {
+    pageId: parameters?.page_id,
+    content: parameters?.content,
+    baseRevision: parameters?.base_revision,
+    title: parameters?.title,
+    message: parameters?.message
+  });
+  return {
+    ok: true,
+    capability,
+    backend: 'wiki',
+    item_ref: `wiki://page/${result.after.page_id}`,
+    page_id: result.after.page_id,
+    revision_before: result.before.revision,
+    revision_after: result.after.revision,
+    written: result.written,
+    replayed: result.replayed,
+    diff: buildContentDiff(result.before.content, result.after.content)
+  };
+}
+
+// Writes report a diff of what actually changed so the audit trail can pin before/after digests.
+function buildWikiDocsAdapter() {
+  const id = 'con_wiki_docs';
+  const capabilities = ['doc.read', 'doc.write'];
+
+  return {
+    id,
+    capabilities,
+    replaySafeCapabilities: ['doc.write'],
+    async simulate({ capability, parameters, runId, runtime }) {
+      assertCapability(capabilities, capability, id);
+      maybeSimulateError(parameters);
+      await maybeSimulateTimeout(parameters);
+      return {
+        mode: 'simulate',
+        connector_id: id,
+        run_id: runId,
+        protocol: 'http',
+        preview: {
+          mutation: capability === 'doc.write',
+          backend: runtime?.wiki?.base_url ? 'wiki' : 'stub',
+          page_id: String(parameters?.page_id || ''),
+          ...(capability === 'doc.write'
+            ? { base_revision: Number(parameters?.base_revision) || null }
+            : {})
         }
       };
+    },
+    async invoke({ capability, parameters, runId, runtime }) {
+      assertCapability(capabilities, capability, id);
+      maybeSimulateError(parameters);
+      await maybeSimulateTimeout(parameters);
+      const output = runtime?.wiki?.base_url
+        ? await invokeWiki({ wiki: runtime.wiki, capability, parameters })
+        : {
+          ok: true,
+          capability,
+          backend: 'stub',
+          item_ref: `wiki://page/${digest(parameters || {})}`
+        };
+      return {
+        mode: 'invoke',
+        connector_id: id,
+        run_id: runId,
+        protocol: 'http',
+        tx_id: `doc_tx_${digest({ runId, capability, parameters, at: nowIso() })}`,
+        output
+      };
     }
   };
 }
@@ -210,13 +657,332 @@ function buildOfficeChatAdapter() {
   };
 }
 
-export function buildConnectorAdapterRegistry() {
+// Bot tokens may target any channel the bot joined; incoming webhooks post to the channel they
+// were created for, so `channel` is only a hint there.
+async function sendSlackMessage({ slack, parameters }) {
+  const text = parameters?.content ?? parameters?.text;
+  const channel = normalizeSlackChannel(parameters?.channel) || normalizeSlackChannel(slack.default_channel);
+  if (slack.delivery_mode === 'bot') {
+    return postSlackMessage(
+      { apiBaseUrl: slack.api_base_url, botToken: slack.bot_token, timeoutMs: slack.timeout_ms },
+      { channel, text, threadTs: parameters?.thread_ts }
+    );
+  }
+  return postSlackWebhook({ webhookUrl: slack.webhook_url, text, channel, timeoutMs: slack.timeout_ms });
+}
+
+function buildSlackChatAdapter() {
+  const id = 'con_slack_official';
+  const capabilities = ['message.send'];
+
+  return {
+    id,
+    capabilities,
+    async simulate({ capability, parameters, runId, runtime }) {
+      assertCapability(capabilities, capability, id);
+      maybeSimulateError(parameters);
+      await maybeSimulateTimeout(parameters);
+      return {
+        mode: 'simulate',
+        connector_id: id,
+        run_id: runId,
+        protocol: 'http',
+        preview: {
+          channel: normalizeSlackChannel(parameters?.channel || runtime?.slack?.default_channel) || 'unknown_channel',
+          capability,
+          delivery_mode: runtime?.slack?.delivery_mode || 'stub'
+        }
+      };
+    },
+    async invoke({ capability, parameters, runId, runtime }) {
+      assertCapability(capabilities, capability, id);
+      maybeSimulateError(parameters);
+      await maybeSimulateTimeout(parameters);
+      const txId = `slack_tx_${digest({ runId, capability, parameters, at: nowIso() })}`;
+      if (!runtime?.slack) {
+        return {
+          mode: 'invoke',
+          connector_id: id,
+          run_id: runId,
+          protocol: 'http',
+          tx_id: txId,
+          output: {
+            ok: true,
+            capability,
+            backend: 'stub',
+            message_ref: `slack://message/${digest(parameters || {})}`
+          }
+        };
+      }
+
+      const sent = await sendSlackMessage({ slack: runtime.slack, parameters });
+      return {
+        mode: 'invoke',
+        connector_id: id,
+        run_id: runId,
+        protocol: 'http',
+        tx_id: txId,
+        output: {
+          ok: true,
+          capability,
+          backend: 'slack',
+          delivery_mode: sent.delivery_mode,
+          channel: sent.channel,
+          message_ref: sent.ts
+            ? `slack://message/${sent.channel}/${sent.ts}`
+            : `slack://webhook/${digest({ txId, channel: sent.channel })}`
+        },
+        receipt: { backend: 'slack', ...sent }
+      };
+    }
+  };
+}
+
+// Robot webhooks are bound to one group, so `channel` is recorded but does not route.
+function buildDingTalkChatAdapter() {
+  const id = 'con_dingtalk_official';
+  const capabilities = ['message.send'];
+
+  return {
+    id,
+    capabilities,
+    async simulate({ capability, parameters, runId, runtime }) {
+      assertCapability(capabilities, capability, id);
+      maybeSimulateError(parameters);
+      await maybeSimulateTimeout(parameters);
+      const dingtalk = runtime?.dingtalk;
+      return {
+        mode: 'simulate',
+        connector_id: id,
+        run_id: runId,
+        protocol: 'http',
+        preview: {
+          channel: parameters?.channel || 'robot_group',
+          capability,
+          delivery_mode: !dingtalk?.webhook_url
+            ? 'stub'
+            : (dingtalk.secret ? 'dingtalk_signed_webhook' : 'dingtalk_webhook')
+        }
+      };
+    },
+    async invoke({ capability, parameters, runId, runtime }) {
+      assertCapability(capabilities, capability, id);
+      maybeSimulateError(parameters);
+      await maybeSimulateTimeout(parameters);
+      const txId = `dingtalk_tx_${digest({ runId, capability, parameters, at: nowIso() })}`;
+      const dingtalk = runtime?.dingtalk;
+      if (!dingtalk?.webhook_url) {
+        return {
+          mode: 'invoke',
+          connector_id: id,
+          run_id: runId,
+          protocol: 'http',
+          tx_id: txId,
+          output: {
+            ok: true,
+            capability,
+            backend: 'stub',
+            delivery_mode: 'stub',
+            message_ref: `dingtalk://message/${digest(parameters || {})}`
+          }
+        };
+      }
+
+      const sent = await sendDingTalkText({
+        webhookUrl: dingtalk.webhook_url,
+        secret: dingtalk.secret,
+        text: parameters?.content ?? parameters?.text,
+        atMobiles: Array.isArray(parameters?.at_mobiles) ? parameters.at_mobiles : [],
+        atAll: parameters?.at_all === true,
+        timeoutMs: dingtalk.timeout_ms
+      });
+      return {
+        mode: 'invoke',
+        connector_id: id,
+        run_id: runId,
+        protocol: 'http',
+        tx_id: txId,
+        output: {
+          ok: true,
+          capability,
+          backend: 'dingtalk',
+          delivery_mode: sent.delivery_mode,
+          signed: sent.signed,
+          message_ref: `dingtalk://message/${digest({ txId })}`
+        },
+        receipt: {
+          backend: 'dingtalk',
+          delivery_mode: sent.delivery_mode,
+          signed: sent.signed,
+          signed_at: sent.timestamp ? new Date(sent.timestamp).toISOString() : null,
+          source: dingtalk.source || 'runtime'
+        }
+      };
+    }
+  };
+}
+
+function lookupPath(value, dottedPath) {
+  return dottedPath.split('.').reduce((current, key) => {
+    if (current === null || current === undefined) return undefined;
+    return current[key];
+  }, value);
+}
+
+function renderHttpPath(template, context) {
+  return template.replace(HTTP_TEMPLATE_PATTERN, (_, ref) => {
+    const resolved = lookupPath(context, ref);
+    return encodeURIComponent(resolved === undefined || resolved === null ? '' : String(resolved));
+  });
+}
+
+function buildHttpTemplateContext({ parameters, runId, idempotencyKey }) {
+  return {
+    parameters: parameters || {},
+    run: { id: runId },
+    idempotency_key: idempotencyKey || ''
+  };
+}
+
+export function buildHttpConnectorRequest({ operation, baseUrl, context }) {
+  const base = baseUrl.endsWith('/') ? baseUrl.slice(0, -1) : baseUrl;
+  const url = new URL(`${base}${renderHttpPath(operation.path, context)}`);
+  if (operation.query) {
+    const query = renderPlaybookTemplate(operation.query, context);
+    for (const [key, value] of Object.entries(query)) {
+      if (value === '' || value === null || value === undefined) continue;
+      url.searchParams.set(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+    }
+  }
+
+  return {
+    method: operation.method,
+    url: url.toString(),
+    body: operation.body === undefined ? undefined : renderPlaybookTemplate(operation.body, context)
+  };
+}
+
+export function extractHttpConnectorResponse(response, mapping = {}) {
+  return Object.fromEntries(
+    Object.entries(mapping).map(([field, responsePath]) => {
+      const value = lookupPath(response, responsePath);
+      return [field, value === undefined ? null : value];
+    })
+  );
+}
+
+async function sendHttpConnectorRequest({ request, connection, idempotencyKey }) {
+  const headers = {};
+  if (idempotencyKey && request.method !== 'GET') headers['idempotency-key'] = idempotencyKey;
+  const response = await sendJsonRequest(request.url, {
+    method: request.method,
+    auth: connection.auth,
+    headers,
+    body: request.body,
+    timeoutMs: connection.timeout_ms || DEFAULT_HTTP_TIMEOUT_MS,
+    label: `${request.method} ${request.url}`,
+    createError: (message) => new HttpConnectorRequestError(message)
+  });
+
+  if (!response.ok) {
+    throw new HttpConnectorRequestError(
+      `${request.method} ${request.url} returned ${response.status}`,
+      { status: response.status }
+    );
+  }
+
+  const body = parseJsonBody(response.text);
+  if (body === undefined) {
+    throw new HttpConnectorRequestError(
+      `${request.method} ${request.url} returned a non-JSON body`,
+      { status: response.status }
+    );
+  }
+  return { status: response.status, body };
+}
+
+// Generic adapter for manifests that declare an `http_mapping`; the base URL and
+// credentials arrive per call in `runtime.http`, resolved from environment sets.
+export function buildHttpMappingAdapter(manifest) {
+  const id = manifest.connector_id;
+  const mapping = manifest.http_mapping;
+  const capabilities = Object.keys(mapping.operations);
+
+  return {
+    id,
+    capabilities,
+    async simulate({ capability, parameters, runId, runtime }) {
+      assertCapability(capabilities, capability, id);
+      maybeSimulateError(parameters);
+      await maybeSimulateTimeout(parameters);
+      const operation = mapping.operations[capability];
+      return {
+        mode: 'simulate',
+        connector_id: id,
+        run_id: runId,
+        protocol: 'http',
+        preview: {
+          method: operation.method,
+          path: renderHttpPath(operation.path, buildHttpTemplateContext({ parameters, runId })),
+          mutation: operation.method !== 'GET',
+          base_url_configured: Boolean(runtime?.http?.base_url)
+        }
+      };
+    },
+    async invoke({ capability, parameters, runId, idempotencyKey, runtime }) {
+      assertCapability(capabilities, capability, id);
+      maybeSimulateError(parameters);
+      await maybeSimulateTimeout(parameters);
+      const connection = runtime?.http;
+      if (!connection?.base_url) {
+        throw new HttpConnectorRequestError(
+          `Adapter ${id} has no base URL configured (${mapping.env_provider} ${mapping.base_url_key})`
+        );
+      }
+
+      const operation = mapping.operations[capability];
+      const request = buildHttpConnectorRequest({
+        operation,
+        baseUrl: connection.base_url,
+        context: buildHttpTemplateContext({ parameters, runId, idempotencyKey })
+      });
+      const response = await sendHttpConnectorRequest({ request, connection, idempotencyKey });
+      return {
+        mode: 'invoke',
+        connector_id: id,
+        run_id: runId,
+        protocol: 'http',
+        tx_id: `http_tx_${digest({ runId, capability, parameters, at: nowIso() })}`,
+        output: {
+          ok: true,
+          capability,
+          http_status: response.status,
+          data: extractHttpConnectorResponse(response.body, operation.response)
+        }
+      };
+    }
+  };
+}
+
+// Hand-written adapters take precedence; manifests only fill in connectors without one.
+export function buildConnectorAdapterRegistry({ manifests = {} } = {}) {
   const adapters = [
     buildMcpGatewayAdapter(),
     buildA2aGatewayAdapter(),
     buildOfficeCalendarAdapter(),
-    buildOfficeChatAdapter()
+    buildOfficeEmailAdapter(),
+    buildJiraAdapter(),
+    buildWikiDocsAdapter(),
+    buildOfficeChatAdapter(),
+    buildSlackChatAdapter(),
+    buildDingTalkChatAdapter()
   ];
+  const builtinIds = new Set(adapters.map((adapter) => adapter.id));
+
+  for (const manifest of Object.values(manifests)) {
+    if (!manifest?.http_mapping || builtinIds.has(manifest.connector_id)) continue;
+    adapters.push(buildHttpMappingAdapter(manifest));
+  }
 
   return Object.fromEntries(adapters.map((adapter) => [adapter.id, adapter]));
 }
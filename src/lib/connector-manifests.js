@@ -9,6 +9,13 @@ const CATEGORY_SET = new Set(['office_channel', 'office_system', 'agent_protocol
 const PROTOCOL_SET = new Set(['sdk', 'http', 'mcp', 'a2a']);
 const TRUST_LEVEL_SET = new Set(['sandbox', 'standard', 'high_control']);
 const STATUS_SET = new Set(['active', 'preview', 'deprecated']);
+const HTTP_METHOD_SET = new Set(['GET', 'POST', 'PUT', 'PATCH', 'DELETE']);
+const HTTP_AUTH_TYPE_SET = new Set(['none', 'bearer', 'basic']);
+const HTTP_TEMPLATE_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*(?:\.[A-Za-z0-9_]+)*)\s*\}\}/g;
+const HTTP_TEMPLATE_ROOT_SET = new Set(['parameters', 'run', 'idempotency_key']);
+const ENV_KEY_PATTERN = /^[A-Z][A-Z0-9_]{1,63}$/;
+const ENV_PROVIDER_PATTERN = /^[a-z][a-z0-9_]{1,39}$/;
+const RESPONSE_PATH_PATTERN = /^[A-Za-z0-9_-]+(\.[A-Za-z0-9_-]+)*$/;
 
 const ATTESTATION_ALGORITHM = 'HMAC-SHA256';
 const ATTESTATION_KEY_ID_PATTERN = /^att_[A-Za-z0-9_-]{4,64}$/;
@@ -53,6 +60,135 @@ function stableSerialize(value) {
   return JSON.stringify(value);
 }
 
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function assertHttpTemplateRefs(value, label, source) {
+  if (typeof value === 'string') {
+    for (const match of value.matchAll(HTTP_TEMPLATE_PATTERN)) {
+      if (!HTTP_TEMPLATE_ROOT_SET.has(match[1].split('.')[0])) {
+        throw new Error(`[${source}] ${label} has unsupported template reference: ${match[1]}`);
+      }
+    }
+    return;
+  }
+  if (Array.isArray(value)) {
+    value.forEach((item) => assertHttpTemplateRefs(item, label, source));
+    return;
+  }
+  if (isPlainObject(value)) {
+    Object.values(value).forEach((item) => assertHttpTemplateRefs(item, label, source));
+  }
+}
+
+function assertEnvKey(value, name, source) {
+  if (typeof value !== 'string' || !ENV_KEY_PATTERN.test(value)) {
+    throw new Error(`[${source}] ${name} must be an upper-case environment key`);
+  }
+}
+
+function normalizeHttpAuth(auth, source) {
+  if (auth === undefined) return { type: 'none' };
+  if (!isPlainObject(auth) || !HTTP_AUTH_TYPE_SET.has(auth.type)) {
+    throw new Error(`[${source}] http_mapping.auth.type must be one of ${Array.from(HTTP_AUTH_TYPE_SET).join(', ')}`);
+  }
+  if (auth.type === 'bearer') {
+    assertEnvKey(auth.token_key, 'http_mapping.auth.token_key', source);
+    return { type: 'bearer', token_key: auth.token_key };
+  }
+  if (auth.type === 'basic') {
+    assertEnvKey(auth.username_key, 'http_mapping.auth.username_key', source);
+    assertEnvKey(auth.password_key, 'http_mapping.auth.password_key', source);
+    return { type: 'basic', username_key: auth.username_key, password_key: auth.password_key };
+  }
+  return { type: 'none' };
+}
+
+function normalizeHttpOperation(capability, operation, source) {
+  const label = `http_mapping.operations.${capability}`;
+  if (!isPlainObject(operation)) {
+    throw new Error(`[${source}] ${label} must be an object`);
+  }
+
+  const method = typeof operation.method === 'string' ? operation.method.toUpperCase() : '';
+  if (!HTTP_METHOD_SET.has(method)) {
+    throw new Error(`[${source}] ${label}.method must be one of ${Array.from(HTTP_METHOD_SET).join(', ')}`);
+  }
+
+  assertString(operation.path, `${label}.path`, source, 1, 400);
+  if (!operation.path.startsWith('/')) {
+    throw new Error(`[${source}] ${label}.path must start with /`);
+  }
+  assertHttpTemplateRefs(operation.path, `${label}.path`, source);
+
+  const normalized = { method, path: operation.path };
+
+  if (operation.query !== undefined) {
+    if (!isPlainObject(operation.query)) {
+      throw new Error(`[${source}] ${label}.query must be an object`);
+    }
+    assertHttpTemplateRefs(operation.query, `${label}.query`, source);
+    normalized.query = operation.query;
+  }
+
+  if (operation.body !== undefined) {
+    if (method === 'GET' || method === 'DELETE') {
+      throw new Error(`[${source}] ${label}.body is not allowed for ${method}`);
+    }
+    assertHttpTemplateRefs(operation.body, `${label}.body`, source);
+    normalized.body = operation.body;
+  }
+
+  if (operation.response !== undefined) {
+    if (!isPlainObject(operation.response)) {
+      throw new Error(`[${source}] ${label}.response must map output fields to response paths`);
+    }
+    for (const [field, responsePath] of Object.entries(operation.response)) {
+      if (typeof responsePath !== 'string' || !RESPONSE_PATH_PATTERN.test(responsePath)) {
+        throw new Error(`[${source}] ${label}.response.${field} must be a dotted response path`);
+      }
+    }
+    normalized.response = operation.response;
+  }
+
+  return normalized;
+}
+
+// Operations may only cover declared capabilities, so a mapping can never widen what
+// bindings and policy already see in `capabilities`.
+function normalizeHttpMapping(mapping, { capabilities, protocol, source }) {
+  if (!isPlainObject(mapping)) {
+    throw new Error(`[${source}] http_mapping must be an object`);
+  }
+  if (protocol !== 'http') {
+    throw new Error(`[${source}] http_mapping requires protocol http`);
+  }
+  if (typeof mapping.env_provider !== 'string' || !ENV_PROVIDER_PATTERN.test(mapping.env_provider)) {
+    throw new Error(`[${source}] http_mapping.env_provider must be a lower-case provider name`);
+  }
+  assertEnvKey(mapping.base_url_key, 'http_mapping.base_url_key', source);
+
+  if (!isPlainObject(mapping.operations) || !Object.keys(mapping.operations).length) {
+    throw new Error(`[${source}] http_mapping.operations must be a non-empty object`);
+  }
+
+  const operations = {};
+  for (const capability of Object.keys(mapping.operations).sort()) {
+    if (!capabilities.includes(capability)) {
+      throw new Error(`[${source}] http_mapping operation for undeclared capability: ${capability}`);
+    }
+    operations[capability] = normalizeHttpOperation(capability, mapping.operations[capability], source);
+  }
+
+  return {
+    env_provider: mapping.env_provider,
+    base_url_key: mapping.base_url_key,
+    auth: normalizeHttpAuth(mapping.auth, source),
+    operations
+  };
+}
+
 function normalizeManifestCore(document, { source = 'memory' } = {}) {
   if (!document || typeof document !== 'object' || Array.isArray(document)) {
     throw new Error(`[${source}] connector manifest must be an object`);
@@ -96,7 +232,7 @@ function normalizeManifestCore(document, { source = 'memory' } = {}) {
     throw new Error(`[${source}] invalid status: ${status}`);
   }
 
-  return {
+  const normalized = {
     connector_id: document.connector_id,
     name: document.name,
     category: document.category,
@@ -106,6 +242,16 @@ function normalizeManifestCore(document, { source = 'memory' } = {}) {
     capabilities: uniqueSorted(document.capabilities),
     metadata: document.metadata && typeof document.metadata === 'object' ? document.metadata : {}
   };
+
+  if (document.http_mapping !== undefined) {
+    normalized.http_mapping = normalizeHttpMapping(document.http_mapping, {
+      capabilities: normalized.capabilities,
+      protocol: normalized.protocol,
+      source
+    });
+  }
+
+  return normalized;
 }
 
 export function buildManifestPayloadHash(manifestCore) {
@@ -121,6 +267,9 @@ export function buildManifestPayloadHash(manifestCore) {
       ? manifestCore.metadata
       : {}
   };
+  if (manifestCore.http_mapping) {
+    canonicalPayload.http_mapping = manifestCore.http_mapping;
+  }
 
   return `sha256:${sha256Hex(stableSerialize(canonicalPayload))}`;
 }
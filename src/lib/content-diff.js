@@ -0,0 +1,150 @@
+import crypto from 'node:crypto';
+
+const DEFAULT_CONTEXT_LINES = 2;
+const DEFAULT_MAX_PATCH_LINES = 400;
+const MAX_LCS_CELLS = 4_000_000;
+
+export function digestContent(text = '') {
+  return `sha256:${crypto.createHash('sha256').update(String(text), 'utf8').digest('hex')}`;
+}
+
+function splitLines(text = '') {
+  const value = String(text).replace(/\r\n/g, '\n');
+  if (!value) return [];
+  const lines = value.split('\n');
+  if (lines.at(-1) === '') lines.pop();
+  return lines;
+}
+
+// Classic LCS table over the region left after trimming the common prefix/suffix. Regions too
+// large for the table degrade to "everything in the middle was replaced".
+function diffMiddle(before, after) {
+  const rows = before.length;
+  const cols = after.length;
+  if (rows * cols > MAX_LCS_CELLS) {
+    return [
+      ...before.map((line) => ({ op: '-', line })),
+      ...after.map((line) => ({ op: '+', line }))
+    ];
+  }
+
+  const table = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+  for (let i = rows - 1; i >= 0; i -= 1) {
+    for (let j = cols - 1; j >= 0; j -= 1) {
+      table[i][j] = before[i] === after[j]
+        ? table[i + 1][j + 1] + 1
+        : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (before[i] === after[j]) {
+      ops.push({ op: ' ', line: before[i] });
+      i += 1;
+      j += 1;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      ops.push({ op: '-', line: before[i] });
+      i += 1;
+    } else {
+      ops.push({ op: '+', line: after[j] });
+      j += 1;
+    }
+  }
+  while (i < rows) ops.push({ op: '-', line: before[i++] });
+  while (j < cols) ops.push({ op: '+', line: after[j++] });
+  return ops;
+}
+
+function diffLines(before, after) {
+  let prefix = 0;
+  while (prefix < before.length && prefix < after.length && before[prefix] === after[prefix]) prefix += 1;
+  let suffix = 0;
+  while (
+    suffix < before.length - prefix
+    && suffix < after.length - prefix
+    && before[before.length - 1 - suffix] === after[after.length - 1 - suffix]
+  ) suffix += 1;
+
+  return [
+    ...before.slice(0, prefix).map((line) => ({ op: ' ', line })),
+    ...diffMiddle(before.slice(prefix, before.length - suffix), after.slice(prefix, after.length - suffix)),
+    ...before.slice(before.length - suffix).map((line) => ({ op: ' ', line }))
+  ];
+}
+
+function buildUnifiedHunks(ops, contextLines) {
+  const hunks = [];
+  let current = null;
+  let beforeLine = 1;
+  let afterLine = 1;
+  let trailingContext = 0;
+
+  ops.forEach((item, index) => {
+    if (item.op !== ' ') {
+      if (!current) {
+        const lead = [];
+        for (let back = index - 1; back >= 0 && lead.length < contextLines && ops[back].op === ' '; back -= 1) {
+          lead.unshift(ops[back]);
+        }
+        current = {
+          before_start: beforeLine - lead.length,
+          after_start: afterLine - lead.length,
+          lines: lead.map((entry) => ` ${entry.line}`)
+        };
+        hunks.push(current);
+      }
+      current.lines.push(`${item.op}${item.line}`);
+      trailingContext = 0;
+    } else if (current) {
+      if (trailingContext < contextLines) {
+        current.lines.push(` ${item.line}`);
+        trailingContext += 1;
+      } else {
+        const nextChange = ops.slice(index, index + contextLines + 1).some((entry) => entry.op !== ' ');
+        if (nextChange) {
+          current.lines.push(` ${item.line}`);
+        } else {
+          current = null;
+        }
+      }
+    }
+
+    if (item.op !== '+') beforeLine += 1;
+    if (item.op !== '-') afterLine += 1;
+  });
+
+  return hunks.map((hunk) => {
+    const beforeCount = hunk.lines.filter((line) => line[0] !== '+').length;
+    const afterCount = hunk.lines.filter((line) => line[0] !== '-').length;
+    // Empty sides point at the line before the hunk, as GNU diff does.
+    const beforeStart = beforeCount ? hunk.before_start : hunk.before_start - 1;
+    const afterStart = afterCount ? hunk.after_start : hunk.after_start - 1;
+    return [
+      `@@ -${beforeStart},${beforeCount} +${afterStart},${afterCount} @@`,
+      ...hunk.lines
+    ];
+  });
+}
+
+// Line-level diff of a document write; the patch is a unified diff capped at `maxPatchLines`.
+export function buildContentDiff(before = '', after = '', {
+  contextLines = DEFAULT_CONTEXT_LINES,
+  maxPatchLines = DEFAULT_MAX_PATCH_LINES
+} = {}) {
+  const ops = diffLines(splitLines(before), splitLines(after));
+  const patchLines = buildUnifiedHunks(ops, contextLines).flat();
+  const truncated = patchLines.length > maxPatchLines;
+
+  return {
+    before_digest: digestContent(before),
+    after_digest: digestContent(after),
+    changed: String(before) !== String(after),
+    added_lines: ops.filter((item) => item.op === '+').length,
+    removed_lines: ops.filter((item) => item.op === '-').length,
+    patch: (truncated ? patchLines.slice(0, maxPatchLines) : patchLines).join('\n'),
+    patch_truncated: truncated
+  };
+}
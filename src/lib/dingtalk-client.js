@@ -0,0 +1,107 @@
+import crypto from 'node:crypto';
+
+import { parseJsonBody, sendJsonRequest } from './http-json.js';
+
+const DEFAULT_TIMEOUT_MS = 5000;
+const MAX_TEXT_CHARS = 20000;
+// Robot errcodes that mean the request never reached the group: signature/keyword/IP checks
+// (310000) and unknown or revoked access tokens (300001).
+const REJECTED_ERRCODES = new Set([300001, 310000]);
+
+export class DingTalkDeliveryError extends Error {
+  constructor(message, { status = null, errcode = null } = {}) {
+    super(message);
+    this.name = 'DingTalkDeliveryError';
+    this.code = 'DINGTALK_DELIVERY_FAILED';
+    this.status = status;
+    this.errcode = errcode;
+  }
+}
+
+// sign = base64(HMAC-SHA256(secret, "<timestamp>\n<secret>")), as documented for robot security settings.
+export function signDingTalkRequest({ secret, timestamp }) {
+  return crypto
+    .createHmac('sha256', String(secret))
+    .update(`${timestamp}\n${secret}`, 'utf8')
+    .digest('base64');
+}
+
+export function buildSignedDingTalkUrl({ webhookUrl, secret = '', timestamp = Date.now() }) {
+  const url = new URL(webhookUrl);
+  if (!secret) return { url: url.toString(), signed: false, timestamp: null };
+  url.searchParams.set('timestamp', String(timestamp));
+  url.searchParams.set('sign', signDingTalkRequest({ secret, timestamp }));
+  return { url: url.toString(), signed: true, timestamp };
+}
+
+async function postRobot({ webhookUrl, secret, body, timeoutMs = DEFAULT_TIMEOUT_MS, now = Date.now }) {
+  const target = buildSignedDingTalkUrl({ webhookUrl, secret, timestamp: now() });
+  const response = await sendJsonRequest(target.url, {
+    method: 'POST',
+    body,
+    timeoutMs,
+    label: 'DingTalk webhook',
+    createError: (message) => new DingTalkDeliveryError(message)
+  });
+  const payload = parseJsonBody(response.text) ?? null;
+  return {
+    status: response.status,
+    errcode: Number.isInteger(payload?.errcode) ? payload.errcode : null,
+    errmsg: String(payload?.errmsg || ''),
+    signed: target.signed,
+    timestamp: target.timestamp
+  };
+}
+
+export async function sendDingTalkText({
+  webhookUrl,
+  secret = '',
+  text,
+  atMobiles = [],
+  atAll = false,
+  timeoutMs,
+  now
+}) {
+  const content = String(text ?? '').trim();
+  if (!content) throw new DingTalkDeliveryError('DingTalk message requires non-empty text');
+
+  const result = await postRobot({
+    webhookUrl,
+    secret,
+    timeoutMs,
+    now,
+    body: {
+      msgtype: 'text',
+      text: { content: content.slice(0, MAX_TEXT_CHARS) },
+      at: { atMobiles: atMobiles.map(String), isAtAll: atAll === true }
+    }
+  });
+  if (result.status !== 200 || result.errcode !== 0) {
+    throw new DingTalkDeliveryError(
+      `DingTalk webhook returned ${result.status} errcode=${result.errcode ?? 'none'} ${result.errmsg}`.trim(),
+      { status: result.status, errcode: result.errcode }
+    );
+  }
+  return {
+    delivery_mode: result.signed ? 'dingtalk_signed_webhook' : 'dingtalk_webhook',
+    signed: result.signed,
+    timestamp: result.timestamp,
+    errcode: result.errcode
+  };
+}
+
+// Posts a deliberately invalid message type: the robot validates token and signature before the
+// payload, so an "unsupported msgtype" answer proves credentials without messaging the group.
+export async function probeDingTalkWebhook({ webhookUrl, secret = '', timeoutMs, now }) {
+  const result = await postRobot({
+    webhookUrl,
+    secret,
+    timeoutMs,
+    now,
+    body: { msgtype: 'flockmesh_probe' }
+  });
+  return {
+    ...result,
+    rejected: (result.status >= 400 && result.status < 500) || REJECTED_ERRCODES.has(result.errcode)
+  };
+}
@@ -1,6 +1,7 @@
 import fs from 'node:fs/promises';
 import path from 'node:path';
 import { nowIso } from './time.js';
+import { linkAuditEntry, resolveAuditChainHead, verifyAuditChain } from './audit-chain.js';
 
 async function ensureDir(dirPath) {
   await fs.mkdir(dirPath, { recursive: true });
@@ -23,6 +24,25 @@ async function readJsonLines(filePath) {
   }
 }
 
+async function readJsonLinesLenient(filePath) {
+  try {
+    const text = await fs.readFile(filePath, 'utf8');
+    return text
+      .split('\n')
+      .filter(Boolean)
+      .map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch {
+          return null;
+        }
+      });
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+}
+
 function paginate(items, { limit = 100, offset = 0 } = {}) {
   const boundedLimit = Math.min(Math.max(Number(limit) || 100, 1), 500);
   const boundedOffset = Math.max(Number(offset) || 0, 0);
@@ -35,15 +55,57 @@ function paginate(items, { limit = 100, offset = 0 } = {}) {
 }
 
 export class DualLedger {
-  constructor({ rootDir }) {
+  constructor({ rootDir, dataDir = path.join(rootDir, 'data') }) {
     this.rootDir = rootDir;
-    this.auditDir = path.join(rootDir, 'data', 'audit');
-    this.eventDir = path.join(rootDir, 'data', 'events');
+    this.dataDir = dataDir;
+    this.auditDir = path.join(dataDir, 'audit');
+    this.eventDir = path.join(dataDir, 'events');
+    this.checkpointDir = path.join(dataDir, 'checkpoints');
+    this.auditHeads = new Map();
+    this.auditWrites = new Map();
+    this.eventSeqs = new Map();
+    this.eventWrites = new Map();
+    this.legacyChainRuns = null;
   }
 
   async init() {
     await ensureDir(this.auditDir);
     await ensureDir(this.eventDir);
+    await ensureDir(this.checkpointDir);
+    await this.ensureAuditChainMarker();
+  }
+
+  auditChainMarkerPath() {
+    return path.join(this.dataDir, 'audit-chain.json');
+  }
+
+  // The first init records when chaining was enabled and which runs already had unchained audit
+  // lines; only those runs may keep a legacy prefix, so stripping chain fields later is a break.
+  async ensureAuditChainMarker() {
+    if (await this.loadLegacyChainRuns({ required: true })) return;
+
+    const legacyRunIds = [];
+    for (const [runId, entries] of await this.readAuditLedgers()) {
+      if (verifyAuditChain(entries, { allowLegacyPrefix: true }).legacy_entries > 0) legacyRunIds.push(runId);
+    }
+    await fs.writeFile(this.auditChainMarkerPath(), `${JSON.stringify({
+      version: 'v0',
+      enabled_at: nowIso(),
+      legacy_run_ids: legacyRunIds
+    }, null, 2)}\n`, 'utf8');
+    this.legacyChainRuns = new Set(legacyRunIds);
+  }
+
+  async loadLegacyChainRuns({ required = false } = {}) {
+    if (this.legacyChainRuns) return this.legacyChainRuns;
+    try {
+      const marker = JSON.parse(await fs.readFile(this.auditChainMarkerPath(), 'utf8'));
+      this.legacyChainRuns = new Set(marker.legacy_run_ids || []);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      return required ? null : new Set();
+    }
+    return this.legacyChainRuns;
   }
 
   auditPath(runId) {
@@ -54,18 +116,71 @@ export class DualLedger {
     return path.join(this.eventDir, `${runId}.jsonl`);
   }
 
+  checkpointPath() {
+    return path.join(this.checkpointDir, 'ledger-checkpoints.jsonl');
+  }
+
   async appendAudit(entry) {
-    await appendJsonLine(this.auditPath(entry.run_id), {
-      ...entry,
-      persisted_at: nowIso()
+    const runId = entry.run_id;
+    const previous = this.auditWrites.get(runId) || Promise.resolve();
+    const write = previous.catch(() => {}).then(async () => {
+      if (!this.auditHeads.has(runId)) {
+        this.auditHeads.set(runId, resolveAuditChainHead(await readJsonLinesLenient(this.auditPath(runId))));
+      }
+
+      const linked = linkAuditEntry({
+        ...entry,
+        persisted_at: nowIso()
+      }, this.auditHeads.get(runId));
+      await appendJsonLine(this.auditPath(runId), linked);
+      this.auditHeads.set(runId, { seq: linked.seq, entry_hash: linked.entry_hash });
+      return linked;
     });
+
+    this.auditWrites.set(runId, write);
+    try {
+      return await write;
+    } finally {
+      if (this.auditWrites.get(runId) === write) this.auditWrites.delete(runId);
+    }
   }
 
+  // Events carry a per-run `seq` so stream clients can resume; older lines count by position.
   async appendEvent(event) {
-    await appendJsonLine(this.eventPath(event.run_id), {
-      ...event,
-      persisted_at: nowIso()
+    const runId = event.run_id;
+    const previous = this.eventWrites.get(runId) || Promise.resolve();
+    const write = previous.catch(() => {}).then(async () => {
+      if (!this.eventSeqs.has(runId)) {
+        this.eventSeqs.set(runId, (await readJsonLinesLenient(this.eventPath(runId))).length);
+      }
+
+      const persisted = {
+        ...event,
+        seq: this.eventSeqs.get(runId) + 1,
+        persisted_at: nowIso()
+      };
+      await appendJsonLine(this.eventPath(runId), persisted);
+      this.eventSeqs.set(runId, persisted.seq);
+      return persisted;
     });
+
+    this.eventWrites.set(runId, write);
+    try {
+      return await write;
+    } finally {
+      if (this.eventWrites.get(runId) === write) this.eventWrites.delete(runId);
+    }
+  }
+
+  async readRunStreamBacklog(runId, { afterEventSeq = 0, afterAuditSeq = 0 } = {}) {
+    await Promise.all([this.eventWrites.get(runId), this.auditWrites.get(runId)].map((write) => write?.catch(() => {})));
+    const events = (await readJsonLinesLenient(this.eventPath(runId)))
+      .map((event, index) => (event ? { ...event, seq: event.seq ?? index + 1 } : null))
+      .filter((event) => event && event.seq > afterEventSeq);
+    const audit = (await readJsonLinesLenient(this.auditPath(runId)))
+      .map((entry, index) => (entry ? { ...entry, seq: entry.seq ?? index + 1 } : null))
+      .filter((entry) => entry && entry.seq > afterAuditSeq);
+    return { events, audit };
   }
 
   async listAudit(runId, opts = {}) {
@@ -73,6 +188,66 @@ export class DualLedger {
     return paginate(all, opts);
   }
 
+  async verifyAuditChain(runId) {
+    const pending = this.auditWrites.get(runId);
+    if (pending) await pending.catch(() => {});
+    const legacyRuns = await this.loadLegacyChainRuns();
+    return verifyAuditChain(await readJsonLinesLenient(this.auditPath(runId)), {
+      allowLegacyPrefix: legacyRuns.has(runId)
+    });
+  }
+
+  async readAuditLedgers() {
+    await Promise.all(Array.from(this.auditWrites.values()).map((write) => write.catch(() => {})));
+
+    let files = [];
+    try {
+      files = await fs.readdir(this.auditDir);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+
+    const ledgers = new Map();
+    for (const file of files.filter((name) => name.endsWith('.jsonl')).sort()) {
+      ledgers.set(file.slice(0, -'.jsonl'.length), await readJsonLinesLenient(path.join(this.auditDir, file)));
+    }
+    return ledgers;
+  }
+
+  // Only heads of chains that verify end to end are worth signing; broken or unchained runs are
+  // returned separately so the checkpoint records them instead of vouching for their last line.
+  async listAuditHeads() {
+    const legacyRuns = await this.loadLegacyChainRuns();
+    const heads = [];
+    const excluded = [];
+    for (const [runId, entries] of await this.readAuditLedgers()) {
+      const verdict = verifyAuditChain(entries, { allowLegacyPrefix: legacyRuns.has(runId) });
+      if (verdict.chain_state === 'intact') {
+        heads.push({ run_id: runId, ...verdict.head });
+      } else if (verdict.chain_state !== 'empty') {
+        excluded.push({
+          run_id: runId,
+          chain_state: verdict.chain_state,
+          reason: verdict.first_broken_link?.reason || 'chain.unchained'
+        });
+      }
+    }
+    return { heads, excluded };
+  }
+
+  async appendCheckpoint(checkpoint) {
+    await ensureDir(this.checkpointDir);
+    await appendJsonLine(this.checkpointPath(), checkpoint);
+  }
+
+  async readCheckpoints() {
+    return readJsonLinesLenient(this.checkpointPath());
+  }
+
+  async listCheckpoints(opts = {}) {
+    return paginate(await this.readCheckpoints(), opts);
+  }
+
   async listEvents(runId, opts = {}) {
     const all = await readJsonLines(this.eventPath(runId));
     return paginate(all, opts);
@@ -0,0 +1,396 @@
+import dnsCallback from 'node:dns';
+import dns from 'node:dns/promises';
+import http from 'node:http';
+import https from 'node:https';
+import net from 'node:net';
+
+import { computeAdapterRetryDelayMs } from './adapter-retry.js';
+import {
+  WEBHOOK_SIGNATURE_HEADER,
+  WEBHOOK_TIMESTAMP_HEADER,
+  computeWebhookSignature
+} from './webhook-triggers.js';
+
+export const EVENT_WEBHOOK_EVENT_HEADER = 'x-flockmesh-event';
+export const EVENT_WEBHOOK_DELIVERY_HEADER = 'x-flockmesh-delivery';
+export const EVENT_WEBHOOK_MAX_EVENT_NAMES = 32;
+
+export const DEFAULT_EVENT_WEBHOOK_RETRY_POLICY = Object.freeze({
+  version: 'v0',
+  max_attempts: 5,
+  base_delay_ms: 1000,
+  max_delay_ms: 30_000,
+  jitter_ms: 250
+});
+
+const DEFAULT_TIMEOUT_MS = 5000;
+const EVENT_NAME_PATTERN = /^[a-z][a-z0-9_]*(?:\.[a-z][a-z0-9_]*)*$/;
+const EVENT_PREFIX_PATTERN = /^[a-z][a-z0-9_]*(?:\.[a-z][a-z0-9_]*)*\.\*$/;
+
+// "*" matches everything and "approval.*" matches every name under "approval.".
+export function matchesEventName(pattern, eventName) {
+  if (pattern === '*') return true;
+  if (pattern.endsWith('.*')) return eventName.startsWith(pattern.slice(0, -1));
+  return pattern === eventName;
+}
+
+export function normalizeEventSubscriptionNames(eventNames, { knownEventNames = [] } = {}) {
+  if (!Array.isArray(eventNames) || !eventNames.length) {
+    throw new Error('event_names must be a non-empty array');
+  }
+  if (eventNames.length > EVENT_WEBHOOK_MAX_EVENT_NAMES) {
+    throw new Error(`event_names accepts at most ${EVENT_WEBHOOK_MAX_EVENT_NAMES} entries`);
+  }
+
+  const normalized = new Set();
+  for (const raw of eventNames) {
+    const name = String(raw || '').trim();
+    if (name !== '*' && !EVENT_NAME_PATTERN.test(name) && !EVENT_PREFIX_PATTERN.test(name)) {
+      throw new Error(`event_names has invalid entry: ${name}`);
+    }
+    if (knownEventNames.length && !knownEventNames.some((known) => matchesEventName(name, known))) {
+      throw new Error(`event_names entry matches no known event: ${name}`);
+    }
+    normalized.add(name);
+  }
+  return Array.from(normalized).sort();
+}
+
+const BLOCKED_IPV4_RANGES = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+];
+const BLOCKED_IPV6_PREFIXES = ['fc', 'fd', 'fe8', 'fe9', 'fea', 'feb', 'ff'];
+const TARGET_BLOCKED_ERROR_CODE = 'EVENT_WEBHOOK_TARGET_BLOCKED';
+
+function ipv4ToInt(address) {
+  return address.split('.').reduce((value, octet) => (value * 256) + Number(octet), 0);
+}
+
+// The 16 groups of an IPv6 address as bytes, with `::` expanded and a dotted IPv4 tail folded in.
+function ipv6ToBytes(address) {
+  let text = address;
+  const dotted = /(\d+\.\d+\.\d+\.\d+)$/.exec(text);
+  if (dotted) {
+    const value = ipv4ToInt(dotted[1]);
+    text = `${text.slice(0, dotted.index)}${(value >>> 16).toString(16)}:${(value & 0xffff).toString(16)}`;
+  }
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const groups = tail === undefined
+    ? headGroups
+    : [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+  return groups.flatMap((group) => {
+    const value = parseInt(group, 16);
+    return [value >> 8, value & 255];
+  });
+}
+
+// Loopback, private, link-local, carrier-grade NAT, benchmarking, multicast and reserved ranges,
+// including IPv4 addresses embedded in IPv6: mapped (::ffff:0:0/96), NAT64 (64:ff9b::/96) and
+// 6to4 (2002::/16).
+export function isNonPublicAddress(rawAddress) {
+  const address = String(rawAddress || '').trim().toLowerCase().replace(/^\[|\]$/g, '');
+
+  if (net.isIPv6(address)) {
+    const bytes = ipv6ToBytes(address);
+    const embedded = (offset) => bytes.slice(offset, offset + 4).join('.');
+    const prefixIs = (expected) => expected.every((value, index) => bytes[index] === value);
+    if (prefixIs([0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 255, 255])) return isNonPublicAddress(embedded(12));
+    if (prefixIs([0, 0x64, 0xff, 0x9b, 0, 0, 0, 0, 0, 0, 0, 0])) return isNonPublicAddress(embedded(12));
+    if (prefixIs([0x20, 0x02])) return isNonPublicAddress(embedded(2));
+  }
+
+  if (net.isIPv4(address)) {
+    const value = ipv4ToInt(address);
+    return BLOCKED_IPV4_RANGES.some(([base, bits]) => {
+      const size = 2 ** (32 - bits);
+      return Math.floor(value / size) === Math.floor(ipv4ToInt(base) / size);
+    });
+  }
+  if (net.isIPv6(address)) {
+    if (address === '::' || address === '::1') return true;
+    return BLOCKED_IPV6_PREFIXES.some((prefix) => address.startsWith(prefix));
+  }
+  return false;
+}
+
+export function normalizeEventSubscriptionAllowedHosts(raw = []) {
+  const items = Array.isArray(raw) ? raw : String(raw || '').split(',');
+  return new Set(items.map((item) => String(item || '').trim().toLowerCase()).filter(Boolean));
+}
+
+function isAllowListedTarget(target, allowedHosts) {
+  const hostname = target.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  return allowedHosts.has(hostname) || allowedHosts.has(target.host.toLowerCase());
+}
+
+// A callback-style dns.lookup for the delivery socket that refuses non-public answers. The socket
+// connects to exactly the addresses checked here, so a name rebound to an internal address after
+// the subscription (or pre-attempt) check still cannot be reached.
+export function createPublicAddressLookup({ lookup = dnsCallback.lookup } = {}) {
+  return (hostname, options, callback) => {
+    lookup(hostname, { ...options, all: true }, (err, addresses) => {
+      if (err) return callback(err);
+      const blocked = addresses.find((entry) => isNonPublicAddress(entry.address));
+      if (blocked) {
+        const error = new Error(`url host ${hostname} resolved to non-public address ${blocked.address}`);
+        error.code = TARGET_BLOCKED_ERROR_CODE;
+        return callback(error);
+      }
+      if (options.all) return callback(null, addresses);
+      return callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+}
+
+// Subscription URLs must be https and must not reach internal addresses, either literally or
+// through DNS. Hosts on the operator allow-list (e.g. a receiver inside the cluster) skip both
+// checks. A host that does not resolve is refused at creation but left to the delivery attempt
+// later, where it fails and retries like any network error.
+export async function checkEventSubscriptionTarget(url, {
+  allowedHosts = new Set(),
+  lookup = dns.lookup,
+  requireResolution = true
+} = {}) {
+  const target = url instanceof URL ? url : new URL(url);
+  const hostname = target.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  if (isAllowListedTarget(target, allowedHosts)) return { ok: true };
+
+  if (target.protocol !== 'https:') {
+    return { ok: false, reason_code: 'subscription.url_not_https', message: 'url must use https protocol' };
+  }
+
+  const blocked = {
+    ok: false,
+    reason_code: 'subscription.url_not_public',
+    message: `url host ${hostname} is a loopback, private or link-local address`
+  };
+  if (hostname === 'localhost' || hostname.endsWith('.localhost')) return blocked;
+  if (net.isIP(hostname)) return isNonPublicAddress(hostname) ? blocked : { ok: true };
+
+  let addresses;
+  try {
+    addresses = await lookup(hostname, { all: true, verbatim: true });
+  } catch (err) {
+    if (!requireResolution) return { ok: true };
+    return {
+      ok: false,
+      reason_code: 'subscription.url_unresolvable',
+      message: `url host ${hostname} does not resolve: ${err.code || err.message}`
+    };
+  }
+  return addresses.some((entry) => isNonPublicAddress(entry.address)) ? blocked : { ok: true };
+}
+
+export function subscriptionMatchesEvent(subscription, eventName) {
+  return subscription.event_names.some((pattern) => matchesEventName(pattern, eventName));
+}
+
+// The body is frozen at enqueue time so every attempt signs and sends identical bytes.
+export function buildEventWebhookBody({ deliveryId, eventName, workspaceId, run, entry }) {
+  return JSON.stringify({
+    id: deliveryId,
+    event: eventName,
+    occurred_at: entry.occurred_at,
+    workspace_id: workspaceId,
+    run_id: entry.run_id,
+    run_status: run?.status || null,
+    audit: entry
+  });
+}
+
+export function buildEventWebhookHeaders({ secret, deliveryId, eventName, body, timestamp }) {
+  return {
+    'content-type': 'application/json; charset=utf-8',
+    [EVENT_WEBHOOK_EVENT_HEADER]: eventName,
+    [EVENT_WEBHOOK_DELIVERY_HEADER]: deliveryId,
+    [WEBHOOK_TIMESTAMP_HEADER]: String(timestamp),
+    [WEBHOOK_SIGNATURE_HEADER]: computeWebhookSignature({ secret, timestamp, rawBody: body })
+  };
+}
+
+// node:http rather than fetch so the socket resolves through `lookup`; redirects are not followed.
+async function postEventWebhook({ url, headers, body, timeoutMs, signal, lookup = dnsCallback.lookup }) {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  const timer = setTimeout(abort, timeoutMs);
+  signal.addEventListener('abort', abort, { once: true });
+  try {
+    const target = new URL(url);
+    const statusCode = await new Promise((resolve, reject) => {
+      const request = (target.protocol === 'https:' ? https : http).request(target, {
+        method: 'POST',
+        headers: { ...headers, 'content-length': Buffer.byteLength(body) },
+        signal: controller.signal,
+        lookup
+      }, (response) => {
+        response.on('error', reject);
+        response.on('end', () => resolve(response.statusCode));
+        response.resume();
+      });
+      request.on('error', reject);
+      request.end(body);
+    });
+    if (statusCode >= 200 && statusCode < 300) {
+      return { ok: true, status_code: statusCode };
+    }
+    return { ok: false, status_code: statusCode, reason_code: 'delivery.http_error' };
+  } catch (err) {
+    if (signal.aborted) {
+      return { ok: false, status_code: null, reason_code: 'delivery.interrupted' };
+    }
+    if (err?.code === TARGET_BLOCKED_ERROR_CODE) {
+      return { ok: false, status_code: null, reason_code: 'delivery.target_blocked', error: err.message };
+    }
+    return {
+      ok: false,
+      status_code: null,
+      reason_code: controller.signal.aborted ? 'delivery.timeout' : 'delivery.network_error',
+      error: String(err?.code || err?.message || err)
+    };
+  } finally {
+    clearTimeout(timer);
+    signal.removeEventListener('abort', abort);
+  }
+}
+
+// Each dispatched record is retried on the adapter backoff curve until the attempt budget runs
+// out. close() stops waiting; unfinished records keep their status so a restart resumes them.
+export function createEventWebhookDispatcher({
+  policy = DEFAULT_EVENT_WEBHOOK_RETRY_POLICY,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  resolveSubscription,
+  saveDelivery,
+  send = postEventWebhook,
+  checkTarget = async () => ({ ok: true }),
+  allowedHosts = new Set(),
+  lookup = dnsCallback.lookup,
+  onError = () => {},
+  now = Date.now,
+  random = Math.random
+}) {
+  const shutdown = new AbortController();
+  const inFlight = new Set();
+  const publicLookup = createPublicAddressLookup({ lookup });
+
+  function wait(ms) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(done, ms);
+      function done() {
+        clearTimeout(timer);
+        shutdown.signal.removeEventListener('abort', done);
+        resolve();
+      }
+      shutdown.signal.addEventListener('abort', done, { once: true });
+    });
+  }
+
+  function update(delivery, patch) {
+    const next = { ...delivery, ...patch, updated_at: new Date(now()).toISOString() };
+    saveDelivery(next);
+    return next;
+  }
+
+  async function run(initial) {
+    let delivery = initial;
+    const waitUntil = Date.parse(delivery.next_attempt_at || '') - now();
+    if (waitUntil > 0) await wait(waitUntil);
+
+    while (!shutdown.signal.aborted) {
+      const subscription = resolveSubscription(delivery.subscription_id);
+      if (!subscription || subscription.status !== 'active') {
+        return update(delivery, { status: 'cancelled', next_attempt_at: null, reason_code: 'subscription.inactive' });
+      }
+
+      const attempt = delivery.attempts.length + 1;
+      const startedAt = now();
+      // The host was public when the subscription was created; DNS may point it elsewhere since.
+      const target = await checkTarget(subscription.url);
+      let result = { ok: false, status_code: null, reason_code: 'delivery.target_blocked', error: target.message };
+      if (target.ok) {
+        const timestamp = Math.floor(startedAt / 1000);
+        result = await send({
+          url: subscription.url,
+          headers: buildEventWebhookHeaders({
+            secret: subscription.secret,
+            deliveryId: delivery.id,
+            eventName: delivery.event_name,
+            body: delivery.body,
+            timestamp
+          }),
+          body: delivery.body,
+          timeoutMs,
+          signal: shutdown.signal,
+          // The socket resolves the name again; this lookup refuses a rebinding to an internal address.
+          lookup: isAllowListedTarget(new URL(subscription.url), allowedHosts) ? lookup : publicLookup
+        });
+      }
+      if (result.reason_code === 'delivery.interrupted') return delivery;
+
+      const attempts = [...delivery.attempts, {
+        attempt,
+        at: new Date(startedAt).toISOString(),
+        status_code: result.status_code,
+        ...(result.ok ? {} : { reason_code: result.reason_code }),
+        ...(result.error ? { error: result.error } : {}),
+        duration_ms: Math.max(0, now() - startedAt)
+      }];
+
+      if (result.ok) {
+        return update(delivery, {
+          status: 'delivered',
+          attempts,
+          next_attempt_at: null,
+          delivered_at: new Date(now()).toISOString()
+        });
+      }
+
+      if (attempt >= policy.max_attempts || result.reason_code === 'delivery.target_blocked') {
+        return update(delivery, {
+          status: 'dead_lettered',
+          attempts,
+          next_attempt_at: null,
+          reason_code: result.reason_code === 'delivery.target_blocked'
+            ? result.reason_code
+            : 'delivery.attempt_budget_exhausted',
+          dead_lettered_at: new Date(now()).toISOString()
+        });
+      }
+
+      const delayMs = computeAdapterRetryDelayMs({ attempt, policy, random });
+      delivery = update(delivery, {
+        status: 'retrying',
+        attempts,
+        next_attempt_at: new Date(now() + delayMs).toISOString()
+      });
+      await wait(delayMs);
+    }
+    return delivery;
+  }
+
+  return {
+    dispatch(delivery) {
+      const task = run(delivery)
+        .catch((err) => onError(err, delivery))
+        .finally(() => inFlight.delete(task));
+      inFlight.add(task);
+      return task;
+    },
+
+    async close() {
+      shutdown.abort();
+      await Promise.allSettled(Array.from(inFlight));
+    }
+  };
+}
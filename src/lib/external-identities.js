@@ -0,0 +1,112 @@
+import crypto from 'node:crypto';
+
+export const EXTERNAL_IDENTITY_PROVIDERS = Object.freeze(['feishu', 'slack']);
+export const EXTERNAL_IDENTITY_STATUSES = Object.freeze(['pending_verification', 'verified', 'revoked']);
+export const IDENTITY_VERIFICATION_TTL_SECONDS = 600;
+export const IDENTITY_VERIFICATION_MAX_ATTEMPTS = 5;
+// The attempt budget belongs to the chat account for this long, across re-issued codes and links.
+export const IDENTITY_VERIFICATION_ATTEMPT_WINDOW_SECONDS = 3600;
+
+const VERIFICATION_CODE_DIGITS = 6;
+
+export function generateVerificationCode({ randomInt = crypto.randomInt } = {}) {
+  return String(randomInt(0, 10 ** VERIFICATION_CODE_DIGITS)).padStart(VERIFICATION_CODE_DIGITS, '0');
+}
+
+// Only the digest is stored; it is bound to the mapping so a code cannot confirm another one.
+export function hashVerificationCode({ identityId, code }) {
+  return crypto
+    .createHash('sha256')
+    .update(`${identityId}:${String(code).trim()}`, 'utf8')
+    .digest('hex');
+}
+
+function attemptWindowOpen(verification, now) {
+  const startedAt = Date.parse(verification?.attempt_window_started_at || verification?.issued_at || '');
+  return now - startedAt < IDENTITY_VERIFICATION_ATTEMPT_WINDOW_SECONDS * 1000;
+}
+
+// A re-issued code keeps the attempts already spent in the open window instead of resetting them.
+export function issueIdentityVerification({
+  identityId,
+  code,
+  now = Date.now(),
+  ttlSeconds = IDENTITY_VERIFICATION_TTL_SECONDS,
+  previous = null
+}) {
+  const carried = previous && attemptWindowOpen(previous, now) ? previous : null;
+  const issuedAt = new Date(now).toISOString();
+  return {
+    code_digest: hashVerificationCode({ identityId, code }),
+    issued_at: issuedAt,
+    expires_at: new Date(now + ttlSeconds * 1000).toISOString(),
+    attempt_window_started_at: carried?.attempt_window_started_at || carried?.issued_at || issuedAt,
+    attempts: carried?.attempts || 0,
+    max_attempts: IDENTITY_VERIFICATION_MAX_ATTEMPTS
+  };
+}
+
+// Attempts spent in open windows on every unverified link to one chat account, so asking for new
+// codes, or opening links for other actors, does not buy more guesses.
+export function countVerificationAttempts(identities, { workspaceId, provider, externalUserId, now = Date.now() }) {
+  let attempts = 0;
+  for (const identity of identities) {
+    if (
+      identity.status !== 'verified' &&
+      identity.workspace_id === workspaceId &&
+      identity.provider === provider &&
+      identity.external_user_id === externalUserId &&
+      attemptWindowOpen(identity.verification, now)
+    ) {
+      attempts += identity.verification.attempts || 0;
+    }
+  }
+  return attempts;
+}
+
+// Returns the updated verification block alongside the outcome so failed attempts are counted.
+export function checkIdentityVerification(identity, code, { now = Date.now(), accountAttempts = 0 } = {}) {
+  const verification = identity?.verification;
+  if (identity?.status !== 'pending_verification' || !verification) {
+    return { ok: false, reason_code: 'identity.not_pending', verification };
+  }
+  if (Date.parse(verification.expires_at) <= now) {
+    return { ok: false, reason_code: 'identity.verification_expired', verification };
+  }
+  if (Math.max(verification.attempts, accountAttempts) >= verification.max_attempts) {
+    return { ok: false, reason_code: 'identity.verification_attempts_exhausted', verification };
+  }
+
+  const expected = Buffer.from(verification.code_digest, 'utf8');
+  const received = Buffer.from(hashVerificationCode({ identityId: identity.id, code }), 'utf8');
+  if (!crypto.timingSafeEqual(expected, received)) {
+    return {
+      ok: false,
+      reason_code: 'identity.verification_code_invalid',
+      verification: { ...verification, attempts: verification.attempts + 1 }
+    };
+  }
+  return { ok: true, verification: { ...verification, attempts: verification.attempts + 1 } };
+}
+
+export function buildVerificationMessage({ code, workspaceId, actorId, expiresAt }) {
+  return [
+    `FlockMesh verification code: ${code}`,
+    `Enter it to link this chat account to ${actorId} in ${workspaceId}.`,
+    `It expires at ${expiresAt}. Ignore this message if you did not ask for it.`
+  ].join('\n');
+}
+
+export function findVerifiedExternalIdentity(identities, { workspaceId, provider, externalUserId }) {
+  for (const identity of identities) {
+    if (
+      identity.status === 'verified' &&
+      identity.workspace_id === workspaceId &&
+      identity.provider === provider &&
+      identity.external_user_id === externalUserId
+    ) {
+      return identity;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,84 @@
+import { parseJsonBody, sendJsonRequest } from './http-json.js';
+
+const DEFAULT_TIMEOUT_MS = 5000;
+export const DEFAULT_FEISHU_API_BASE_URL = 'https://open.feishu.cn/open-apis';
+
+export class FeishuDeliveryError extends Error {
+  constructor(message, { status = null, feishuCode = null } = {}) {
+    super(message);
+    this.name = 'FeishuDeliveryError';
+    this.code = 'FEISHU_DELIVERY_FAILED';
+    this.status = status;
+    this.feishu_code = feishuCode;
+  }
+}
+
+async function callFeishuApi(url, { body, headers, timeoutMs = DEFAULT_TIMEOUT_MS, label }) {
+  const response = await sendJsonRequest(url, {
+    method: 'POST',
+    headers,
+    body,
+    timeoutMs,
+    label: `Feishu ${label}`,
+    createError: (message) => new FeishuDeliveryError(message)
+  });
+
+  const payload = parseJsonBody(response.text);
+  if (payload === undefined) {
+    throw new FeishuDeliveryError(`Feishu ${label} returned a non-JSON body`, { status: response.status });
+  }
+  // Open API failures carry a non-zero `code`, usually with HTTP 200.
+  if (!response.ok || payload?.code !== 0) {
+    throw new FeishuDeliveryError(`Feishu ${label} failed: ${payload?.msg || `http_${response.status}`}`, {
+      status: response.status,
+      feishuCode: Number.isInteger(payload?.code) ? payload.code : null
+    });
+  }
+  return payload;
+}
+
+function apiUrl(connection, pathName) {
+  return `${(connection.apiBaseUrl || DEFAULT_FEISHU_API_BASE_URL).replace(/\/+$/, '')}${pathName}`;
+}
+
+// Interactive cards need an app bot; custom group-bot webhooks cannot call back.
+export async function fetchFeishuTenantToken(connection) {
+  const payload = await callFeishuApi(apiUrl(connection, '/auth/v3/tenant_access_token/internal'), {
+    body: { app_id: connection.appId, app_secret: connection.appSecret },
+    timeoutMs: connection.timeoutMs,
+    label: 'tenant_access_token'
+  });
+  return String(payload.tenant_access_token || '');
+}
+
+async function sendFeishuMessage(connection, { receiveIdType, receiveId, msgType, content }) {
+  const token = await fetchFeishuTenantToken(connection);
+  const payload = await callFeishuApi(apiUrl(connection, `/im/v1/messages?receive_id_type=${receiveIdType}`), {
+    body: { receive_id: receiveId, msg_type: msgType, content: JSON.stringify(content) },
+    headers: { authorization: `Bearer ${token}` },
+    timeoutMs: connection.timeoutMs,
+    label: 'im.message.create'
+  });
+  return String(payload.data?.message_id || '');
+}
+
+export async function sendFeishuCard(connection, { chatId, card }) {
+  const messageId = await sendFeishuMessage(connection, {
+    receiveIdType: 'chat_id',
+    receiveId: chatId,
+    msgType: 'interactive',
+    content: card
+  });
+  return { delivery_mode: 'feishu_app', chat_id: chatId, message_id: messageId };
+}
+
+// Direct message to one user, addressed by the open_id the app sees in callbacks.
+export async function sendFeishuDirectText(connection, { openId, text }) {
+  const messageId = await sendFeishuMessage(connection, {
+    receiveIdType: 'open_id',
+    receiveId: openId,
+    msgType: 'text',
+    content: { text }
+  });
+  return { delivery_mode: 'feishu_app', open_id: openId, message_id: messageId };
+}
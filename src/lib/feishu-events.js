@@ -0,0 +1,217 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+const WORKSPACE_PATTERN = /^wsp_[A-Za-z0-9_-]{6,64}$/;
+const AGENT_PATTERN = /^agt_[A-Za-z0-9_-]{6,64}$/;
+const PLAYBOOK_PATTERN = /^pbk_[A-Za-z0-9_-]{6,64}$/;
+const ACTOR_PATTERN = /^(usr|svc)_[A-Za-z0-9_-]{4,128}$/;
+const TRIGGER_ID_PATTERN = /^[a-z][a-z0-9_]{2,63}$/;
+const POLICY_CONTEXT_KEYS = ['org_policy', 'workspace_policy', 'agent_policy', 'run_override'];
+export const FEISHU_MESSAGE_EVENT_TYPE = 'im.message.receive_v1';
+export const FEISHU_SIGNATURE_TOLERANCE_SECONDS = 300;
+
+function assertObject(value, label, source) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`[${source}] ${label} must be an object`);
+  }
+}
+
+function compilePattern(value, pointer) {
+  if (value === undefined || value === null || value === '') return null;
+  try {
+    return new RegExp(String(value), 'i');
+  } catch (err) {
+    throw new Error(`[${pointer}] invalid match.text_pattern: ${err.message}`);
+  }
+}
+
+function normalizeRule(rule, { source, index }) {
+  const pointer = `${source}#rule[${index}]`;
+  assertObject(rule, 'rule', pointer);
+
+  const triggerId = String(rule.trigger_id || '');
+  if (!TRIGGER_ID_PATTERN.test(triggerId)) throw new Error(`[${pointer}] invalid trigger_id`);
+  if (!WORKSPACE_PATTERN.test(String(rule.workspace_id || ''))) throw new Error(`[${pointer}] invalid workspace_id`);
+  if (!AGENT_PATTERN.test(String(rule.agent_id || ''))) throw new Error(`[${pointer}] invalid agent_id`);
+  if (!PLAYBOOK_PATTERN.test(String(rule.playbook_id || ''))) throw new Error(`[${pointer}] invalid playbook_id`);
+  if (!ACTOR_PATTERN.test(String(rule.actor_id || ''))) throw new Error(`[${pointer}] invalid actor_id`);
+
+  const match = rule.match ?? {};
+  assertObject(match, 'match', pointer);
+  const chatIds = Array.isArray(match.chat_ids) ? Array.from(new Set(match.chat_ids.map(String))).sort() : [];
+  const textPattern = compilePattern(match.text_pattern, pointer);
+  const botMention = match.bot_mention === true;
+  if (!textPattern && !botMention) {
+    throw new Error(`[${pointer}] match needs text_pattern or bot_mention`);
+  }
+
+  const policyContext = rule.policy_context ?? {};
+  assertObject(policyContext, 'policy_context', pointer);
+  for (const [key, value] of Object.entries(policyContext)) {
+    if (!POLICY_CONTEXT_KEYS.includes(key)) throw new Error(`[${pointer}] unknown policy_context key: ${key}`);
+    if (typeof value !== 'string' || !value) throw new Error(`[${pointer}] policy_context.${key} must be a string`);
+  }
+
+  const inputs = rule.inputs ?? {};
+  assertObject(inputs, 'inputs', pointer);
+
+  return {
+    trigger_id: triggerId,
+    workspace_id: String(rule.workspace_id),
+    agent_id: String(rule.agent_id),
+    playbook_id: String(rule.playbook_id),
+    actor_id: String(rule.actor_id),
+    attribute_to_sender: rule.attribute_to_sender === true,
+    match: {
+      chat_ids: chatIds,
+      text_pattern: textPattern ? textPattern.source : '',
+      bot_mention: botMention
+    },
+    inputs,
+    policy_context: policyContext
+  };
+}
+
+export function compileFeishuEventTriggerDocument(document, { source = 'memory' } = {}) {
+  assertObject(document, 'document', source);
+  if (document.version !== 'v0') {
+    throw new Error(`[${source}] unsupported trigger version: ${document.version}`);
+  }
+  if (!Array.isArray(document.rules) || document.rules.length < 1) {
+    throw new Error(`[${source}] rules must be a non-empty array`);
+  }
+
+  const rules = document.rules.map((rule, index) => normalizeRule(rule, { source, index }));
+  const seen = new Set();
+  for (const rule of rules) {
+    if (seen.has(rule.trigger_id)) throw new Error(`[${source}] duplicate trigger_id: ${rule.trigger_id}`);
+    seen.add(rule.trigger_id);
+  }
+
+  return {
+    version: 'v0',
+    name: String(document.name || path.basename(source, '.json')),
+    rules
+  };
+}
+
+export async function loadFeishuEventTriggersFromDir({ rootDir, dirName = 'triggers' } = {}) {
+  const directoryPath = path.join(rootDir, dirName);
+  let entries = [];
+
+  try {
+    entries = await fs.readdir(directoryPath, { withFileTypes: true });
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const files = entries
+    .filter((entry) => entry.isFile() && entry.name.endsWith('.feishu-trigger.json'))
+    .map((entry) => entry.name)
+    .sort();
+
+  const rules = [];
+  for (const fileName of files) {
+    const raw = await fs.readFile(path.join(directoryPath, fileName), 'utf8');
+    rules.push(...compileFeishuEventTriggerDocument(JSON.parse(raw), { source: fileName }).rules);
+  }
+  return rules;
+}
+
+// X-Lark-Signature = sha256_hex(timestamp + nonce + encrypt_key + raw body).
+export function computeFeishuEventSignature({ timestamp = '', nonce = '', encryptKey = '', rawBody = '' }) {
+  return crypto
+    .createHash('sha256')
+    .update(`${timestamp}${nonce}${encryptKey}${rawBody}`, 'utf8')
+    .digest('hex');
+}
+
+// The signature covers the timestamp, so bounding its age is what stops a captured delivery
+// from being replayed later.
+export function isFeishuTimestampFresh(timestamp, {
+  toleranceSeconds = FEISHU_SIGNATURE_TOLERANCE_SECONDS,
+  now = Date.now()
+} = {}) {
+  if (!/^\d{1,12}$/.test(String(timestamp))) return false;
+  return Math.abs(now - Number(timestamp) * 1000) <= toleranceSeconds * 1000;
+}
+
+export function verifyFeishuEventSignature({ signature = '', ...parts }) {
+  const expected = Buffer.from(computeFeishuEventSignature(parts), 'utf8');
+  const received = Buffer.from(String(signature), 'utf8');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// Encrypted callbacks: AES-256-CBC with key sha256(encrypt_key); the first 16 bytes are the IV.
+export function decryptFeishuEventPayload(encrypted, encryptKey) {
+  const data = Buffer.from(String(encrypted), 'base64');
+  if (data.length <= 16) throw new Error('Feishu encrypted payload is too short');
+  const key = crypto.createHash('sha256').update(String(encryptKey), 'utf8').digest();
+  const decipher = crypto.createDecipheriv('aes-256-cbc', key, data.subarray(0, 16));
+  const plain = Buffer.concat([decipher.update(data.subarray(16)), decipher.final()]).toString('utf8');
+  return JSON.parse(plain);
+}
+
+function parseMessageText(message = {}) {
+  if (message.message_type !== 'text') return '';
+  try {
+    return String(JSON.parse(message.content || '{}').text || '');
+  } catch {
+    return '';
+  }
+}
+
+// Flattens an event v2 envelope; mention placeholders (@_user_1) are removed from `text`.
+export function parseFeishuMessageEvent(envelope = {}) {
+  const header = envelope.header || {};
+  const message = envelope.event?.message || {};
+  const sender = envelope.event?.sender || {};
+  const mentions = (Array.isArray(message.mentions) ? message.mentions : []).map((item) => ({
+    key: String(item.key || ''),
+    open_id: String(item.id?.open_id || ''),
+    name: String(item.name || '')
+  }));
+  let text = parseMessageText(message);
+  for (const mention of mentions) {
+    if (mention.key) text = text.split(mention.key).join(' ');
+  }
+
+  return {
+    event_id: String(header.event_id || ''),
+    event_type: String(header.event_type || ''),
+    token: String(header.token || ''),
+    chat_id: String(message.chat_id || ''),
+    chat_type: String(message.chat_type || ''),
+    message_id: String(message.message_id || ''),
+    message_type: String(message.message_type || ''),
+    text: text.replace(/\s+/g, ' ').trim(),
+    mentions,
+    sender_type: String(sender.sender_type || ''),
+    sender_open_id: String(sender.sender_id?.open_id || '')
+  };
+}
+
+// Without a configured bot open_id any mention counts: Feishu only delivers group messages
+// that @mention the bot unless the app holds the read-all-group-messages scope.
+export function matchFeishuEventTrigger(rules = [], message, { botOpenId = '' } = {}) {
+  for (const rule of rules) {
+    if (rule.match.chat_ids.length && !rule.match.chat_ids.includes(message.chat_id)) continue;
+    if (rule.match.bot_mention) {
+      const mentioned = botOpenId
+        ? message.mentions.some((mention) => mention.open_id === botOpenId)
+        : message.mentions.length > 0;
+      if (!mentioned) continue;
+    }
+
+    let groups = [];
+    if (rule.match.text_pattern) {
+      const matched = new RegExp(rule.match.text_pattern, 'i').exec(message.text);
+      if (!matched) continue;
+      groups = matched.slice(1).map((group) => group ?? '');
+    }
+    return { rule, groups };
+  }
+  return null;
+}
@@ -0,0 +1,65 @@
+export function buildHttpAuthorization(auth = {}) {
+  if (auth.type === 'bearer' && auth.token) return `Bearer ${auth.token}`;
+  if (auth.type === 'basic' && auth.username) {
+    return `Basic ${Buffer.from(`${auth.username}:${auth.password || ''}`).toString('base64')}`;
+  }
+  return '';
+}
+
+// Shared transport for the HTTP connectors. Network failures and timeouts go through
+// `createError` so each client keeps its own error class; status handling stays with the caller.
+export async function sendHttpRequest(url, {
+  method = 'GET',
+  auth,
+  headers: extraHeaders = {},
+  body,
+  timeoutMs,
+  label,
+  createError
+}) {
+  const headers = { ...extraHeaders };
+  const authorization = buildHttpAuthorization(auth);
+  if (authorization) headers.authorization = authorization;
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const response = await fetch(url, { method, headers, body, signal: controller.signal });
+    return {
+      status: response.status,
+      ok: response.ok,
+      headers: response.headers,
+      text: await response.text()
+    };
+  } catch (err) {
+    throw createError(
+      controller.signal.aborted
+        ? `${label} timed out after ${timeoutMs}ms`
+        : `${label} failed: ${err.message}`
+    );
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+export function sendJsonRequest(url, { headers = {}, body, ...options }) {
+  return sendHttpRequest(url, {
+    ...options,
+    headers: {
+      accept: 'application/json',
+      ...(body === undefined ? {} : { 'content-type': 'application/json; charset=utf-8' }),
+      ...headers
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+}
+
+// Empty bodies parse to null; undefined means the body was not JSON.
+export function parseJsonBody(text) {
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+}
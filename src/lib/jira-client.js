@@ -0,0 +1,211 @@
+import { parseJsonBody, sendJsonRequest } from './http-json.js';
+
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 100;
+const ISSUE_KEY_PATTERN = /^[A-Z][A-Z0-9_]+-\d+$/;
+const PROJECT_KEY_PATTERN = /^[A-Z][A-Z0-9_]+$/;
+const SUMMARY_FIELDS = ['summary', 'status', 'issuetype', 'assignee', 'priority', 'labels', 'updated'];
+
+export class JiraRequestError extends Error {
+  constructor(message, { status = null } = {}) {
+    super(message);
+    this.name = 'JiraRequestError';
+    this.code = 'JIRA_REQUEST_FAILED';
+    this.status = status;
+  }
+}
+
+export function normalizeIssueKey(value) {
+  const key = String(value || '').trim().toUpperCase();
+  if (!ISSUE_KEY_PATTERN.test(key)) {
+    throw new JiraRequestError(`Jira issue_key must look like PROJ-123, got "${value ?? ''}"`);
+  }
+  return key;
+}
+
+function normalizeProjectKey(value) {
+  const key = String(value || '').trim().toUpperCase();
+  if (!PROJECT_KEY_PATTERN.test(key)) {
+    throw new JiraRequestError(`Jira project_key must look like PROJ, got "${value ?? ''}"`);
+  }
+  return key;
+}
+
+function resolveApiUrl(baseUrl, path, query = {}) {
+  const base = baseUrl.endsWith('/') ? baseUrl.slice(0, -1) : baseUrl;
+  const url = new URL(`${base}/rest/api/2${path}`);
+  for (const [key, value] of Object.entries(query)) {
+    if (value !== undefined && value !== '') url.searchParams.set(key, String(value));
+  }
+  return url.toString();
+}
+
+async function sendJiraRequest(connection, { method = 'GET', path, query, body }) {
+  const response = await sendJsonRequest(resolveApiUrl(connection.baseUrl, path, query), {
+    method,
+    auth: connection.auth,
+    body,
+    timeoutMs: connection.timeoutMs || DEFAULT_TIMEOUT_MS,
+    label: `Jira ${method} ${path}`,
+    createError: (message) => new JiraRequestError(message)
+  });
+  const parsed = parseJsonBody(response.text) ?? null;
+
+  if (!response.ok) {
+    const detail = [...(parsed?.errorMessages || []), ...Object.values(parsed?.errors || {})].join('; ');
+    throw new JiraRequestError(
+      `Jira ${method} ${path} returned ${response.status}${detail ? `: ${detail}` : ''}`,
+      { status: response.status }
+    );
+  }
+  return parsed;
+}
+
+export function summarizeJiraIssue(issue = {}) {
+  const fields = issue.fields || {};
+  return {
+    issue_key: issue.key || '',
+    issue_id: String(issue.id || ''),
+    summary: fields.summary || '',
+    status: fields.status?.name || '',
+    issue_type: fields.issuetype?.name || '',
+    assignee: fields.assignee?.displayName || fields.assignee?.name || '',
+    priority: fields.priority?.name || '',
+    labels: Array.isArray(fields.labels) ? fields.labels : [],
+    updated_at: fields.updated || ''
+  };
+}
+
+function quoteJql(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+function boundedLimit(value) {
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) return DEFAULT_SEARCH_LIMIT;
+  return Math.min(limit, MAX_SEARCH_LIMIT);
+}
+
+export async function searchJiraIssues(connection, { jql, limit } = {}) {
+  const query = String(jql || '').trim();
+  if (!query) {
+    throw new JiraRequestError('Jira search requires a jql query');
+  }
+  const result = await sendJiraRequest(connection, {
+    path: '/search',
+    query: { jql: query, maxResults: boundedLimit(limit), fields: SUMMARY_FIELDS.join(',') }
+  });
+  const issues = Array.isArray(result?.issues) ? result.issues : [];
+  return {
+    total: Number.isInteger(result?.total) ? result.total : issues.length,
+    items: issues.map(summarizeJiraIssue)
+  };
+}
+
+export async function getJiraIssue(connection, { issueKey }) {
+  const key = normalizeIssueKey(issueKey);
+  const issue = await sendJiraRequest(connection, {
+    path: `/issue/${encodeURIComponent(key)}`,
+    query: { fields: [...SUMMARY_FIELDS, 'description'].join(',') }
+  });
+  return {
+    ...summarizeJiraIssue(issue),
+    description: issue?.fields?.description || ''
+  };
+}
+
+// Jira has no idempotency header, so creates carry a marker label and look for it first:
+// a retried create that finds its own label reports the existing issue as a replay.
+export async function createJiraIssue(connection, {
+  projectKey,
+  summary,
+  issueType = 'Task',
+  description = '',
+  labels = [],
+  marker
+}) {
+  const project = normalizeProjectKey(projectKey);
+  if (!String(summary || '').trim()) {
+    throw new JiraRequestError('Jira create requires a summary');
+  }
+
+  if (marker) {
+    const existing = await searchJiraIssues(connection, {
+      jql: `project = ${quoteJql(project)} AND labels = ${quoteJql(marker)}`,
+      limit: 1
+    });
+    if (existing.items.length) {
+      return { issue_key: existing.items[0].issue_key, issue_id: existing.items[0].issue_id, replayed: true };
+    }
+  }
+
+  const created = await sendJiraRequest(connection, {
+    method: 'POST',
+    path: '/issue',
+    body: {
+      fields: {
+        project: { key: project },
+        summary: String(summary).trim(),
+        issuetype: { name: issueType },
+        ...(description ? { description } : {}),
+        labels: [...labels, ...(marker ? [marker] : [])]
+      }
+    }
+  });
+  return { issue_key: created?.key || '', issue_id: String(created?.id || ''), replayed: false };
+}
+
+// Transitions resolve by id or by transition/target-status name. An issue already sitting in
+// the requested status counts as a replay rather than a failure.
+export async function transitionJiraIssue(connection, { issueKey, transition }) {
+  const key = normalizeIssueKey(issueKey);
+  const wanted = String(transition || '').trim();
+  if (!wanted) {
+    throw new JiraRequestError('Jira transition requires a transition id or name');
+  }
+
+  const issuePath = `/issue/${encodeURIComponent(key)}`;
+  const available = await sendJiraRequest(connection, { path: `${issuePath}/transitions` });
+  const lowered = wanted.toLowerCase();
+  const match = (available?.transitions || []).find((item) => (
+    String(item.id) === wanted
+    || String(item.name || '').toLowerCase() === lowered
+    || String(item.to?.name || '').toLowerCase() === lowered
+  ));
+
+  if (!match) {
+    const current = await getJiraIssue(connection, { issueKey: key });
+    if (current.status.toLowerCase() === lowered) {
+      return { issue_key: key, transition_id: '', status: current.status, replayed: true };
+    }
+    throw new JiraRequestError(`Jira transition "${wanted}" is not available for ${key} (status ${current.status})`, {
+      status: 409
+    });
+  }
+
+  await sendJiraRequest(connection, {
+    method: 'POST',
+    path: `${issuePath}/transitions`,
+    body: { transition: { id: String(match.id) } }
+  });
+  return {
+    issue_key: key,
+    transition_id: String(match.id),
+    status: match.to?.name || match.name || '',
+    replayed: false
+  };
+}
+
+export async function addJiraComment(connection, { issueKey, body }) {
+  const key = normalizeIssueKey(issueKey);
+  if (!String(body || '').trim()) {
+    throw new JiraRequestError('Jira comment requires a body');
+  }
+  const comment = await sendJiraRequest(connection, {
+    method: 'POST',
+    path: `/issue/${encodeURIComponent(key)}/comment`,
+    body: { body: String(body) }
+  });
+  return { issue_key: key, comment_id: String(comment?.id || '') };
+}
@@ -0,0 +1,215 @@
+import crypto from 'node:crypto';
+
+import { AUDIT_CHAIN_GENESIS_HASH, verifyAuditChain } from './audit-chain.js';
+import { signIncidentExportPayload, verifyIncidentExportSignature } from './incident-export.js';
+
+function sha256Tag(payload) {
+  return `sha256:${crypto.createHash('sha256').update(payload).digest('hex')}`;
+}
+
+function sortHeads(heads = []) {
+  return [...heads].sort((a, b) => a.run_id.localeCompare(b.run_id));
+}
+
+export function hashLedgerCheckpointLeaf(head) {
+  return sha256Tag(`leaf:${head.run_id}:${head.seq}:${head.entry_hash}`);
+}
+
+// Leaves are ordered by run_id; an odd node at any level is promoted unchanged.
+export function computeLedgerMerkleRoot(heads = []) {
+  let level = sortHeads(heads).map((head) => hashLedgerCheckpointLeaf(head));
+  if (!level.length) return AUDIT_CHAIN_GENESIS_HASH;
+
+  while (level.length > 1) {
+    const next = [];
+    for (let index = 0; index < level.length; index += 2) {
+      const left = level[index];
+      const right = level[index + 1];
+      next.push(right ? sha256Tag(`node:${left}:${right}`) : left);
+    }
+    level = next;
+  }
+
+  return level[0];
+}
+
+function sortExcludedRuns(excluded = []) {
+  return sortHeads(excluded).map((run) => ({
+    run_id: run.run_id,
+    chain_state: run.chain_state,
+    reason: run.reason
+  }));
+}
+
+// Runs whose chain does not verify are listed in `excluded_runs` rather than hashed into the
+// Merkle root, so a checkpoint never signs a head it could not verify.
+export function buildLedgerCheckpoint({
+  heads,
+  excluded = [],
+  previous = null,
+  createdAt,
+  signing
+}) {
+  const sortedHeads = sortHeads(heads).map((head) => ({
+    run_id: head.run_id,
+    seq: head.seq,
+    entry_hash: head.entry_hash
+  }));
+  const seq = previous ? previous.seq + 1 : 1;
+  const body = {
+    version: 'v0',
+    checkpoint_id: `ckp_${String(seq).padStart(8, '0')}`,
+    seq,
+    created_at: createdAt,
+    prev_checkpoint_hash: previous ? previous.signature.payload_hash : AUDIT_CHAIN_GENESIS_HASH,
+    run_count: sortedHeads.length,
+    merkle_root: computeLedgerMerkleRoot(sortedHeads),
+    heads: sortedHeads,
+    excluded_runs: sortExcludedRuns(excluded)
+  };
+
+  return {
+    ...body,
+    signature: signIncidentExportPayload(body, {
+      keyId: signing.key_id,
+      keys: signing.keys,
+      algorithm: signing.algorithm
+    })
+  };
+}
+
+export function ledgerHeadsChanged(previous, heads = [], excluded = []) {
+  if (!previous) return heads.length > 0 || excluded.length > 0;
+  return previous.merkle_root !== computeLedgerMerkleRoot(heads) ||
+    JSON.stringify(previous.excluded_runs || []) !== JSON.stringify(sortExcludedRuns(excluded));
+}
+
+function checkpointIssue(checkpoint, code, { runId = '', detail = '' } = {}) {
+  return {
+    checkpoint_seq: Number.isInteger(checkpoint?.seq) ? checkpoint.seq : null,
+    run_id: runId,
+    code,
+    detail
+  };
+}
+
+function verifyCheckpointHeadAgainstLedger({ checkpoint, head, entries, issues }) {
+  if (!entries) {
+    issues.push(checkpointIssue(checkpoint, 'checkpoint.run_ledger_missing', { runId: head.run_id }));
+    return;
+  }
+
+  const entry = entries.find((item) => item?.seq === head.seq);
+  if (!entry) {
+    issues.push(checkpointIssue(checkpoint, 'checkpoint.run_ledger_truncated', {
+      runId: head.run_id,
+      detail: `seq ${head.seq} not found`
+    }));
+    return;
+  }
+
+  if (entry.entry_hash !== head.entry_hash) {
+    issues.push(checkpointIssue(checkpoint, 'checkpoint.run_head_mismatch', {
+      runId: head.run_id,
+      detail: `seq ${head.seq}`
+    }));
+  }
+}
+
+// Checks the checkpoint log itself (sequence, linkage, signature, Merkle root), that every
+// checkpointed head still exists in its run ledger, and that no run drops out or rewinds
+// between consecutive checkpoints.
+export function verifyLedgerCheckpoints({
+  checkpoints = [],
+  ledgers = new Map(),
+  legacyRunIds = new Set(),
+  keys
+}) {
+  const issues = [];
+  let previous = null;
+  let verifiedCheckpoints = 0;
+
+  for (const checkpoint of checkpoints) {
+    const issueCount = issues.length;
+
+    if (!checkpoint || typeof checkpoint !== 'object') {
+      issues.push(checkpointIssue(null, 'checkpoint.unparseable'));
+      break;
+    }
+
+    const expectedSeq = previous ? previous.seq + 1 : 1;
+    if (checkpoint.seq !== expectedSeq) {
+      issues.push(checkpointIssue(checkpoint, 'checkpoint.seq_mismatch', {
+        detail: `expected ${expectedSeq}`
+      }));
+    }
+
+    const expectedPrevHash = previous ? previous.signature?.payload_hash : AUDIT_CHAIN_GENESIS_HASH;
+    if (checkpoint.prev_checkpoint_hash !== expectedPrevHash) {
+      issues.push(checkpointIssue(checkpoint, 'checkpoint.prev_hash_mismatch'));
+    }
+
+    const { signature, ...body } = checkpoint;
+    try {
+      verifyIncidentExportSignature(body, signature, { keys });
+    } catch (err) {
+      issues.push(checkpointIssue(checkpoint, 'checkpoint.signature_invalid', { detail: err.message }));
+    }
+
+    const heads = Array.isArray(checkpoint.heads) ? checkpoint.heads : [];
+    if (checkpoint.run_count !== heads.length || checkpoint.merkle_root !== computeLedgerMerkleRoot(heads)) {
+      issues.push(checkpointIssue(checkpoint, 'checkpoint.merkle_root_mismatch'));
+    }
+
+    for (const head of heads) {
+      verifyCheckpointHeadAgainstLedger({
+        checkpoint,
+        head,
+        entries: ledgers.get(head.run_id),
+        issues
+      });
+    }
+
+    if (previous) {
+      const currentByRun = new Map(heads.map((head) => [head.run_id, head]));
+      for (const earlier of previous.heads || []) {
+        const current = currentByRun.get(earlier.run_id);
+        if (!current) {
+          issues.push(checkpointIssue(checkpoint, 'checkpoint.run_dropped', { runId: earlier.run_id }));
+        } else if (current.seq < earlier.seq) {
+          issues.push(checkpointIssue(checkpoint, 'checkpoint.run_regressed', {
+            runId: earlier.run_id,
+            detail: `seq ${earlier.seq} -> ${current.seq}`
+          }));
+        }
+      }
+    }
+
+    if (issues.length === issueCount) verifiedCheckpoints += 1;
+    previous = checkpoint;
+  }
+
+  const checkpointedRuns = new Set((previous?.heads || []).map((head) => head.run_id));
+  const brokenRunIds = [];
+  for (const [runId, entries] of ledgers) {
+    const verdict = verifyAuditChain(entries, { allowLegacyPrefix: legacyRunIds.has(runId) });
+    if (verdict.chain_state === 'broken') {
+      brokenRunIds.push(runId);
+      issues.push(checkpointIssue(null, 'ledger.run_chain_broken', {
+        runId,
+        detail: verdict.first_broken_link.reason
+      }));
+    }
+  }
+
+  return {
+    checkpoint_state: issues.length ? 'invalid' : (checkpoints.length ? 'valid' : 'empty'),
+    total_checkpoints: checkpoints.length,
+    verified_checkpoints: verifiedCheckpoints,
+    latest_checkpoint_seq: previous?.seq ?? null,
+    ledger_runs: ledgers.size,
+    uncheckpointed_runs: Array.from(ledgers.keys()).filter((runId) => !checkpointedRuns.has(runId)).length,
+    broken_run_chains: brokenRunIds.length,
+    issues
+  };
+}
@@ -0,0 +1,555 @@
+import net from 'node:net';
+import os from 'node:os';
+import tls from 'node:tls';
+
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_FETCH_LIMIT = 10;
+const MAX_FETCH_LIMIT = 50;
+const MAX_BODY_CHARS = 20000;
+const ADDRESS_PATTERN = /^[^\s@<>]+@([A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)+)$/;
+const HEADER_FIELDS = ['FROM', 'TO', 'CC', 'SUBJECT', 'DATE', 'MESSAGE-ID', 'CONTENT-TYPE', 'CONTENT-TRANSFER-ENCODING'];
+
+export class MailRequestError extends Error {
+  constructor(message, { protocol = 'smtp', status = null } = {}) {
+    super(message);
+    this.name = 'MailRequestError';
+    this.code = 'MAIL_REQUEST_FAILED';
+    this.protocol = protocol;
+    this.status = status;
+  }
+}
+
+function toAddressList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map((item) => String(item).trim()).filter(Boolean);
+}
+
+function extractAddress(value = '') {
+  const angled = /<([^>]+)>/.exec(value);
+  return (angled ? angled[1] : value).trim();
+}
+
+// Addresses end up in RCPT TO and the To/Cc headers; a CR or LF would start a new command or header.
+function assertMailAddress(value, field) {
+  const text = String(value);
+  if (/[\r\n\0]/.test(text) || !ADDRESS_PATTERN.test(extractAddress(text))) {
+    throw new MailRequestError(`Invalid ${field} address: ${JSON.stringify(text.slice(0, 120))}`);
+  }
+}
+
+export function parseEmailDomain(value = '') {
+  const match = ADDRESS_PATTERN.exec(extractAddress(value));
+  return match ? match[1].toLowerCase() : '';
+}
+
+// Recipients without a parseable domain count as external so policy errs toward escalation.
+export function summarizeEmailRecipients(parameters = {}, { internalDomains = [] } = {}) {
+  const internal = new Set(internalDomains.map((domain) => String(domain).trim().toLowerCase()).filter(Boolean));
+  const recipients = ['to', 'cc', 'bcc'].flatMap((field) => toAddressList(parameters[field]));
+  const domains = new Set();
+  const externalDomains = new Set();
+  let unresolved = 0;
+
+  for (const recipient of recipients) {
+    const domain = parseEmailDomain(recipient);
+    if (!domain) {
+      unresolved += 1;
+      continue;
+    }
+    domains.add(domain);
+    if (!internal.has(domain)) externalDomains.add(domain);
+  }
+
+  return {
+    recipient_count: recipients.length,
+    recipient_domains: Array.from(domains).sort(),
+    external_recipient_domains: Array.from(externalDomains).sort(),
+    external_recipients: externalDomains.size > 0 || unresolved > 0
+  };
+}
+
+function encodeHeaderWord(value = '') {
+  const text = String(value);
+  if (/^[\x20-\x7e]*$/.test(text)) return text;
+  return `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+function wrapBase64(value) {
+  return value.match(/.{1,76}/g)?.join('\r\n') || '';
+}
+
+export function buildEmailMessage({
+  from,
+  to = [],
+  cc = [],
+  subject = '',
+  text = '',
+  messageId,
+  date = new Date()
+}) {
+  const headers = [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    ...(cc.length ? [`Cc: ${cc.join(', ')}`] : []),
+    `Subject: ${encodeHeaderWord(subject)}`,
+    `Date: ${date.toUTCString().replace('GMT', '+0000')}`,
+    `Message-ID: ${messageId}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64'
+  ];
+  return `${headers.join('\r\n')}\r\n\r\n${wrapBase64(Buffer.from(String(text), 'utf8').toString('base64'))}\r\n`;
+}
+
+function openSocket({ host, port, secure, timeoutMs, protocol }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host })
+      : net.connect({ host, port });
+    const onError = (err) => {
+      socket.destroy();
+      reject(new MailRequestError(`${protocol.toUpperCase()} connect to ${host}:${port} failed: ${err.message}`, { protocol }));
+    };
+    const onTimeout = () => onError(new Error(`timed out after ${timeoutMs}ms`));
+    socket.setTimeout(timeoutMs);
+    socket.once('timeout', onTimeout);
+    socket.once('error', onError);
+    socket.once(secure ? 'secureConnect' : 'connect', () => {
+      socket.removeListener('error', onError);
+      socket.removeListener('timeout', onTimeout);
+      resolve(socket);
+    });
+  });
+}
+
+// Buffers socket data and hands out complete CRLF-terminated lines, or raw byte runs
+// for IMAP literals.
+function createLineReader(socket, { protocol, timeoutMs }) {
+  let buffer = Buffer.alloc(0);
+  let waiter = null;
+  let failure = null;
+
+  const settle = () => {
+    if (!waiter) return;
+    if (failure) {
+      const { reject } = waiter;
+      waiter = null;
+      reject(failure);
+      return;
+    }
+    if (waiter.bytes !== undefined) {
+      if (buffer.length < waiter.bytes) return;
+      const chunk = buffer.subarray(0, waiter.bytes);
+      buffer = buffer.subarray(waiter.bytes);
+      const { resolve } = waiter;
+      waiter = null;
+      resolve(chunk.toString('utf8'));
+      return;
+    }
+    const index = buffer.indexOf('\r\n');
+    if (index === -1) return;
+    const line = buffer.subarray(0, index).toString('utf8');
+    buffer = buffer.subarray(index + 2);
+    const { resolve } = waiter;
+    waiter = null;
+    resolve(line);
+  };
+
+  const attach = (target) => {
+    const handlers = {
+      data: (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+        settle();
+      },
+      error: (err) => {
+        failure = new MailRequestError(`${protocol.toUpperCase()} connection failed: ${err.message}`, { protocol });
+        settle();
+      },
+      close: () => {
+        failure = failure || new MailRequestError(`${protocol.toUpperCase()} connection closed unexpectedly`, { protocol });
+        settle();
+      },
+      timeout: () => {
+        failure = new MailRequestError(`${protocol.toUpperCase()} timed out after ${timeoutMs}ms`, { protocol });
+        target.destroy();
+        settle();
+      }
+    };
+    for (const [event, handler] of Object.entries(handlers)) target.on(event, handler);
+    target.setTimeout(timeoutMs);
+    return () => {
+      for (const [event, handler] of Object.entries(handlers)) target.removeListener(event, handler);
+    };
+  };
+  let detach = attach(socket);
+
+  const next = (bytes) => new Promise((resolve, reject) => {
+    waiter = { resolve, reject, bytes };
+    settle();
+  });
+
+  return {
+    readLine: () => next(),
+    readBytes: (bytes) => next(bytes),
+    rebind(target) {
+      detach();
+      buffer = Buffer.alloc(0);
+      failure = null;
+      detach = attach(target);
+    }
+  };
+}
+
+async function readSmtpReply(reader) {
+  const lines = [];
+  for (;;) {
+    const line = await reader.readLine();
+    lines.push(line.slice(4));
+    if (line[3] !== '-') {
+      return { code: Number(line.slice(0, 3)), lines };
+    }
+  }
+}
+
+async function smtpCommand(session, command, expected) {
+  if (command !== null) session.socket.write(`${command}\r\n`);
+  const reply = await readSmtpReply(session.reader);
+  if (expected && !expected.includes(reply.code)) {
+    const verb = command === null ? 'reply' : command.split(' ')[0];
+    throw new MailRequestError(`SMTP ${verb} returned ${reply.code} ${reply.lines.join(' ')}`.trim(), {
+      protocol: 'smtp',
+      status: reply.code
+    });
+  }
+  return reply;
+}
+
+async function upgradeSmtpToTls(session, host) {
+  await smtpCommand(session, 'STARTTLS', [220]);
+  session.socket = await new Promise((resolve, reject) => {
+    const secured = tls.connect({ socket: session.socket, servername: host }, () => resolve(secured));
+    secured.once('error', (err) => reject(new MailRequestError(`SMTP STARTTLS failed: ${err.message}`)));
+  });
+  session.reader.rebind(session.socket);
+}
+
+export async function sendEmail({
+  host,
+  port = 587,
+  secure = false,
+  username = '',
+  password = '',
+  from,
+  to = [],
+  cc = [],
+  bcc = [],
+  subject = '',
+  text = '',
+  messageId,
+  timeoutMs = DEFAULT_TIMEOUT_MS
+}) {
+  assertMailAddress(from, 'from');
+  for (const [field, values] of Object.entries({ to, cc, bcc })) {
+    for (const value of values) assertMailAddress(value, field);
+  }
+  const recipients = [...to, ...cc, ...bcc].map(extractAddress);
+  if (!recipients.length) {
+    throw new MailRequestError('SMTP send requires at least one recipient');
+  }
+
+  const socket = await openSocket({ host, port, secure, timeoutMs, protocol: 'smtp' });
+  const session = { socket, reader: createLineReader(socket, { protocol: 'smtp', timeoutMs }) };
+  const helo = os.hostname() || 'flockmesh.local';
+
+  try {
+    await smtpCommand(session, null, [220]);
+    let ehlo = await smtpCommand(session, `EHLO ${helo}`, [250]);
+    if (!secure && ehlo.lines.some((line) => /^STARTTLS\b/i.test(line))) {
+      await upgradeSmtpToTls(session, host);
+      ehlo = await smtpCommand(session, `EHLO ${helo}`, [250]);
+    }
+
+    if (username) {
+      const token = Buffer.from(`\u0000${username}\u0000${password}`, 'utf8').toString('base64');
+      await smtpCommand(session, `AUTH PLAIN ${token}`, [235]);
+    }
+
+    await smtpCommand(session, `MAIL FROM:<${extractAddress(from)}>`, [250]);
+    const accepted = [];
+    const rejected = [];
+    for (const recipient of recipients) {
+      const reply = await smtpCommand(session, `RCPT TO:<${recipient}>`);
+      if (reply.code === 250 || reply.code === 251) {
+        accepted.push(recipient);
+      } else {
+        rejected.push({ recipient, code: reply.code, response: reply.lines.join(' ') });
+      }
+    }
+    if (!accepted.length) {
+      await smtpCommand(session, 'RSET');
+      throw new MailRequestError('SMTP rejected every recipient', { status: rejected[0]?.code ?? null });
+    }
+
+    await smtpCommand(session, 'DATA', [354]);
+    const message = buildEmailMessage({ from, to, cc, subject, text, messageId })
+      .replace(/^\./gm, '..');
+    session.socket.write(`${message}.\r\n`);
+    const queued = await smtpCommand(session, null, [250]);
+    await smtpCommand(session, 'QUIT').catch(() => {});
+
+    return {
+      message_id: messageId,
+      accepted,
+      rejected,
+      response: `${queued.code} ${queued.lines.join(' ')}`.trim()
+    };
+  } finally {
+    session.socket.destroy();
+  }
+}
+
+// Quoted strings cannot carry CR, LF or NUL; one would end the command line and start another.
+function quoteImapString(value = '', field = 'value') {
+  const text = String(value);
+  if (/[\r\n\0]/.test(text)) {
+    throw new MailRequestError(`IMAP ${field} cannot contain CR, LF or NUL`, { protocol: 'imap' });
+  }
+  return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+// Untagged responses keep literal payloads out of the line text, replacing each with
+// a `{lit:N}` marker that indexes into `literals`.
+async function readImapResponse(reader) {
+  let text = '';
+  const literals = [];
+  for (;;) {
+    const line = await reader.readLine();
+    const literal = /\{(\d+)\}$/.exec(line);
+    if (!literal) {
+      text += line;
+      return { text, literals };
+    }
+    text += `${line.slice(0, literal.index)}{lit:${literals.length}}`;
+    literals.push(await reader.readBytes(Number(literal[1])));
+  }
+}
+
+async function imapCommand(session, command) {
+  session.tagCounter += 1;
+  const tag = `A${session.tagCounter}`;
+  session.socket.write(`${tag} ${command}\r\n`);
+  const untagged = [];
+  for (;;) {
+    const response = await readImapResponse(session.reader);
+    if (response.text.startsWith(`${tag} `)) {
+      const status = response.text.slice(tag.length + 1).split(' ')[0];
+      if (status !== 'OK') {
+        const verb = command.split(' ')[0] === 'UID' ? command.split(' ').slice(0, 2).join(' ') : command.split(' ')[0];
+        throw new MailRequestError(`IMAP ${verb} returned ${response.text.slice(tag.length + 1)}`, {
+          protocol: 'imap',
+          status
+        });
+      }
+      return untagged;
+    }
+    untagged.push(response);
+  }
+}
+
+function formatImapDate(value) {
+  const parsed = new Date(value);
+  if (Number.isNaN(parsed.getTime())) {
+    throw new MailRequestError('IMAP since must be an ISO date', { protocol: 'imap' });
+  }
+  const month = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'][parsed.getUTCMonth()];
+  return `${parsed.getUTCDate()}-${month}-${parsed.getUTCFullYear()}`;
+}
+
+export function buildImapSearchCriteria(query = {}) {
+  const criteria = [];
+  if (query.from) criteria.push(`FROM ${quoteImapString(query.from, 'from')}`);
+  if (query.to) criteria.push(`TO ${quoteImapString(query.to, 'to')}`);
+  if (query.subject) criteria.push(`SUBJECT ${quoteImapString(query.subject, 'subject')}`);
+  if (query.text) criteria.push(`TEXT ${quoteImapString(query.text, 'text')}`);
+  if (query.since) criteria.push(`SINCE ${formatImapDate(query.since)}`);
+  if (query.unseen === true) criteria.push('UNSEEN');
+  return criteria.length ? criteria.join(' ') : 'ALL';
+}
+
+function decodeMimeWords(value = '') {
+  return value.replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (_, charset, encoding, encoded) => {
+    const bytes = encoding.toUpperCase() === 'B'
+      ? Buffer.from(encoded, 'base64')
+      : Buffer.from(
+        encoded.replace(/_/g, ' ').replace(/=([0-9A-Fa-f]{2})/g, (__, hex) => String.fromCharCode(parseInt(hex, 16))),
+        'latin1'
+      );
+    try {
+      return new TextDecoder(charset).decode(bytes);
+    } catch {
+      return bytes.toString('utf8');
+    }
+  });
+}
+
+export function parseEmailHeaders(raw = '') {
+  const headers = {};
+  for (const line of raw.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+    const separator = line.indexOf(':');
+    if (separator <= 0) continue;
+    const name = line.slice(0, separator).trim().toLowerCase();
+    if (!(name in headers)) headers[name] = decodeMimeWords(line.slice(separator + 1).trim());
+  }
+  return headers;
+}
+
+function decodeTransferEncoding(body, encoding = '') {
+  const normalized = encoding.trim().toLowerCase();
+  if (normalized === 'base64') {
+    return Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8');
+  }
+  if (normalized === 'quoted-printable') {
+    const bytes = body
+      .replace(/=\r?\n/g, '')
+      .replace(/=([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+    return Buffer.from(bytes, 'latin1').toString('utf8');
+  }
+  return body;
+}
+
+// Multipart bodies fall back to their first text/plain part; anything else is returned raw.
+export function extractPlainTextBody(body = '', headers = {}) {
+  const contentType = headers['content-type'] || 'text/plain';
+  const boundary = /boundary="?([^";]+)"?/i.exec(contentType)?.[1];
+  if (/^multipart\//i.test(contentType) && boundary) {
+    for (const part of body.split(`--${boundary}`).slice(1)) {
+      const separator = part.search(/\r?\n\r?\n/);
+      if (separator === -1) continue;
+      const partHeaders = parseEmailHeaders(part.slice(0, separator));
+      if (!/^text\/plain/i.test(partHeaders['content-type'] || 'text/plain')) continue;
+      const partBody = part.slice(separator).replace(/^\r?\n\r?\n/, '').replace(/\r?\n$/, '');
+      return decodeTransferEncoding(partBody, partHeaders['content-transfer-encoding']);
+    }
+    return '';
+  }
+  return decodeTransferEncoding(body, headers['content-transfer-encoding']);
+}
+
+function parseFetchResponse({ text, literals }) {
+  const uid = /\bUID (\d+)/.exec(text);
+  if (!uid) return null;
+  const sections = {};
+  for (const match of text.matchAll(/BODY\[([^\]]*)\](?:<\d+>)? ?\{lit:(\d+)\}/g)) {
+    sections[match[1].startsWith('HEADER') ? 'header' : 'text'] = literals[Number(match[2])];
+  }
+  const flags = /\bFLAGS \(([^)]*)\)/.exec(text)?.[1] || '';
+  const headers = parseEmailHeaders(sections.header || '');
+  const message = {
+    uid: Number(uid[1]),
+    message_id: headers['message-id'] || '',
+    from: headers.from || '',
+    to: headers.to || '',
+    cc: headers.cc || '',
+    subject: headers.subject || '',
+    date: headers.date || '',
+    seen: flags.split(' ').includes('\\Seen'),
+    size: Number(/\bRFC822\.SIZE (\d+)/.exec(text)?.[1] || 0)
+  };
+  if (sections.text !== undefined) {
+    message.text = extractPlainTextBody(sections.text, headers).slice(0, MAX_BODY_CHARS);
+  }
+  return message;
+}
+
+async function withImapSession({
+  host,
+  port = 993,
+  secure = true,
+  username,
+  password,
+  mailbox = 'INBOX',
+  timeoutMs = DEFAULT_TIMEOUT_MS
+}, work) {
+  const login = `LOGIN ${quoteImapString(username, 'username')} ${quoteImapString(password, 'password')}`;
+  const examine = `EXAMINE ${quoteImapString(mailbox, 'mailbox')}`;
+  const socket = await openSocket({ host, port, secure, timeoutMs, protocol: 'imap' });
+  const session = {
+    socket,
+    reader: createLineReader(socket, { protocol: 'imap', timeoutMs }),
+    tagCounter: 0
+  };
+  try {
+    const greeting = await readImapResponse(session.reader);
+    if (!/^\* (OK|PREAUTH)\b/.test(greeting.text)) {
+      throw new MailRequestError(`IMAP greeting rejected: ${greeting.text}`, { protocol: 'imap' });
+    }
+    if (!greeting.text.startsWith('* PREAUTH')) {
+      await imapCommand(session, login);
+    }
+    await imapCommand(session, examine);
+    const result = await work(session);
+    await imapCommand(session, 'LOGOUT').catch(() => {});
+    return result;
+  } finally {
+    session.socket.destroy();
+  }
+}
+
+async function fetchMessages(session, uids, { includeText = false } = {}) {
+  if (!uids.length) return [];
+  const items = [
+    'UID',
+    'FLAGS',
+    'RFC822.SIZE',
+    `BODY.PEEK[HEADER.FIELDS (${HEADER_FIELDS.join(' ')})]`,
+    ...(includeText ? ['BODY.PEEK[TEXT]'] : [])
+  ];
+  const responses = await imapCommand(session, `UID FETCH ${uids.join(',')} (${items.join(' ')})`);
+  const byUid = new Map();
+  for (const response of responses) {
+    if (!/^\* \d+ FETCH /.test(response.text)) continue;
+    const message = parseFetchResponse(response);
+    if (message) byUid.set(message.uid, message);
+  }
+  return uids.map((uid) => byUid.get(uid)).filter(Boolean);
+}
+
+function boundedLimit(value) {
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) return DEFAULT_FETCH_LIMIT;
+  return Math.min(limit, MAX_FETCH_LIMIT);
+}
+
+// Newest matches first, capped at `limit`; EXAMINE keeps the mailbox read-only.
+export async function searchEmails(connection, query = {}) {
+  const criteria = buildImapSearchCriteria(query);
+  return withImapSession(connection, async (session) => {
+    const responses = await imapCommand(session, `UID SEARCH ${criteria}`);
+    const uids = responses
+      .filter((response) => response.text.startsWith('* SEARCH'))
+      .flatMap((response) => response.text.slice('* SEARCH'.length).trim().split(/\s+/))
+      .filter(Boolean)
+      .map(Number)
+      .sort((a, b) => b - a);
+    const selected = uids.slice(0, boundedLimit(query.limit));
+    return {
+      total: uids.length,
+      items: await fetchMessages(session, selected)
+    };
+  });
+}
+
+export async function readEmail(connection, { uid }) {
+  const numericUid = Number(uid);
+  if (!Number.isInteger(numericUid) || numericUid < 1) {
+    throw new MailRequestError('IMAP read requires a positive integer uid', { protocol: 'imap' });
+  }
+  return withImapSession(connection, async (session) => {
+    const [message] = await fetchMessages(session, [numericUid], { includeText: true });
+    if (!message) {
+      throw new MailRequestError(`IMAP message ${numericUid} not found`, { protocol: 'imap', status: 'NOT_FOUND' });
+    }
+    return message;
+  });
+}
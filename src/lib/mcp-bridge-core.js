@@ -165,6 +165,7 @@ function summarizePendingApprovals(run) {
         required_approvals: required,
         approved_by: approvedBy,
         approvals_left: Math.max(0, required - approvedBy.length),
+        ...(state.expires_at ? { expires_at: state.expires_at } : {}),
         reason_codes: Array.isArray(item.reason_codes) ? item.reason_codes : []
       };
     });
@@ -0,0 +1,437 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { makeId } from './ids.js';
+import { nowIso } from './time.js';
+
+const PLAYBOOK_PATTERN = /^pbk_[A-Za-z0-9_-]{6,64}$/;
+const STEP_ID_PATTERN = /^[a-z][a-z0-9_-]{1,64}$/;
+const CAPABILITY_PATTERN = /^[a-z][a-z0-9_]*(\.[a-z][a-z0-9_]*)+$/;
+const INPUT_NAME_PATTERN = /^[a-z][a-z0-9_]{0,63}$/;
+const SURFACE_PATTERN = /^[a-z][a-z0-9_]*(\.[a-z][a-z0-9_]*)*$/;
+const SIDE_EFFECT_SET = new Set(['none', 'mutation']);
+const RISK_HINT_SET = new Set(['R0', 'R1', 'R2', 'R3']);
+const TEMPLATE_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*(?:\.[A-Za-z0-9_]+)*)\s*\}\}/g;
+const TEMPLATE_EXACT_PATTERN = /^\{\{\s*([A-Za-z_][A-Za-z0-9_]*(?:\.[A-Za-z0-9_]+)*)\s*\}\}$/;
+const TEMPLATE_RUN_FIELDS = new Set(['id', 'workspace_id', 'agent_id', 'playbook_id']);
+const TEMPLATE_TRIGGER_FIELDS = new Set(['type', 'source', 'actor_id', 'at']);
+
+const DEFAULT_PLAYBOOK_LIBRARY = Object.freeze({
+  pbk_weekly_ops_sync: {
+    playbook_id: 'pbk_weekly_ops_sync',
+    name: 'Weekly Ops Sync',
+    description: 'Post the weekly operations summary to the team channel after approval.',
+    inputs: {
+      channel: {
+        required: false,
+        default: 'ops-room',
+        description: 'Chat channel that receives the summary.'
+      }
+    },
+    steps: [
+      {
+        step_id: 'send_summary',
+        depends_on: [],
+        capability: 'message.send',
+        side_effect: 'mutation',
+        risk_hint: 'R2',
+        parameters: {
+          channel: '{{inputs.channel}}',
+          content: 'Weekly ops summary generated by FlockMesh runtime.'
+        },
+        target: {
+          surface: 'office.chat'
+        }
+      }
+    ]
+  }
+});
+
+function stableClone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function normalizeString(value, fallback = '') {
+  const text = String(value || '').trim();
+  return text || fallback;
+}
+
+function collectTemplateRefs(value, refs = []) {
+  if (typeof value === 'string') {
+    for (const match of value.matchAll(TEMPLATE_PATTERN)) {
+      refs.push(match[1]);
+    }
+    return refs;
+  }
+
+  if (Array.isArray(value)) {
+    for (const item of value) collectTemplateRefs(item, refs);
+    return refs;
+  }
+
+  if (isPlainObject(value)) {
+    for (const item of Object.values(value)) collectTemplateRefs(item, refs);
+  }
+
+  return refs;
+}
+
+function assertTemplateRef(ref, { pointer, inputNames, upstreamStepIds = new Set() }) {
+  const [root, field, ...rest] = ref.split('.');
+  if (root === 'run' && TEMPLATE_RUN_FIELDS.has(field) && !rest.length) return;
+  if (root === 'trigger' && TEMPLATE_TRIGGER_FIELDS.has(field) && !rest.length) return;
+  if (root === 'inputs' && inputNames.has(field) && !rest.length) return;
+  if (root === 'steps' && upstreamStepIds.has(field) && rest.length) return;
+
+  throw new Error(`[${pointer}] unresolvable template reference: {{${ref}}}`);
+}
+
+function collectUpstreamStepIds(stepId, dependsOnByStepId, seen = new Set()) {
+  for (const parentId of dependsOnByStepId.get(stepId) || []) {
+    if (seen.has(parentId)) continue;
+    seen.add(parentId);
+    collectUpstreamStepIds(parentId, dependsOnByStepId, seen);
+  }
+  return seen;
+}
+
+function assertAcyclicSteps(steps, { source }) {
+  const dependsOnByStepId = new Map(steps.map((step) => [step.step_id, step.depends_on]));
+  const visiting = new Set();
+  const visited = new Set();
+
+  const visit = (stepId) => {
+    if (visited.has(stepId)) return;
+    if (visiting.has(stepId)) {
+      throw new Error(`[${source}] step dependency cycle detected at: ${stepId}`);
+    }
+    visiting.add(stepId);
+    for (const parentId of dependsOnByStepId.get(stepId) || []) visit(parentId);
+    visiting.delete(stepId);
+    visited.add(stepId);
+  };
+
+  for (const step of steps) visit(step.step_id);
+  return dependsOnByStepId;
+}
+
+function compileInputs(rawInputs, { source }) {
+  if (rawInputs === undefined) return {};
+  if (!isPlainObject(rawInputs)) {
+    throw new Error(`[${source}] inputs must be an object`);
+  }
+
+  const inputs = {};
+  for (const [name, raw] of Object.entries(rawInputs)) {
+    const pointer = `${source}.inputs.${name}`;
+    if (!INPUT_NAME_PATTERN.test(name)) {
+      throw new Error(`[${pointer}] invalid input name`);
+    }
+    if (!isPlainObject(raw)) {
+      throw new Error(`[${pointer}] input definition must be an object`);
+    }
+
+    const required = raw.required === true;
+    if (required && raw.default !== undefined) {
+      throw new Error(`[${pointer}] required input cannot declare a default`);
+    }
+
+    inputs[name] = {
+      required,
+      ...(raw.default !== undefined ? { default: stableClone(raw.default) } : {}),
+      description: normalizeString(raw.description)
+    };
+  }
+
+  return inputs;
+}
+
+function compileStep(raw, { source, index }) {
+  const pointer = `${source}.steps[${index}]`;
+  if (!isPlainObject(raw)) {
+    throw new Error(`[${pointer}] step must be an object`);
+  }
+
+  const stepId = normalizeString(raw.step_id);
+  if (!STEP_ID_PATTERN.test(stepId)) {
+    throw new Error(`[${pointer}] invalid step_id: ${stepId}`);
+  }
+
+  const capability = normalizeString(raw.capability);
+  if (!CAPABILITY_PATTERN.test(capability)) {
+    throw new Error(`[${pointer}] invalid capability: ${capability}`);
+  }
+
+  const sideEffect = normalizeString(raw.side_effect);
+  if (!SIDE_EFFECT_SET.has(sideEffect)) {
+    throw new Error(`[${pointer}] invalid side_effect: ${sideEffect}`);
+  }
+
+  const riskHint = normalizeString(raw.risk_hint);
+  if (!RISK_HINT_SET.has(riskHint)) {
+    throw new Error(`[${pointer}] invalid risk_hint: ${riskHint}`);
+  }
+
+  const parameters = raw.parameters === undefined ? {} : raw.parameters;
+  if (!isPlainObject(parameters)) {
+    throw new Error(`[${pointer}] parameters must be an object`);
+  }
+
+  if (!isPlainObject(raw.target)) {
+    throw new Error(`[${pointer}] target must be an object`);
+  }
+  const surface = normalizeString(raw.target.surface);
+  if (!SURFACE_PATTERN.test(surface)) {
+    throw new Error(`[${pointer}] invalid target.surface: ${surface}`);
+  }
+
+  const dependsOn = raw.depends_on === undefined ? [] : raw.depends_on;
+  if (!Array.isArray(dependsOn)) {
+    throw new Error(`[${pointer}] depends_on must be an array`);
+  }
+  for (const parentId of dependsOn) {
+    if (!STEP_ID_PATTERN.test(String(parentId || ''))) {
+      throw new Error(`[${pointer}] invalid depends_on step_id: ${parentId}`);
+    }
+    if (parentId === stepId) {
+      throw new Error(`[${pointer}] step cannot depend on itself`);
+    }
+  }
+
+  return {
+    step_id: stepId,
+    depends_on: Array.from(new Set(dependsOn)),
+    capability,
+    side_effect: sideEffect,
+    risk_hint: riskHint,
+    parameters: stableClone(parameters),
+    target: {
+      ...stableClone(raw.target),
+      surface
+    }
+  };
+}
+
+export function compilePlaybookDsl(document, { source = 'memory' } = {}) {
+  if (!isPlainObject(document)) {
+    throw new Error(`[${source}] playbook must be an object`);
+  }
+
+  if (document.version !== 'v0') {
+    throw new Error(`[${source}] unsupported playbook version: ${document.version}`);
+  }
+
+  const playbookId = normalizeString(document.playbook_id);
+  if (!PLAYBOOK_PATTERN.test(playbookId)) {
+    throw new Error(`[${source}] invalid playbook_id: ${playbookId}`);
+  }
+
+  const name = normalizeString(document.name);
+  if (!name) throw new Error(`[${source}] name is required`);
+
+  const description = normalizeString(document.description);
+  if (!description) throw new Error(`[${source}] description is required`);
+
+  const inputs = compileInputs(document.inputs, { source });
+  const inputNames = new Set(Object.keys(inputs));
+
+  if (!Array.isArray(document.steps) || document.steps.length < 1) {
+    throw new Error(`[${source}] steps must be non-empty`);
+  }
+
+  const steps = [];
+  const seenStepIds = new Set();
+  for (let i = 0; i < document.steps.length; i += 1) {
+    const step = compileStep(document.steps[i], { source, index: i });
+    if (seenStepIds.has(step.step_id)) {
+      throw new Error(`[${source}] duplicated step_id: ${step.step_id}`);
+    }
+    seenStepIds.add(step.step_id);
+    steps.push(step);
+  }
+
+  for (const step of steps) {
+    const unknown = step.depends_on.filter((parentId) => !seenStepIds.has(parentId));
+    if (unknown.length) {
+      throw new Error(`[${source}] step ${step.step_id} depends on unknown steps: ${unknown.join(', ')}`);
+    }
+  }
+
+  const dependsOnByStepId = assertAcyclicSteps(steps, { source });
+  steps.forEach((step, index) => {
+    const upstreamStepIds = collectUpstreamStepIds(step.step_id, dependsOnByStepId);
+    for (const ref of collectTemplateRefs([step.parameters, step.target])) {
+      assertTemplateRef(ref, {
+        pointer: `${source}.steps[${index}]`,
+        inputNames,
+        upstreamStepIds
+      });
+    }
+  });
+
+  return {
+    playbook_id: playbookId,
+    name,
+    description,
+    inputs,
+    steps
+  };
+}
+
+export async function loadPlaybooksFromDir({
+  rootDir,
+  dirName = 'playbooks'
+} = {}) {
+  const directoryPath = path.join(rootDir, dirName);
+  let entries = [];
+
+  try {
+    entries = await fs.readdir(directoryPath, { withFileTypes: true });
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return stableClone(DEFAULT_PLAYBOOK_LIBRARY);
+    }
+    throw err;
+  }
+
+  const files = entries
+    .filter((entry) => entry.isFile() && entry.name.endsWith('.playbook.json'))
+    .map((entry) => entry.name)
+    .sort();
+
+  if (!files.length) {
+    return stableClone(DEFAULT_PLAYBOOK_LIBRARY);
+  }
+
+  const library = {};
+  for (const fileName of files) {
+    const filePath = path.join(directoryPath, fileName);
+    const parsed = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    const compiled = compilePlaybookDsl(parsed, { source: fileName });
+    if (library[compiled.playbook_id]) {
+      throw new Error(`[${fileName}] duplicated playbook_id: ${compiled.playbook_id}`);
+    }
+    library[compiled.playbook_id] = compiled;
+  }
+
+  return library;
+}
+
+export function listPlaybooks({ playbookLibrary = DEFAULT_PLAYBOOK_LIBRARY } = {}) {
+  const items = Object.values(playbookLibrary)
+    .map((item) => stableClone(item))
+    .sort((a, b) => a.playbook_id.localeCompare(b.playbook_id));
+
+  return {
+    version: 'v0',
+    generated_at: nowIso(),
+    total: items.length,
+    items
+  };
+}
+
+export function resolvePlaybookInputs({ playbook, inputs = {} }) {
+  const provided = isPlainObject(inputs) ? inputs : {};
+  const declared = playbook?.inputs || {};
+
+  const unknown = Object.keys(provided).filter((name) => !declared[name]);
+  if (unknown.length) {
+    throw new Error(`Unknown playbook inputs for ${playbook.playbook_id}: ${unknown.sort().join(', ')}`);
+  }
+
+  const resolved = {};
+  for (const [name, definition] of Object.entries(declared)) {
+    if (provided[name] !== undefined) {
+      resolved[name] = stableClone(provided[name]);
+      continue;
+    }
+    if (definition.required) {
+      throw new Error(`Missing required playbook input for ${playbook.playbook_id}: ${name}`);
+    }
+    resolved[name] = definition.default !== undefined ? stableClone(definition.default) : null;
+  }
+
+  return resolved;
+}
+
+function lookupTemplatePath(context, ref) {
+  return ref.split('.').reduce((current, key) => {
+    if (current === null || current === undefined) return undefined;
+    return current[key];
+  }, context);
+}
+
+function isDeferredTemplateRef(context, ref) {
+  return !Object.hasOwn(context, ref.split('.')[0]);
+}
+
+export function renderPlaybookTemplate(value, context = {}) {
+  if (typeof value === 'string') {
+    const exact = value.match(TEMPLATE_EXACT_PATTERN);
+    if (exact) {
+      if (isDeferredTemplateRef(context, exact[1])) return value;
+      const resolved = lookupTemplatePath(context, exact[1]);
+      return resolved === undefined ? '' : stableClone(resolved);
+    }
+
+    return value.replace(TEMPLATE_PATTERN, (match, ref) => {
+      if (isDeferredTemplateRef(context, ref)) return match;
+      const resolved = lookupTemplatePath(context, ref);
+      if (resolved === undefined || resolved === null) return '';
+      return typeof resolved === 'object' ? JSON.stringify(resolved) : String(resolved);
+    });
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => renderPlaybookTemplate(item, context));
+  }
+
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, renderPlaybookTemplate(item, context)])
+    );
+  }
+
+  return value;
+}
+
+export function expandPlaybookActionIntents({
+  playbook,
+  run,
+  inputs = {},
+  resolveConnectorBindingId = () => ''
+}) {
+  const context = {
+    run: {
+      id: run.id,
+      workspace_id: run.workspace_id,
+      agent_id: run.agent_id,
+      playbook_id: run.playbook_id
+    },
+    trigger: run.trigger || {},
+    inputs
+  };
+
+  return playbook.steps.map((step) => {
+    const connectorBindingId = normalizeString(resolveConnectorBindingId(step.capability));
+    return {
+      id: makeId('act'),
+      run_id: run.id,
+      step_id: step.step_id,
+      ...(step.depends_on.length ? { depends_on: [...step.depends_on] } : {}),
+      ...(connectorBindingId ? { connector_binding_id: connectorBindingId } : {}),
+      capability: step.capability,
+      side_effect: step.side_effect,
+      ...(step.side_effect === 'mutation'
+        ? { idempotency_key: `${run.id}_${step.step_id}_v1` }
+        : {}),
+      risk_hint: step.risk_hint,
+      parameters: renderPlaybookTemplate(step.parameters, context),
+      target: renderPlaybookTemplate(step.target, context)
+    };
+  });
+}
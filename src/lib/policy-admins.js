@@ -3,11 +3,13 @@ import path from 'node:path';
 
 const PROFILE_NAME_PATTERN = /^[a-z][a-z0-9_]{2,80}$/;
 const USER_ID_PATTERN = /^usr_[A-Za-z0-9_-]{4,64}$/;
+export const POLICY_PROFILE_QUORUM_MAX = 5;
 
 export const DEFAULT_POLICY_ADMIN_CONFIG = Object.freeze({
   version: 'v0',
   global_admins: ['usr_policy_admin'],
-  profile_admins: {}
+  profile_admins: {},
+  profile_quorum: {}
 });
 
 function assertObject(value, label, source) {
@@ -37,7 +39,8 @@ function cloneConfig(config) {
     profile_admins: Object.fromEntries(
       Object.entries(config.profile_admins || {})
         .map(([profileName, admins]) => [profileName, [...admins].sort()])
-    )
+    ),
+    profile_quorum: { ...(config.profile_quorum || {}) }
   };
 }
 
@@ -68,10 +71,29 @@ export function compilePolicyAdminConfigDocument(document, { source = 'memory' }
     });
   }
 
+  const profileQuorumInput = document.profile_quorum || {};
+  assertObject(profileQuorumInput, 'profile_quorum', source);
+  const profileQuorum = {};
+
+  for (const [profileNameRaw, quorumRaw] of Object.entries(profileQuorumInput)) {
+    const profileName = String(profileNameRaw || '').trim();
+    if (!PROFILE_NAME_PATTERN.test(profileName)) {
+      throw new Error(`[${source}] profile_quorum has invalid profile name: ${profileName}`);
+    }
+    const quorum = Number(quorumRaw);
+    if (!Number.isInteger(quorum) || quorum < 1 || quorum > POLICY_PROFILE_QUORUM_MAX) {
+      throw new Error(
+        `[${source}] profile_quorum.${profileName} must be an integer between 1 and ${POLICY_PROFILE_QUORUM_MAX}`
+      );
+    }
+    profileQuorum[profileName] = quorum;
+  }
+
   return {
     version: 'v0',
     global_admins: globalAdmins,
-    profile_admins: profileAdmins
+    profile_admins: profileAdmins,
+    profile_quorum: profileQuorum
   };
 }
 
@@ -84,7 +106,8 @@ export function mergePolicyAdminConfigs(configs = []) {
     const compiled = compilePolicyAdminConfigDocument({
       version: config.version || 'v0',
       global_admins: config.global_admins || [],
-      profile_admins: config.profile_admins || {}
+      profile_admins: config.profile_admins || {},
+      profile_quorum: config.profile_quorum || {}
     }, {
       source: 'policy-admin-config.merge'
     });
@@ -99,6 +122,11 @@ export function mergePolicyAdminConfigs(configs = []) {
         new Set([...existing, ...admins])
       ).sort();
     }
+
+    // The strictest quorum wins when several config files name the same profile.
+    for (const [profileName, quorum] of Object.entries(compiled.profile_quorum)) {
+      merged.profile_quorum[profileName] = Math.max(merged.profile_quorum[profileName] || 1, quorum);
+    }
   }
 
   return merged;
@@ -176,3 +204,11 @@ export function canActorManagePolicyProfile({
     reason_code: 'policy.admin.not_authorized'
   };
 }
+
+export function resolvePolicyProfileQuorum({
+  config,
+  profileName
+}) {
+  const normalized = mergePolicyAdminConfigs([config]);
+  return normalized.profile_quorum[String(profileName || '').trim()] || 1;
+}
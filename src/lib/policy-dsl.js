@@ -2,8 +2,273 @@ import fs from 'node:fs/promises';
 import path from 'node:path';
 
 const DECISIONS = new Set(['allow', 'deny', 'escalate']);
-const CAPABILITY_PATTERN = /^(\*|[a-z][a-z0-9_]*(\.[a-z][a-z0-9_]*)+)$/;
+export const POLICY_CAPABILITY_PATTERN = /^(\*|(\*|[a-z][a-z0-9_]*)(\.(\*|[a-z][a-z0-9_]*))+)$/;
 const PROFILE_NAME_PATTERN = /^[a-z][a-z0-9_]{2,80}$/;
+export const APPROVAL_TTL_MIN_SECONDS = 60;
+export const APPROVAL_TTL_MAX_SECONDS = 30 * 24 * 60 * 60;
+export const POLICY_CONDITION_DAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+const CONDITION_PATH_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*$/;
+const CONDITION_CLOCK_PATTERN = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
+const CONDITION_KEYS = new Set(['parameters', 'target', 'trigger_type', 'agent_role', 'time_window']);
+export const POLICY_APPROVER_ROLES = ['org_admin', 'workspace_admin', 'operator'];
+const APPROVER_CONSTRAINT_KEYS = new Set(['required_roles', 'approver_groups', 'exclude_initiator', 'distinct_roles']);
+const APPROVER_GROUP_NAME_PATTERN = /^[a-z][a-z0-9_]{1,63}$/;
+const APPROVER_ACTOR_PATTERN = /^usr_[A-Za-z0-9_-]{4,64}$/;
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isConditionScalar(value) {
+  return ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+function normalizeConditionMatcher(matcher, { label }) {
+  if (!isPlainObject(matcher) || Object.keys(matcher).length !== 1) {
+    throw new Error(`${label} must be an object with exactly one of equals, in, matches`);
+  }
+
+  if ('equals' in matcher) {
+    if (!isConditionScalar(matcher.equals)) {
+      throw new Error(`${label}.equals must be a string, number, or boolean`);
+    }
+    return { equals: matcher.equals };
+  }
+
+  if ('in' in matcher) {
+    if (!Array.isArray(matcher.in) || matcher.in.length < 1 || !matcher.in.every(isConditionScalar)) {
+      throw new Error(`${label}.in must be a non-empty array of strings, numbers, or booleans`);
+    }
+    return { in: [...matcher.in] };
+  }
+
+  if ('matches' in matcher) {
+    const pattern = String(matcher.matches || '');
+    if (!pattern) throw new Error(`${label}.matches must be a non-empty regular expression`);
+    try {
+      new RegExp(pattern);
+    } catch {
+      throw new Error(`${label}.matches is not a valid regular expression: ${pattern}`);
+    }
+    return { matches: pattern };
+  }
+
+  throw new Error(`${label} must be an object with exactly one of equals, in, matches`);
+}
+
+function normalizeConditionPathMatchers(matchers, { label }) {
+  if (!isPlainObject(matchers) || Object.keys(matchers).length < 1) {
+    throw new Error(`${label} must be a non-empty object of path matchers`);
+  }
+
+  const normalized = {};
+  for (const conditionPath of Object.keys(matchers).sort()) {
+    if (!CONDITION_PATH_PATTERN.test(conditionPath)) {
+      throw new Error(`${label} has invalid path: ${conditionPath}`);
+    }
+    normalized[conditionPath] = normalizeConditionMatcher(matchers[conditionPath], {
+      label: `${label}.${conditionPath}`
+    });
+  }
+  return normalized;
+}
+
+function normalizeConditionTimeWindow(window, { label }) {
+  if (!isPlainObject(window)) {
+    throw new Error(`${label} must be an object`);
+  }
+
+  const mode = String(window.mode || 'within');
+  if (!['within', 'outside'].includes(mode)) {
+    throw new Error(`${label}.mode must be within or outside`);
+  }
+
+  const timezone = String(window.timezone || 'UTC');
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch {
+    throw new Error(`${label}.timezone is not a valid IANA timezone: ${timezone}`);
+  }
+
+  const start = String(window.start || '');
+  const end = String(window.end || '');
+  if (!CONDITION_CLOCK_PATTERN.test(start) || !CONDITION_CLOCK_PATTERN.test(end) || start === end) {
+    throw new Error(`${label} must set distinct start and end as HH:MM`);
+  }
+
+  const days = window.days === undefined ? POLICY_CONDITION_DAYS : window.days;
+  if (!Array.isArray(days) || days.length < 1 || !days.every((day) => POLICY_CONDITION_DAYS.includes(day))) {
+    throw new Error(`${label}.days must be a non-empty subset of ${POLICY_CONDITION_DAYS.join(', ')}`);
+  }
+
+  return {
+    mode,
+    timezone,
+    days: POLICY_CONDITION_DAYS.filter((day) => days.includes(day)),
+    start,
+    end
+  };
+}
+
+export function normalizePolicyRuleCondition(when, { label = 'when' } = {}) {
+  if (when === undefined) return undefined;
+  if (!isPlainObject(when) || Object.keys(when).length < 1) {
+    throw new Error(`${label} must be a non-empty object`);
+  }
+
+  for (const key of Object.keys(when)) {
+    if (!CONDITION_KEYS.has(key)) {
+      throw new Error(`${label} has unsupported condition: ${key}`);
+    }
+  }
+
+  const normalized = {};
+  if (when.parameters !== undefined) {
+    normalized.parameters = normalizeConditionPathMatchers(when.parameters, { label: `${label}.parameters` });
+  }
+  if (when.target !== undefined) {
+    normalized.target = normalizeConditionPathMatchers(when.target, { label: `${label}.target` });
+  }
+  if (when.trigger_type !== undefined) {
+    normalized.trigger_type = normalizeConditionMatcher(when.trigger_type, { label: `${label}.trigger_type` });
+  }
+  if (when.agent_role !== undefined) {
+    normalized.agent_role = normalizeConditionMatcher(when.agent_role, { label: `${label}.agent_role` });
+  }
+  if (when.time_window !== undefined) {
+    normalized.time_window = normalizeConditionTimeWindow(when.time_window, { label: `${label}.time_window` });
+  }
+  return normalized;
+}
+
+function normalizeApproverGroups(groups, { label }) {
+  if (!isPlainObject(groups) || Object.keys(groups).length < 1) {
+    throw new Error(`${label} must be a non-empty object of group name to actor ids`);
+  }
+
+  const normalized = {};
+  for (const groupName of Object.keys(groups).sort()) {
+    if (!APPROVER_GROUP_NAME_PATTERN.test(groupName)) {
+      throw new Error(`${label} has invalid group name: ${groupName}`);
+    }
+    const members = groups[groupName];
+    if (!Array.isArray(members) || members.length < 1 || !members.every((item) => APPROVER_ACTOR_PATTERN.test(item))) {
+      throw new Error(`${label}.${groupName} must be a non-empty array of usr_ actor ids`);
+    }
+    normalized[groupName] = Array.from(new Set(members)).sort();
+  }
+  return normalized;
+}
+
+// Boolean constraints set to false are dropped so equivalent rules compare equal.
+export function normalizeApproverConstraints(constraints, {
+  label = 'approver_constraints',
+  decision = 'escalate',
+  requiredApprovals = 1
+} = {}) {
+  if (constraints === undefined) return undefined;
+  if (decision !== 'escalate') {
+    throw new Error(`${label} can only be set for escalate`);
+  }
+  if (!isPlainObject(constraints) || Object.keys(constraints).length < 1) {
+    throw new Error(`${label} must be a non-empty object`);
+  }
+
+  for (const key of Object.keys(constraints)) {
+    if (!APPROVER_CONSTRAINT_KEYS.has(key)) {
+      throw new Error(`${label} has unsupported constraint: ${key}`);
+    }
+  }
+
+  const normalized = {};
+  if (constraints.required_roles !== undefined) {
+    const roles = constraints.required_roles;
+    if (!Array.isArray(roles) || roles.length < 1 || !roles.every((role) => POLICY_APPROVER_ROLES.includes(role))) {
+      throw new Error(
+        `${label}.required_roles must be a non-empty subset of ${POLICY_APPROVER_ROLES.join(', ')}`
+      );
+    }
+    normalized.required_roles = Array.from(new Set(roles)).sort();
+  }
+  if (constraints.approver_groups !== undefined) {
+    normalized.approver_groups = normalizeApproverGroups(constraints.approver_groups, {
+      label: `${label}.approver_groups`
+    });
+  }
+  for (const key of ['exclude_initiator', 'distinct_roles']) {
+    if (constraints[key] === undefined) continue;
+    if (typeof constraints[key] !== 'boolean') {
+      throw new Error(`${label}.${key} must be a boolean`);
+    }
+    if (constraints[key]) normalized[key] = true;
+  }
+
+  if (normalized.distinct_roles) {
+    const availableRoles = (normalized.required_roles || POLICY_APPROVER_ROLES).length;
+    if (requiredApprovals > availableRoles) {
+      throw new Error(
+        `${label}.distinct_roles needs required_approvals <= ${availableRoles} eligible roles`
+      );
+    }
+  }
+
+  return Object.keys(normalized).length ? normalized : undefined;
+}
+
+function toApprovalTtlSeconds(rule, { profileName, index, source, decision }) {
+  if (rule.approval_ttl_seconds === undefined) return undefined;
+  if (decision !== 'escalate') {
+    throw new Error(
+      `[${source}] policy ${profileName} rule #${index} can only set approval_ttl_seconds for escalate`
+    );
+  }
+
+  const ttlSeconds = Number(rule.approval_ttl_seconds);
+  if (
+    !Number.isInteger(ttlSeconds) ||
+    ttlSeconds < APPROVAL_TTL_MIN_SECONDS ||
+    ttlSeconds > APPROVAL_TTL_MAX_SECONDS
+  ) {
+    throw new Error(
+      `[${source}] policy ${profileName} rule #${index} must set approval_ttl_seconds between ${APPROVAL_TTL_MIN_SECONDS} and ${APPROVAL_TTL_MAX_SECONDS}`
+    );
+  }
+  return ttlSeconds;
+}
+
+// A `*` segment matches exactly one capability segment; a bare `*` matches every capability.
+export function matchesCapabilityPattern(pattern, capability) {
+  if (pattern === '*') return true;
+  const patternSegments = pattern.split('.');
+  const capabilitySegments = String(capability || '').split('.');
+  if (patternSegments.length !== capabilitySegments.length) return false;
+  return patternSegments.every((segment, index) => segment === '*' || segment === capabilitySegments[index]);
+}
+
+function capabilityPatternSpecificity(pattern) {
+  if (pattern === '*') return { literals: -1, prefix: -1 };
+  const segments = pattern.split('.');
+  const firstWildcard = segments.indexOf('*');
+  return {
+    literals: segments.filter((segment) => segment !== '*').length,
+    prefix: firstWildcard === -1 ? segments.length : firstWildcard
+  };
+}
+
+// Most specific first: more literal segments, then a longer literal prefix, then lexical order.
+export function compareCapabilityPatterns(a, b) {
+  const left = capabilityPatternSpecificity(a);
+  const right = capabilityPatternSpecificity(b);
+  if (left.literals !== right.literals) return right.literals - left.literals;
+  if (left.prefix !== right.prefix) return right.prefix - left.prefix;
+  return a.localeCompare(b);
+}
+
+export function listMatchingCapabilityPatterns(patterns, capability) {
+  return patterns
+    .filter((pattern) => matchesCapabilityPattern(pattern, capability))
+    .sort(compareCapabilityPatterns);
+}
 
 function toRuleShape(rule, { profileName, index, source }) {
   if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
@@ -11,7 +276,7 @@ function toRuleShape(rule, { profileName, index, source }) {
   }
 
   const capability = String(rule.capability || '');
-  if (!CAPABILITY_PATTERN.test(capability)) {
+  if (!POLICY_CAPABILITY_PATTERN.test(capability)) {
     throw new Error(
       `[${source}] policy ${profileName} rule #${index} has invalid capability: ${capability}`
     );
@@ -22,6 +287,11 @@ function toRuleShape(rule, { profileName, index, source }) {
     throw new Error(`[${source}] policy ${profileName} rule #${index} has invalid decision: ${decision}`);
   }
 
+  const approvalTtlSeconds = toApprovalTtlSeconds(rule, { profileName, index, source, decision });
+  const when = normalizePolicyRuleCondition(rule.when, {
+    label: `[${source}] policy ${profileName} rule #${index} when`
+  });
+
   if (decision === 'escalate') {
     const requiredApprovals = Number(rule.required_approvals ?? 1);
     if (!Number.isInteger(requiredApprovals) || requiredApprovals < 1 || requiredApprovals > 5) {
@@ -29,10 +299,19 @@ function toRuleShape(rule, { profileName, index, source }) {
         `[${source}] policy ${profileName} rule #${index} must set required_approvals between 1 and 5 for escalate`
       );
     }
-    return { capability, decision, requiredApprovals };
+    const approverConstraints = normalizeApproverConstraints(rule.approver_constraints, {
+      label: `[${source}] policy ${profileName} rule #${index} approver_constraints`,
+      decision,
+      requiredApprovals
+    });
+    return { capability, decision, requiredApprovals, approvalTtlSeconds, approverConstraints, when };
   }
 
-  return { capability, decision, requiredApprovals: 0 };
+  normalizeApproverConstraints(rule.approver_constraints, {
+    label: `[${source}] policy ${profileName} rule #${index} approver_constraints`,
+    decision
+  });
+  return { capability, decision, requiredApprovals: 0, when };
 }
 
 export function compilePolicyProfileDsl(document, { source = 'memory' } = {}) {
@@ -49,7 +328,9 @@ export function compilePolicyProfileDsl(document, { source = 'memory' } = {}) {
     throw new Error(`[${source}] policy ${name} has unsupported version: ${document.version}`);
   }
 
-  if (!Array.isArray(document.rules) || document.rules.length < 1) {
+  const parents = normalizePolicyProfileExtends(document.extends, { name, source });
+
+  if (!Array.isArray(document.rules) || (document.rules.length < 1 && !parents.length)) {
     throw new Error(`[${source}] policy ${name} must contain at least one rule`);
   }
 
@@ -66,16 +347,104 @@ export function compilePolicyProfileDsl(document, { source = 'memory' } = {}) {
 
     rules[compiled.capability] = {
       decision: compiled.decision,
-      requiredApprovals: compiled.requiredApprovals
+      requiredApprovals: compiled.requiredApprovals,
+      ...(compiled.approvalTtlSeconds ? { approvalTtlSeconds: compiled.approvalTtlSeconds } : {}),
+      ...(compiled.approverConstraints ? { approverConstraints: compiled.approverConstraints } : {}),
+      ...(compiled.when ? { when: compiled.when } : {})
     };
   }
 
   return {
     name,
+    ...(parents.length ? { extends: parents } : {}),
     rules
   };
 }
 
+function normalizePolicyProfileExtends(value, { name, source }) {
+  if (value === undefined) return [];
+  if (!Array.isArray(value)) {
+    throw new Error(`[${source}] policy ${name} extends must be an array of profile names`);
+  }
+
+  const parents = [];
+  for (const item of value) {
+    const parent = String(item || '');
+    if (!PROFILE_NAME_PATTERN.test(parent)) {
+      throw new Error(`[${source}] policy ${name} extends invalid profile name: ${parent}`);
+    }
+    if (parent === name) {
+      throw new Error(`[${source}] policy ${name} cannot extend itself`);
+    }
+    if (parents.includes(parent)) {
+      throw new Error(`[${source}] policy ${name} extends duplicated profile: ${parent}`);
+    }
+    parents.push(parent);
+  }
+  return parents;
+}
+
+// Parents merge in declaration order (later parents override earlier ones) and the
+// profile's own rules override everything inherited. Already-resolved profiles keep
+// their declared rules in declaredRules so the library can be re-resolved after a patch.
+export function resolvePolicyProfileInheritance(library = {}, { source = 'memory' } = {}) {
+  const resolved = {};
+  const visiting = [];
+
+  const resolve = (name) => {
+    if (resolved[name]) return resolved[name];
+
+    const cycleStart = visiting.indexOf(name);
+    if (cycleStart !== -1) {
+      throw new Error(
+        `[${source}] policy inheritance cycle detected: ${[...visiting.slice(cycleStart), name].join(' -> ')}`
+      );
+    }
+
+    const profile = library[name];
+    const parents = Array.isArray(profile.extends) ? profile.extends : [];
+    const declaredRules = profile.declaredRules || profile.rules || {};
+    if (!parents.length) {
+      const { ancestry: _ancestry, declaredRules: _declaredRules, ...base } = profile;
+      resolved[name] = { ...base, rules: declaredRules };
+      return resolved[name];
+    }
+
+    visiting.push(name);
+    const ancestry = [];
+    const rules = {};
+    for (const parentName of parents) {
+      if (!library[parentName]) {
+        throw new Error(`[${source}] policy ${name} extends unknown profile: ${parentName}`);
+      }
+      const parent = resolve(parentName);
+      for (const ancestor of [...(parent.ancestry || []), parentName]) {
+        if (!ancestry.includes(ancestor)) ancestry.push(ancestor);
+      }
+      Object.assign(rules, parent.rules);
+    }
+    visiting.pop();
+
+    resolved[name] = {
+      ...profile,
+      extends: parents,
+      ancestry,
+      declaredRules,
+      rules: {
+        ...rules,
+        ...declaredRules
+      }
+    };
+    return resolved[name];
+  };
+
+  for (const name of Object.keys(library).sort()) {
+    resolve(name);
+  }
+
+  return resolved;
+}
+
 export async function loadPolicyLibraryFromDir({
   rootDir,
   dirName = 'policies'
@@ -105,5 +474,5 @@ export async function loadPolicyLibraryFromDir({
     compiledLibrary[compiled.name] = compiled;
   }
 
-  return compiledLibrary;
+  return resolvePolicyProfileInheritance(compiledLibrary, { source: dirName });
 }
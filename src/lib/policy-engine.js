@@ -1,4 +1,5 @@
 import { makeId } from './ids.js';
+import { POLICY_APPROVER_ROLES, listMatchingCapabilityPatterns } from './policy-dsl.js';
 import { nowIso } from './time.js';
 
 const DECISION_WEIGHT = {
@@ -27,7 +28,7 @@ export const POLICY_LIBRARY = {
   workspace_ops_cn: {
     name: 'workspace_ops_cn',
     rules: {
-      'message.send': { decision: 'escalate', requiredApprovals: 1 },
+      'message.send': { decision: 'escalate', requiredApprovals: 1, approvalTtlSeconds: 14400 },
       'doc.write': { decision: 'allow' }
     }
   },
@@ -67,13 +68,252 @@ function pickEffectiveSource(candidates) {
   return valid[0].source;
 }
 
-function policyRuleDecision(profile, capability) {
+const conditionPatternCache = new Map();
+
+function conditionPattern(source) {
+  if (!conditionPatternCache.has(source)) {
+    conditionPatternCache.set(source, new RegExp(source));
+  }
+  return conditionPatternCache.get(source);
+}
+
+function readConditionPath(root, conditionPath) {
+  return conditionPath.split('.').reduce((value, key) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return undefined;
+    return value[key];
+  }, root);
+}
+
+// Absent values are unresolved (null), not a mismatch, so restrictive rules still fail closed.
+function testConditionMatcher(matcher, value) {
+  if (value === undefined || value === null) return null;
+  if ('equals' in matcher) return value === matcher.equals;
+  if ('in' in matcher) return matcher.in.includes(value);
+  if ('matches' in matcher) return typeof value === 'string' && conditionPattern(matcher.matches).test(value);
+  return false;
+}
+
+function zonedClock(at, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(at);
+  const part = (type) => parts.find((item) => item.type === type)?.value || '';
+  return {
+    day: part('weekday').slice(0, 3).toLowerCase(),
+    minutes: Number(part('hour')) * 60 + Number(part('minute'))
+  };
+}
+
+function clockMinutes(value) {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function isWithinTimeWindow(window, at) {
+  const clock = zonedClock(at, window.timezone);
+  const start = clockMinutes(window.start);
+  const end = clockMinutes(window.end);
+  const inRange = start < end
+    ? clock.minutes >= start && clock.minutes < end
+    : clock.minutes >= start || clock.minutes < end;
+  return window.days.includes(clock.day) && inRange;
+}
+
+// Clause outcome is true/false, or null when the caller did not supply the attribute.
+function evaluateConditionClauses(when, { actionIntent, conditionContext }) {
+  const clauses = [];
+
+  for (const [conditionPath, matcher] of Object.entries(when.parameters || {})) {
+    clauses.push([
+      `parameters.${conditionPath}`,
+      testConditionMatcher(matcher, readConditionPath(actionIntent.parameters, conditionPath))
+    ]);
+  }
+  for (const [conditionPath, matcher] of Object.entries(when.target || {})) {
+    clauses.push([
+      `target.${conditionPath}`,
+      testConditionMatcher(matcher, readConditionPath(actionIntent.target, conditionPath))
+    ]);
+  }
+  for (const key of ['trigger_type', 'agent_role']) {
+    if (!when[key]) continue;
+    const value = conditionContext[key];
+    clauses.push([key, typeof value === 'string' && value ? testConditionMatcher(when[key], value) : null]);
+  }
+  if (when.time_window) {
+    const at = new Date(conditionContext.at ?? Date.now());
+    const outcome = Number.isNaN(at.getTime())
+      ? null
+      : isWithinTimeWindow(when.time_window, at) === (when.time_window.mode === 'within');
+    clauses.push(['time_window', outcome]);
+  }
+
+  return clauses;
+}
+
+// A rule whose condition cannot be resolved still applies when it would restrict (fail closed),
+// but never when it would allow.
+function matchRuleCondition(rule, context) {
+  if (!rule.when) return { applies: true, condition: null };
+
+  const clauses = evaluateConditionClauses(rule.when, context);
+  if (clauses.some(([, outcome]) => outcome === false)) {
+    return { applies: false, condition: null };
+  }
+
+  const unresolved = clauses.filter(([, outcome]) => outcome === null).map(([name]) => name);
+  if (unresolved.length && rule.decision === 'allow') {
+    return { applies: false, condition: null };
+  }
+
+  return {
+    applies: true,
+    condition: {
+      matched: clauses.filter(([, outcome]) => outcome === true).map(([name]) => name),
+      unresolved
+    }
+  };
+}
+
+function policyRuleDecision(profile, capability, context) {
   if (!profile) return null;
-  const rule = profile.rules[capability] || profile.rules['*'];
-  if (!rule) return null;
+
+  for (const ruleCapability of listMatchingCapabilityPatterns(Object.keys(profile.rules), capability)) {
+    const rule = profile.rules[ruleCapability];
+
+    const { applies, condition } = matchRuleCondition(rule, context);
+    if (!applies) continue;
+
+    return {
+      decision: rule.decision,
+      requiredApprovals: rule.requiredApprovals ?? 0,
+      approvalTtlSeconds: rule.approvalTtlSeconds,
+      approverConstraints: rule.approverConstraints,
+      ruleCapability,
+      condition
+    };
+  }
+
+  return null;
+}
+
+// Constraints from every escalating rule must all hold: roles intersect, groups with the
+// same name intersect their members, and boolean constraints are sticky.
+function mergeApproverConstraints(evaluations) {
+  const merged = {};
+  for (const item of evaluations) {
+    const constraints = item.approverConstraints;
+    if (!constraints) continue;
+
+    if (constraints.required_roles) {
+      merged.required_roles = merged.required_roles
+        ? merged.required_roles.filter((role) => constraints.required_roles.includes(role))
+        : [...constraints.required_roles];
+    }
+    for (const [groupName, members] of Object.entries(constraints.approver_groups || {})) {
+      merged.approver_groups = merged.approver_groups || {};
+      merged.approver_groups[groupName] = merged.approver_groups[groupName]
+        ? merged.approver_groups[groupName].filter((member) => members.includes(member))
+        : [...members];
+    }
+    if (constraints.exclude_initiator) merged.exclude_initiator = true;
+    if (constraints.distinct_roles) merged.distinct_roles = true;
+  }
+  return Object.keys(merged).length ? merged : null;
+}
+
+function approverConstraintsSatisfiable(constraints, requiredApprovals) {
+  if (constraints.required_roles && !constraints.required_roles.length) return false;
+  if (
+    constraints.approver_groups &&
+    !Object.values(constraints.approver_groups).some((members) => members.length)
+  ) {
+    return false;
+  }
+  if (constraints.distinct_roles) {
+    return requiredApprovals <= (constraints.required_roles || POLICY_APPROVER_ROLES).length;
+  }
+  return true;
+}
+
+function approverConstraintFailure(reasonCode, message) {
+  return { ok: false, reasonCode, message };
+}
+
+// creditedRoles maps earlier approvers to the role their approval was counted under.
+// A delegate acting for approverId must not be the initiator either.
+export function checkApproverConstraints({
+  constraints = null,
+  approverId,
+  delegateId = '',
+  approverRoles = [],
+  initiatorId = '',
+  creditedRoles = {}
+}) {
+  if (!constraints) return { ok: true, satisfied: [] };
+
+  const satisfied = [];
+  if (constraints.exclude_initiator) {
+    if (initiatorId && [approverId, delegateId].includes(initiatorId)) {
+      return approverConstraintFailure(
+        'approval.constraint.initiator_excluded',
+        'Run initiator cannot approve this action'
+      );
+    }
+    satisfied.push('exclude_initiator');
+  }
+
+  let eligibleRoles = [...approverRoles].sort();
+  if (constraints.required_roles) {
+    eligibleRoles = eligibleRoles.filter((role) => constraints.required_roles.includes(role));
+    if (!eligibleRoles.length) {
+      return approverConstraintFailure(
+        'approval.constraint.role_required',
+        `Approver must hold one of roles: ${constraints.required_roles.join(', ')}`
+      );
+    }
+    satisfied.push('required_roles');
+  }
+
+  let approverGroup = '';
+  if (constraints.approver_groups) {
+    approverGroup = Object.keys(constraints.approver_groups)
+      .find((groupName) => constraints.approver_groups[groupName].includes(approverId)) || '';
+    if (!approverGroup) {
+      return approverConstraintFailure(
+        'approval.constraint.group_required',
+        `Approver must belong to one of groups: ${Object.keys(constraints.approver_groups).join(', ')}`
+      );
+    }
+    satisfied.push('approver_groups');
+  }
+
+  let creditedRole = '';
+  if (constraints.distinct_roles) {
+    const takenRoles = new Set(
+      Object.entries(creditedRoles)
+        .filter(([actorId]) => actorId !== approverId)
+        .map(([, role]) => role)
+    );
+    creditedRole = eligibleRoles.find((role) => !takenRoles.has(role)) || '';
+    if (!creditedRole) {
+      return approverConstraintFailure(
+        'approval.constraint.distinct_roles',
+        'Approver holds no role that has not already approved this action'
+      );
+    }
+    satisfied.push('distinct_roles');
+  }
+
   return {
-    decision: rule.decision,
-    requiredApprovals: rule.requiredApprovals ?? 0
+    ok: true,
+    satisfied,
+    ...(approverGroup ? { approverGroup } : {}),
+    ...(creditedRole ? { creditedRole } : {})
   };
 }
 
@@ -101,7 +341,8 @@ export function evaluatePolicy({
   runId,
   actionIntent,
   policyContext = {},
-  policyLibrary = POLICY_LIBRARY
+  policyLibrary = POLICY_LIBRARY,
+  conditionContext = {}
 }) {
   if (!actionIntent?.id || !actionIntent?.capability || !actionIntent?.risk_hint) {
     return failClosedDecision({
@@ -176,19 +417,26 @@ export function evaluatePolicy({
     baseline,
     ...Object.entries(profiles)
       .map(([source, profile]) => {
-        const result = policyRuleDecision(profile, actionIntent.capability);
+        const result = policyRuleDecision(profile, actionIntent.capability, {
+          actionIntent,
+          conditionContext
+        });
         if (!result) return null;
         return {
           source,
           decision: result.decision,
           requiredApprovals: result.requiredApprovals,
+          approvalTtlSeconds: result.approvalTtlSeconds,
+          approverConstraints: result.approverConstraints,
+          ruleCapability: result.ruleCapability,
+          condition: result.condition,
           reason: `policy.rule.${source}`
         };
       })
       .filter(Boolean)
   ];
 
-  const strictDecision = strictestDecision(...evaluations.map((item) => item.decision));
+  let strictDecision = strictestDecision(...evaluations.map((item) => item.decision));
   const effectiveSource = pickEffectiveSource(
     evaluations.filter((item) => item.decision === strictDecision)
   );
@@ -200,9 +448,44 @@ export function evaluatePolicy({
     0
   );
 
+  // The shortest TTL among escalating rules wins, mirroring strictest-decision precedence.
+  const approvalTtls = evaluations
+    .filter((item) => item.decision === 'escalate' && item.approvalTtlSeconds)
+    .map((item) => item.approvalTtlSeconds);
+
+  const matchedRules = evaluations
+    .filter((item) => item.ruleCapability)
+    .map((item) => ({
+      source: item.source,
+      capability: item.ruleCapability,
+      decision: item.decision
+    }));
+  const effectiveRule = evaluations.find((item) =>
+    item.ruleCapability && item.source === effectiveSource && item.decision === strictDecision
+  );
+
+  const approverConstraints = strictDecision === 'escalate'
+    ? mergeApproverConstraints(evaluations.filter((item) => item.decision === 'escalate'))
+    : null;
+  const constraintsSatisfiable = !approverConstraints ||
+    approverConstraintsSatisfiable(approverConstraints, Math.max(1, requiredApprovals));
+  if (!constraintsSatisfiable) strictDecision = 'deny';
+
+  const conditionMatches = evaluations
+    .filter((item) => item.condition)
+    .map((item) => ({
+      source: item.source,
+      capability: item.ruleCapability,
+      decision: item.decision,
+      matched: item.condition.matched,
+      unresolved: item.condition.unresolved
+    }));
+
   const reasonCodes = new Set([
     baseline.reason,
-    ...evaluations.map((item) => item.reason)
+    ...evaluations.map((item) => item.reason),
+    ...(conditionMatches.some((item) => item.unresolved.length) ? ['policy.condition_unresolved'] : []),
+    ...(constraintsSatisfiable ? [] : ['policy.approver_constraints_unsatisfiable', 'safety.fail_closed'])
   ]);
 
   return {
@@ -213,9 +496,17 @@ export function evaluatePolicy({
     risk_tier: actionIntent.risk_hint,
     reason_codes: Array.from(reasonCodes),
     required_approvals: strictDecision === 'escalate' ? Math.max(1, requiredApprovals) : 0,
+    ...(strictDecision === 'escalate' && approvalTtls.length
+      ? { approval_ttl_seconds: Math.min(...approvalTtls) }
+      : {}),
+    ...(strictDecision === 'escalate' && approverConstraints ? { approver_constraints: approverConstraints } : {}),
     policy_trace: {
       ...trace,
-      effective_source: effectiveSource
+      effective_source: effectiveSource,
+      ...(matchedRules.length
+        ? { matched_rules: matchedRules, effective_rule: effectiveRule?.ruleCapability || '' }
+        : {}),
+      ...(conditionMatches.length ? { condition_matches: conditionMatches } : {})
     },
     evaluated_at: nowIso()
   };
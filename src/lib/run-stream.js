@@ -0,0 +1,90 @@
+const DEFAULT_BACKLOG_SIZE = 1000;
+
+export function formatSseMessage({ id, event, data }) {
+  const lines = [];
+  if (id !== undefined && id !== null) lines.push(`id: ${id}`);
+  if (event) lines.push(`event: ${event}`);
+  for (const line of JSON.stringify(data).split('\n')) lines.push(`data: ${line}`);
+  return `${lines.join('\n')}\n\n`;
+}
+
+// Run streams resume from the durable ledgers, so their ids carry both positions:
+// "<last event seq>.<last audit seq>".
+export function parseRunStreamCursor(value) {
+  const matched = /^(\d{1,12})\.(\d{1,12})$/.exec(String(value ?? '').trim());
+  if (!matched) return { events: 0, audit: 0 };
+  return { events: Number(matched[1]), audit: Number(matched[2]) };
+}
+
+export function formatRunStreamCursor(cursor) {
+  return `${cursor.events}.${cursor.audit}`;
+}
+
+// Orders a ledger backlog the way it was appended; ties keep events before audit entries.
+export function mergeRunStreamBacklog({ events = [], audit = [] }) {
+  const tagged = [
+    ...events.map((item, index) => ({ kind: 'event', item, at: item.at, index })),
+    ...audit.map((item, index) => ({ kind: 'audit', item, at: item.occurred_at, index: events.length + index }))
+  ];
+  return tagged
+    .sort((a, b) => (Date.parse(a.at) - Date.parse(b.at)) || (a.index - b.index))
+    .map(({ kind, item }) => ({ kind, item }));
+}
+
+function matchesFilter(message, { runId = '', workspaceId = '' } = {}) {
+  if (runId && message.run_id !== runId) return false;
+  if (workspaceId && message.workspace_id !== workspaceId) return false;
+  return true;
+}
+
+// In-process fan-out of ledger appends. Workspace streams resume from the bounded backlog;
+// a cursor that fell out of it (or predates this process) cannot be resumed.
+export function createRunStreamHub({ backlogSize = DEFAULT_BACKLOG_SIZE } = {}) {
+  let seq = 0;
+  const backlog = [];
+  const listeners = new Set();
+  const connections = new Set();
+
+  return {
+    publish({ workspaceId = '', runId, kind, item }) {
+      const message = { seq: ++seq, workspace_id: workspaceId, run_id: runId, kind, item };
+      backlog.push(message);
+      if (backlog.length > backlogSize) backlog.shift();
+      for (const listener of listeners) listener(message);
+      return message;
+    },
+
+    subscribe(filter, onMessage) {
+      const listener = (message) => {
+        if (matchesFilter(message, filter)) onMessage(message);
+      };
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    replaySince(lastSeq, filter) {
+      const oldest = backlog.length ? backlog[0].seq : seq + 1;
+      if (lastSeq > seq || lastSeq < oldest - 1) {
+        return { complete: false, messages: [] };
+      }
+      return {
+        complete: true,
+        messages: backlog.filter((message) => message.seq > lastSeq && matchesFilter(message, filter))
+      };
+    },
+
+    track(close) {
+      connections.add(close);
+      return () => connections.delete(close);
+    },
+
+    closeAll() {
+      for (const close of Array.from(connections)) close();
+      connections.clear();
+    },
+
+    get lastSeq() {
+      return seq;
+    }
+  };
+}
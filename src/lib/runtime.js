@@ -33,6 +33,45 @@ export function runStatusFromDecisions(decisions) {
   return 'running';
 }
 
+export function buildInitialStepState({ runId, actionIntent }) {
+  const now = nowIso();
+  return {
+    run_id: runId,
+    step_id: actionIntent.step_id,
+    action_intent_id: actionIntent.id,
+    depends_on: Array.isArray(actionIntent.depends_on) ? [...actionIntent.depends_on] : [],
+    status: 'pending',
+    attempts: 0,
+    created_at: now,
+    updated_at: now
+  };
+}
+
+export function resolveReadyStepIntents({ actionIntents = [], decisions = [], stepStates = {} }) {
+  const decisionsByActionId = new Map(
+    decisions.map((decision) => [decision.action_intent_id, decision])
+  );
+
+  return actionIntents.filter((intent) => {
+    const state = stepStates[intent.step_id];
+    if (!state || state.status !== 'pending') return false;
+    if (decisionsByActionId.get(intent.id)?.decision !== 'allow') return false;
+    return (intent.depends_on || []).every(
+      (stepId) => stepStates[stepId]?.status === 'completed'
+    );
+  });
+}
+
+export function runStatusFromStepStates({ actionIntents = [], decisions = [], stepStates = {} }) {
+  const decisionStatus = runStatusFromDecisions(decisions);
+  const states = actionIntents.map((intent) => stepStates[intent.step_id]);
+
+  if (states.some((state) => state?.status === 'failed')) return 'failed';
+  if (decisionStatus === 'failed') return 'failed';
+  if (states.length && states.every((state) => state?.status === 'completed')) return 'completed';
+  return decisionStatus;
+}
+
 export function buildRunRecord({ workspaceId, agentId, playbookId, trigger }) {
   const id = makeId('run');
 
@@ -0,0 +1,214 @@
+export const SCHEDULE_CATCH_UP_POLICIES = Object.freeze(['skip', 'latest', 'all']);
+export const SCHEDULE_CATCH_UP_DEFAULT = 'latest';
+export const SCHEDULE_CATCH_UP_MAX_FIRES = 24;
+export const SCHEDULE_MISFIRE_GRACE_SECONDS = 300;
+// Past this many missed windows the walk jumps to the last day; only the latest fires can run.
+const SCHEDULE_CATCH_UP_SCAN_LIMIT = 2000;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+// Long enough for a Feb 29 that also has to land on a given weekday.
+const SEARCH_HORIZON_DAYS = 366 * 8;
+// No zone moves its UTC offset by more than this in one transition.
+const MAX_UTC_OFFSET_SHIFT_MS = 3 * 60 * MINUTE_MS;
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const WEEKDAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day_of_month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+  { name: 'day_of_week', min: 0, max: 7, names: WEEKDAY_NAMES, nameOffset: 0 }
+];
+
+const zoneFormatters = new Map();
+
+function parseCronValue(raw, field) {
+  const upper = raw.toUpperCase();
+  if (field.names?.includes(upper)) return field.names.indexOf(upper) + field.nameOffset;
+  if (!/^\d{1,2}$/.test(raw)) throw new Error(`invalid ${field.name} value: ${raw}`);
+  const value = Number(raw);
+  if (value < field.min || value > field.max) {
+    throw new Error(`${field.name} value ${value} is outside ${field.min}-${field.max}`);
+  }
+  return value;
+}
+
+function parseCronField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [rangeText, stepText, extra] = part.split('/');
+    if (extra !== undefined || !rangeText) throw new Error(`invalid ${field.name} field: ${text}`);
+
+    let start = field.min;
+    let end = field.max;
+    if (rangeText !== '*') {
+      const [startText, endText, tail] = rangeText.split('-');
+      if (tail !== undefined) throw new Error(`invalid ${field.name} range: ${rangeText}`);
+      start = parseCronValue(startText, field);
+      end = endText === undefined ? (stepText === undefined ? start : field.max) : parseCronValue(endText, field);
+      if (end < start) throw new Error(`invalid ${field.name} range: ${rangeText}`);
+    }
+
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1 || !/^\d+$/.test(stepText ?? '1')) {
+      throw new Error(`invalid ${field.name} step: ${stepText}`);
+    }
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+
+  // Sunday may be written as 0 or 7.
+  if (field.name === 'day_of_week' && values.delete(7)) values.add(0);
+  return values;
+}
+
+// Standard five-field cron: minute hour day-of-month month day-of-week, with lists, ranges,
+// steps and JAN-DEC / SUN-SAT names. When both day fields are restricted a day matches either.
+export function parseCronExpression(expression) {
+  const fields = String(expression || '').trim().split(/\s+/);
+  if (fields.length !== 5 || !fields[0]) {
+    throw new Error('cron expression must have five fields: minute hour day-of-month month day-of-week');
+  }
+
+  const parsed = Object.fromEntries(
+    CRON_FIELDS.map((field, index) => [field.name, parseCronField(fields[index], field)])
+  );
+  return {
+    ...parsed,
+    day_of_month_restricted: fields[2] !== '*',
+    day_of_week_restricted: fields[4] !== '*'
+  };
+}
+
+function zoneFormatter(timezone) {
+  if (!zoneFormatters.has(timezone)) {
+    zoneFormatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    }));
+  }
+  return zoneFormatters.get(timezone);
+}
+
+export function assertTimeZone(timezone) {
+  const zone = String(timezone || '').trim();
+  try {
+    zoneFormatter(zone);
+  } catch {
+    throw new Error(`unknown timezone: ${zone}`);
+  }
+  return zone;
+}
+
+// Wall-clock time in `timezone` for an instant, expressed as a UTC timestamp (minute precision).
+function toWallClock(ms, timezone) {
+  const parts = Object.fromEntries(
+    zoneFormatter(timezone).formatToParts(new Date(ms)).map((part) => [part.type, part.value])
+  );
+  return Date.UTC(
+    Number(parts.year),
+    Number(parts.month) - 1,
+    Number(parts.day),
+    Number(parts.hour),
+    Number(parts.minute)
+  );
+}
+
+// Resolves a wall-clock time to an instant; times skipped by a DST jump resolve to null.
+function fromWallClock(wallMs, timezone) {
+  const firstGuess = wallMs - (toWallClock(wallMs, timezone) - wallMs);
+  const offset = toWallClock(firstGuess, timezone) - firstGuess;
+  const instant = wallMs - offset;
+  return toWallClock(instant, timezone) === wallMs ? instant : null;
+}
+
+function dayMatches(cron, dayMs) {
+  const date = new Date(dayMs);
+  if (!cron.month.has(date.getUTCMonth() + 1)) return false;
+  const domMatch = cron.day_of_month.has(date.getUTCDate());
+  const dowMatch = cron.day_of_week.has(date.getUTCDay());
+  if (cron.day_of_month_restricted && cron.day_of_week_restricted) return domMatch || dowMatch;
+  return domMatch && dowMatch;
+}
+
+export function nextCronFireTime(cron, { timezone = 'UTC', after = Date.now() } = {}) {
+  const afterMs = Math.floor(after / MINUTE_MS) * MINUTE_MS;
+  const afterWall = toWallClock(afterMs, timezone);
+  const hours = Array.from(cron.hour).sort((a, b) => a - b);
+  const minutes = Array.from(cron.minute).sort((a, b) => a - b);
+  // Wall time only runs backwards across a transition (a repeated hour), so earlier wall-clock
+  // candidates need checking just when the offset is about to change.
+  const laterMs = afterMs + MAX_UTC_OFFSET_SHIFT_MS;
+  const offsetSteady = afterWall - afterMs === toWallClock(laterMs, timezone) - laterMs;
+  const lowestWall = offsetSteady ? afterWall + MINUTE_MS : afterWall - MAX_UTC_OFFSET_SHIFT_MS;
+  const firstDay = Math.floor(lowestWall / DAY_MS) * DAY_MS;
+
+  for (let dayMs = firstDay; dayMs <= firstDay + SEARCH_HORIZON_DAYS * DAY_MS; dayMs += DAY_MS) {
+    if (!dayMatches(cron, dayMs)) continue;
+    for (const hour of hours) {
+      for (const minute of minutes) {
+        const wallMs = dayMs + (hour * 60 + minute) * MINUTE_MS;
+        if (wallMs < lowestWall) continue;
+        const instant = fromWallClock(wallMs, timezone);
+        if (instant !== null && instant > afterMs) return instant;
+      }
+    }
+  }
+  return null;
+}
+
+// Decides which fire windows a tick owes. Fires older than the misfire grace were missed
+// (downtime, a long pause); `catch_up` chooses whether to drop them, run only the latest, or
+// run each of them (bounded by SCHEDULE_CATCH_UP_MAX_FIRES).
+export function planScheduleFires({
+  schedule,
+  now = Date.now(),
+  graceSeconds = SCHEDULE_MISFIRE_GRACE_SECONDS,
+  maxFires = SCHEDULE_CATCH_UP_MAX_FIRES
+}) {
+  const cron = parseCronExpression(schedule.cron);
+  const due = [];
+  let skipped = 0;
+  let walked = 0;
+  let cursor = Date.parse(schedule.next_fire_at);
+  while (Number.isFinite(cursor) && cursor <= now) {
+    due.push(cursor);
+    if (due.length > maxFires) {
+      due.shift();
+      skipped += 1;
+    }
+    walked += 1;
+    // A cron this dense fires more than maxFires times a day, so the windows that can still run
+    // all lie within the last day. Windows jumped over are not counted in `skipped`.
+    const after = walked === SCHEDULE_CATCH_UP_SCAN_LIMIT ? Math.max(cursor, now - DAY_MS) : cursor;
+    if (after !== cursor) {
+      skipped += due.length;
+      due.length = 0;
+    }
+    cursor = nextCronFireTime(cron, { timezone: schedule.timezone, after });
+  }
+
+  const onTime = due.filter((fireAt) => now - fireAt <= graceSeconds * 1000);
+  const missed = due.filter((fireAt) => now - fireAt > graceSeconds * 1000);
+  let fires;
+  if (schedule.catch_up === 'all') {
+    fires = due;
+  } else if (schedule.catch_up === 'skip' || onTime.length) {
+    fires = onTime;
+  } else {
+    fires = missed.slice(-1);
+  }
+
+  return {
+    fires: fires.map((fireAt) => new Date(fireAt).toISOString()),
+    skipped: skipped + due.length - fires.length,
+    next_fire_at: Number.isFinite(cursor) ? new Date(cursor).toISOString() : null
+  };
+}
@@ -0,0 +1,92 @@
+import { parseJsonBody, sendJsonRequest } from './http-json.js';
+
+const DEFAULT_TIMEOUT_MS = 5000;
+export const DEFAULT_SLACK_API_BASE_URL = 'https://slack.com/api';
+const MAX_TEXT_CHARS = 40000;
+
+export class SlackDeliveryError extends Error {
+  constructor(message, { status = null, slackError = '' } = {}) {
+    super(message);
+    this.name = 'SlackDeliveryError';
+    this.code = 'SLACK_DELIVERY_FAILED';
+    this.status = status;
+    this.slack_error = slackError;
+  }
+}
+
+function normalizeText(value) {
+  const text = String(value ?? '').trim();
+  if (!text) throw new SlackDeliveryError('Slack message requires non-empty text');
+  return text.length > MAX_TEXT_CHARS ? text.slice(0, MAX_TEXT_CHARS) : text;
+}
+
+// Channel names are accepted with or without the leading '#'; ids (C…/G…) pass through.
+export function normalizeSlackChannel(value = '') {
+  return String(value ?? '').trim().replace(/^#/, '');
+}
+
+function postJson(url, { body, headers, timeoutMs = DEFAULT_TIMEOUT_MS, label }) {
+  return sendJsonRequest(url, {
+    method: 'POST',
+    headers,
+    body,
+    timeoutMs,
+    label: `Slack ${label}`,
+    createError: (message) => new SlackDeliveryError(message)
+  });
+}
+
+// Incoming webhooks answer with a plain-text body: "ok" on success, an error slug otherwise.
+export async function postSlackWebhook({ webhookUrl, text, channel = '', blocks = null, timeoutMs }) {
+  const body = { text: normalizeText(text), ...(blocks ? { blocks } : {}) };
+  const targetChannel = normalizeSlackChannel(channel);
+  if (targetChannel) body.channel = targetChannel;
+
+  const response = await postJson(webhookUrl, { body, timeoutMs, label: 'webhook' });
+  const reply = response.text.trim();
+  if (!response.ok || (reply && reply !== 'ok')) {
+    throw new SlackDeliveryError(`Slack webhook returned ${response.status}: ${reply || 'empty body'}`, {
+      status: response.status,
+      slackError: reply
+    });
+  }
+  return { delivery_mode: 'webhook', channel: targetChannel, ts: '' };
+}
+
+async function callSlackApi(connection, method, body) {
+  const base = (connection.apiBaseUrl || DEFAULT_SLACK_API_BASE_URL).replace(/\/+$/, '');
+  const response = await postJson(`${base}/${method}`, {
+    body,
+    headers: { authorization: `Bearer ${connection.botToken}` },
+    timeoutMs: connection.timeoutMs,
+    label: method
+  });
+
+  const payload = parseJsonBody(response.text);
+  if (payload === undefined) {
+    throw new SlackDeliveryError(`Slack ${method} returned a non-JSON body`, { status: response.status });
+  }
+  // The Web API reports most failures as HTTP 200 with ok=false.
+  if (!response.ok || payload?.ok !== true) {
+    const slackError = String(payload?.error || `http_${response.status}`);
+    throw new SlackDeliveryError(`Slack ${method} failed: ${slackError}`, { status: response.status, slackError });
+  }
+  return payload;
+}
+
+export async function postSlackMessage(connection, { channel, text, threadTs = '', blocks = null }) {
+  const targetChannel = normalizeSlackChannel(channel);
+  if (!targetChannel) throw new SlackDeliveryError('Slack bot delivery requires a channel');
+  const payload = await callSlackApi(connection, 'chat.postMessage', {
+    channel: targetChannel,
+    text: normalizeText(text),
+    ...(blocks ? { blocks } : {}),
+    ...(threadTs ? { thread_ts: String(threadTs) } : {})
+  });
+  return { delivery_mode: 'bot', channel: String(payload.channel || targetChannel), ts: String(payload.ts || '') };
+}
+
+export async function testSlackAuth(connection) {
+  const payload = await callSlackApi(connection, 'auth.test', {});
+  return { team: String(payload.team || ''), user: String(payload.user || ''), bot_id: String(payload.bot_id || '') };
+}
@@ -91,6 +91,86 @@ export class StateDB {
         updated_at TEXT NOT NULL
       );
 
+      CREATE TABLE IF NOT EXISTS access_delegations (
+        id TEXT PRIMARY KEY,
+        workspace_id TEXT NOT NULL,
+        principal_id TEXT NOT NULL,
+        delegate_id TEXT NOT NULL,
+        status TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS external_identities (
+        id TEXT PRIMARY KEY,
+        workspace_id TEXT NOT NULL,
+        provider TEXT NOT NULL,
+        external_user_id TEXT NOT NULL,
+        actor_id TEXT NOT NULL,
+        status TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS webhook_triggers (
+        id TEXT PRIMARY KEY,
+        workspace_id TEXT NOT NULL,
+        status TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS schedules (
+        id TEXT PRIMARY KEY,
+        workspace_id TEXT NOT NULL,
+        status TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS event_subscriptions (
+        id TEXT PRIMARY KEY,
+        workspace_id TEXT NOT NULL,
+        status TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS event_deliveries (
+        id TEXT PRIMARY KEY,
+        subscription_id TEXT NOT NULL,
+        workspace_id TEXT NOT NULL,
+        status TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS policy_patch_proposals (
+        id TEXT PRIMARY KEY,
+        profile_name TEXT NOT NULL,
+        status TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS run_steps (
+        run_id TEXT NOT NULL,
+        step_id TEXT NOT NULL,
+        action_intent_id TEXT NOT NULL,
+        status TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (run_id, step_id)
+      );
+
       CREATE INDEX IF NOT EXISTS idx_agents_workspace ON agents(workspace_id);
       CREATE INDEX IF NOT EXISTS idx_bindings_workspace ON connector_bindings(workspace_id);
       CREATE INDEX IF NOT EXISTS idx_bindings_agent ON connector_bindings(agent_id);
@@ -103,6 +183,17 @@ export class StateDB {
       CREATE INDEX IF NOT EXISTS idx_role_bindings_actor ON role_bindings(actor_id);
       CREATE UNIQUE INDEX IF NOT EXISTS idx_role_bindings_unique
         ON role_bindings(workspace_id, actor_id, role);
+      CREATE INDEX IF NOT EXISTS idx_access_delegations_workspace ON access_delegations(workspace_id);
+      CREATE INDEX IF NOT EXISTS idx_access_delegations_delegate ON access_delegations(delegate_id);
+      CREATE INDEX IF NOT EXISTS idx_external_identities_workspace ON external_identities(workspace_id);
+      CREATE INDEX IF NOT EXISTS idx_external_identities_external ON external_identities(provider, external_user_id);
+      CREATE INDEX IF NOT EXISTS idx_webhook_triggers_workspace ON webhook_triggers(workspace_id);
+      CREATE INDEX IF NOT EXISTS idx_schedules_workspace ON schedules(workspace_id);
+      CREATE INDEX IF NOT EXISTS idx_event_subscriptions_workspace ON event_subscriptions(workspace_id);
+      CREATE INDEX IF NOT EXISTS idx_event_deliveries_subscription ON event_deliveries(subscription_id);
+      CREATE INDEX IF NOT EXISTS idx_event_deliveries_status ON event_deliveries(status);
+      CREATE INDEX IF NOT EXISTS idx_policy_patch_proposals_profile ON policy_patch_proposals(profile_name);
+      CREATE INDEX IF NOT EXISTS idx_policy_patch_proposals_status ON policy_patch_proposals(status);
     `);
 
     this.stmts = {
@@ -192,6 +283,22 @@ export class StateDB {
         WHERE workspace_id = ? AND status = ?
       `),
 
+      upsertRunStep: this.db.prepare(`
+        INSERT INTO run_steps (run_id, step_id, action_intent_id, status, payload, created_at, updated_at)
+        VALUES (@run_id, @step_id, @action_intent_id, @status, @payload, @created_at, @updated_at)
+        ON CONFLICT(run_id, step_id) DO UPDATE SET
+          action_intent_id = excluded.action_intent_id,
+          status = excluded.status,
+          payload = excluded.payload,
+          updated_at = excluded.updated_at
+      `),
+      listRunSteps: this.db.prepare(`
+        SELECT payload
+        FROM run_steps
+        WHERE run_id = ?
+        ORDER BY rowid ASC
+      `),
+
       getIdempotency: this.db.prepare(
         'SELECT payload FROM idempotency_results WHERE idempotency_key = ?'
       ),
@@ -284,7 +391,186 @@ export class StateDB {
       `),
       countRoleBindingsByWorkspace: this.db.prepare(
         'SELECT COUNT(*) AS total FROM role_bindings WHERE workspace_id = ?'
-      )
+      ),
+
+      upsertDelegation: this.db.prepare(`
+        INSERT INTO access_delegations (
+          id, workspace_id, principal_id, delegate_id, status, payload, created_at, updated_at
+        )
+        VALUES (
+          @id, @workspace_id, @principal_id, @delegate_id, @status, @payload, @created_at, @updated_at
+        )
+        ON CONFLICT(id) DO UPDATE SET
+          status = excluded.status,
+          payload = excluded.payload,
+          updated_at = excluded.updated_at
+      `),
+      getDelegation: this.db.prepare('SELECT payload FROM access_delegations WHERE id = ?'),
+      listDelegations: this.db.prepare(`
+        SELECT payload
+        FROM access_delegations
+        WHERE (@workspace_id = '' OR workspace_id = @workspace_id)
+          AND (@actor_id = '' OR principal_id = @actor_id OR delegate_id = @actor_id)
+          AND (@status = '' OR status = @status)
+        ORDER BY created_at DESC, id DESC
+        LIMIT @limit OFFSET @offset
+      `),
+      countDelegations: this.db.prepare(`
+        SELECT COUNT(*) AS total
+        FROM access_delegations
+        WHERE (@workspace_id = '' OR workspace_id = @workspace_id)
+          AND (@actor_id = '' OR principal_id = @actor_id OR delegate_id = @actor_id)
+          AND (@status = '' OR status = @status)
+      `),
+
+      upsertExternalIdentity: this.db.prepare(`
+        INSERT INTO external_identities (
+          id, workspace_id, provider, external_user_id, actor_id, status, payload, created_at, updated_at
+        )
+        VALUES (
+          @id, @workspace_id, @provider, @external_user_id, @actor_id, @status, @payload, @created_at, @updated_at
+        )
+        ON CONFLICT(id) DO UPDATE SET
+          status = excluded.status,
+          payload = excluded.payload,
+          updated_at = excluded.updated_at
+      `),
+      listExternalIdentities: this.db.prepare(`
+        SELECT payload
+        FROM external_identities
+        WHERE (@workspace_id = '' OR workspace_id = @workspace_id)
+          AND (@actor_id = '' OR actor_id = @actor_id)
+          AND (@provider = '' OR provider = @provider)
+          AND (@status = '' OR status = @status)
+        ORDER BY created_at DESC, id DESC
+        LIMIT @limit OFFSET @offset
+      `),
+      countExternalIdentities: this.db.prepare(`
+        SELECT COUNT(*) AS total
+        FROM external_identities
+        WHERE (@workspace_id = '' OR workspace_id = @workspace_id)
+          AND (@actor_id = '' OR actor_id = @actor_id)
+          AND (@provider = '' OR provider = @provider)
+          AND (@status = '' OR status = @status)
+      `),
+
+      upsertWebhookTrigger: this.db.prepare(`
+        INSERT INTO webhook_triggers (id, workspace_id, status, payload, created_at, updated_at)
+        VALUES (@id, @workspace_id, @status, @payload, @created_at, @updated_at)
+        ON CONFLICT(id) DO UPDATE SET
+          status = excluded.status,
+          payload = excluded.payload,
+          updated_at = excluded.updated_at
+      `),
+      getWebhookTrigger: this.db.prepare('SELECT payload FROM webhook_triggers WHERE id = ?'),
+      listWebhookTriggers: this.db.prepare(`
+        SELECT payload
+        FROM webhook_triggers
+        WHERE (@workspace_id = '' OR workspace_id = @workspace_id)
+          AND (@status = '' OR status = @status)
+        ORDER BY created_at DESC, id DESC
+        LIMIT @limit OFFSET @offset
+      `),
+      countWebhookTriggers: this.db.prepare(`
+        SELECT COUNT(*) AS total
+        FROM webhook_triggers
+        WHERE (@workspace_id = '' OR workspace_id = @workspace_id)
+          AND (@status = '' OR status = @status)
+      `),
+
+      upsertSchedule: this.db.prepare(`
+        INSERT INTO schedules (id, workspace_id, status, payload, created_at, updated_at)
+        VALUES (@id, @workspace_id, @status, @payload, @created_at, @updated_at)
+        ON CONFLICT(id) DO UPDATE SET
+          status = excluded.status,
+          payload = excluded.payload,
+          updated_at = excluded.updated_at
+      `),
+      getSchedule: this.db.prepare('SELECT payload FROM schedules WHERE id = ?'),
+      listSchedules: this.db.prepare(`
+        SELECT payload
+        FROM schedules
+        WHERE (@workspace_id = '' OR workspace_id = @workspace_id)
+          AND (@status = '' OR status = @status)
+        ORDER BY created_at DESC, id DESC
+        LIMIT @limit OFFSET @offset
+      `),
+      countSchedules: this.db.prepare(`
+        SELECT COUNT(*) AS total
+        FROM schedules
+        WHERE (@workspace_id = '' OR workspace_id = @workspace_id)
+          AND (@status = '' OR status = @status)
+      `),
+
+      upsertEventSubscription: this.db.prepare(`
+        INSERT INTO event_subscriptions (id, workspace_id, status, payload, created_at, updated_at)
+        VALUES (@id, @workspace_id, @status, @payload, @created_at, @updated_at)
+        ON CONFLICT(id) DO UPDATE SET
+          status = excluded.status,
+          payload = excluded.payload,
+          updated_at = excluded.updated_at
+      `),
+      listEventSubscriptions: this.db.prepare(`
+        SELECT payload
+        FROM event_subscriptions
+        WHERE (@workspace_id = '' OR workspace_id = @workspace_id)
+          AND (@status = '' OR status = @status)
+        ORDER BY created_at DESC, id DESC
+        LIMIT @limit OFFSET @offset
+      `),
+      countEventSubscriptions: this.db.prepare(`
+        SELECT COUNT(*) AS total
+        FROM event_subscriptions
+        WHERE (@workspace_id = '' OR workspace_id = @workspace_id)
+          AND (@status = '' OR status = @status)
+      `),
+
+      upsertEventDelivery: this.db.prepare(`
+        INSERT INTO event_deliveries (id, subscription_id, workspace_id, status, payload, created_at, updated_at)
+        VALUES (@id, @subscription_id, @workspace_id, @status, @payload, @created_at, @updated_at)
+        ON CONFLICT(id) DO UPDATE SET
+          status = excluded.status,
+          payload = excluded.payload,
+          updated_at = excluded.updated_at
+      `),
+      listEventDeliveries: this.db.prepare(`
+        SELECT payload
+        FROM event_deliveries
+        WHERE (@subscription_id = '' OR subscription_id = @subscription_id)
+          AND (@status = '' OR status = @status)
+        ORDER BY created_at DESC, id DESC
+        LIMIT @limit OFFSET @offset
+      `),
+      countEventDeliveries: this.db.prepare(`
+        SELECT COUNT(*) AS total
+        FROM event_deliveries
+        WHERE (@subscription_id = '' OR subscription_id = @subscription_id)
+          AND (@status = '' OR status = @status)
+      `),
+
+      upsertPolicyPatchProposal: this.db.prepare(`
+        INSERT INTO policy_patch_proposals (id, profile_name, status, payload, created_at, updated_at)
+        VALUES (@id, @profile_name, @status, @payload, @created_at, @updated_at)
+        ON CONFLICT(id) DO UPDATE SET
+          status = excluded.status,
+          payload = excluded.payload,
+          updated_at = excluded.updated_at
+      `),
+      getPolicyPatchProposal: this.db.prepare('SELECT payload FROM policy_patch_proposals WHERE id = ?'),
+      listPolicyPatchProposals: this.db.prepare(`
+        SELECT payload
+        FROM policy_patch_proposals
+        WHERE (@profile_name = '' OR profile_name = @profile_name)
+          AND (@status = '' OR status = @status)
+        ORDER BY created_at DESC, id DESC
+        LIMIT @limit OFFSET @offset
+      `),
+      countPolicyPatchProposals: this.db.prepare(`
+        SELECT COUNT(*) AS total
+        FROM policy_patch_proposals
+        WHERE (@profile_name = '' OR profile_name = @profile_name)
+          AND (@status = '' OR status = @status)
+      `)
     };
   }
 
@@ -496,6 +782,23 @@ export class StateDB {
     };
   }
 
+  saveRunStep(step) {
+    this.stmts.upsertRunStep.run({
+      run_id: step.run_id,
+      step_id: step.step_id,
+      action_intent_id: step.action_intent_id,
+      status: step.status,
+      payload: JSON.stringify(step),
+      created_at: step.created_at,
+      updated_at: step.updated_at
+    });
+    return step;
+  }
+
+  listRunSteps(runId) {
+    return this.stmts.listRunSteps.all(runId).map((row) => parseJson(row.payload));
+  }
+
   getIdempotencyResult(key) {
     const row = this.stmts.getIdempotency.get(key);
     return parseJson(row?.payload);
@@ -671,4 +974,279 @@ export class StateDB {
       items: rows.map((row) => parseJson(row.payload))
     };
   }
+
+  saveDelegation(delegation) {
+    this.stmts.upsertDelegation.run({
+      id: delegation.id,
+      workspace_id: delegation.workspace_id,
+      principal_id: delegation.principal_id,
+      delegate_id: delegation.delegate_id,
+      status: delegation.status,
+      payload: JSON.stringify(delegation),
+      created_at: delegation.created_at,
+      updated_at: delegation.updated_at
+    });
+    return delegation;
+  }
+
+  getDelegation(id) {
+    const row = this.stmts.getDelegation.get(id);
+    return parseJson(row?.payload);
+  }
+
+  listDelegations({ workspaceId, actorId, status, limit = 200, offset = 0 } = {}) {
+    const boundedLimit = Math.min(Math.max(toInt(limit, 200), 1), 5000);
+    const boundedOffset = Math.max(toInt(offset, 0), 0);
+    const filters = {
+      workspace_id: String(workspaceId || '').trim(),
+      actor_id: String(actorId || '').trim(),
+      status: String(status || '').trim()
+    };
+    const rows = this.stmts.listDelegations.all({
+      ...filters,
+      limit: boundedLimit,
+      offset: boundedOffset
+    });
+    const total = this.stmts.countDelegations.get(filters).total;
+    return {
+      total,
+      limit: boundedLimit,
+      offset: boundedOffset,
+      items: rows.map((row) => parseJson(row.payload))
+    };
+  }
+
+  saveExternalIdentity(identity) {
+    this.stmts.upsertExternalIdentity.run({
+      id: identity.id,
+      workspace_id: identity.workspace_id,
+      provider: identity.provider,
+      external_user_id: identity.external_user_id,
+      actor_id: identity.actor_id,
+      status: identity.status,
+      payload: JSON.stringify(identity),
+      created_at: identity.created_at,
+      updated_at: identity.updated_at
+    });
+    return identity;
+  }
+
+  listExternalIdentities({ workspaceId, actorId, provider, status, limit = 200, offset = 0 } = {}) {
+    const boundedLimit = Math.min(Math.max(toInt(limit, 200), 1), 5000);
+    const boundedOffset = Math.max(toInt(offset, 0), 0);
+    const filters = {
+      workspace_id: String(workspaceId || '').trim(),
+      actor_id: String(actorId || '').trim(),
+      provider: String(provider || '').trim(),
+      status: String(status || '').trim()
+    };
+    const rows = this.stmts.listExternalIdentities.all({
+      ...filters,
+      limit: boundedLimit,
+      offset: boundedOffset
+    });
+    const total = this.stmts.countExternalIdentities.get(filters).total;
+    return {
+      total,
+      limit: boundedLimit,
+      offset: boundedOffset,
+      items: rows.map((row) => parseJson(row.payload))
+    };
+  }
+
+  saveWebhookTrigger(webhook) {
+    this.stmts.upsertWebhookTrigger.run({
+      id: webhook.id,
+      workspace_id: webhook.workspace_id,
+      status: webhook.status,
+      payload: JSON.stringify(webhook),
+      created_at: webhook.created_at,
+      updated_at: webhook.updated_at
+    });
+    return webhook;
+  }
+
+  getWebhookTrigger(id) {
+    const row = this.stmts.getWebhookTrigger.get(id);
+    return parseJson(row?.payload);
+  }
+
+  listWebhookTriggers({ workspaceId, status, limit = 200, offset = 0 } = {}) {
+    const boundedLimit = Math.min(Math.max(toInt(limit, 200), 1), 5000);
+    const boundedOffset = Math.max(toInt(offset, 0), 0);
+    const filters = {
+      workspace_id: String(workspaceId || '').trim(),
+      status: String(status || '').trim()
+    };
+    const rows = this.stmts.listWebhookTriggers.all({
+      ...filters,
+      limit: boundedLimit,
+      offset: boundedOffset
+    });
+    const total = this.stmts.countWebhookTriggers.get(filters).total;
+    return {
+      total,
+      limit: boundedLimit,
+      offset: boundedOffset,
+      items: rows.map((row) => parseJson(row.payload))
+    };
+  }
+
+  saveSchedule(schedule) {
+    this.stmts.upsertSchedule.run({
+      id: schedule.id,
+      workspace_id: schedule.workspace_id,
+      status: schedule.status,
+      payload: JSON.stringify(schedule),
+      created_at: schedule.created_at,
+      updated_at: schedule.updated_at
+    });
+    return schedule;
+  }
+
+  getSchedule(id) {
+    const row = this.stmts.getSchedule.get(id);
+    return parseJson(row?.payload);
+  }
+
+  listSchedules({ workspaceId, status, limit = 200, offset = 0 } = {}) {
+    const boundedLimit = Math.min(Math.max(toInt(limit, 200), 1), 5000);
+    const boundedOffset = Math.max(toInt(offset, 0), 0);
+    const filters = {
+      workspace_id: String(workspaceId || '').trim(),
+      status: String(status || '').trim()
+    };
+    const rows = this.stmts.listSchedules.all({
+      ...filters,
+      limit: boundedLimit,
+      offset: boundedOffset
+    });
+    const total = this.stmts.countSchedules.get(filters).total;
+    return {
+      total,
+      limit: boundedLimit,
+      offset: boundedOffset,
+      items: rows.map((row) => parseJson(row.payload))
+    };
+  }
+
+  saveEventSubscription(subscription) {
+    this.stmts.upsertEventSubscription.run({
+      id: subscription.id,
+      workspace_id: subscription.workspace_id,
+      status: subscription.status,
+      payload: JSON.stringify(subscription),
+      created_at: subscription.created_at,
+      updated_at: subscription.updated_at
+    });
+    return subscription;
+  }
+
+  listEventSubscriptions({ workspaceId, status, limit = 200, offset = 0 } = {}) {
+    const boundedLimit = Math.min(Math.max(toInt(limit, 200), 1), 5000);
+    const boundedOffset = Math.max(toInt(offset, 0), 0);
+    const filters = {
+      workspace_id: String(workspaceId || '').trim(),
+      status: String(status || '').trim()
+    };
+    const rows = this.stmts.listEventSubscriptions.all({
+      ...filters,
+      limit: boundedLimit,
+      offset: boundedOffset
+    });
+    const total = this.stmts.countEventSubscriptions.get(filters).total;
+    return {
+      total,
+      limit: boundedLimit,
+      offset: boundedOffset,
+      items: rows.map((row) => parseJson(row.payload))
+    };
+  }
+
+  saveEventDelivery(delivery) {
+    this.stmts.upsertEventDelivery.run({
+      id: delivery.id,
+      subscription_id: delivery.subscription_id,
+      workspace_id: delivery.workspace_id,
+      status: delivery.status,
+      payload: JSON.stringify(delivery),
+      created_at: delivery.created_at,
+      updated_at: delivery.updated_at
+    });
+    return delivery;
+  }
+
+  listEventDeliveries({ subscriptionId, status, limit = 200, offset = 0 } = {}) {
+    const boundedLimit = Math.min(Math.max(toInt(limit, 200), 1), 5000);
+    const boundedOffset = Math.max(toInt(offset, 0), 0);
+    const filters = {
+      subscription_id: String(subscriptionId || '').trim(),
+      status: String(status || '').trim()
+    };
+    const rows = this.stmts.listEventDeliveries.all({
+      ...filters,
+      limit: boundedLimit,
+      offset: boundedOffset
+    });
+    const total = this.stmts.countEventDeliveries.get(filters).total;
+    return {
+      total,
+      limit: boundedLimit,
+      offset: boundedOffset,
+      items: rows.map((row) => parseJson(row.payload))
+    };
+  }
+
+  // The revision lives in the payload; proposals written before it existed count as revision 0.
+  savePolicyPatchProposal(proposal, { expectedRevision = null } = {}) {
+    const current = this.getPolicyPatchProposal(proposal.id);
+    const currentRevision = Number(current?.revision || 0);
+    if (
+      expectedRevision !== null &&
+      expectedRevision !== undefined &&
+      (!current || Number(expectedRevision) !== currentRevision)
+    ) {
+      throw new RevisionConflictError('Policy patch proposal revision mismatch', {
+        expectedRevision: Number(expectedRevision),
+        currentRevision
+      });
+    }
+
+    const persisted = { ...proposal, revision: currentRevision + 1 };
+    this.stmts.upsertPolicyPatchProposal.run({
+      id: persisted.id,
+      profile_name: persisted.profile_name,
+      status: persisted.status,
+      payload: JSON.stringify(persisted),
+      created_at: persisted.created_at,
+      updated_at: persisted.updated_at
+    });
+    return persisted;
+  }
+
+  getPolicyPatchProposal(id) {
+    const row = this.stmts.getPolicyPatchProposal.get(id);
+    return parseJson(row?.payload);
+  }
+
+  listPolicyPatchProposals({ profileName, status, limit = 50, offset = 0 } = {}) {
+    const boundedLimit = Math.min(Math.max(toInt(limit, 50), 1), 500);
+    const boundedOffset = Math.max(toInt(offset, 0), 0);
+    const filters = {
+      profile_name: String(profileName || '').trim(),
+      status: String(status || '').trim()
+    };
+    const rows = this.stmts.listPolicyPatchProposals.all({
+      ...filters,
+      limit: boundedLimit,
+      offset: boundedOffset
+    });
+    const total = this.stmts.countPolicyPatchProposals.get(filters).total;
+    return {
+      total,
+      limit: boundedLimit,
+      offset: boundedOffset,
+      items: rows.map((row) => parseJson(row.payload))
+    };
+  }
 }
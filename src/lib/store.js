@@ -6,7 +6,14 @@ export function createStore() {
     pendingApprovals: new Map(),
     idempotencyResults: new Map(),
     eventsByRun: new Map(),
-    auditByRun: new Map()
+    auditByRun: new Map(),
+    environmentSets: new Map(),
+    roleBindings: new Map(),
+    delegations: new Map(),
+    externalIdentities: new Map(),
+    webhookTriggers: new Map(),
+    schedules: new Map(),
+    eventSubscriptions: new Map()
   };
 }
 
@@ -0,0 +1,81 @@
+import crypto from 'node:crypto';
+
+export const WEBHOOK_SIGNATURE_HEADER = 'x-flockmesh-signature';
+export const WEBHOOK_TIMESTAMP_HEADER = 'x-flockmesh-timestamp';
+export const WEBHOOK_REPLAY_WINDOW_DEFAULT_SECONDS = 300;
+export const WEBHOOK_REPLAY_WINDOW_MIN_SECONDS = 30;
+export const WEBHOOK_REPLAY_WINDOW_MAX_SECONDS = 3600;
+
+const INPUT_NAME_PATTERN = /^[a-z][a-z0-9_]{0,63}$/;
+const TEMPLATE_REF_PATTERN = /\{\{\s*([^}]*?)\s*\}\}/g;
+const PAYLOAD_REF_PATTERN = /^payload(?:\.[A-Za-z0-9_]+)*$/;
+
+export function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+export function digestWebhookPayload(rawBody = '') {
+  return `sha256:${crypto.createHash('sha256').update(String(rawBody), 'utf8').digest('hex')}`;
+}
+
+// The signed string is "<timestamp>.<raw body>", so a captured signature cannot be moved to
+// another timestamp or body.
+export function computeWebhookSignature({ secret, timestamp, rawBody = '' }) {
+  const digest = crypto
+    .createHmac('sha256', String(secret))
+    .update(`${timestamp}.${rawBody}`, 'utf8')
+    .digest('hex');
+  return `sha256=${digest}`;
+}
+
+export function verifyWebhookDelivery({
+  secret,
+  signature = '',
+  timestamp = '',
+  rawBody = '',
+  replayWindowSeconds = WEBHOOK_REPLAY_WINDOW_DEFAULT_SECONDS,
+  now = Date.now()
+}) {
+  if (!signature || !timestamp) {
+    return { ok: false, reason_code: 'webhook.signature_missing' };
+  }
+  if (!/^\d{1,12}$/.test(String(timestamp))) {
+    return { ok: false, reason_code: 'webhook.timestamp_invalid' };
+  }
+  if (Math.abs(now - Number(timestamp) * 1000) > replayWindowSeconds * 1000) {
+    return { ok: false, reason_code: 'webhook.timestamp_outside_window' };
+  }
+
+  const expected = Buffer.from(computeWebhookSignature({ secret, timestamp, rawBody }), 'utf8');
+  const received = Buffer.from(String(signature), 'utf8');
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { ok: false, reason_code: 'webhook.signature_invalid' };
+  }
+  return { ok: true };
+}
+
+export function normalizeWebhookParameterMapping(mapping = {}, { declaredInputs = {} } = {}) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new Error('parameter_mapping must be an object');
+  }
+
+  const normalized = {};
+  for (const [name, template] of Object.entries(mapping).sort(([a], [b]) => a.localeCompare(b))) {
+    if (!INPUT_NAME_PATTERN.test(name)) {
+      throw new Error(`parameter_mapping has invalid input name: ${name}`);
+    }
+    if (!Object.hasOwn(declaredInputs, name)) {
+      throw new Error(`parameter_mapping targets undeclared playbook input: ${name}`);
+    }
+    if (typeof template !== 'string' || !template.trim()) {
+      throw new Error(`parameter_mapping.${name} must be a non-empty template string`);
+    }
+    for (const [, ref] of template.matchAll(TEMPLATE_REF_PATTERN)) {
+      if (!PAYLOAD_REF_PATTERN.test(ref)) {
+        throw new Error(`parameter_mapping.${name} may only reference {{payload.*}}: ${ref}`);
+      }
+    }
+    normalized[name] = template;
+  }
+  return normalized;
+}
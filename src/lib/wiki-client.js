@@ -0,0 +1,120 @@
+import { parseJsonBody, sendJsonRequest } from './http-json.js';
+
+const DEFAULT_TIMEOUT_MS = 5000;
+const PAGE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+export class WikiRequestError extends Error {
+  constructor(message, { status = null, code = 'WIKI_REQUEST_FAILED' } = {}) {
+    super(message);
+    this.name = 'WikiRequestError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+function normalizePageId(value) {
+  const pageId = String(value ?? '').trim();
+  if (!PAGE_ID_PATTERN.test(pageId)) {
+    throw new WikiRequestError(`Wiki page_id must match ${PAGE_ID_PATTERN}, got "${value ?? ''}"`);
+  }
+  return pageId;
+}
+
+async function sendWikiRequest(connection, { method = 'GET', path, query = {}, body }) {
+  const base = connection.baseUrl.endsWith('/') ? connection.baseUrl.slice(0, -1) : connection.baseUrl;
+  const url = new URL(`${base}/rest/api${path}`);
+  for (const [key, value] of Object.entries(query)) url.searchParams.set(key, String(value));
+
+  const response = await sendJsonRequest(url, {
+    method,
+    auth: connection.auth,
+    body,
+    timeoutMs: connection.timeoutMs || DEFAULT_TIMEOUT_MS,
+    label: `Wiki ${method} ${path}`,
+    createError: (message) => new WikiRequestError(message)
+  });
+
+  if (response.status === 409) {
+    throw new WikiRequestError(`Wiki ${method} ${path} hit a revision conflict`, {
+      status: 409,
+      code: 'WIKI_REVISION_CONFLICT'
+    });
+  }
+  if (!response.ok) {
+    throw new WikiRequestError(`Wiki ${method} ${path} returned ${response.status}`, { status: response.status });
+  }
+
+  const parsed = parseJsonBody(response.text);
+  if (parsed === undefined) {
+    throw new WikiRequestError(`Wiki ${method} ${path} returned a non-JSON body`, { status: response.status });
+  }
+  return parsed;
+}
+
+function toPage(content = {}) {
+  return {
+    page_id: String(content.id || ''),
+    title: content.title || '',
+    revision: Number(content.version?.number || 0),
+    content: content.body?.storage?.value ?? '',
+    updated_at: content.version?.when || ''
+  };
+}
+
+export async function getWikiPage(connection, { pageId }) {
+  const id = normalizePageId(pageId);
+  const content = await sendWikiRequest(connection, {
+    path: `/content/${encodeURIComponent(id)}`,
+    query: { expand: 'body.storage,version' }
+  });
+  return toPage(content);
+}
+
+// Optimistic write: the caller names the revision it read. A mismatch is a conflict unless
+// the page already holds the requested content, which is how a retried write looks.
+export async function updateWikiPage(connection, {
+  pageId,
+  content,
+  baseRevision,
+  title,
+  message = ''
+}) {
+  const id = normalizePageId(pageId);
+  const expected = Number(baseRevision);
+  if (!Number.isInteger(expected) || expected < 1) {
+    throw new WikiRequestError('Wiki write requires base_revision from a prior doc.read');
+  }
+  if (typeof content !== 'string') {
+    throw new WikiRequestError('Wiki write requires string content');
+  }
+
+  const current = await getWikiPage(connection, { pageId: id });
+  if (current.content === content) {
+    return { before: current, after: current, written: false, replayed: current.revision !== expected };
+  }
+  if (current.revision !== expected) {
+    throw new WikiRequestError(
+      `Wiki page ${id} is at revision ${current.revision}, write was based on ${expected}`,
+      { status: 409, code: 'WIKI_REVISION_CONFLICT' }
+    );
+  }
+
+  const updated = await sendWikiRequest(connection, {
+    method: 'PUT',
+    path: `/content/${encodeURIComponent(id)}`,
+    body: {
+      id,
+      type: 'page',
+      title: title || current.title,
+      version: { number: current.revision + 1, ...(message ? { message } : {}) },
+      body: { storage: { value: content, representation: 'storage' } }
+    }
+  });
+  const after = toPage(updated);
+  return {
+    before: current,
+    after: { ...after, content: after.content || content },
+    written: true,
+    replayed: false
+  };
+}
@@ -5,10 +5,12 @@ import os from 'node:os';
 import path from 'node:path';
 
 import {
+  buildAgentBlueprintPreview,
   compileAgentKitDsl,
   loadAgentKitsFromDir,
   listAgentKits
 } from '../src/lib/agent-kits.js';
+import { POLICY_LIBRARY } from '../src/lib/policy-engine.js';
 
 test('compileAgentKitDsl validates and normalizes kit', () => {
   const compiled = compileAgentKitDsl({
@@ -86,3 +88,35 @@ test('loadAgentKitsFromDir loads kit files from kits directory', async () => {
     await fs.rm(tempRoot, { recursive: true, force: true });
   }
 });
+
+test('incident commander blueprint projects jira reads as R0 and transitions as R2', () => {
+  const preview = buildAgentBlueprintPreview({
+    workspaceId: 'wsp_mindverse_cn',
+    kitId: 'kit_incident_commander',
+    owners: ['usr_yingapple'],
+    selectedConnectorIds: ['con_jira_tickets'],
+    manifests: {
+      con_jira_tickets: {
+        connector_id: 'con_jira_tickets',
+        trust_level: 'standard',
+        capabilities: ['jira.search', 'jira.read', 'jira.create', 'jira.transition', 'jira.comment']
+      }
+    },
+    policyContext: {
+      org_policy: 'org_default_safe',
+      workspace_policy: 'workspace_ops_cn',
+      agent_policy: 'agent_ops_assistant'
+    },
+    policyLibrary: POLICY_LIBRARY
+  });
+
+  const byCapability = Object.fromEntries(
+    preview.policy_projection.items.map((item) => [item.capability, item])
+  );
+  assert.equal(byCapability['jira.search'].risk_hint, 'R0');
+  assert.equal(byCapability['jira.read'].risk_hint, 'R0');
+  assert.equal(byCapability['jira.read'].decision, 'allow');
+  assert.equal(byCapability['jira.transition'].risk_hint, 'R2');
+  assert.equal(byCapability['jira.transition'].decision, 'escalate');
+  assert.equal(byCapability['jira.comment'].risk_hint, 'R1');
+});
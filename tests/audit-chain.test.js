@@ -0,0 +1,97 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  AUDIT_CHAIN_GENESIS_HASH,
+  computeAuditEntryHash,
+  linkAuditEntry,
+  resolveAuditChainHead,
+  verifyAuditChain
+} from '../src/lib/audit-chain.js';
+
+function buildEntry(index) {
+  return {
+    id: `aud_chain_${index}`,
+    run_id: 'run_audit_chain_01',
+    event_type: 'run.created',
+    actor: { type: 'system', id: 'flockmesh' },
+    payload_hash: `sha256:${String(index).repeat(64).slice(0, 64)}`,
+    occurred_at: '2026-03-02T09:00:00.000Z'
+  };
+}
+
+function buildChain(count, head = null) {
+  const entries = [];
+  let current = head;
+  for (let index = 1; index <= count; index += 1) {
+    const linked = linkAuditEntry(buildEntry(index), current);
+    entries.push(linked);
+    current = resolveAuditChainHead(entries);
+  }
+  return entries;
+}
+
+test('linkAuditEntry anchors the first entry on genesis and links later entries', () => {
+  const entries = buildChain(3);
+
+  assert.equal(entries[0].seq, 1);
+  assert.equal(entries[0].prev_hash, AUDIT_CHAIN_GENESIS_HASH);
+  assert.equal(entries[1].prev_hash, entries[0].entry_hash);
+  assert.equal(entries[2].seq, 3);
+  assert.equal(entries[2].entry_hash, computeAuditEntryHash(entries[2]));
+  assert.deepEqual(resolveAuditChainHead(entries), { seq: 3, entry_hash: entries[2].entry_hash });
+
+  const verdict = verifyAuditChain(entries);
+  assert.equal(verdict.chain_state, 'intact');
+  assert.equal(verdict.verified_entries, 3);
+  assert.equal(verdict.first_broken_link, null);
+});
+
+test('verifyAuditChain reports the first broken link for edits, deletions, and garbage lines', () => {
+  const edited = buildChain(4);
+  edited[2] = { ...edited[2], event_type: 'run.completed' };
+  const editedVerdict = verifyAuditChain(edited);
+  assert.equal(editedVerdict.chain_state, 'broken');
+  assert.equal(editedVerdict.verified_entries, 2);
+  assert.equal(editedVerdict.first_broken_link.index, 2);
+  assert.equal(editedVerdict.first_broken_link.reason, 'chain.entry_hash_mismatch');
+
+  const deleted = buildChain(4);
+  deleted.splice(1, 1);
+  const deletedVerdict = verifyAuditChain(deleted);
+  assert.equal(deletedVerdict.first_broken_link.index, 1);
+  assert.equal(deletedVerdict.first_broken_link.reason, 'chain.seq_mismatch');
+  assert.equal(deletedVerdict.first_broken_link.expected, '2');
+  assert.equal(deletedVerdict.first_broken_link.actual, '3');
+
+  const relinked = buildChain(3);
+  relinked[1] = linkAuditEntry(buildEntry(9), { seq: 1, entry_hash: `sha256:${'f'.repeat(64)}` });
+  assert.equal(verifyAuditChain(relinked).first_broken_link.reason, 'chain.prev_hash_mismatch');
+
+  const garbage = buildChain(2);
+  garbage.push(null);
+  assert.equal(verifyAuditChain(garbage).first_broken_link.reason, 'chain.entry_unparseable');
+});
+
+test('verifyAuditChain tolerates a legacy prefix only for legacy runs, never after the chain starts', () => {
+  const legacy = [buildEntry(1), buildEntry(2)];
+  assert.equal(verifyAuditChain([]).chain_state, 'empty');
+  assert.equal(verifyAuditChain(legacy, { allowLegacyPrefix: true }).chain_state, 'unchained');
+
+  const stripped = verifyAuditChain(legacy);
+  assert.equal(stripped.chain_state, 'broken');
+  assert.equal(stripped.first_broken_link.index, 0);
+  assert.equal(stripped.first_broken_link.reason, 'chain.fields_missing');
+
+  const mixed = [...legacy, ...buildChain(2)];
+  assert.equal(verifyAuditChain(mixed).chain_state, 'broken');
+  const verdict = verifyAuditChain(mixed, { allowLegacyPrefix: true });
+  assert.equal(verdict.chain_state, 'intact');
+  assert.equal(verdict.legacy_entries, 2);
+  assert.equal(verdict.verified_entries, 2);
+
+  const trailing = [...buildChain(2), buildEntry(3)];
+  const trailingVerdict = verifyAuditChain(trailing);
+  assert.equal(trailingVerdict.chain_state, 'broken');
+  assert.equal(trailingVerdict.first_broken_link.reason, 'chain.fields_missing');
+});
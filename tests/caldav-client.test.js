@@ -0,0 +1,77 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  buildCalendarEventIcs,
+  parseCalDavMultistatus,
+  parseCalendarEvents,
+  resolveCalendarEventWindow
+} from '../src/lib/caldav-client.js';
+
+test('buildCalendarEventIcs round-trips through parseCalendarEvents', () => {
+  const ics = buildCalendarEventIcs({
+    uid: 'flockmesh-abc123',
+    title: 'Review; budget, Q4',
+    startAt: '2026-10-20T09:00:00.000Z',
+    endAt: '2026-10-20T10:00:00.000Z',
+    description: 'line one\nline two',
+    stampAt: '2026-10-19T08:00:00.000Z'
+  });
+
+  assert.match(ics, /\r\nDTSTART:20261020T090000Z\r\n/);
+  assert.match(ics, /SUMMARY:Review\\; budget\\, Q4/);
+  assert.deepEqual(parseCalendarEvents(ics), [{
+    uid: 'flockmesh-abc123',
+    title: 'Review; budget, Q4',
+    start_at: '2026-10-20T09:00:00.000Z',
+    end_at: '2026-10-20T10:00:00.000Z',
+    description: 'line one\nline two',
+    location: ''
+  }]);
+});
+
+test('parseCalendarEvents unfolds lines and keeps all-day and zoned dates', () => {
+  const events = parseCalendarEvents([
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'UID:evt-1',
+    'SUMMARY:Long',
+    '  title',
+    'DTSTART;VALUE=DATE:20261020',
+    'DTEND;TZID=Asia/Shanghai:20261021T090000',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\r\n'));
+
+  assert.equal(events[0].title, 'Long title');
+  assert.equal(events[0].start_at, '2026-10-20');
+  assert.equal(events[0].end_at, '2026-10-21T09:00:00');
+});
+
+test('parseCalDavMultistatus reads responses regardless of namespace prefix', () => {
+  const items = parseCalDavMultistatus([
+    '<multistatus xmlns="DAV:">',
+    '<response><href>/cal/a.ics</href><propstat><prop><getetag>"1"</getetag>',
+    '<C:calendar-data xmlns:C="urn:ietf:params:xml:ns:caldav">BEGIN:VCALENDAR&#13;&#10;END:VCALENDAR</C:calendar-data>',
+    '</prop></propstat></response>',
+    '<D:response xmlns:D="DAV:"><D:href>/cal/b.ics</D:href><D:getetag/></D:response>',
+    '</multistatus>'
+  ].join(''));
+
+  assert.deepEqual(items, [
+    { href: '/cal/a.ics', etag: '"1"', calendar_data: 'BEGIN:VCALENDAR\r\nEND:VCALENDAR' },
+    { href: '/cal/b.ics', etag: '', calendar_data: '' }
+  ]);
+});
+
+test('resolveCalendarEventWindow defaults the end and rejects inverted windows', () => {
+  assert.deepEqual(resolveCalendarEventWindow({ startAt: '2026-10-20T09:00:00Z' }), {
+    start_at: '2026-10-20T09:00:00.000Z',
+    end_at: '2026-10-20T09:30:00.000Z'
+  });
+  assert.throws(
+    () => resolveCalendarEventWindow({ startAt: '2026-10-20T09:00:00Z', endAt: '2026-10-20T08:00:00Z' }),
+    /end_at must be after start_at/
+  );
+  assert.throws(() => resolveCalendarEventWindow({ startAt: 'tomorrow' }), /start_at must be an ISO date-time/);
+});
@@ -0,0 +1,127 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import {
+  buildApprovalActionValue,
+  buildFeishuApprovalCard,
+  buildSlackApprovalBlocks,
+  compileChatApproverDocument,
+  computeSlackRequestSignature,
+  loadChatApproverIdentitiesFromDir,
+  mergeChatApproverIdentities,
+  parseApprovalActionValue,
+  parseFeishuCardAction,
+  parseSlackBlockAction,
+  resolveChatApprover,
+  verifySlackRequest
+} from '../src/lib/chat-approvals.js';
+import { buildFeishuCardAction } from './fixtures/feishu-event-sender.js';
+
+const run = { id: 'run_cards_0001', workspace_id: 'wsp_mindverse_cn', playbook_id: 'pbk_weekly_ops_sync', revision: 3 };
+const intent = { id: 'act_cards_0001', capability: 'message.send', side_effect: 'mutation', risk_hint: 'R2' };
+const approvalState = { required_approvals: 1, expires_at: '2026-01-01T00:00:00.000Z' };
+
+test('approval cards pin the run revision on both buttons', () => {
+  const card = buildFeishuApprovalCard({ run, intent, approvalState });
+  assert.equal(card.header.title.content, 'Approval needed: message.send');
+  const [approve, reject] = card.elements.find((element) => element.tag === 'action').actions;
+  assert.deepEqual(parseApprovalActionValue(approve.value), {
+    run_id: run.id,
+    action_intent_id: intent.id,
+    expected_revision: 3,
+    approved: true
+  });
+  assert.equal(parseApprovalActionValue(reject.value).approved, false);
+
+  const { text, blocks } = buildSlackApprovalBlocks({ run, intent, approvalState });
+  assert.equal(text, 'Approval needed: message.send');
+  const buttons = blocks.find((block) => block.type === 'actions').elements;
+  assert.equal(typeof buttons[0].value, 'string');
+  assert.equal(parseApprovalActionValue(buttons[0].value).expected_revision, 3);
+
+  assert.equal(parseApprovalActionValue('not json'), null);
+  assert.equal(parseApprovalActionValue({ ...approve.value, kind: 'other' }), null);
+  assert.equal(parseApprovalActionValue({ ...approve.value, expected_revision: 0 }), null);
+  assert.equal(parseApprovalActionValue({ ...approve.value, run_id: '../runs' }), null);
+});
+
+test('card callbacks parse the clicking chat user and reject mismatched Slack actions', () => {
+  const value = buildApprovalActionValue({ runId: run.id, actionIntentId: intent.id, expectedRevision: 3, approved: true });
+  const feishu = parseFeishuCardAction(buildFeishuCardAction({ value, openId: 'ou_bob', eventId: 'evt_card_9' }));
+  assert.equal(feishu.chat_user_id, 'ou_bob');
+  assert.equal(feishu.event_id, 'evt_card_9');
+  assert.equal(feishu.action.approved, true);
+  assert.equal(parseFeishuCardAction({ header: { event_type: 'im.message.receive_v1' } }), null);
+
+  const slackPayload = (actionId) => ({
+    type: 'block_actions',
+    user: { id: 'U0BOB' },
+    actions: [{ action_id: actionId, value: JSON.stringify(value) }]
+  });
+  const slack = parseSlackBlockAction(slackPayload('flockmesh_approval_approve'));
+  assert.equal(slack.chat_user_id, 'U0BOB');
+  assert.equal(slack.action.run_id, run.id);
+  assert.equal(parseSlackBlockAction(slackPayload('flockmesh_approval_reject')), null);
+  assert.equal(parseSlackBlockAction(slackPayload('someone_elses_button')), null);
+  assert.equal(parseSlackBlockAction({ type: 'view_submission' }), null);
+});
+
+test('verifySlackRequest checks the v0 signature and timestamp window', () => {
+  const now = 1700000000 * 1000;
+  const rawBody = 'payload=%7B%7D';
+  const signature = computeSlackRequestSignature({ signingSecret: 'not-a-real-signing-secret', timestamp: '1700000000', rawBody });
+  assert.match(signature, /^v0=[0-9a-f]{64}$/);
+  const verify = (overrides = {}) => verifySlackRequest({
+    signingSecret: 'not-a-real-signing-secret',
+    signature,
+    timestamp: '1700000000',
+    rawBody,
+    now,
+    ...overrides
+  });
+  assert.deepEqual(verify(), { ok: true });
+  assert.equal(verify({ signature: '' }).reason_code, 'slack.signature_missing');
+  assert.equal(verify({ timestamp: 'yesterday' }).reason_code, 'slack.timestamp_invalid');
+  assert.equal(verify({ now: now + 301 * 1000 }).reason_code, 'slack.timestamp_outside_window');
+  assert.equal(verify({ rawBody: 'payload=%7B%22a%22%7D' }).reason_code, 'slack.signature_invalid');
+});
+
+test('chat approver documents map each chat identity to one user', async () => {
+  const identities = compileChatApproverDocument({
+    version: 'v0',
+    identities: [
+      { provider: 'slack', chat_user_id: 'U0ALICE', actor_id: 'usr_alice' },
+      { provider: 'feishu', chat_user_id: 'ou_alice', actor_id: 'usr_alice' }
+    ]
+  }, { source: 'team.chat-approvers.json' });
+  assert.equal(resolveChatApprover(identities, { provider: 'slack', chatUserId: 'U0ALICE' }), 'usr_alice');
+  assert.equal(resolveChatApprover(identities, { provider: 'feishu', chatUserId: 'U0ALICE' }), '');
+
+  const compile = (identity) => () => compileChatApproverDocument({ identities: [identity] }, { source: 'x.json' });
+  assert.throws(compile({ provider: 'teams', chat_user_id: 'U1', actor_id: 'usr_alice' }), /\[x\.json#identities\[0\]\] unsupported provider: teams/);
+  assert.throws(compile({ provider: 'slack', chat_user_id: 'U 1', actor_id: 'usr_alice' }), /invalid chat_user_id/);
+  assert.throws(compile({ provider: 'slack', chat_user_id: 'U1', actor_id: 'agt_alice' }), /invalid actor_id/);
+  assert.throws(() => mergeChatApproverIdentities([
+    identities,
+    [{ provider: 'slack', chat_user_id: 'U0ALICE', actor_id: 'usr_mallory' }]
+  ]), /slack:U0ALICE maps to both usr_alice and usr_mallory/);
+
+  const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'flockmesh-chat-approvers-'));
+  try {
+    assert.deepEqual(await loadChatApproverIdentitiesFromDir({ rootDir }), []);
+    await fs.mkdir(path.join(rootDir, 'policies', 'chat-approvers'), { recursive: true });
+    await fs.writeFile(
+      path.join(rootDir, 'policies', 'chat-approvers', 'ops.chat-approvers.json'),
+      JSON.stringify({ version: 'v0', identities: [{ provider: 'slack', chat_user_id: 'U0BOB', actor_id: 'usr_bobby' }] })
+    );
+    await fs.writeFile(path.join(rootDir, 'policies', 'chat-approvers', 'notes.json'), '{}');
+    assert.deepEqual(await loadChatApproverIdentitiesFromDir({ rootDir }), [
+      { provider: 'slack', chat_user_id: 'U0BOB', actor_id: 'usr_bobby' }
+    ]);
+  } finally {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  }
+});
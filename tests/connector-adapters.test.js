@@ -1,7 +1,14 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
+import http from 'node:http';
 
 import { buildConnectorAdapterRegistry } from '../src/lib/connector-adapters.js';
+import { compileConnectorManifestDsl, signManifestAttestation } from '../src/lib/connector-manifests.js';
+import { startDingTalkStandIn } from './fixtures/dingtalk-stand-in.js';
+import { startJiraStandIn } from './fixtures/jira-stand-in.js';
+import { startImapStandIn, startSmtpStandIn } from './fixtures/mail-stand-in.js';
+import { startSlackStandIn } from './fixtures/slack-stand-in.js';
+import { startWikiStandIn } from './fixtures/wiki-stand-in.js';
 
 test('connector adapter registry exposes MCP and A2A adapters', async () => {
   const adapters = buildConnectorAdapterRegistry();
@@ -19,3 +26,587 @@ test('connector adapter registry exposes MCP and A2A adapters', async () => {
   assert.equal(mcpSimulated.mode, 'simulate');
   assert.equal(mcpSimulated.protocol, 'mcp');
 });
+
+async function startCalDavStandIn() {
+  const events = new Map();
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      if (req.method === 'PUT') {
+        if (events.has(req.url) && req.headers['if-none-match'] === '*') {
+          res.writeHead(412).end();
+          return;
+        }
+        events.set(req.url, body);
+        res.writeHead(201, { etag: `"${events.size}"` }).end();
+        return;
+      }
+      if (req.method === 'REPORT') {
+        const responses = Array.from(events.entries()).map(([href, ics]) => (
+          `<d:response><d:href>${href}</d:href><d:propstat><d:prop><d:getetag>"1"</d:getetag>` +
+          `<cal:calendar-data>${ics.replace(/&/g, '&amp;').replace(/</g, '&lt;')}</cal:calendar-data>` +
+          '</d:prop></d:propstat></d:response>'
+        ));
+        res.writeHead(207, { 'content-type': 'application/xml' }).end(
+          `<d:multistatus xmlns:d="DAV:" xmlns:cal="urn:ietf:params:xml:ns:caldav">${responses.join('')}</d:multistatus>`
+        );
+        return;
+      }
+      res.writeHead(405).end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    endpoint: `http://127.0.0.1:${server.address().port}/calendars/ops/`,
+    events,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+test('office calendar adapter keeps stub output without a CalDAV runtime', async () => {
+  const adapters = buildConnectorAdapterRegistry();
+  const invoked = await adapters.con_office_calendar.invoke({
+    runId: 'run_adapter_123456',
+    capability: 'calendar.read',
+    parameters: { owner: 'usr_yingapple' },
+    runtime: {}
+  });
+  assert.equal(invoked.output.ok, true);
+  assert.equal(invoked.output.backend, undefined);
+  assert.match(invoked.output.item_ref, /^calendar:\/\/event\//);
+});
+
+test('office calendar adapter writes and reads events through CalDAV', async () => {
+  const standIn = await startCalDavStandIn();
+  const adapters = buildConnectorAdapterRegistry();
+  const runtime = {
+    calendar: {
+      backend: 'caldav',
+      endpoint: standIn.endpoint,
+      username: 'ops-bot',
+      password: 'not-a-real-password',
+      timeout_ms: 2000
+    }
+  };
+
+  try {
+    const simulated = await adapters.con_office_calendar.simulate({
+      runId: 'run_adapter_123456',
+      capability: 'calendar.write',
+      parameters: {},
+      runtime
+    });
+    assert.equal(simulated.preview.backend, 'caldav');
+    assert.equal(standIn.requests.length, 0);
+
+    const writeArgs = {
+      runId: 'run_adapter_123456',
+      capability: 'calendar.write',
+      idempotencyKey: 'run_adapter_123456_book_review',
+      parameters: {
+        title: 'Weekly review, ops',
+        start_at: '2026-10-20T09:00:00.000Z',
+        end_at: '2026-10-20T09:30:00.000Z'
+      },
+      runtime
+    };
+    const written = await adapters.con_office_calendar.invoke(writeArgs);
+    assert.equal(written.output.backend, 'caldav');
+    assert.equal(written.output.replayed, false);
+    assert.match(written.output.item_ref, /^calendar:\/\/event\/flockmesh-/);
+    assert.equal(standIn.requests[0].method, 'PUT');
+    assert.equal(
+      standIn.requests[0].headers.authorization,
+      `Basic ${Buffer.from('ops-bot:not-a-real-password').toString('base64')}`
+    );
+
+    const replayed = await adapters.con_office_calendar.invoke({ ...writeArgs, attempt: 2 });
+    assert.equal(replayed.output.replayed, true);
+    assert.equal(replayed.output.item_ref, written.output.item_ref);
+    assert.equal(standIn.events.size, 1);
+
+    const read = await adapters.con_office_calendar.invoke({
+      runId: 'run_adapter_123456',
+      capability: 'calendar.read',
+      parameters: {
+        start_at: '2026-10-20T00:00:00.000Z',
+        end_at: '2026-10-21T00:00:00.000Z'
+      },
+      runtime
+    });
+    assert.equal(read.output.item_count, 1);
+    assert.equal(read.output.items[0].title, 'Weekly review, ops');
+    assert.equal(read.output.items[0].start_at, '2026-10-20T09:00:00.000Z');
+    assert.equal(`calendar://event/${read.output.items[0].uid}`, written.output.item_ref);
+    assert.match(standIn.requests.at(-1).body, /time-range start="20261020T000000Z"/);
+  } finally {
+    await standIn.close();
+  }
+});
+
+test('office calendar adapter surfaces CalDAV HTTP failures', async () => {
+  const adapters = buildConnectorAdapterRegistry();
+  const server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => res.writeHead(503).end());
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    await assert.rejects(
+      adapters.con_office_calendar.invoke({
+        runId: 'run_adapter_123456',
+        capability: 'calendar.read',
+        parameters: {},
+        runtime: {
+          calendar: { backend: 'caldav', endpoint: `http://127.0.0.1:${server.address().port}/cal/` }
+        }
+      }),
+      (err) => err.code === 'CALDAV_REQUEST_FAILED' && err.status === 503
+    );
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+test('office email adapter sends through SMTP and searches through IMAP', async () => {
+  const smtp = await startSmtpStandIn();
+  const imap = await startImapStandIn({
+    messages: [{
+      uid: 4,
+      from: 'lead@example.com',
+      to: 'ops@example.com',
+      subject: 'Quarterly plan',
+      date: 'Mon, 19 Oct 2026 08:00:00 +0000',
+      message_id: '<plan@example.com>',
+      text: 'Draft attached.'
+    }]
+  });
+  const adapters = buildConnectorAdapterRegistry();
+  const runtime = {
+    email: {
+      internal_domains: ['example.com'],
+      timeout_ms: 2000,
+      smtp: { host: smtp.host, port: smtp.port, secure: false, from: 'bot@example.com' },
+      imap: { host: imap.host, port: imap.port, secure: false, username: 'ops', password: 'pw', mailbox: 'INBOX' }
+    }
+  };
+
+  try {
+    const simulated = await adapters.con_office_email.simulate({
+      runId: 'run_adapter_123456',
+      capability: 'email.send',
+      parameters: { to: ['ops@example.com', 'buyer@partner.io'] },
+      runtime
+    });
+    assert.equal(simulated.preview.backend, 'smtp');
+    assert.deepEqual(simulated.preview.external_recipient_domains, ['partner.io']);
+    assert.equal(smtp.messages.length, 0);
+
+    const sent = await adapters.con_office_email.invoke({
+      runId: 'run_adapter_123456',
+      capability: 'email.send',
+      idempotencyKey: 'run_adapter_123456_notify',
+      parameters: { to: 'ops@example.com', subject: 'Plan', text: 'Ready for review.' },
+      runtime
+    });
+    assert.equal(sent.output.backend, 'smtp');
+    assert.equal(sent.output.external_recipients, false);
+    assert.equal(sent.receipt.backend, 'smtp');
+    assert.deepEqual(sent.receipt.accepted, ['ops@example.com']);
+    assert.match(sent.receipt.message_id, /^<[0-9a-f]+\.run_adapter_123456@example\.com>$/);
+    assert.equal(sent.output.message_ref, `email://message/${encodeURIComponent(sent.receipt.message_id)}`);
+    assert.deepEqual(smtp.messages[0].recipients, ['ops@example.com']);
+
+    const searched = await adapters.con_office_email.invoke({
+      runId: 'run_adapter_123456',
+      capability: 'email.search',
+      parameters: { subject: 'plan' },
+      runtime
+    });
+    assert.equal(searched.output.backend, 'imap');
+    assert.equal(searched.output.total, 1);
+    assert.equal(searched.output.items[0].message_id, '<plan@example.com>');
+
+    const read = await adapters.con_office_email.invoke({
+      runId: 'run_adapter_123456',
+      capability: 'email.read',
+      parameters: { uid: 4 },
+      runtime
+    });
+    assert.equal(read.output.message.text, 'Draft attached.');
+  } finally {
+    await smtp.close();
+    await imap.close();
+  }
+});
+
+test('office email adapter keeps stub output without mail servers', async () => {
+  const adapters = buildConnectorAdapterRegistry();
+  const sent = await adapters.con_office_email.invoke({
+    runId: 'run_adapter_123456',
+    capability: 'email.send',
+    parameters: { to: 'someone@partner.io' },
+    runtime: {}
+  });
+  assert.equal(sent.output.backend, 'stub');
+  assert.equal(sent.output.external_recipients, true);
+  assert.equal(sent.receipt.response, 'stubbed');
+
+  const searched = await adapters.con_office_email.invoke({
+    runId: 'run_adapter_123456',
+    capability: 'email.search',
+    parameters: {},
+    runtime: {}
+  });
+  assert.match(searched.output.item_ref, /^email:\/\/mailbox\//);
+});
+
+test('jira adapter surfaces issue keys for every capability', async () => {
+  const jira = await startJiraStandIn({ issues: [{ key: 'OPS-7', summary: 'Flaky deploy' }] });
+  const adapters = buildConnectorAdapterRegistry();
+  const runtime = {
+    jira: { base_url: jira.baseUrl, auth: { type: 'bearer', token: 'not-a-real-pat' }, default_project: 'OPS', timeout_ms: 2000 }
+  };
+  const invoke = (capability, parameters, extra = {}) => adapters.con_jira_tickets.invoke({
+    runId: 'run_adapter_123456',
+    capability,
+    parameters,
+    runtime,
+    ...extra
+  });
+
+  try {
+    const simulated = await adapters.con_jira_tickets.simulate({
+      runId: 'run_adapter_123456',
+      capability: 'jira.transition',
+      parameters: { issue_key: 'ops-7', transition: 'Done' },
+      runtime
+    });
+    assert.deepEqual(simulated.preview, { mutation: true, backend: 'jira', issue_key: 'OPS-7' });
+    assert.equal(jira.requests.length, 0);
+
+    const searched = await invoke('jira.search', { jql: 'project = "OPS"' });
+    assert.deepEqual(searched.output.issue_keys, ['OPS-7']);
+
+    const created = await invoke('jira.create', { summary: 'Pin deploy image' }, {
+      idempotencyKey: 'run_adapter_123456_open_ticket'
+    });
+    assert.equal(created.output.backend, 'jira');
+    assert.equal(created.output.item_ref, `jira://issue/${created.output.issue_key}`);
+    assert.match(created.output.issue_key, /^OPS-\d+$/);
+
+    const retried = await invoke('jira.create', { summary: 'Pin deploy image' }, {
+      idempotencyKey: 'run_adapter_123456_open_ticket',
+      attempt: 2
+    });
+    assert.equal(retried.output.replayed, true);
+    assert.equal(retried.output.issue_key, created.output.issue_key);
+
+    const moved = await invoke('jira.transition', { issue_key: 'OPS-7', transition: 'Start Progress' });
+    assert.equal(moved.output.issue_key, 'OPS-7');
+    assert.equal(moved.output.status, 'In Progress');
+
+    const commented = await invoke('jira.comment', { issue_key: 'OPS-7', body: 'Investigating.' });
+    assert.equal(commented.output.issue_key, 'OPS-7');
+    assert.equal(commented.output.comment_id, '1');
+
+    const read = await invoke('jira.read', { issue_key: 'OPS-7' });
+    assert.equal(read.output.issue.status, 'In Progress');
+  } finally {
+    await jira.close();
+  }
+});
+
+test('wiki docs adapter writes against a read revision and returns a content diff', async () => {
+  const wiki = await startWikiStandIn({
+    pages: [{ id: '4401', title: 'On-call runbook', version: 3, content: 'step one\nstep two\nowner: ops' }]
+  });
+  const adapters = buildConnectorAdapterRegistry();
+  const runtime = { wiki: { base_url: wiki.baseUrl, auth: { type: 'bearer', token: 'not-a-real-pat' }, timeout_ms: 2000 } };
+  const invoke = (capability, parameters) => adapters.con_wiki_docs.invoke({
+    runId: 'run_adapter_123456',
+    capability,
+    parameters,
+    runtime
+  });
+
+  try {
+    const simulated = await adapters.con_wiki_docs.simulate({
+      runId: 'run_adapter_123456',
+      capability: 'doc.write',
+      parameters: { page_id: '4401', base_revision: 3, content: 'x' },
+      runtime
+    });
+    assert.deepEqual(simulated.preview, { mutation: true, backend: 'wiki', page_id: '4401', base_revision: 3 });
+    assert.equal(wiki.requests.length, 0);
+
+    const read = await invoke('doc.read', { page_id: '4401' });
+    assert.equal(read.output.item_ref, 'wiki://page/4401');
+    assert.equal(read.output.revision, 3);
+    assert.match(read.output.content_digest, /^sha256:[a-f0-9]{64}$/);
+
+    const written = await invoke('doc.write', {
+      page_id: '4401',
+      base_revision: read.output.revision,
+      content: 'step one\nstep two\nowner: sre'
+    });
+    assert.match(written.tx_id, /^doc_tx_/);
+    assert.equal(written.output.revision_before, 3);
+    assert.equal(written.output.revision_after, 4);
+    assert.equal(written.output.written, true);
+    assert.equal(written.output.diff.before_digest, read.output.content_digest);
+    assert.equal(written.output.diff.added_lines, 1);
+    assert.equal(written.output.diff.removed_lines, 1);
+    assert.match(written.output.diff.patch, /-owner: ops\n\+owner: sre/);
+
+    await assert.rejects(
+      invoke('doc.write', { page_id: '4401', base_revision: 3, content: 'stale edit' }),
+      (err) => err.code === 'WIKI_REVISION_CONFLICT'
+    );
+
+    const stub = await adapters.con_wiki_docs.invoke({
+      runId: 'run_adapter_123456',
+      capability: 'doc.read',
+      parameters: { page_id: '4401' }
+    });
+    assert.equal(stub.output.backend, 'stub');
+  } finally {
+    await wiki.close();
+  }
+});
+
+test('slack chat adapter delivers through bot token or incoming webhook', async () => {
+  const slack = await startSlackStandIn();
+  const adapters = buildConnectorAdapterRegistry();
+  const invoke = (runtime, parameters) => adapters.con_slack_official.invoke({
+    runId: 'run_adapter_123456',
+    capability: 'message.send',
+    parameters,
+    runtime
+  });
+
+  try {
+    const stub = await invoke({}, { channel: 'ops-room', content: 'hello' });
+    assert.equal(stub.output.backend, 'stub');
+    assert.equal(stub.receipt, undefined);
+
+    const botRuntime = {
+      slack: {
+        delivery_mode: 'bot',
+        bot_token: slack.botToken,
+        api_base_url: slack.apiBaseUrl,
+        default_channel: '#ops-room',
+        timeout_ms: 2000
+      }
+    };
+    const simulated = await adapters.con_slack_official.simulate({
+      runId: 'run_adapter_123456',
+      capability: 'message.send',
+      parameters: { content: 'hello' },
+      runtime: botRuntime
+    });
+    assert.deepEqual(simulated.preview, { channel: 'ops-room', capability: 'message.send', delivery_mode: 'bot' });
+
+    const viaBot = await invoke(botRuntime, { content: 'Deploy window opens at 18:00.' });
+    assert.match(viaBot.tx_id, /^slack_tx_/);
+    assert.equal(viaBot.output.delivery_mode, 'bot');
+    assert.equal(viaBot.output.message_ref, `slack://message/C_ops-room/${viaBot.receipt.ts}`);
+    assert.equal(viaBot.receipt.backend, 'slack');
+
+    const viaWebhook = await invoke(
+      { slack: { delivery_mode: 'webhook', webhook_url: slack.webhookUrl, default_channel: '', timeout_ms: 2000 } },
+      { channel: 'ops-room', text: 'Deploy done.' }
+    );
+    assert.equal(viaWebhook.output.delivery_mode, 'webhook');
+    assert.match(viaWebhook.output.message_ref, /^slack:\/\/webhook\//);
+    assert.deepEqual(slack.messages.map((item) => [item.via, item.text]), [
+      ['bot', 'Deploy window opens at 18:00.'],
+      ['webhook', 'Deploy done.']
+    ]);
+
+    await assert.rejects(
+      invoke(botRuntime, { channel: 'secret-room', content: 'hello' }),
+      (err) => err.code === 'SLACK_DELIVERY_FAILED' && err.slack_error === 'channel_not_found'
+    );
+  } finally {
+    await slack.close();
+  }
+});
+
+test('dingtalk chat adapter signs robot deliveries and reports the delivery mode', async () => {
+  const robot = await startDingTalkStandIn({ secret: 'SECnot-a-real-secret' });
+  const adapters = buildConnectorAdapterRegistry();
+  const runtime = {
+    dingtalk: { webhook_url: robot.webhookUrl, secret: 'SECnot-a-real-secret', source: 'runtime', timeout_ms: 2000 }
+  };
+  const invoke = (parameters, runtimeConfig = runtime) => adapters.con_dingtalk_official.invoke({
+    runId: 'run_adapter_123456',
+    capability: 'message.send',
+    parameters,
+    runtime: runtimeConfig
+  });
+
+  try {
+    const stub = await invoke({ content: 'hello' }, {});
+    assert.equal(stub.output.delivery_mode, 'stub');
+    assert.equal(stub.receipt, undefined);
+
+    const simulated = await adapters.con_dingtalk_official.simulate({
+      runId: 'run_adapter_123456',
+      capability: 'message.send',
+      parameters: { content: 'hello' },
+      runtime
+    });
+    assert.equal(simulated.preview.delivery_mode, 'dingtalk_signed_webhook');
+
+    const sent = await invoke({ channel: 'ops-room', content: 'Deploy window opens at 18:00.', at_all: true });
+    assert.match(sent.tx_id, /^dingtalk_tx_/);
+    assert.equal(sent.output.backend, 'dingtalk');
+    assert.equal(sent.output.delivery_mode, 'dingtalk_signed_webhook');
+    assert.equal(sent.receipt.signed, true);
+    assert.match(sent.receipt.signed_at, /^\d{4}-\d{2}-\d{2}T/);
+    assert.deepEqual(robot.messages, [
+      { text: 'Deploy window opens at 18:00.', at: { atMobiles: [], isAtAll: true }, signed: true }
+    ]);
+
+    await assert.rejects(
+      invoke({ content: 'unsigned' }, { dingtalk: { ...runtime.dingtalk, secret: '' } }),
+      (err) => err.code === 'DINGTALK_DELIVERY_FAILED' && err.errcode === 310000
+    );
+  } finally {
+    await robot.close();
+  }
+});
+
+function compileTicketDeskManifest() {
+  const manifest = {
+    version: 'v0',
+    connector_id: 'con_ticket_desk',
+    name: 'Ticket Desk',
+    category: 'office_system',
+    protocol: 'http',
+    trust_level: 'standard',
+    capabilities: ['ticket.create', 'ticket.read'],
+    http_mapping: {
+      env_provider: 'tickets',
+      base_url_key: 'TICKETS_API_URL',
+      auth: { type: 'bearer', token_key: 'TICKETS_API_TOKEN' },
+      operations: {
+        'ticket.create': {
+          method: 'POST',
+          path: '/v1/queues/{{parameters.queue}}/tickets',
+          body: {
+            title: '{{parameters.title}}',
+            labels: '{{parameters.labels}}',
+            external_ref: 'flockmesh:{{run.id}}'
+          },
+          response: { ticket_id: 'data.id', missing: 'data.nope' }
+        },
+        'ticket.read': {
+          method: 'GET',
+          path: '/v1/tickets/{{parameters.ticket_id}}',
+          query: { expand: '{{parameters.expand}}' },
+          response: { status: 'status' }
+        }
+      }
+    }
+  };
+  manifest.attestation = signManifestAttestation(manifest);
+  return compileConnectorManifestDsl(manifest, { source: 'inline-test' });
+}
+
+test('connector adapter registry builds generic HTTP adapters from manifest mappings', async () => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      const payload = req.method === 'POST'
+        ? { data: { id: 'TCK-42' } }
+        : { status: 'open' };
+      res.writeHead(req.method === 'POST' ? 201 : 200, { 'content-type': 'application/json' })
+        .end(JSON.stringify(payload));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  const manifest = compileTicketDeskManifest();
+  const adapters = buildConnectorAdapterRegistry({
+    manifests: {
+      con_ticket_desk: manifest,
+      con_office_calendar: { ...manifest, connector_id: 'con_office_calendar' }
+    }
+  });
+  const runtime = {
+    http: {
+      base_url: `http://127.0.0.1:${server.address().port}/api/`,
+      auth: { type: 'bearer', token: 'tok_test_value' }
+    }
+  };
+
+  try {
+    assert.deepEqual(adapters.con_ticket_desk.capabilities, ['ticket.create', 'ticket.read']);
+    assert.deepEqual(adapters.con_office_calendar.capabilities, ['calendar.read', 'calendar.write']);
+
+    const simulated = await adapters.con_ticket_desk.simulate({
+      runId: 'run_adapter_123456',
+      capability: 'ticket.read',
+      parameters: { ticket_id: 'TCK/42' }
+    });
+    assert.deepEqual(simulated.preview, {
+      method: 'GET',
+      path: '/v1/tickets/TCK%2F42',
+      mutation: false,
+      base_url_configured: false
+    });
+
+    const created = await adapters.con_ticket_desk.invoke({
+      runId: 'run_adapter_123456',
+      capability: 'ticket.create',
+      idempotencyKey: 'run_adapter_123456_ticket',
+      parameters: { queue: 'ops', title: 'Disk full', labels: ['infra', 'p2'] },
+      runtime
+    });
+    assert.equal(created.output.http_status, 201);
+    assert.deepEqual(created.output.data, { ticket_id: 'TCK-42', missing: null });
+    assert.equal(requests[0].url, '/api/v1/queues/ops/tickets');
+    assert.equal(requests[0].headers.authorization, 'Bearer tok_test_value');
+    assert.equal(requests[0].headers['idempotency-key'], 'run_adapter_123456_ticket');
+    assert.deepEqual(JSON.parse(requests[0].body), {
+      title: 'Disk full',
+      labels: ['infra', 'p2'],
+      external_ref: 'flockmesh:run_adapter_123456'
+    });
+
+    const read = await adapters.con_ticket_desk.invoke({
+      runId: 'run_adapter_123456',
+      capability: 'ticket.read',
+      parameters: { ticket_id: 'TCK-42' },
+      runtime
+    });
+    assert.deepEqual(read.output.data, { status: 'open' });
+    assert.equal(requests[1].url, '/api/v1/tickets/TCK-42');
+
+    await assert.rejects(
+      adapters.con_ticket_desk.invoke({
+        runId: 'run_adapter_123456',
+        capability: 'ticket.read',
+        parameters: { ticket_id: 'TCK-42' },
+        runtime: {}
+      }),
+      /no base URL configured \(tickets TICKETS_API_URL\)/
+    );
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
@@ -145,3 +145,85 @@ test('buildConnectorHealthSummary marks degraded connectors correctly', () => {
     summary.items.some((item) => item.connector_id === 'con_mcp_gateway' && item.attestation_valid === false)
   );
 });
+
+function buildHttpMappedManifest(overrides = {}) {
+  return {
+    version: 'v0',
+    connector_id: 'con_ticket_desk',
+    name: 'Ticket Desk',
+    category: 'office_system',
+    protocol: 'http',
+    trust_level: 'standard',
+    capabilities: ['ticket.create', 'ticket.read'],
+    http_mapping: {
+      env_provider: 'tickets',
+      base_url_key: 'TICKETS_API_URL',
+      auth: { type: 'bearer', token_key: 'TICKETS_API_TOKEN' },
+      operations: {
+        'ticket.read': {
+          method: 'get',
+          path: '/tickets/{{parameters.ticket_id}}',
+          response: { status: 'status' }
+        },
+        'ticket.create': {
+          method: 'POST',
+          path: '/tickets',
+          body: { title: '{{parameters.title}}', ref: '{{run.id}}' },
+          response: { ticket_id: 'id' }
+        }
+      }
+    },
+    ...overrides
+  };
+}
+
+test('compileConnectorManifestDsl normalizes http_mapping and signs it into the attestation', () => {
+  const manifest = buildHttpMappedManifest();
+  manifest.attestation = signManifestAttestation(manifest);
+
+  const compiled = compileConnectorManifestDsl(manifest, { source: 'inline-http-test' });
+  assert.deepEqual(Object.keys(compiled.http_mapping.operations), ['ticket.create', 'ticket.read']);
+  assert.equal(compiled.http_mapping.operations['ticket.read'].method, 'GET');
+
+  const unmapped = buildHttpMappedManifest();
+  delete unmapped.http_mapping;
+  assert.notEqual(signManifestAttestation(unmapped).payload_hash, manifest.attestation.payload_hash);
+
+  const tampered = structuredClone(manifest);
+  tampered.http_mapping.operations['ticket.create'].path = '/admin/tickets';
+  assert.throws(() => {
+    compileConnectorManifestDsl(tampered, { source: 'inline-http-test' });
+  }, /attestation payload_hash mismatch/);
+});
+
+test('compileConnectorManifestDsl rejects invalid http_mapping blocks', () => {
+  const base = buildHttpMappedManifest();
+  const invalid = [
+    [{ protocol: 'mcp' }, /http_mapping requires protocol http/],
+    [{
+      http_mapping: {
+        ...base.http_mapping,
+        operations: { 'ticket.delete': { method: 'DELETE', path: '/tickets/1' } }
+      }
+    }, /operation for undeclared capability: ticket.delete/],
+    [{
+      http_mapping: {
+        ...base.http_mapping,
+        operations: { 'ticket.read': { method: 'GET', path: '/tickets/{{secrets.token}}' } }
+      }
+    }, /unsupported template reference: secrets.token/],
+    [{
+      http_mapping: {
+        ...base.http_mapping,
+        operations: { 'ticket.read': { method: 'GET', path: '/tickets', body: { a: 1 } } }
+      }
+    }, /body is not allowed for GET/],
+    [{
+      http_mapping: { ...base.http_mapping, auth: { type: 'bearer' } }
+    }, /auth.token_key must be an upper-case environment key/]
+  ];
+
+  for (const [overrides, pattern] of invalid) {
+    assert.throws(() => signManifestAttestation(buildHttpMappedManifest(overrides)), pattern);
+  }
+});
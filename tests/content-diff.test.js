@@ -0,0 +1,56 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildContentDiff, digestContent } from '../src/lib/content-diff.js';
+
+test('digestContent is a stable sha256 reference', () => {
+  assert.match(digestContent('hello'), /^sha256:[a-f0-9]{64}$/);
+  assert.equal(digestContent('hello'), digestContent('hello'));
+  assert.notEqual(digestContent('hello'), digestContent('hello\n'));
+});
+
+test('buildContentDiff reports line counts and a unified patch', () => {
+  const before = ['# Runbook', 'step one', 'step two', 'step three', 'step four', 'step five', 'owner: ops'].join('\n');
+  const after = ['# Runbook', 'step one', 'step 2', 'step three', 'step four', 'step five', 'owner: sre', 'reviewed'].join('\n');
+  const diff = buildContentDiff(before, after, { contextLines: 1 });
+
+  assert.equal(diff.changed, true);
+  assert.equal(diff.before_digest, digestContent(before));
+  assert.equal(diff.after_digest, digestContent(after));
+  assert.equal(diff.added_lines, 3);
+  assert.equal(diff.removed_lines, 2);
+  assert.equal(diff.patch_truncated, false);
+  assert.deepEqual(diff.patch.split('\n'), [
+    '@@ -2,3 +2,3 @@',
+    ' step one',
+    '-step two',
+    '+step 2',
+    ' step three',
+    '@@ -6,2 +6,3 @@',
+    ' step five',
+    '-owner: ops',
+    '+owner: sre',
+    '+reviewed'
+  ]);
+});
+
+test('buildContentDiff handles unchanged, empty and oversized patches', () => {
+  const same = buildContentDiff('a\nb', 'a\nb');
+  assert.equal(same.changed, false);
+  assert.equal(same.patch, '');
+  assert.equal(same.before_digest, same.after_digest);
+
+  const created = buildContentDiff('', 'first\nsecond');
+  assert.equal(created.added_lines, 2);
+  assert.equal(created.removed_lines, 0);
+  assert.equal(created.patch.split('\n')[0], '@@ -0,0 +1,2 @@');
+
+  const rewritten = buildContentDiff(
+    Array.from({ length: 50 }, (_, index) => `old ${index}`).join('\n'),
+    Array.from({ length: 50 }, (_, index) => `new ${index}`).join('\n'),
+    { maxPatchLines: 10 }
+  );
+  assert.equal(rewritten.patch_truncated, true);
+  assert.equal(rewritten.patch.split('\n').length, 10);
+  assert.equal(rewritten.added_lines, 50);
+});
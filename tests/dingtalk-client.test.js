@@ -0,0 +1,81 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  DingTalkDeliveryError,
+  buildSignedDingTalkUrl,
+  probeDingTalkWebhook,
+  sendDingTalkText,
+  signDingTalkRequest
+} from '../src/lib/dingtalk-client.js';
+import { startDingTalkStandIn } from './fixtures/dingtalk-stand-in.js';
+
+const SECRET = 'SECnot-a-real-secret';
+
+test('signDingTalkRequest signs timestamp and secret with HMAC-SHA256', () => {
+  assert.equal(signDingTalkRequest({ secret: 'SECabc', timestamp: 1700000000000 }), 'jcUpW0QmtKduN03n4JqQ0PBosVjqnM8gU7fIIvsDmCM=');
+
+  const signed = new URL(buildSignedDingTalkUrl({
+    webhookUrl: 'https://oapi.dingtalk.com/robot/send?access_token=abc',
+    secret: 'SECabc',
+    timestamp: 1700000000000
+  }).url);
+  assert.equal(signed.searchParams.get('access_token'), 'abc');
+  assert.equal(signed.searchParams.get('timestamp'), '1700000000000');
+  assert.equal(signed.searchParams.get('sign'), 'jcUpW0QmtKduN03n4JqQ0PBosVjqnM8gU7fIIvsDmCM=');
+
+  const unsigned = buildSignedDingTalkUrl({ webhookUrl: 'https://oapi.dingtalk.com/robot/send?access_token=abc' });
+  assert.equal(unsigned.signed, false);
+  assert.equal(new URL(unsigned.url).searchParams.has('sign'), false);
+});
+
+test('DingTalk delivery signs requests and surfaces robot errcodes', async () => {
+  const robot = await startDingTalkStandIn({ secret: SECRET });
+
+  try {
+    const sent = await sendDingTalkText({
+      webhookUrl: robot.webhookUrl,
+      secret: SECRET,
+      text: 'Rollback approved',
+      atMobiles: ['13800000000']
+    });
+    assert.equal(sent.delivery_mode, 'dingtalk_signed_webhook');
+    assert.equal(sent.signed, true);
+    assert.equal(robot.messages[0].text, 'Rollback approved');
+    assert.deepEqual(robot.messages[0].at, { atMobiles: ['13800000000'], isAtAll: false });
+
+    await assert.rejects(
+      sendDingTalkText({ webhookUrl: robot.webhookUrl, text: 'unsigned' }),
+      (err) => err instanceof DingTalkDeliveryError && err.errcode === 310000
+    );
+    await assert.rejects(
+      sendDingTalkText({ webhookUrl: robot.webhookUrl, secret: SECRET, text: 'stale', now: () => Date.now() - 2 * 60 * 60 * 1000 }),
+      (err) => err.errcode === 310000
+    );
+    await assert.rejects(sendDingTalkText({ webhookUrl: robot.webhookUrl, secret: SECRET, text: ' ' }), /non-empty text/);
+    assert.equal(robot.messages.length, 1);
+  } finally {
+    await robot.close();
+  }
+});
+
+test('DingTalk probe checks credentials without posting a message', async () => {
+  const robot = await startDingTalkStandIn({ secret: SECRET });
+
+  try {
+    const accepted = await probeDingTalkWebhook({ webhookUrl: robot.webhookUrl, secret: SECRET });
+    assert.equal(accepted.rejected, false);
+    assert.equal(accepted.errcode, 40035);
+
+    const badSign = await probeDingTalkWebhook({ webhookUrl: robot.webhookUrl, secret: 'SECwrong' });
+    assert.equal(badSign.rejected, true);
+    assert.equal(badSign.errcode, 310000);
+
+    const badToken = await probeDingTalkWebhook({ webhookUrl: `${robot.baseUrl}/robot/send?access_token=nope`, secret: SECRET });
+    assert.equal(badToken.errcode, 300001);
+    assert.equal(badToken.rejected, true);
+    assert.equal(robot.messages.length, 0);
+  } finally {
+    await robot.close();
+  }
+});
@@ -0,0 +1,231 @@
+import http from 'node:http';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  buildEventWebhookBody,
+  buildEventWebhookHeaders,
+  checkEventSubscriptionTarget,
+  createEventWebhookDispatcher,
+  isNonPublicAddress,
+  matchesEventName,
+  normalizeEventSubscriptionAllowedHosts,
+  normalizeEventSubscriptionNames
+} from '../src/lib/event-webhooks.js';
+import { verifyWebhookDelivery } from '../src/lib/webhook-triggers.js';
+
+const KNOWN = ['run.created', 'run.failed', 'approval.requested', 'approval.resolved', 'connector.invoke.error'];
+
+function pendingDelivery(overrides = {}) {
+  return {
+    id: 'evd_000000000001',
+    subscription_id: 'evs_000000000001',
+    event_name: 'run.created',
+    body: '{"event":"run.created"}',
+    status: 'pending',
+    attempts: [],
+    next_attempt_at: null,
+    ...overrides
+  };
+}
+
+test('normalizeEventSubscriptionNames accepts known names, prefixes and the wildcard', () => {
+  assert.deepEqual(
+    normalizeEventSubscriptionNames(['run.failed', 'approval.*', 'run.failed'], { knownEventNames: KNOWN }),
+    ['approval.*', 'run.failed']
+  );
+  assert.deepEqual(normalizeEventSubscriptionNames(['*'], { knownEventNames: KNOWN }), ['*']);
+  assert.equal(matchesEventName('connector.*', 'connector.invoke.error'), true);
+  assert.equal(matchesEventName('run.*', 'runbook.created'), false);
+
+  const normalize = (names) => () => normalizeEventSubscriptionNames(names, { knownEventNames: KNOWN });
+  assert.throws(normalize([]), /non-empty array/);
+  assert.throws(normalize(['Run.Created']), /invalid entry: Run\.Created/);
+  assert.throws(normalize(['run*']), /invalid entry/);
+  assert.throws(normalize(['approval.approved']), /matches no known event: approval\.approved/);
+  assert.throws(normalize(['policy.*']), /matches no known event/);
+  assert.throws(normalize(Array.from({ length: 33 }, () => 'run.created')), /at most 32/);
+});
+
+test('event webhook requests carry a verifiable signature over the frozen body', () => {
+  const body = buildEventWebhookBody({
+    deliveryId: 'evd_000000000001',
+    eventName: 'approval.requested',
+    workspaceId: 'wsp_mindverse_cn',
+    run: { status: 'waiting_approval' },
+    entry: { id: 'aud_000001', run_id: 'run_000001', occurred_at: '2026-01-01T00:00:00.000Z' }
+  });
+  assert.deepEqual(JSON.parse(body), {
+    id: 'evd_000000000001',
+    event: 'approval.requested',
+    occurred_at: '2026-01-01T00:00:00.000Z',
+    workspace_id: 'wsp_mindverse_cn',
+    run_id: 'run_000001',
+    run_status: 'waiting_approval',
+    audit: { id: 'aud_000001', run_id: 'run_000001', occurred_at: '2026-01-01T00:00:00.000Z' }
+  });
+
+  const headers = buildEventWebhookHeaders({
+    secret: 'whsec_not-a-real-secret',
+    deliveryId: 'evd_000000000001',
+    eventName: 'approval.requested',
+    body,
+    timestamp: 1700000000
+  });
+  assert.equal(headers['x-flockmesh-event'], 'approval.requested');
+  assert.equal(headers['x-flockmesh-delivery'], 'evd_000000000001');
+  assert.deepEqual(verifyWebhookDelivery({
+    secret: 'whsec_not-a-real-secret',
+    signature: headers['x-flockmesh-signature'],
+    timestamp: headers['x-flockmesh-timestamp'],
+    rawBody: body,
+    now: 1700000000 * 1000
+  }), { ok: true });
+});
+
+test('subscription targets must be public https hosts unless allow-listed', async () => {
+  for (const address of ['127.0.0.1', '10.0.0.1', '172.31.255.255', '192.168.0.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fd12::1', 'fe80::1', '::ffff:7f00:1']) {
+    assert.equal(isNonPublicAddress(address), true, address);
+  }
+  // Private IPv4 reached through NAT64 (64:ff9b::/96) or 6to4 (2002::/16).
+  for (const address of ['64:ff9b::a00:1', '64:ff9b::127.0.0.1', '2002:7f00:1::1', '2002:c0a8:101::']) {
+    assert.equal(isNonPublicAddress(address), true, address);
+  }
+  for (const address of ['8.8.8.8', '172.32.0.1', '100.128.0.1', '2606:4700::1111', '::ffff:8.8.8.8', '64:ff9b::808:808', '2002:808:808::1']) {
+    assert.equal(isNonPublicAddress(address), false, address);
+  }
+
+  const resolvesTo = (...addresses) => async () => addresses.map((address) => ({ address }));
+  const check = (url, options = {}) => checkEventSubscriptionTarget(url, { lookup: resolvesTo('93.184.216.34'), ...options });
+
+  assert.deepEqual(await check('https://hooks.example.com/flockmesh'), { ok: true });
+  assert.equal((await check('http://hooks.example.com/flockmesh')).reason_code, 'subscription.url_not_https');
+  assert.equal(
+    (await check('https://hooks.example.com/flockmesh', { lookup: resolvesTo('93.184.216.34', '10.0.0.8') })).reason_code,
+    'subscription.url_not_public'
+  );
+
+  const failing = async () => {
+    throw Object.assign(new Error('not found'), { code: 'ENOTFOUND' });
+  };
+  assert.equal((await check('https://nowhere.example/hook', { lookup: failing })).reason_code, 'subscription.url_unresolvable');
+  assert.deepEqual(await check('https://nowhere.example/hook', { lookup: failing, requireResolution: false }), { ok: true });
+
+  const allowedHosts = normalizeEventSubscriptionAllowedHosts(' 127.0.0.1, Receiver.Internal:8080 ');
+  assert.deepEqual(await check('http://127.0.0.1:9000/hook', { allowedHosts }), { ok: true });
+  assert.deepEqual(await check('http://receiver.internal:8080/hook', { allowedHosts }), { ok: true });
+  assert.equal((await check('http://receiver.internal:9090/hook', { allowedHosts })).reason_code, 'subscription.url_not_https');
+});
+
+test('dispatcher dead-letters deliveries whose target stopped being public', async () => {
+  let sends = 0;
+  const dispatcher = createEventWebhookDispatcher({
+    resolveSubscription: () => ({ status: 'active', url: 'https://hooks.example.com/hook', secret: 'whsec_x' }),
+    saveDelivery: () => {},
+    send: async () => {
+      sends += 1;
+      return { ok: true, status_code: 204 };
+    },
+    checkTarget: async () => ({ ok: false, message: 'url host hooks.example.com is a loopback, private or link-local address' })
+  });
+
+  const delivery = await dispatcher.dispatch(pendingDelivery());
+  assert.equal(delivery.status, 'dead_lettered');
+  assert.equal(delivery.reason_code, 'delivery.target_blocked');
+  assert.equal(delivery.attempts[0].reason_code, 'delivery.target_blocked');
+  assert.equal(sends, 0);
+});
+
+test('dispatcher connects only to addresses that are public when the socket resolves the host', async () => {
+  let hits = 0;
+  const receiver = http.createServer((req, res) => {
+    hits += 1;
+    req.resume();
+    res.writeHead(204).end();
+  });
+  await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+  const url = `http://rebind.test:${receiver.address().port}/hook`;
+  // The name passed the pre-attempt check, then rebinds to loopback for the connection.
+  const rebound = (hostname, options, callback) => {
+    const address = { address: '127.0.0.1', family: 4 };
+    if (options.all) callback(null, [address]);
+    else callback(null, address.address, address.family);
+  };
+  const deliver = (allowedHosts) => createEventWebhookDispatcher({
+    resolveSubscription: () => ({ status: 'active', url, secret: 'whsec_x' }),
+    saveDelivery: () => {},
+    lookup: rebound,
+    allowedHosts
+  }).dispatch(pendingDelivery());
+
+  try {
+    const blocked = await deliver(new Set());
+    assert.equal(blocked.status, 'dead_lettered');
+    assert.equal(blocked.reason_code, 'delivery.target_blocked');
+    assert.match(blocked.attempts[0].error, /rebind\.test resolved to non-public address 127\.0\.0\.1/);
+    assert.equal(hits, 0);
+
+    const delivered = await deliver(normalizeEventSubscriptionAllowedHosts(new URL(url).host));
+    assert.equal(delivered.status, 'delivered');
+    assert.equal(hits, 1);
+  } finally {
+    await new Promise((resolve) => receiver.close(resolve));
+  }
+});
+
+test('dispatcher retries on the backoff curve and dead-letters after the attempt budget', async () => {
+  const saved = [];
+  const sent = [];
+  const responses = [
+    { ok: false, status_code: 503, reason_code: 'delivery.http_error' },
+    { ok: false, status_code: null, reason_code: 'delivery.timeout' },
+    { ok: true, status_code: 204 }
+  ];
+  const subscription = { id: 'evs_000000000001', status: 'active', url: 'http://receiver.test/hook', secret: 'whsec_x' };
+  const dispatcher = createEventWebhookDispatcher({
+    policy: { max_attempts: 3, base_delay_ms: 0, max_delay_ms: 0, jitter_ms: 0 },
+    resolveSubscription: () => subscription,
+    saveDelivery: (delivery) => saved.push(delivery),
+    send: async (request) => {
+      sent.push(request);
+      return responses.shift() || { ok: false, status_code: 500, reason_code: 'delivery.http_error' };
+    }
+  });
+
+  const delivered = await dispatcher.dispatch(pendingDelivery());
+  assert.equal(delivered.status, 'delivered');
+  assert.deepEqual(delivered.attempts.map((attempt) => attempt.status_code), [503, null, 204]);
+  assert.deepEqual(delivered.attempts.map((attempt) => attempt.reason_code), ['delivery.http_error', 'delivery.timeout', undefined]);
+  assert.deepEqual(saved.map((delivery) => delivery.status), ['retrying', 'retrying', 'delivered']);
+  assert.equal(new Set(sent.map((request) => request.body)).size, 1);
+
+  const dead = await dispatcher.dispatch(pendingDelivery({ id: 'evd_000000000002' }));
+  assert.equal(dead.status, 'dead_lettered');
+  assert.equal(dead.reason_code, 'delivery.attempt_budget_exhausted');
+  assert.equal(dead.attempts.length, 3);
+  assert.equal(dead.next_attempt_at, null);
+
+  subscription.status = 'revoked';
+  const cancelled = await dispatcher.dispatch(pendingDelivery({ id: 'evd_000000000003' }));
+  assert.equal(cancelled.status, 'cancelled');
+  assert.equal(cancelled.attempts.length, 0);
+});
+
+test('dispatcher close stops waiting and leaves the retry scheduled', async () => {
+  const saved = [];
+  const dispatcher = createEventWebhookDispatcher({
+    policy: { max_attempts: 5, base_delay_ms: 60_000, max_delay_ms: 60_000, jitter_ms: 0 },
+    resolveSubscription: () => ({ status: 'active', url: 'http://receiver.test/hook', secret: 'whsec_x' }),
+    saveDelivery: (delivery) => saved.push(delivery),
+    send: async () => ({ ok: false, status_code: 500, reason_code: 'delivery.http_error' })
+  });
+
+  const task = dispatcher.dispatch(pendingDelivery());
+  await new Promise((resolve) => setImmediate(resolve));
+  await dispatcher.close();
+  const delivery = await task;
+  assert.equal(delivery.status, 'retrying');
+  assert.equal(delivery.attempts.length, 1);
+  assert.ok(Date.parse(delivery.next_attempt_at) > Date.now() + 50_000);
+  assert.equal(saved.length, 1);
+});
@@ -0,0 +1,108 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  buildVerificationMessage,
+  checkIdentityVerification,
+  countVerificationAttempts,
+  findVerifiedExternalIdentity,
+  generateVerificationCode,
+  hashVerificationCode,
+  issueIdentityVerification
+} from '../src/lib/external-identities.js';
+
+function pendingIdentity(code, { now = Date.parse('2026-01-01T00:00:00.000Z') } = {}) {
+  return {
+    id: 'xid_000000000001',
+    workspace_id: 'wsp_mindverse_cn',
+    provider: 'slack',
+    external_user_id: 'U0ALICE',
+    actor_id: 'usr_alice',
+    status: 'pending_verification',
+    verification: issueIdentityVerification({ identityId: 'xid_000000000001', code, now })
+  };
+}
+
+test('verification codes are six digits and stored only as a digest bound to the mapping', () => {
+  assert.equal(generateVerificationCode({ randomInt: () => 42 }), '000042');
+  assert.match(generateVerificationCode(), /^\d{6}$/);
+
+  const identity = pendingIdentity('123456');
+  assert.equal(identity.verification.code_digest, hashVerificationCode({ identityId: identity.id, code: '123456' }));
+  assert.notEqual(
+    identity.verification.code_digest,
+    hashVerificationCode({ identityId: 'xid_000000000002', code: '123456' })
+  );
+  assert.equal(identity.verification.expires_at, '2026-01-01T00:10:00.000Z');
+  assert.match(buildVerificationMessage({
+    code: '123456',
+    workspaceId: 'wsp_mindverse_cn',
+    actorId: 'usr_alice',
+    expiresAt: identity.verification.expires_at
+  }), /code: 123456\nEnter it to link this chat account to usr_alice in wsp_mindverse_cn/);
+});
+
+test('checkIdentityVerification counts attempts and stops at expiry or the attempt budget', () => {
+  const now = Date.parse('2026-01-01T00:05:00.000Z');
+  const identity = pendingIdentity('123456');
+
+  const wrong = checkIdentityVerification(identity, '654321', { now });
+  assert.equal(wrong.reason_code, 'identity.verification_code_invalid');
+  assert.equal(wrong.verification.attempts, 1);
+  assert.equal(identity.verification.attempts, 0);
+  assert.deepEqual(checkIdentityVerification(identity, '123456', { now }).ok, true);
+
+  const expired = checkIdentityVerification(identity, '123456', { now: Date.parse('2026-01-01T00:10:00.000Z') });
+  assert.equal(expired.reason_code, 'identity.verification_expired');
+
+  const exhausted = { ...identity, verification: { ...identity.verification, attempts: 5 } };
+  assert.equal(checkIdentityVerification(exhausted, '123456', { now }).reason_code, 'identity.verification_attempts_exhausted');
+  assert.equal(
+    checkIdentityVerification({ ...identity, status: 'verified' }, '123456', { now }).reason_code,
+    'identity.not_pending'
+  );
+});
+
+test('re-issuing a code keeps the attempts spent on the chat account until the window closes', () => {
+  const identity = pendingIdentity('123456');
+  const spent = { ...identity, verification: { ...identity.verification, attempts: 4 } };
+  const reissue = (now) => issueIdentityVerification({
+    identityId: identity.id,
+    code: '111111',
+    now: Date.parse(now),
+    previous: spent.verification
+  });
+
+  const reissued = reissue('2026-01-01T00:20:00.000Z');
+  assert.equal(reissued.attempts, 4);
+  assert.equal(reissued.attempt_window_started_at, '2026-01-01T00:00:00.000Z');
+  assert.equal(reissued.expires_at, '2026-01-01T00:30:00.000Z');
+  assert.equal(reissue('2026-01-01T01:00:00.000Z').attempts, 0);
+
+  // A second link to the same account (another actor, or a revoked one) shares the budget.
+  const other = {
+    ...pendingIdentity('222222'),
+    id: 'xid_000000000002',
+    actor_id: 'usr_mallory',
+    status: 'revoked',
+    verification: { ...identity.verification, attempts: 1 }
+  };
+  const key = { workspaceId: 'wsp_mindverse_cn', provider: 'slack', externalUserId: 'U0ALICE' };
+  const now = Date.parse('2026-01-01T00:05:00.000Z');
+  const accountAttempts = countVerificationAttempts([spent, other], { ...key, now });
+  assert.equal(accountAttempts, 5);
+  assert.equal(
+    checkIdentityVerification(spent, '123456', { now, accountAttempts }).reason_code,
+    'identity.verification_attempts_exhausted'
+  );
+  assert.equal(countVerificationAttempts([spent, other], { ...key, now: Date.parse('2026-01-01T01:00:00.000Z') }), 0);
+});
+
+test('findVerifiedExternalIdentity only matches verified mappings in the same workspace', () => {
+  const verified = { ...pendingIdentity('123456'), status: 'verified' };
+  const key = { workspaceId: 'wsp_mindverse_cn', provider: 'slack', externalUserId: 'U0ALICE' };
+  assert.equal(findVerifiedExternalIdentity([pendingIdentity('123456')], key), null);
+  assert.equal(findVerifiedExternalIdentity(new Map([[verified.id, verified]]).values(), key), verified);
+  assert.equal(findVerifiedExternalIdentity([verified], { ...key, workspaceId: 'wsp_other_team' }), null);
+  assert.equal(findVerifiedExternalIdentity([verified], { ...key, provider: 'feishu' }), null);
+});
@@ -0,0 +1,126 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import {
+  compileFeishuEventTriggerDocument,
+  computeFeishuEventSignature,
+  decryptFeishuEventPayload,
+  isFeishuTimestampFresh,
+  loadFeishuEventTriggersFromDir,
+  matchFeishuEventTrigger,
+  parseFeishuMessageEvent,
+  verifyFeishuEventSignature
+} from '../src/lib/feishu-events.js';
+import { buildFeishuMessageEvent, encryptFeishuEvent } from './fixtures/feishu-event-sender.js';
+
+function triggerRule(overrides = {}) {
+  return {
+    trigger_id: 'incident_command',
+    workspace_id: 'wsp_mindverse_cn',
+    agent_id: 'agt_ops_assistant',
+    playbook_id: 'pbk_incident_triage',
+    actor_id: 'svc_feishu_events',
+    match: { text_pattern: '^/incident\\s+(\\S+)' },
+    inputs: { incident_ref: '{{event.groups.0}}' },
+    ...overrides
+  };
+}
+
+test('compileFeishuEventTriggerDocument normalizes rules and rejects invalid ones', () => {
+  const compiled = compileFeishuEventTriggerDocument({
+    version: 'v0',
+    rules: [
+      triggerRule({ match: { chat_ids: ['oc_b', 'oc_a', 'oc_b'], text_pattern: 'deploy', bot_mention: true } })
+    ]
+  }, { source: 'ops.feishu-trigger.json' });
+  assert.equal(compiled.name, 'ops.feishu-trigger');
+  assert.deepEqual(compiled.rules[0].match, { chat_ids: ['oc_a', 'oc_b'], text_pattern: 'deploy', bot_mention: true });
+  assert.deepEqual(compiled.rules[0].policy_context, {});
+  assert.equal(compiled.rules[0].attribute_to_sender, false);
+
+  const compile = (rules) => () => compileFeishuEventTriggerDocument({ version: 'v0', rules }, { source: 't.json' });
+  assert.throws(() => compileFeishuEventTriggerDocument({ version: 'v1', rules: [] }), /unsupported trigger version/);
+  assert.throws(compile([]), /rules must be a non-empty array/);
+  assert.throws(compile([triggerRule({ trigger_id: 'X' })]), /\[t\.json#rule\[0\]\] invalid trigger_id/);
+  assert.throws(compile([triggerRule({ actor_id: 'agt_ops_assistant' })]), /invalid actor_id/);
+  assert.throws(compile([triggerRule({ match: { chat_ids: ['oc_a'] } })]), /needs text_pattern or bot_mention/);
+  assert.throws(compile([triggerRule({ match: { text_pattern: '(' } })]), /invalid match\.text_pattern/);
+  assert.throws(compile([triggerRule({ policy_context: { tenant_policy: 'x' } })]), /unknown policy_context key/);
+  assert.throws(compile([triggerRule(), triggerRule()]), /duplicate trigger_id: incident_command/);
+});
+
+test('loadFeishuEventTriggersFromDir reads only trigger documents', async () => {
+  const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'flockmesh-feishu-triggers-'));
+  try {
+    assert.deepEqual(await loadFeishuEventTriggersFromDir({ rootDir }), []);
+
+    await fs.mkdir(path.join(rootDir, 'triggers'));
+    await fs.writeFile(
+      path.join(rootDir, 'triggers', 'ops.feishu-trigger.json'),
+      JSON.stringify({ version: 'v0', rules: [triggerRule()] })
+    );
+    await fs.writeFile(path.join(rootDir, 'triggers', 'notes.json'), '{}');
+
+    const rules = await loadFeishuEventTriggersFromDir({ rootDir });
+    assert.deepEqual(rules.map((rule) => rule.trigger_id), ['incident_command']);
+  } finally {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  }
+});
+
+test('Feishu event signatures and encrypted payloads round-trip', () => {
+  const parts = { timestamp: '1700000000', nonce: 'abc', encryptKey: 'not-a-real-key', rawBody: '{"encrypt":"x"}' };
+  const signature = computeFeishuEventSignature(parts);
+  assert.match(signature, /^[0-9a-f]{64}$/);
+  assert.equal(verifyFeishuEventSignature({ signature, ...parts }), true);
+  assert.equal(verifyFeishuEventSignature({ signature, ...parts, rawBody: '{"encrypt":"y"}' }), false);
+  assert.equal(verifyFeishuEventSignature({ signature: 'short', ...parts }), false);
+
+  const now = 1700000000 * 1000;
+  assert.equal(isFeishuTimestampFresh('1700000000', { now }), true);
+  assert.equal(isFeishuTimestampFresh('1699999600', { now }), false);
+  assert.equal(isFeishuTimestampFresh('1700000400', { now }), false);
+  assert.equal(isFeishuTimestampFresh('', { now }), false);
+
+  const envelope = buildFeishuMessageEvent({ text: 'hello' });
+  assert.deepEqual(decryptFeishuEventPayload(encryptFeishuEvent(envelope, 'not-a-real-key'), 'not-a-real-key'), envelope);
+  assert.throws(() => decryptFeishuEventPayload(encryptFeishuEvent(envelope, 'not-a-real-key'), 'wrong-key'));
+  assert.throws(() => decryptFeishuEventPayload('c2hvcnQ=', 'not-a-real-key'), /too short/);
+});
+
+test('parseFeishuMessageEvent strips mentions and matchFeishuEventTrigger applies rule filters', () => {
+  const message = parseFeishuMessageEvent(buildFeishuMessageEvent({
+    eventId: 'evt_parse',
+    text: '@_user_1  /incident   inc_2042 please',
+    mentions: [{ open_id: 'ou_flockmesh_bot', name: 'FlockMesh' }]
+  }));
+  assert.equal(message.event_id, 'evt_parse');
+  assert.equal(message.event_type, 'im.message.receive_v1');
+  assert.equal(message.text, '/incident inc_2042 please');
+  assert.equal(message.chat_id, 'oc_ops_war_room');
+  assert.equal(message.sender_open_id, 'ou_alice');
+  assert.deepEqual(message.mentions, [{ key: '@_user_1', open_id: 'ou_flockmesh_bot', name: 'FlockMesh' }]);
+
+  const { rules } = compileFeishuEventTriggerDocument({
+    version: 'v0',
+    rules: [
+      triggerRule({ trigger_id: 'other_chat', match: { chat_ids: ['oc_elsewhere'], text_pattern: 'incident' } }),
+      triggerRule({ trigger_id: 'mention_only', match: { bot_mention: true, text_pattern: '^status$' } }),
+      triggerRule()
+    ]
+  });
+
+  const matched = matchFeishuEventTrigger(rules, message, { botOpenId: 'ou_flockmesh_bot' });
+  assert.equal(matched.rule.trigger_id, 'incident_command');
+  assert.deepEqual(matched.groups, ['inc_2042']);
+
+  const status = parseFeishuMessageEvent(buildFeishuMessageEvent({
+    text: '@_user_1 STATUS',
+    mentions: [{ open_id: 'ou_someone_else', name: 'Bob' }]
+  }));
+  assert.equal(matchFeishuEventTrigger(rules, status, { botOpenId: 'ou_flockmesh_bot' }), null);
+  assert.equal(matchFeishuEventTrigger(rules, status).rule.trigger_id, 'mention_only');
+});
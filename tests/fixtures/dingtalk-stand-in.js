@@ -0,0 +1,40 @@
+import crypto from 'node:crypto';
+import { sendJson, startHttpStandIn } from './stand-in-server.js';
+
+// Custom-robot stand-in: checks access_token, then timestamp+sign when a secret is set, then msgtype.
+export async function startDingTalkStandIn({ accessToken = 'not-a-real-token', secret = '' } = {}) {
+  const messages = [];
+  const requests = [];
+
+  const send = (res, payload) => sendJson(res, 200, payload);
+
+  const server = await startHttpStandIn((req, res, { url, raw }) => {
+    const body = raw ? JSON.parse(raw) : null;
+    requests.push({ method: req.method, query: url.searchParams, body });
+
+    if (url.pathname !== '/robot/send' || url.searchParams.get('access_token') !== accessToken) {
+      return send(res, { errcode: 300001, errmsg: 'token is not exist' });
+    }
+    if (secret) {
+      const timestamp = url.searchParams.get('timestamp') || '';
+      const expected = crypto.createHmac('sha256', secret).update(`${timestamp}\n${secret}`).digest('base64');
+      const fresh = Math.abs(Date.now() - Number(timestamp)) < 60 * 60 * 1000;
+      if (!fresh || url.searchParams.get('sign') !== expected) {
+        return send(res, { errcode: 310000, errmsg: 'sign not match' });
+      }
+    }
+    if (body?.msgtype !== 'text') return send(res, { errcode: 40035, errmsg: 'unsupported msgtype' });
+
+    messages.push({ text: body.text.content, at: body.at, signed: url.searchParams.has('sign') });
+    return send(res, { errcode: 0, errmsg: 'ok' });
+  });
+  const { baseUrl } = server;
+
+  return {
+    baseUrl,
+    webhookUrl: `${baseUrl}/robot/send?access_token=${accessToken}`,
+    messages,
+    requests,
+    close: server.close
+  };
+}
@@ -0,0 +1,55 @@
+import { verifyWebhookDelivery } from '../../src/lib/webhook-triggers.js';
+import { startHttpStandIn } from './stand-in-server.js';
+
+// Outbound event webhook receiver: verifies signatures and answers failStatus to the first
+// failFirst requests (or to every request when failFirst is Infinity).
+export async function startEventReceiver({ secret = '', failFirst = 0, failStatus = 503 } = {}) {
+  const requests = [];
+  const waiters = [];
+
+  const notify = () => {
+    for (const waiter of [...waiters]) {
+      if (requests.length >= waiter.count) {
+        waiters.splice(waiters.indexOf(waiter), 1);
+        clearTimeout(waiter.timer);
+        waiter.resolve(requests);
+      }
+    }
+  };
+
+  const server = await startHttpStandIn((req, res, { raw }) => {
+    const verification = verifyWebhookDelivery({
+      secret: receiver.secret || secret,
+      signature: req.headers['x-flockmesh-signature'],
+      timestamp: req.headers['x-flockmesh-timestamp'],
+      rawBody: raw
+    });
+    requests.push({
+      headers: req.headers,
+      body: raw ? JSON.parse(raw) : null,
+      verified: verification.ok
+    });
+    res.writeHead(requests.length <= failFirst ? failStatus : 204);
+    res.end();
+    notify();
+  });
+
+  const receiver = {
+    url: `${server.baseUrl}/hooks/flockmesh`,
+    secret,
+    requests,
+    waitForRequests(count, timeoutMs = 5000) {
+      if (requests.length >= count) return Promise.resolve(requests);
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          waiters.splice(waiters.indexOf(waiter), 1);
+          reject(new Error(`expected ${count} requests, received ${requests.length}`));
+        }, timeoutMs);
+        const waiter = { count, resolve, timer };
+        waiters.push(waiter);
+      });
+    },
+    close: server.close
+  };
+  return receiver;
+}
@@ -0,0 +1,57 @@
+import { sendJson, startHttpStandIn } from './stand-in-server.js';
+
+// Open API stand-in for an app bot: issues a tenant token for the known app and accepts
+// messages only for `chats` (by chat_id) and `users` (by open_id) when called with that token.
+export async function startFeishuStandIn({
+  appId = 'cli_not_a_real_app',
+  appSecret = 'not-a-real-app-secret',
+  chats = ['oc_approvers'],
+  users = ['ou_alice']
+} = {}) {
+  const tenantToken = 't-not-a-real-tenant-token';
+  const messages = [];
+  let sequence = 0;
+
+  const send = (res, payload) => sendJson(res, 200, payload);
+
+  const server = await startHttpStandIn((req, res, { url, raw }) => {
+    const body = raw ? JSON.parse(raw) : {};
+
+    if (url.pathname === '/open-apis/auth/v3/tenant_access_token/internal') {
+      if (body.app_id !== appId || body.app_secret !== appSecret) {
+        return send(res, { code: 10014, msg: 'app secret invalid' });
+      }
+      return send(res, { code: 0, msg: 'ok', tenant_access_token: tenantToken, expire: 7200 });
+    }
+    if (url.pathname === '/open-apis/im/v1/messages') {
+      if (req.headers.authorization !== `Bearer ${tenantToken}`) {
+        return send(res, { code: 99991663, msg: 'invalid access token' });
+      }
+      const receiveIdType = url.searchParams.get('receive_id_type');
+      if (receiveIdType === 'open_id' ? !users.includes(body.receive_id) : !chats.includes(body.receive_id)) {
+        return send(res, { code: 230002, msg: 'bot is not in the chat' });
+      }
+      sequence += 1;
+      const messageId = `om_stand_in_${String(sequence).padStart(4, '0')}`;
+      const content = JSON.parse(body.content);
+      messages.push({
+        ...(receiveIdType === 'open_id' ? { open_id: body.receive_id } : { chat_id: body.receive_id }),
+        msg_type: body.msg_type,
+        card: body.msg_type === 'interactive' ? content : null,
+        text: body.msg_type === 'text' ? content.text : null,
+        message_id: messageId
+      });
+      return send(res, { code: 0, msg: 'success', data: { message_id: messageId } });
+    }
+    res.writeHead(404);
+    return res.end();
+  });
+
+  return {
+    apiBaseUrl: `${server.baseUrl}/open-apis`,
+    appId,
+    appSecret,
+    messages,
+    close: server.close
+  };
+}
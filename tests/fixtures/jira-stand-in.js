@@ -0,0 +1,114 @@
+import { sendJson, startHttpStandIn } from './stand-in-server.js';
+
+const WORKFLOW = {
+  'To Do': [{ id: '21', name: 'Start Progress', to: { name: 'In Progress' } }],
+  'In Progress': [
+    { id: '31', name: 'Resolve', to: { name: 'Done' } },
+    { id: '11', name: 'Stop Progress', to: { name: 'To Do' } }
+  ],
+  Done: [{ id: '41', name: 'Reopen', to: { name: 'To Do' } }]
+};
+
+function toJiraIssue(issue) {
+  return {
+    id: issue.id,
+    key: issue.key,
+    fields: {
+      summary: issue.summary,
+      description: issue.description,
+      status: { name: issue.status },
+      issuetype: { name: issue.issue_type },
+      assignee: issue.assignee ? { displayName: issue.assignee } : null,
+      priority: { name: 'Medium' },
+      labels: issue.labels,
+      updated: '2026-10-19T08:00:00.000+0000',
+      comment: { comments: issue.comments }
+    }
+  };
+}
+
+// Understands the JQL the connector emits (`project = "X"`, `labels = "y"`, `status = "z"`
+// joined by AND) and nothing else.
+function matchesJql(issue, jql) {
+  return jql.split(/\s+AND\s+/i).every((clause) => {
+    const match = /^(project|labels|status)\s*=\s*"([^"]*)"$/i.exec(clause.trim());
+    if (!match) return false;
+    const [, field, value] = match;
+    if (field.toLowerCase() === 'project') return issue.key.startsWith(`${value}-`);
+    if (field.toLowerCase() === 'labels') return issue.labels.includes(value);
+    return issue.status.toLowerCase() === value.toLowerCase();
+  });
+}
+
+export async function startJiraStandIn({ issues = [] } = {}) {
+  const store = new Map(issues.map((issue, index) => [issue.key, {
+    id: String(10000 + index),
+    status: 'To Do',
+    issue_type: 'Task',
+    description: '',
+    labels: [],
+    comments: [],
+    ...issue
+  }]));
+  const requests = [];
+  let sequence = 100;
+
+  const server = await startHttpStandIn((req, res, { url, raw }) => {
+    const body = raw ? JSON.parse(raw) : null;
+    requests.push({ method: req.method, path: url.pathname, query: url.searchParams, body, headers: req.headers });
+
+    if (req.method === 'GET' && url.pathname === '/rest/api/2/search') {
+      const matched = Array.from(store.values()).filter((issue) => matchesJql(issue, url.searchParams.get('jql') || ''));
+      const limit = Number(url.searchParams.get('maxResults') || 50);
+      return sendJson(res, 200, { total: matched.length, issues: matched.slice(0, limit).map(toJiraIssue) });
+    }
+
+    if (req.method === 'POST' && url.pathname === '/rest/api/2/issue') {
+      const projectKey = body.fields.project.key;
+      sequence += 1;
+      const issue = {
+        id: String(20000 + sequence),
+        key: `${projectKey}-${sequence}`,
+        summary: body.fields.summary,
+        description: body.fields.description || '',
+        status: 'To Do',
+        issue_type: body.fields.issuetype.name,
+        labels: body.fields.labels || [],
+        comments: []
+      };
+      store.set(issue.key, issue);
+      return sendJson(res, 201, { id: issue.id, key: issue.key, self: `/rest/api/2/issue/${issue.id}` });
+    }
+
+    const issueRoute = /^\/rest\/api\/2\/issue\/([^/]+)(?:\/(transitions|comment))?$/.exec(url.pathname);
+    const issue = issueRoute ? store.get(decodeURIComponent(issueRoute[1])) : null;
+    if (!issue) {
+      return sendJson(res, 404, { errorMessages: ['Issue does not exist or you do not have permission to see it.'] });
+    }
+
+    const [, , section] = issueRoute;
+    if (!section && req.method === 'GET') return sendJson(res, 200, toJiraIssue(issue));
+    if (section === 'transitions' && req.method === 'GET') {
+      return sendJson(res, 200, { transitions: WORKFLOW[issue.status] || [] });
+    }
+    if (section === 'transitions' && req.method === 'POST') {
+      const transition = (WORKFLOW[issue.status] || []).find((item) => item.id === body?.transition?.id);
+      if (!transition) return sendJson(res, 400, { errors: { transition: 'Transition id is not valid.' } });
+      issue.status = transition.to.name;
+      return sendJson(res, 204);
+    }
+    if (section === 'comment' && req.method === 'POST') {
+      const comment = { id: String(issue.comments.length + 1), body: body.body };
+      issue.comments.push(comment);
+      return sendJson(res, 201, comment);
+    }
+    return sendJson(res, 405, { errorMessages: ['Method not allowed.'] });
+  });
+
+  return {
+    baseUrl: server.baseUrl,
+    issues: store,
+    requests,
+    close: server.close
+  };
+}
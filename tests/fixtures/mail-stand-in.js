@@ -0,0 +1,138 @@
+import { startTcpStandIn } from './stand-in-server.js';
+
+function onLines(socket, handler) {
+  let buffer = '';
+  socket.on('data', (chunk) => {
+    buffer += chunk.toString('utf8');
+    let index = buffer.indexOf('\r\n');
+    while (index !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+      handler(line);
+      index = buffer.indexOf('\r\n');
+    }
+  });
+}
+
+export async function startSmtpStandIn({ rejectDomains = [] } = {}) {
+  const messages = [];
+  const logins = [];
+  const server = await startTcpStandIn((socket) => {
+    const envelope = { from: '', recipients: [] };
+    let dataLines = null;
+
+    socket.write('220 stand-in ESMTP ready\r\n');
+    onLines(socket, (line) => {
+      if (dataLines) {
+        if (line === '.') {
+          messages.push({ ...envelope, data: dataLines.join('\r\n') });
+          dataLines = null;
+          envelope.recipients = [];
+          socket.write(`250 2.0.0 Ok: queued as Q${messages.length}\r\n`);
+        } else {
+          dataLines.push(line.startsWith('..') ? line.slice(1) : line);
+        }
+        return;
+      }
+
+      const verb = line.split(' ')[0].toUpperCase();
+      if (verb === 'EHLO') {
+        socket.write('250-stand-in\r\n250-AUTH PLAIN\r\n250 8BITMIME\r\n');
+      } else if (verb === 'AUTH') {
+        const [, username, password] = Buffer.from(line.split(' ')[2] || '', 'base64').toString('utf8').split('\u0000');
+        logins.push({ username, password });
+        socket.write('235 2.7.0 Authentication successful\r\n');
+      } else if (verb === 'MAIL') {
+        envelope.from = /<([^>]*)>/.exec(line)?.[1] || '';
+        socket.write('250 2.1.0 Ok\r\n');
+      } else if (verb === 'RCPT') {
+        const recipient = /<([^>]*)>/.exec(line)?.[1] || '';
+        if (rejectDomains.includes(recipient.split('@')[1])) {
+          socket.write('550 5.1.1 Recipient rejected\r\n');
+        } else {
+          envelope.recipients.push(recipient);
+          socket.write('250 2.1.5 Ok\r\n');
+        }
+      } else if (verb === 'DATA') {
+        dataLines = [];
+        socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+      } else if (verb === 'RSET') {
+        envelope.recipients = [];
+        socket.write('250 2.0.0 Ok\r\n');
+      } else if (verb === 'QUIT') {
+        socket.end('221 2.0.0 Bye\r\n');
+      } else {
+        socket.write('502 5.5.2 Command not recognized\r\n');
+      }
+    });
+  });
+
+  return { ...server, messages, logins };
+}
+
+function buildImapHeader(message) {
+  return [
+    `From: ${message.from}`,
+    `To: ${message.to}`,
+    `Subject: ${message.subject}`,
+    `Date: ${message.date}`,
+    `Message-ID: ${message.message_id}`,
+    ...(message.content_type ? [`Content-Type: ${message.content_type}`] : []),
+    '',
+    ''
+  ].join('\r\n');
+}
+
+function matchesCriteria(message, criteria) {
+  if (criteria === 'ALL') return true;
+  const pairs = Array.from(criteria.matchAll(/(FROM|SUBJECT|TO|TEXT) "([^"]*)"/g));
+  return pairs.every(([, field, value]) => {
+    const haystack = field === 'TEXT' ? message.text : message[field.toLowerCase()];
+    return String(haystack).toLowerCase().includes(value.toLowerCase());
+  });
+}
+
+export async function startImapStandIn({ messages = [] } = {}) {
+  const commands = [];
+  const server = await startTcpStandIn((socket) => {
+    socket.write('* OK IMAP4rev1 stand-in ready\r\n');
+
+    onLines(socket, (line) => {
+      const [tag, ...rest] = line.split(' ');
+      const command = rest.join(' ');
+      commands.push(command);
+      const verb = rest[0]?.toUpperCase();
+
+      if (verb === 'LOGIN') {
+        socket.write(`${tag} OK LOGIN completed\r\n`);
+      } else if (verb === 'EXAMINE') {
+        socket.write(`* ${messages.length} EXISTS\r\n${tag} OK [READ-ONLY] EXAMINE completed\r\n`);
+      } else if (verb === 'UID' && rest[1] === 'SEARCH') {
+        const criteria = rest.slice(2).join(' ');
+        const uids = messages.filter((message) => matchesCriteria(message, criteria)).map((message) => message.uid);
+        socket.write(`* SEARCH${uids.map((uid) => ` ${uid}`).join('')}\r\n${tag} OK SEARCH completed\r\n`);
+      } else if (verb === 'UID' && rest[1] === 'FETCH') {
+        const wanted = rest[2].split(',').map(Number);
+        const includeText = command.includes('BODY.PEEK[TEXT]');
+        for (const message of messages.filter((item) => wanted.includes(item.uid))) {
+          const header = buildImapHeader(message);
+          const flags = message.seen ? '\\Seen' : '';
+          let response = `* ${messages.indexOf(message) + 1} FETCH (UID ${message.uid} FLAGS (${flags}) ` +
+            `RFC822.SIZE ${Buffer.byteLength(header + message.text)} ` +
+            `BODY[HEADER.FIELDS (FROM TO SUBJECT)] {${Buffer.byteLength(header)}}\r\n${header}`;
+          if (includeText) {
+            response += ` BODY[TEXT] {${Buffer.byteLength(message.text)}}\r\n${message.text}`;
+          }
+          socket.write(`${response})\r\n`);
+        }
+        socket.write(`${tag} OK FETCH completed\r\n`);
+      } else if (verb === 'LOGOUT') {
+        socket.end(`* BYE logging out\r\n${tag} OK LOGOUT completed\r\n`);
+      } else {
+        socket.write(`${tag} BAD unknown command\r\n`);
+      }
+    });
+  });
+
+  return { ...server, commands };
+}
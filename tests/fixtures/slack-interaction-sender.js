@@ -0,0 +1,25 @@
+import { computeSlackRequestSignature } from '../../src/lib/chat-approvals.js';
+
+// Builds the form body Slack posts for a button click in a block_actions payload.
+export function signSlackBlockAction(action, {
+  signingSecret,
+  userId = 'U0ALICE',
+  timestamp = String(Math.floor(Date.now() / 1000))
+}) {
+  const payload = {
+    type: 'block_actions',
+    user: { id: userId, team_id: 'T0STANDIN' },
+    team: { id: 'T0STANDIN' },
+    container: { type: 'message', message_ts: '1760860800.000001' },
+    actions: [{ type: 'button', block_id: 'approval', action_id: action.action_id, value: action.value }]
+  };
+  const body = new URLSearchParams({ payload: JSON.stringify(payload) }).toString();
+  return {
+    body,
+    headers: {
+      'content-type': 'application/x-www-form-urlencoded',
+      'x-slack-request-timestamp': timestamp,
+      'x-slack-signature': computeSlackRequestSignature({ signingSecret, timestamp, rawBody: body })
+    }
+  };
+}
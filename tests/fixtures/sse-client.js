@@ -0,0 +1,75 @@
+import http from 'node:http';
+
+function parseBlock(block) {
+  const message = { id: null, event: 'message', data: '' };
+  const data = [];
+  for (const line of block.split('\n')) {
+    if (!line || line.startsWith(':')) continue;
+    const separator = line.indexOf(':');
+    const field = separator === -1 ? line : line.slice(0, separator);
+    const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+    if (field === 'id') message.id = value;
+    if (field === 'event') message.event = value;
+    if (field === 'data') data.push(value);
+  }
+  if (!data.length) return null;
+  message.data = JSON.parse(data.join('\n'));
+  return message;
+}
+
+// Minimal EventSource stand-in for tests: collects parsed messages until closed.
+export function connectSse(url, { headers = {} } = {}) {
+  const messages = [];
+  const waiters = [];
+  let buffer = '';
+  let response = null;
+
+  const notify = () => {
+    for (const waiter of [...waiters]) {
+      if (waiter.predicate(messages)) {
+        waiters.splice(waiters.indexOf(waiter), 1);
+        clearTimeout(waiter.timer);
+        waiter.resolve(messages);
+      }
+    }
+  };
+
+  const opened = new Promise((resolve, reject) => {
+    const request = http.get(url, { headers: { accept: 'text/event-stream', ...headers } }, (res) => {
+      response = res;
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        let boundary = buffer.indexOf('\n\n');
+        while (boundary !== -1) {
+          const parsed = parseBlock(buffer.slice(0, boundary));
+          buffer = buffer.slice(boundary + 2);
+          if (parsed) messages.push(parsed);
+          boundary = buffer.indexOf('\n\n');
+        }
+        notify();
+      });
+      resolve(res);
+    });
+    request.on('error', reject);
+  });
+
+  return {
+    messages,
+    opened,
+    waitFor(predicate, timeoutMs = 3000) {
+      if (predicate(messages)) return Promise.resolve(messages);
+      return new Promise((resolve, reject) => {
+        const waiter = { predicate, resolve };
+        waiter.timer = setTimeout(() => {
+          waiters.splice(waiters.indexOf(waiter), 1);
+          reject(new Error(`SSE wait timed out after ${timeoutMs}ms with ${messages.length} messages`));
+        }, timeoutMs);
+        waiters.push(waiter);
+      });
+    },
+    close() {
+      response?.destroy();
+    }
+  };
+}
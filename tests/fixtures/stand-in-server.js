@@ -0,0 +1,42 @@
+import http from 'node:http';
+import net from 'node:net';
+
+// Binds an ephemeral loopback port; close() drops open connections so it never waits on keep-alive.
+async function listenOnLoopback(server) {
+  const sockets = new Set();
+  server.on('connection', (socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    port: server.address().port,
+    close: () => {
+      for (const socket of sockets) socket.destroy();
+      return new Promise((resolve) => server.close(resolve));
+    }
+  };
+}
+
+// `handler(req, res, { url, raw })` runs once the whole request body has been read.
+export async function startHttpStandIn(handler) {
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => {
+      raw += chunk;
+    });
+    req.on('end', () => handler(req, res, { url: new URL(req.url, 'http://stand-in'), raw }));
+  });
+  const { port, close } = await listenOnLoopback(server);
+  return { baseUrl: `http://127.0.0.1:${port}`, close };
+}
+
+export async function startTcpStandIn(onConnection) {
+  const { port, close } = await listenOnLoopback(net.createServer(onConnection));
+  return { host: '127.0.0.1', port, close };
+}
+
+export function sendJson(res, status, payload) {
+  res.writeHead(status, { 'content-type': 'application/json' });
+  res.end(payload === undefined ? '' : JSON.stringify(payload));
+}
@@ -0,0 +1,13 @@
+import { computeWebhookSignature } from '../../src/lib/webhook-triggers.js';
+
+export function signWebhookDelivery(payload, { secret, timestamp = String(Math.floor(Date.now() / 1000)) }) {
+  const body = typeof payload === 'string' ? payload : JSON.stringify(payload);
+  return {
+    body,
+    headers: {
+      'content-type': 'application/json',
+      'x-flockmesh-timestamp': timestamp,
+      'x-flockmesh-signature': computeWebhookSignature({ secret, timestamp, rawBody: body })
+    }
+  };
+}
@@ -0,0 +1,52 @@
+import { sendJson, startHttpStandIn } from './stand-in-server.js';
+
+function toWikiContent(page) {
+  return {
+    id: page.id,
+    type: 'page',
+    title: page.title,
+    version: { number: page.version, when: page.updated_at },
+    body: { storage: { value: page.content, representation: 'storage' } }
+  };
+}
+
+// Confluence-style content API: PUT must carry version.number === current + 1, otherwise 409.
+export async function startWikiStandIn({ pages = [] } = {}) {
+  const store = new Map(pages.map((page) => [page.id, {
+    title: 'Untitled',
+    version: 1,
+    content: '',
+    updated_at: '2026-10-19T08:00:00.000Z',
+    ...page
+  }]));
+  const requests = [];
+
+  const server = await startHttpStandIn((req, res, { url, raw }) => {
+    const body = raw ? JSON.parse(raw) : null;
+    requests.push({ method: req.method, path: url.pathname, query: url.searchParams, body, headers: req.headers });
+
+    const route = /^\/rest\/api\/content\/([^/]+)$/.exec(url.pathname);
+    const page = route ? store.get(decodeURIComponent(route[1])) : null;
+    if (!page) return sendJson(res, 404, { message: 'No content found with id' });
+
+    if (req.method === 'GET') return sendJson(res, 200, toWikiContent(page));
+    if (req.method === 'PUT') {
+      if (body?.version?.number !== page.version + 1) {
+        return sendJson(res, 409, { message: `Version must be incremented to ${page.version + 1}` });
+      }
+      page.version = body.version.number;
+      page.title = body.title || page.title;
+      page.content = body.body?.storage?.value ?? page.content;
+      page.updated_at = '2026-10-19T09:00:00.000Z';
+      return sendJson(res, 200, toWikiContent(page));
+    }
+    return sendJson(res, 405, { message: 'Method not allowed.' });
+  });
+
+  return {
+    baseUrl: server.baseUrl,
+    pages: store,
+    requests,
+    close: server.close
+  };
+}
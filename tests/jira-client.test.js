@@ -0,0 +1,93 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  JiraRequestError,
+  addJiraComment,
+  createJiraIssue,
+  getJiraIssue,
+  normalizeIssueKey,
+  searchJiraIssues,
+  transitionJiraIssue
+} from '../src/lib/jira-client.js';
+import { startJiraStandIn } from './fixtures/jira-stand-in.js';
+
+test('normalizeIssueKey upper-cases valid keys and rejects anything else', () => {
+  assert.equal(normalizeIssueKey(' ops-12 '), 'OPS-12');
+  assert.throws(() => normalizeIssueKey('OPS'), JiraRequestError);
+  assert.throws(() => normalizeIssueKey('../OPS-1'), JiraRequestError);
+});
+
+test('Jira client searches, reads and comments on issues', async () => {
+  const jira = await startJiraStandIn({
+    issues: [
+      { key: 'OPS-1', summary: 'Rotate on-call keys', assignee: 'Alice' },
+      { key: 'OPS-2', summary: 'Patch VPN', status: 'In Progress' },
+      { key: 'SEC-9', summary: 'Audit logs' }
+    ]
+  });
+  const connection = { baseUrl: jira.baseUrl, auth: { type: 'bearer', token: 'not-a-real-pat' }, timeoutMs: 2000 };
+
+  try {
+    const found = await searchJiraIssues(connection, { jql: 'project = "OPS"', limit: 500 });
+    assert.equal(found.total, 2);
+    assert.deepEqual(found.items.map((item) => item.issue_key), ['OPS-1', 'OPS-2']);
+    assert.equal(jira.requests[0].query.get('maxResults'), '100');
+    assert.equal(jira.requests[0].headers.authorization, 'Bearer not-a-real-pat');
+
+    const issue = await getJiraIssue(connection, { issueKey: 'ops-1' });
+    assert.equal(issue.issue_key, 'OPS-1');
+    assert.equal(issue.status, 'To Do');
+    assert.equal(issue.assignee, 'Alice');
+
+    const comment = await addJiraComment(connection, { issueKey: 'OPS-1', body: 'Keys rotated.' });
+    assert.deepEqual(comment, { issue_key: 'OPS-1', comment_id: '1' });
+
+    await assert.rejects(
+      getJiraIssue(connection, { issueKey: 'OPS-404' }),
+      (err) => err instanceof JiraRequestError && err.status === 404 && /does not exist/.test(err.message)
+    );
+    await assert.rejects(searchJiraIssues(connection, { jql: ' ' }), /requires a jql query/);
+  } finally {
+    await jira.close();
+  }
+});
+
+test('Jira client replays creates by marker label and transitions by name', async () => {
+  const jira = await startJiraStandIn();
+  const connection = {
+    baseUrl: `${jira.baseUrl}/`,
+    auth: { type: 'basic', username: 'bot@example.com', password: 'not-a-real-token' },
+    timeoutMs: 2000
+  };
+
+  try {
+    const createArgs = { projectKey: 'ops', summary: 'Renew TLS cert', labels: ['infra'], marker: 'flockmesh-abc123' };
+    const created = await createJiraIssue(connection, createArgs);
+    assert.equal(created.replayed, false);
+    assert.match(created.issue_key, /^OPS-\d+$/);
+    assert.deepEqual(jira.issues.get(created.issue_key).labels, ['infra', 'flockmesh-abc123']);
+
+    const replayed = await createJiraIssue(connection, createArgs);
+    assert.deepEqual(replayed, { ...created, replayed: true });
+    assert.equal(jira.issues.size, 1);
+
+    const started = await transitionJiraIssue(connection, { issueKey: created.issue_key, transition: 'in progress' });
+    assert.deepEqual(started, {
+      issue_key: created.issue_key,
+      transition_id: '21',
+      status: 'In Progress',
+      replayed: false
+    });
+
+    const again = await transitionJiraIssue(connection, { issueKey: created.issue_key, transition: 'In Progress' });
+    assert.equal(again.replayed, true);
+
+    await assert.rejects(
+      transitionJiraIssue(connection, { issueKey: created.issue_key, transition: 'Reopen' }),
+      (err) => err instanceof JiraRequestError && err.status === 409
+    );
+  } finally {
+    await jira.close();
+  }
+});
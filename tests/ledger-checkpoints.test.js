@@ -0,0 +1,218 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import { DualLedger } from '../src/lib/dual-ledger.js';
+import { resolveIncidentExportSigningConfig } from '../src/lib/incident-export.js';
+import {
+  buildLedgerCheckpoint,
+  computeLedgerMerkleRoot,
+  ledgerHeadsChanged,
+  verifyLedgerCheckpoints
+} from '../src/lib/ledger-checkpoints.js';
+
+const signing = resolveIncidentExportSigningConfig();
+
+async function createLedger() {
+  const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'flockmesh-checkpoints-'));
+  const ledger = new DualLedger({ rootDir });
+  await ledger.init();
+  return { rootDir, ledger };
+}
+
+async function appendAudits(ledger, runId, count) {
+  for (let index = 0; index < count; index += 1) {
+    await ledger.appendAudit({
+      id: `aud_${runId}_${index}`,
+      run_id: runId,
+      event_type: 'run.created',
+      actor: { type: 'system', id: 'flockmesh' },
+      payload_hash: `sha256:${'a'.repeat(64)}`,
+      occurred_at: '2026-03-02T09:00:00.000Z'
+    });
+  }
+}
+
+async function writeCheckpoint(ledger, createdAt = new Date().toISOString()) {
+  const checkpoints = await ledger.readCheckpoints();
+  const { heads, excluded } = await ledger.listAuditHeads();
+  const checkpoint = buildLedgerCheckpoint({
+    heads,
+    excluded,
+    previous: checkpoints[checkpoints.length - 1] || null,
+    createdAt,
+    signing
+  });
+  await ledger.appendCheckpoint(checkpoint);
+  return checkpoint;
+}
+
+async function verify(ledger) {
+  return verifyLedgerCheckpoints({
+    checkpoints: await ledger.readCheckpoints(),
+    ledgers: await ledger.readAuditLedgers(),
+    legacyRunIds: await ledger.loadLegacyChainRuns(),
+    keys: signing.keys
+  });
+}
+
+test('computeLedgerMerkleRoot is order independent and sensitive to every head', () => {
+  const heads = [
+    { run_id: 'run_checkpoint_b', seq: 2, entry_hash: `sha256:${'b'.repeat(64)}` },
+    { run_id: 'run_checkpoint_a', seq: 4, entry_hash: `sha256:${'a'.repeat(64)}` },
+    { run_id: 'run_checkpoint_c', seq: 1, entry_hash: `sha256:${'c'.repeat(64)}` }
+  ];
+  const root = computeLedgerMerkleRoot(heads);
+
+  assert.equal(computeLedgerMerkleRoot([...heads].reverse()), root);
+  assert.notEqual(computeLedgerMerkleRoot(heads.slice(0, 2)), root);
+  assert.notEqual(computeLedgerMerkleRoot([{ ...heads[0], seq: 3 }, heads[1], heads[2]]), root);
+  assert.equal(ledgerHeadsChanged({ merkle_root: root }, heads), false);
+  assert.equal(ledgerHeadsChanged(null, []), false);
+});
+
+test('DualLedger only lets runs that predate chaining keep an unchained prefix', async () => {
+  const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'flockmesh-checkpoints-'));
+
+  try {
+    const ledger = new DualLedger({ rootDir });
+    const legacyLine = (runId) => `${JSON.stringify({
+      id: `aud_${runId}_legacy`,
+      run_id: runId,
+      event_type: 'run.created',
+      occurred_at: '2026-01-01T00:00:00.000Z'
+    })}\n`;
+    await fs.mkdir(ledger.auditDir, { recursive: true });
+    await fs.writeFile(ledger.auditPath('run_checkpoint_legacy'), legacyLine('run_checkpoint_legacy'), 'utf8');
+    await ledger.init();
+
+    await appendAudits(ledger, 'run_checkpoint_fresh', 2);
+    const lines = (await fs.readFile(ledger.auditPath('run_checkpoint_fresh'), 'utf8')).split('\n').filter(Boolean);
+    const stripped = lines.map((line) => {
+      const { seq: _seq, prev_hash: _prev, entry_hash: _hash, ...rest } = JSON.parse(line);
+      return JSON.stringify(rest);
+    });
+    await fs.writeFile(ledger.auditPath('run_checkpoint_fresh'), `${stripped.join('\n')}\n`, 'utf8');
+
+    assert.equal((await ledger.verifyAuditChain('run_checkpoint_legacy')).chain_state, 'unchained');
+    const verdict = await ledger.verifyAuditChain('run_checkpoint_fresh');
+    assert.equal(verdict.chain_state, 'broken');
+    assert.equal(verdict.first_broken_link.reason, 'chain.fields_missing');
+
+    const reopened = new DualLedger({ rootDir });
+    await reopened.init();
+    assert.deepEqual(Array.from(await reopened.loadLegacyChainRuns()), ['run_checkpoint_legacy']);
+    const report = await verify(reopened);
+    assert.deepEqual(report.issues.map((issue) => [issue.code, issue.run_id]), [
+      ['ledger.run_chain_broken', 'run_checkpoint_fresh']
+    ]);
+  } finally {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  }
+});
+
+test('verifyLedgerCheckpoints accepts a linked, signed checkpoint log over intact ledgers', async () => {
+  const { rootDir, ledger } = await createLedger();
+
+  try {
+    await appendAudits(ledger, 'run_checkpoint_alpha', 3);
+    const first = await writeCheckpoint(ledger);
+    await appendAudits(ledger, 'run_checkpoint_alpha', 1);
+    await appendAudits(ledger, 'run_checkpoint_beta', 2);
+    const second = await writeCheckpoint(ledger);
+
+    assert.equal(first.seq, 1);
+    assert.equal(second.prev_checkpoint_hash, first.signature.payload_hash);
+    assert.deepEqual(second.heads.map((head) => [head.run_id, head.seq]), [
+      ['run_checkpoint_alpha', 4],
+      ['run_checkpoint_beta', 2]
+    ]);
+
+    const report = await verify(ledger);
+    assert.equal(report.checkpoint_state, 'valid');
+    assert.equal(report.verified_checkpoints, 2);
+    assert.equal(report.uncheckpointed_runs, 0);
+    assert.deepEqual(report.issues, []);
+  } finally {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  }
+});
+
+test('buildLedgerCheckpoint signs only verified heads and records broken runs', async () => {
+  const { rootDir, ledger } = await createLedger();
+
+  try {
+    await appendAudits(ledger, 'run_checkpoint_alpha', 2);
+    await appendAudits(ledger, 'run_checkpoint_beta', 3);
+
+    const betaPath = ledger.auditPath('run_checkpoint_beta');
+    const lines = (await fs.readFile(betaPath, 'utf8')).split('\n').filter(Boolean);
+    const tampered = JSON.parse(lines[1]);
+    tampered.actor = { type: 'user', id: 'usr_forged' };
+    lines[1] = JSON.stringify(tampered);
+    await fs.writeFile(betaPath, `${lines.join('\n')}\n`, 'utf8');
+
+    const checkpoint = await writeCheckpoint(ledger);
+    assert.deepEqual(checkpoint.heads.map((head) => head.run_id), ['run_checkpoint_alpha']);
+    assert.equal(checkpoint.run_count, 1);
+    assert.deepEqual(checkpoint.excluded_runs, [
+      { run_id: 'run_checkpoint_beta', chain_state: 'broken', reason: 'chain.entry_hash_mismatch' }
+    ]);
+    assert.equal(checkpoint.merkle_root, computeLedgerMerkleRoot(checkpoint.heads));
+
+    const { heads, excluded } = await ledger.listAuditHeads();
+    assert.equal(ledgerHeadsChanged(checkpoint, heads, excluded), false);
+    assert.equal(ledgerHeadsChanged(checkpoint, heads, []), true);
+  } finally {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  }
+});
+
+test('verifyLedgerCheckpoints detects dropped, truncated, and forged state', async () => {
+  const { rootDir, ledger } = await createLedger();
+
+  try {
+    await appendAudits(ledger, 'run_checkpoint_alpha', 3);
+    await appendAudits(ledger, 'run_checkpoint_beta', 3);
+    await writeCheckpoint(ledger);
+
+    const alphaPath = ledger.auditPath('run_checkpoint_alpha');
+    const lines = (await fs.readFile(alphaPath, 'utf8')).split('\n').filter(Boolean);
+    await fs.writeFile(alphaPath, `${lines.slice(0, 2).join('\n')}\n`, 'utf8');
+    await fs.rm(ledger.auditPath('run_checkpoint_beta'));
+
+    const report = await verify(ledger);
+    assert.equal(report.checkpoint_state, 'invalid');
+    assert.deepEqual(
+      report.issues.map((issue) => [issue.code, issue.run_id]),
+      [
+        ['checkpoint.run_ledger_truncated', 'run_checkpoint_alpha'],
+        ['checkpoint.run_ledger_missing', 'run_checkpoint_beta']
+      ]
+    );
+
+    const fresh = new DualLedger({ rootDir });
+    await writeCheckpoint(fresh);
+    const dropped = await verify(fresh);
+    assert.ok(dropped.issues.some((issue) =>
+      issue.checkpoint_seq === 2 &&
+      issue.code === 'checkpoint.run_dropped' &&
+      issue.run_id === 'run_checkpoint_beta'
+    ));
+    assert.ok(dropped.issues.some((issue) => issue.code === 'checkpoint.run_regressed'));
+
+    const checkpoints = await fresh.readCheckpoints();
+    const forged = { ...checkpoints[0], run_count: 1, heads: checkpoints[0].heads.slice(0, 1) };
+    const forgedReport = verifyLedgerCheckpoints({
+      checkpoints: [forged],
+      ledgers: new Map(),
+      keys: signing.keys
+    });
+    assert.ok(forgedReport.issues.some((issue) => issue.code === 'checkpoint.signature_invalid'));
+    assert.ok(forgedReport.issues.some((issue) => issue.code === 'checkpoint.merkle_root_mismatch'));
+  } finally {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,192 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  MailRequestError,
+  buildEmailMessage,
+  buildImapSearchCriteria,
+  extractPlainTextBody,
+  parseEmailHeaders,
+  readEmail,
+  searchEmails,
+  sendEmail,
+  summarizeEmailRecipients
+} from '../src/lib/mail-client.js';
+import { startImapStandIn, startSmtpStandIn } from './fixtures/mail-stand-in.js';
+
+const INBOX = [
+  {
+    uid: 3,
+    from: 'Ops Lead <lead@example.com>',
+    to: 'ops@example.com',
+    subject: '=?UTF-8?B?5ZGo5oql?= review',
+    date: 'Mon, 19 Oct 2026 08:00:00 +0000',
+    message_id: '<weekly@example.com>',
+    text: 'Weekly numbers attached.\r\n',
+    seen: true
+  },
+  {
+    uid: 7,
+    from: 'vendor@partner.io',
+    to: 'ops@example.com',
+    subject: 'Invoice 42',
+    date: 'Mon, 19 Oct 2026 09:00:00 +0000',
+    message_id: '<invoice-42@partner.io>',
+    content_type: 'multipart/alternative; boundary="b1"',
+    text: '--b1\r\nContent-Type: text/html\r\n\r\n<p>html</p>\r\n--b1\r\nContent-Type: text/plain\r\n\r\nPlease pay invoice 42.\r\n--b1--\r\n'
+  }
+];
+
+test('summarizeEmailRecipients splits internal and external domains', () => {
+  const summary = summarizeEmailRecipients({
+    to: ['Ops <ops@example.com>', 'buyer@Partner.io'],
+    cc: 'finance@example.com, legal@counsel.law',
+    bcc: []
+  }, { internalDomains: ['example.com'] });
+
+  assert.deepEqual(summary, {
+    recipient_count: 4,
+    recipient_domains: ['counsel.law', 'example.com', 'partner.io'],
+    external_recipient_domains: ['counsel.law', 'partner.io'],
+    external_recipients: true
+  });
+
+  const internalOnly = summarizeEmailRecipients({ to: 'ops@example.com' }, { internalDomains: ['example.com'] });
+  assert.equal(internalOnly.external_recipients, false);
+
+  const unresolvable = summarizeEmailRecipients({ to: 'not-an-address' }, { internalDomains: ['example.com'] });
+  assert.equal(unresolvable.external_recipients, true);
+  assert.deepEqual(unresolvable.recipient_domains, []);
+});
+
+test('buildEmailMessage encodes subject and body and parses back', () => {
+  const raw = buildEmailMessage({
+    from: 'bot@example.com',
+    to: ['ops@example.com'],
+    subject: '周报 ready',
+    text: 'Numbers are in.',
+    messageId: '<abc@example.com>',
+    date: new Date('2026-10-19T08:00:00.000Z')
+  });
+  const [head, body] = raw.split('\r\n\r\n');
+  const headers = parseEmailHeaders(head);
+
+  assert.equal(headers.subject, '周报 ready');
+  assert.equal(headers['message-id'], '<abc@example.com>');
+  assert.equal(extractPlainTextBody(body, headers).trim(), 'Numbers are in.');
+});
+
+test('buildImapSearchCriteria quotes values and defaults to ALL', () => {
+  assert.equal(buildImapSearchCriteria({}), 'ALL');
+  assert.equal(
+    buildImapSearchCriteria({ from: 'lead "ops"', since: '2026-10-01T00:00:00.000Z', unseen: true }),
+    'FROM "lead \\"ops\\"" SINCE 1-Oct-2026 UNSEEN'
+  );
+});
+
+test('sendEmail delivers through SMTP and reports rejected recipients', async () => {
+  const smtp = await startSmtpStandIn({ rejectDomains: ['blocked.test'] });
+  try {
+    const receipt = await sendEmail({
+      host: smtp.host,
+      port: smtp.port,
+      username: 'bot',
+      password: 'not-a-real-password',
+      from: 'FlockMesh <bot@example.com>',
+      to: ['ops@example.com', 'someone@blocked.test'],
+      subject: 'Status',
+      text: 'All systems nominal.',
+      messageId: '<status-1@example.com>',
+      timeoutMs: 2000
+    });
+
+    assert.deepEqual(receipt.accepted, ['ops@example.com']);
+    assert.equal(receipt.rejected[0].recipient, 'someone@blocked.test');
+    assert.equal(receipt.rejected[0].code, 550);
+    assert.match(receipt.response, /^250 /);
+    assert.deepEqual(smtp.logins, [{ username: 'bot', password: 'not-a-real-password' }]);
+    assert.equal(smtp.messages[0].from, 'bot@example.com');
+    assert.match(smtp.messages[0].data, /Message-ID: <status-1@example\.com>/);
+
+    await assert.rejects(
+      sendEmail({
+        host: smtp.host,
+        port: smtp.port,
+        from: 'bot@example.com',
+        to: ['someone@blocked.test'],
+        messageId: '<status-2@example.com>',
+        timeoutMs: 2000
+      }),
+      (err) => err instanceof MailRequestError && err.status === 550
+    );
+  } finally {
+    await smtp.close();
+  }
+});
+
+test('sendEmail rejects addresses that could inject SMTP commands or headers before connecting', async () => {
+  const send = (overrides) => sendEmail({
+    host: '127.0.0.1',
+    port: 1,
+    from: 'bot@example.com',
+    to: ['ops@example.com'],
+    messageId: '<inject-1@example.com>',
+    timeoutMs: 2000,
+    ...overrides
+  });
+  const invalid = (field) => (err) => err instanceof MailRequestError && err.message.startsWith(`Invalid ${field} address`);
+
+  await assert.rejects(send({ to: ['ops@example.com>\r\nRCPT TO:<attacker@evil.test'] }), invalid('to'));
+  await assert.rejects(send({ cc: ['Ops <ops@example.com>\r\nBcc: attacker@evil.test'] }), invalid('cc'));
+  await assert.rejects(send({ bcc: ['not-an-address'] }), invalid('bcc'));
+  await assert.rejects(send({ from: 'bot@example.com\nX-Injected: 1' }), invalid('from'));
+});
+
+test('searchEmails rejects CR, LF or NUL in quoted IMAP strings before connecting', async () => {
+  const rejectsField = (field) => (err) => (
+    err instanceof MailRequestError && err.message === `IMAP ${field} cannot contain CR, LF or NUL`
+  );
+  assert.throws(() => buildImapSearchCriteria({ subject: 'x"\r\nA9 DELETE INBOX\r\n' }), rejectsField('subject'));
+  assert.throws(() => buildImapSearchCriteria({ text: 'a\0b' }), rejectsField('text'));
+
+  const connection = { host: '127.0.0.1', port: 1, secure: false, username: 'bot', password: 'x', timeoutMs: 2000 };
+  await assert.rejects(searchEmails(connection, { from: 'ops@example.com\nA9 DELETE INBOX' }), rejectsField('from'));
+  await assert.rejects(searchEmails({ ...connection, password: 'x\r\nA9 DELETE INBOX' }, {}), rejectsField('password'));
+  await assert.rejects(readEmail({ ...connection, mailbox: 'INBOX\r\nA9 DELETE INBOX' }, { uid: 1 }), rejectsField('mailbox'));
+});
+
+test('searchEmails and readEmail fetch through IMAP', async () => {
+  const imap = await startImapStandIn({ messages: INBOX });
+  const connection = {
+    host: imap.host,
+    port: imap.port,
+    secure: false,
+    username: 'ops',
+    password: 'not-a-real-password',
+    timeoutMs: 2000
+  };
+  try {
+    const all = await searchEmails(connection, {});
+    assert.equal(all.total, 2);
+    assert.deepEqual(all.items.map((item) => item.uid), [7, 3]);
+    assert.equal(all.items[1].subject, '周报 review');
+    assert.equal(all.items[1].seen, true);
+    assert.equal(all.items[0].text, undefined);
+
+    const filtered = await searchEmails(connection, { subject: 'invoice', limit: 5 });
+    assert.deepEqual(filtered.items.map((item) => item.message_id), ['<invoice-42@partner.io>']);
+    assert.ok(imap.commands.includes('EXAMINE "INBOX"'));
+    assert.ok(imap.commands.includes('UID SEARCH SUBJECT "invoice"'));
+
+    const message = await readEmail(connection, { uid: 7 });
+    assert.equal(message.from, 'vendor@partner.io');
+    assert.equal(message.text, 'Please pay invoice 42.');
+
+    await assert.rejects(
+      readEmail(connection, { uid: 99 }),
+      (err) => err instanceof MailRequestError && err.status === 'NOT_FOUND'
+    );
+  } finally {
+    await imap.close();
+  }
+});
@@ -0,0 +1,207 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import {
+  compilePlaybookDsl,
+  expandPlaybookActionIntents,
+  listPlaybooks,
+  loadPlaybooksFromDir,
+  renderPlaybookTemplate,
+  resolvePlaybookInputs
+} from '../src/lib/playbooks.js';
+
+function buildPlaybookDocument(overrides = {}) {
+  return {
+    version: 'v0',
+    playbook_id: 'pbk_test_runtime',
+    name: 'Test Runtime',
+    description: 'Read the calendar, then announce the agenda.',
+    inputs: {
+      channel: { default: 'ops-room' },
+      owner: { required: true }
+    },
+    steps: [
+      {
+        step_id: 'read_calendar',
+        capability: 'calendar.read',
+        side_effect: 'none',
+        risk_hint: 'R0',
+        parameters: { owner: '{{inputs.owner}}' },
+        target: { surface: 'office.calendar' }
+      },
+      {
+        step_id: 'send_agenda',
+        capability: 'message.send',
+        side_effect: 'mutation',
+        risk_hint: 'R2',
+        parameters: {
+          channel: '{{inputs.channel}}',
+          content: 'Agenda for {{run.workspace_id}} from {{trigger.source}}'
+        },
+        target: { surface: 'office.chat' }
+      }
+    ],
+    ...overrides
+  };
+}
+
+test('compilePlaybookDsl validates and normalizes playbook steps', () => {
+  const compiled = compilePlaybookDsl(buildPlaybookDocument(), { source: 'test' });
+
+  assert.equal(compiled.playbook_id, 'pbk_test_runtime');
+  assert.deepEqual(compiled.steps.map((step) => step.step_id), ['read_calendar', 'send_agenda']);
+  assert.deepEqual(compiled.inputs.channel, {
+    required: false,
+    default: 'ops-room',
+    description: ''
+  });
+});
+
+test('compilePlaybookDsl rejects duplicated steps and unresolvable templates', () => {
+  const base = buildPlaybookDocument();
+
+  assert.throws(() => {
+    compilePlaybookDsl({
+      ...base,
+      steps: [base.steps[0], base.steps[0]]
+    }, { source: 'test' });
+  }, /duplicated step_id/);
+
+  assert.throws(() => {
+    compilePlaybookDsl({
+      ...base,
+      steps: [{
+        ...base.steps[1],
+        parameters: { channel: '{{inputs.undeclared}}' }
+      }]
+    }, { source: 'test' });
+  }, /unresolvable template reference/);
+});
+
+test('compilePlaybookDsl validates step dependencies and step output references', () => {
+  const base = buildPlaybookDocument();
+  const [readStep, sendStep] = base.steps;
+
+  const compiled = compilePlaybookDsl({
+    ...base,
+    steps: [
+      readStep,
+      {
+        ...sendStep,
+        depends_on: ['read_calendar'],
+        parameters: { ...sendStep.parameters, source_ref: '{{steps.read_calendar.output.tx_id}}' }
+      }
+    ]
+  }, { source: 'test' });
+  assert.deepEqual(compiled.steps[1].depends_on, ['read_calendar']);
+
+  assert.throws(() => {
+    compilePlaybookDsl({
+      ...base,
+      steps: [readStep, { ...sendStep, depends_on: ['missing_step'] }]
+    }, { source: 'test' });
+  }, /depends on unknown steps/);
+
+  assert.throws(() => {
+    compilePlaybookDsl({
+      ...base,
+      steps: [
+        { ...readStep, depends_on: ['send_agenda'] },
+        { ...sendStep, depends_on: ['read_calendar'] }
+      ]
+    }, { source: 'test' });
+  }, /dependency cycle/);
+
+  assert.throws(() => {
+    compilePlaybookDsl({
+      ...base,
+      steps: [
+        readStep,
+        { ...sendStep, parameters: { source_ref: '{{steps.read_calendar.output.tx_id}}' } }
+      ]
+    }, { source: 'test' });
+  }, /unresolvable template reference/);
+});
+
+test('renderPlaybookTemplate defers references whose root is not in context', () => {
+  const rendered = renderPlaybookTemplate({
+    channel: '{{inputs.channel}}',
+    source_ref: 'ref:{{steps.read_calendar.output.tx_id}}'
+  }, { inputs: { channel: 'ops-room' } });
+
+  assert.deepEqual(rendered, {
+    channel: 'ops-room',
+    source_ref: 'ref:{{steps.read_calendar.output.tx_id}}'
+  });
+  assert.equal(
+    renderPlaybookTemplate(rendered.source_ref, { steps: { read_calendar: { output: { tx_id: 'tx_1' } } } }),
+    'ref:tx_1'
+  );
+});
+
+test('resolvePlaybookInputs applies defaults and rejects missing or unknown inputs', () => {
+  const playbook = compilePlaybookDsl(buildPlaybookDocument(), { source: 'test' });
+
+  assert.deepEqual(resolvePlaybookInputs({ playbook, inputs: { owner: 'usr_yingapple' } }), {
+    channel: 'ops-room',
+    owner: 'usr_yingapple'
+  });
+  assert.throws(() => resolvePlaybookInputs({ playbook, inputs: {} }), /Missing required playbook input/);
+  assert.throws(
+    () => resolvePlaybookInputs({ playbook, inputs: { owner: 'usr_a', extra: 1 } }),
+    /Unknown playbook inputs/
+  );
+});
+
+test('expandPlaybookActionIntents renders templates and binds connectors per capability', () => {
+  const playbook = compilePlaybookDsl(buildPlaybookDocument(), { source: 'test' });
+  const run = {
+    id: 'run_test_expand',
+    workspace_id: 'wsp_mindverse_cn',
+    agent_id: 'agt_test_expand',
+    playbook_id: playbook.playbook_id,
+    trigger: { type: 'manual', source: 'ops.control', actor_id: 'usr_yingapple', at: '2026-03-02T09:00:00.000Z' }
+  };
+
+  const intents = expandPlaybookActionIntents({
+    playbook,
+    run,
+    inputs: resolvePlaybookInputs({ playbook, inputs: { owner: 'usr_yingapple' } }),
+    resolveConnectorBindingId: (capability) => (capability === 'message.send' ? 'cnb_test_chat' : '')
+  });
+
+  assert.equal(intents.length, 2);
+  assert.equal(intents[0].parameters.owner, 'usr_yingapple');
+  assert.equal(intents[0].connector_binding_id, undefined);
+  assert.equal(intents[0].idempotency_key, undefined);
+  assert.equal(intents[1].connector_binding_id, 'cnb_test_chat');
+  assert.equal(intents[1].idempotency_key, 'run_test_expand_send_agenda_v1');
+  assert.equal(intents[1].parameters.content, 'Agenda for wsp_mindverse_cn from ops.control');
+  assert.deepEqual(intents[1].target, { surface: 'office.chat' });
+  assert.equal(intents[1].depends_on, undefined);
+});
+
+test('loadPlaybooksFromDir loads playbook files from playbooks directory', async () => {
+  const tempRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'flockmesh-playbooks-'));
+
+  try {
+    const playbooksDir = path.join(tempRoot, 'playbooks');
+    await fs.mkdir(playbooksDir, { recursive: true });
+    await fs.writeFile(
+      path.join(playbooksDir, 'test.playbook.json'),
+      JSON.stringify(buildPlaybookDocument(), null, 2)
+    );
+
+    const library = await loadPlaybooksFromDir({ rootDir: tempRoot });
+    assert.ok(library.pbk_test_runtime);
+
+    const catalog = listPlaybooks({ playbookLibrary: library });
+    assert.equal(catalog.total, 1);
+    assert.equal(catalog.items[0].playbook_id, 'pbk_test_runtime');
+  } finally {
+    await fs.rm(tempRoot, { recursive: true, force: true });
+  }
+});
@@ -4,7 +4,8 @@ import assert from 'node:assert/strict';
 import {
   canActorManagePolicyProfile,
   compilePolicyAdminConfigDocument,
-  mergePolicyAdminConfigs
+  mergePolicyAdminConfigs,
+  resolvePolicyProfileQuorum
 } from '../src/lib/policy-admins.js';
 
 test('compilePolicyAdminConfigDocument normalizes admin config', () => {
@@ -55,3 +56,18 @@ test('canActorManagePolicyProfile enforces global/profile owner scopes', () => {
   assert.equal(denied.allowed, false);
   assert.equal(denied.reason_code, 'policy.admin.not_authorized');
 });
+
+test('resolvePolicyProfileQuorum defaults to one and keeps the strictest merged quorum', () => {
+  const config = mergePolicyAdminConfigs([
+    { version: 'v0', profile_quorum: { org_default_safe: 2 } },
+    { version: 'v0', profile_quorum: { org_default_safe: 3, workspace_ops_cn: 1 } }
+  ]);
+
+  assert.equal(resolvePolicyProfileQuorum({ config, profileName: 'org_default_safe' }), 3);
+  assert.equal(resolvePolicyProfileQuorum({ config, profileName: 'workspace_ops_cn' }), 1);
+  assert.equal(resolvePolicyProfileQuorum({ config, profileName: 'agent_ops_assistant' }), 1);
+  assert.throws(() => compilePolicyAdminConfigDocument({
+    version: 'v0',
+    profile_quorum: { org_default_safe: 6 }
+  }, { source: 'test.policy-admins' }), /must be an integer between 1 and 5/);
+});
@@ -1,9 +1,17 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 
-import { compilePolicyProfileDsl, loadPolicyLibraryFromDir } from '../src/lib/policy-dsl.js';
+import {
+  compilePolicyProfileDsl,
+  listMatchingCapabilityPatterns,
+  loadPolicyLibraryFromDir,
+  matchesCapabilityPattern,
+  resolvePolicyProfileInheritance
+} from '../src/lib/policy-dsl.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -42,6 +50,149 @@ test('compilePolicyProfileDsl rejects escalate rules without valid required_appr
   }, /required_approvals/);
 });
 
+test('compilePolicyProfileDsl compiles approval TTLs for escalate rules only', () => {
+  const compiled = compilePolicyProfileDsl({
+    version: 'v0',
+    name: 'workspace_ttl_cn',
+    rules: [
+      { capability: 'message.send', decision: 'escalate', approval_ttl_seconds: 900 }
+    ]
+  }, { source: 'inline-test' });
+
+  assert.deepEqual(compiled.rules['message.send'], {
+    decision: 'escalate',
+    requiredApprovals: 1,
+    approvalTtlSeconds: 900
+  });
+
+  assert.throws(() => {
+    compilePolicyProfileDsl({
+      version: 'v0',
+      name: 'broken_policy',
+      rules: [{ capability: 'doc.read', decision: 'allow', approval_ttl_seconds: 900 }]
+    }, { source: 'inline-test' });
+  }, /only set approval_ttl_seconds for escalate/);
+
+  assert.throws(() => {
+    compilePolicyProfileDsl({
+      version: 'v0',
+      name: 'broken_policy',
+      rules: [{ capability: 'message.send', decision: 'escalate', approval_ttl_seconds: 5 }]
+    }, { source: 'inline-test' });
+  }, /approval_ttl_seconds between/);
+});
+
+test('compilePolicyProfileDsl normalizes approver constraints on escalate rules', () => {
+  const compiled = compilePolicyProfileDsl({
+    version: 'v0',
+    name: 'workspace_approvers_cn',
+    rules: [
+      {
+        capability: 'payment.execute',
+        decision: 'escalate',
+        required_approvals: 2,
+        approver_constraints: {
+          required_roles: ['workspace_admin', 'operator'],
+          approver_groups: { finance_leads: ['usr_finance_ops', 'usr_finance_lead'] },
+          exclude_initiator: true,
+          distinct_roles: true
+        }
+      }
+    ]
+  }, { source: 'inline-test' });
+
+  assert.deepEqual(compiled.rules['payment.execute'].approverConstraints, {
+    required_roles: ['operator', 'workspace_admin'],
+    approver_groups: { finance_leads: ['usr_finance_lead', 'usr_finance_ops'] },
+    exclude_initiator: true,
+    distinct_roles: true
+  });
+
+  const compile = (rule) => compilePolicyProfileDsl({
+    version: 'v0',
+    name: 'broken_policy',
+    rules: [{ capability: 'message.send', decision: 'escalate', ...rule }]
+  }, { source: 'inline-test' });
+
+  assert.throws(() => compile({ decision: 'allow', approver_constraints: { exclude_initiator: true } }), /only be set for escalate/);
+  assert.throws(() => compile({ approver_constraints: { required_roles: ['auditor'] } }), /required_roles must be a non-empty subset/);
+  assert.throws(() => compile({ approver_constraints: { approver_groups: { leads: [] } } }), /leads must be a non-empty array/);
+  assert.throws(() => compile({ approver_constraints: { quorum: 2 } }), /unsupported constraint: quorum/);
+  assert.throws(() => compile({
+    required_approvals: 2,
+    approver_constraints: { required_roles: ['operator'], distinct_roles: true }
+  }), /distinct_roles needs required_approvals <= 1/);
+});
+
+test('compilePolicyProfileDsl normalizes when conditions and rejects invalid matchers', () => {
+  const compiled = compilePolicyProfileDsl({
+    version: 'v0',
+    name: 'workspace_conditional_cn',
+    rules: [
+      {
+        capability: 'calendar.write',
+        decision: 'escalate',
+        when: {
+          target: { surface: { in: ['office.calendar'] } },
+          time_window: { mode: 'outside', timezone: 'Asia/Shanghai', days: ['fri', 'mon'], start: '09:00', end: '18:00' }
+        }
+      }
+    ]
+  }, { source: 'inline-test' });
+
+  assert.deepEqual(compiled.rules['calendar.write'].when, {
+    target: { surface: { in: ['office.calendar'] } },
+    time_window: { mode: 'outside', timezone: 'Asia/Shanghai', days: ['mon', 'fri'], start: '09:00', end: '18:00' }
+  });
+
+  const compile = (when) => compilePolicyProfileDsl({
+    version: 'v0',
+    name: 'broken_policy',
+    rules: [{ capability: 'message.send', decision: 'deny', when }]
+  }, { source: 'inline-test' });
+
+  assert.throws(() => compile({ weather: { equals: 'rain' } }), /unsupported condition: weather/);
+  assert.throws(() => compile({ parameters: { channel: { matches: '(' } } }), /not a valid regular expression/);
+  assert.throws(() => compile({ agent_role: { equals: 'a', in: ['b'] } }), /exactly one of/);
+  assert.throws(() => compile({ time_window: { timezone: 'Mars/Olympus', start: '09:00', end: '18:00' } }), /IANA timezone/);
+  assert.throws(() => compile({ time_window: { start: '9am', end: '18:00' } }), /HH:MM/);
+});
+
+test('compilePolicyProfileDsl accepts glob capability patterns and rejects partial wildcards', () => {
+  const compiled = compilePolicyProfileDsl({
+    version: 'v0',
+    name: 'workspace_glob_cn',
+    rules: [
+      { capability: 'calendar.*', decision: 'allow' },
+      { capability: '*.write', decision: 'escalate' },
+      { capability: '*', decision: 'deny' }
+    ]
+  }, { source: 'inline-test' });
+  assert.deepEqual(Object.keys(compiled.rules), ['calendar.*', '*.write', '*']);
+
+  for (const capability of ['cal*.read', 'calendar.**', 'calendar.', '*.']) {
+    assert.throws(() => compilePolicyProfileDsl({
+      version: 'v0',
+      name: 'broken_policy',
+      rules: [{ capability, decision: 'allow' }]
+    }, { source: 'inline-test' }), /invalid capability/);
+  }
+});
+
+test('listMatchingCapabilityPatterns orders matches from most to least specific', () => {
+  const patterns = ['*', '*.write', 'calendar.*', 'calendar.write', 'doc.*', '*.*', 'calendar.event.write'];
+
+  assert.deepEqual(listMatchingCapabilityPatterns(patterns, 'calendar.write'), [
+    'calendar.write',
+    'calendar.*',
+    '*.write',
+    '*.*',
+    '*'
+  ]);
+  assert.deepEqual(listMatchingCapabilityPatterns(patterns, 'calendar.event.write'), ['calendar.event.write', '*']);
+  assert.equal(matchesCapabilityPattern('calendar.*', 'calendar.event.write'), false);
+});
+
 test('loadPolicyLibraryFromDir loads policy files from the repository policies folder', async () => {
   const library = await loadPolicyLibraryFromDir({ rootDir: projectRoot });
 
@@ -50,3 +201,65 @@ test('loadPolicyLibraryFromDir loads policy files from the repository policies f
   assert.ok(library.agent_ops_assistant);
   assert.equal(library.org_default_safe.rules['message.send'].decision, 'escalate');
 });
+
+test('resolvePolicyProfileInheritance merges parent chains and records ancestry', () => {
+  const compile = (document) => compilePolicyProfileDsl({ version: 'v0', ...document }, { source: 'inline-test' });
+  const library = resolvePolicyProfileInheritance({
+    org_base: compile({
+      name: 'org_base',
+      rules: [
+        { capability: 'message.send', decision: 'escalate', required_approvals: 1 },
+        { capability: 'ticket.create', decision: 'deny' }
+      ]
+    }),
+    sales_overlay: compile({
+      name: 'sales_overlay',
+      rules: [{ capability: 'crm.read', decision: 'allow' }]
+    }),
+    workspace_sales: compile({
+      name: 'workspace_sales',
+      extends: ['org_base', 'sales_overlay'],
+      rules: [{ capability: 'ticket.create', decision: 'allow' }]
+    }),
+    agent_sales: compile({ name: 'agent_sales', extends: ['workspace_sales'], rules: [] })
+  }, { source: 'inline-test' });
+
+  assert.deepEqual(library.agent_sales.ancestry, ['org_base', 'sales_overlay', 'workspace_sales']);
+  assert.deepEqual(library.agent_sales.declaredRules, {});
+  assert.deepEqual(Object.keys(library.agent_sales.rules).sort(), ['crm.read', 'message.send', 'ticket.create']);
+  assert.equal(library.agent_sales.rules['ticket.create'].decision, 'allow');
+  assert.equal(library.org_base.ancestry, undefined);
+
+  assert.throws(() => resolvePolicyProfileInheritance({
+    agent_sales: compile({ name: 'agent_sales', extends: ['missing_profile'], rules: [] })
+  }, { source: 'inline-test' }), /extends unknown profile: missing_profile/);
+  assert.throws(() => compile({ name: 'agent_sales', extends: ['agent_sales'], rules: [] }), /cannot extend itself/);
+  assert.throws(() => compile({ name: 'agent_sales', rules: [] }), /at least one rule/);
+});
+
+test('loadPolicyLibraryFromDir rejects inheritance cycles at load time', async () => {
+  const tempRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'flockmesh-policy-dsl-'));
+
+  try {
+    const policiesDir = path.join(tempRoot, 'policies');
+    await fs.mkdir(policiesDir, { recursive: true });
+    const profiles = [
+      { name: 'profile_alpha', extends: ['profile_gamma'] },
+      { name: 'profile_beta', extends: ['profile_alpha'] },
+      { name: 'profile_gamma', extends: ['profile_beta'] }
+    ];
+    for (const profile of profiles) {
+      await fs.writeFile(
+        path.join(policiesDir, `${profile.name}.policy.json`),
+        JSON.stringify({ version: 'v0', ...profile, rules: [{ capability: 'crm.read', decision: 'allow' }] })
+      );
+    }
+
+    await assert.rejects(
+      loadPolicyLibraryFromDir({ rootDir: tempRoot }),
+      /\[policies\] policy inheritance cycle detected: profile_alpha -> profile_gamma -> profile_beta -> profile_alpha/
+    );
+  } finally {
+    await fs.rm(tempRoot, { recursive: true, force: true });
+  }
+});
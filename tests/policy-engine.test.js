@@ -1,7 +1,7 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
 
-import { evaluatePolicy } from '../src/lib/policy-engine.js';
+import { checkApproverConstraints, evaluatePolicy } from '../src/lib/policy-engine.js';
 
 test('policy escalates message.send in R2', () => {
   const decision = evaluatePolicy({
@@ -26,6 +26,131 @@ test('policy escalates message.send in R2', () => {
   assert.equal(decision.decision, 'escalate');
   assert.equal(decision.required_approvals, 1);
   assert.equal(decision.risk_tier, 'R2');
+  assert.equal(decision.approval_ttl_seconds, 14400);
+});
+
+test('policy keeps the shortest approval TTL among escalating rules', () => {
+  const policyLibrary = {
+    org_ttl: { name: 'org_ttl', rules: { 'message.send': { decision: 'escalate', requiredApprovals: 1, approvalTtlSeconds: 3600 } } },
+    workspace_ttl: { name: 'workspace_ttl', rules: { 'message.send': { decision: 'escalate', requiredApprovals: 1, approvalTtlSeconds: 600 } } },
+    agent_plain: { name: 'agent_plain', rules: {} }
+  };
+
+  const decision = evaluatePolicy({
+    runId: 'run_test_123456',
+    actionIntent: {
+      id: 'act_test_123456',
+      run_id: 'run_test_123456',
+      step_id: 'send_summary',
+      capability: 'message.send',
+      side_effect: 'mutation',
+      idempotency_key: 'run_test_123456_send_summary_v1',
+      risk_hint: 'R2',
+      parameters: {}
+    },
+    policyContext: {
+      org_policy: 'org_ttl',
+      workspace_policy: 'workspace_ttl',
+      agent_policy: 'agent_plain'
+    },
+    policyLibrary
+  });
+
+  assert.equal(decision.decision, 'escalate');
+  assert.equal(decision.approval_ttl_seconds, 600);
+});
+
+test('policy merges approver constraints from every escalating rule', () => {
+  const actionIntent = {
+    id: 'act_test_123456',
+    run_id: 'run_test_123456',
+    step_id: 'pay_vendor',
+    capability: 'payment.execute',
+    side_effect: 'mutation',
+    idempotency_key: 'run_test_123456_pay_vendor_v1',
+    risk_hint: 'R3',
+    parameters: {}
+  };
+  const buildLibrary = (workspaceRoles) => ({
+    org_pay: {
+      name: 'org_pay',
+      rules: {
+        'payment.execute': {
+          decision: 'escalate',
+          requiredApprovals: 2,
+          approverConstraints: { required_roles: ['operator', 'workspace_admin'], exclude_initiator: true }
+        }
+      }
+    },
+    workspace_pay: {
+      name: 'workspace_pay',
+      rules: {
+        'payment.execute': {
+          decision: 'escalate',
+          requiredApprovals: 1,
+          approverConstraints: { required_roles: workspaceRoles, distinct_roles: true }
+        }
+      }
+    },
+    agent_plain: { name: 'agent_plain', rules: {} }
+  });
+  const policyContext = { org_policy: 'org_pay', workspace_policy: 'workspace_pay', agent_policy: 'agent_plain' };
+
+  const decision = evaluatePolicy({
+    runId: 'run_test_123456',
+    actionIntent,
+    policyContext,
+    policyLibrary: buildLibrary(['operator', 'org_admin', 'workspace_admin'])
+  });
+  assert.equal(decision.decision, 'escalate');
+  assert.equal(decision.required_approvals, 2);
+  assert.deepEqual(decision.approver_constraints, {
+    required_roles: ['operator', 'workspace_admin'],
+    exclude_initiator: true,
+    distinct_roles: true
+  });
+
+  const unsatisfiable = evaluatePolicy({
+    runId: 'run_test_123456',
+    actionIntent,
+    policyContext,
+    policyLibrary: buildLibrary(['operator'])
+  });
+  assert.equal(unsatisfiable.decision, 'deny');
+  assert.equal(unsatisfiable.approver_constraints, undefined);
+  assert.ok(unsatisfiable.reason_codes.includes('policy.approver_constraints_unsatisfiable'));
+});
+
+test('checkApproverConstraints enforces initiator, role, group, and distinct-role rules', () => {
+  const constraints = {
+    required_roles: ['operator', 'workspace_admin'],
+    approver_groups: { finance_leads: ['usr_finance_a', 'usr_finance_b', 'usr_initiator'] },
+    exclude_initiator: true,
+    distinct_roles: true
+  };
+  const check = (approverId, approverRoles, creditedRoles = {}) => checkApproverConstraints({
+    constraints,
+    approverId,
+    approverRoles,
+    initiatorId: 'usr_initiator',
+    creditedRoles
+  });
+
+  assert.equal(check('usr_initiator', ['operator']).reasonCode, 'approval.constraint.initiator_excluded');
+  assert.equal(check('usr_finance_a', ['auditor']).reasonCode, 'approval.constraint.role_required');
+  assert.equal(check('usr_outsider', ['operator']).reasonCode, 'approval.constraint.group_required');
+  assert.equal(
+    check('usr_finance_b', ['operator'], { usr_finance_a: 'operator' }).reasonCode,
+    'approval.constraint.distinct_roles'
+  );
+
+  assert.deepEqual(check('usr_finance_b', ['operator', 'workspace_admin'], { usr_finance_a: 'operator' }), {
+    ok: true,
+    satisfied: ['exclude_initiator', 'required_roles', 'approver_groups', 'distinct_roles'],
+    approverGroup: 'finance_leads',
+    creditedRole: 'workspace_admin'
+  });
+  assert.deepEqual(checkApproverConstraints({ approverId: 'usr_finance_a' }), { ok: true, satisfied: [] });
 });
 
 test('policy fails closed when mutation idempotency key is missing', () => {
@@ -75,3 +200,233 @@ test('policy fails closed on missing policy profile', () => {
   assert.equal(decision.decision, 'deny');
   assert.ok(decision.reason_codes.some((code) => code.includes('policy.profile_missing.agent')));
 });
+
+test('policy applies conditional rules on parameters, target, and time windows', () => {
+  const policyLibrary = {
+    org_conditional: {
+      name: 'org_conditional',
+      rules: {
+        'message.send': {
+          decision: 'deny',
+          requiredApprovals: 0,
+          when: { parameters: { channel: { matches: '^ext-' } } }
+        },
+        'calendar.write': {
+          decision: 'escalate',
+          requiredApprovals: 1,
+          when: {
+            time_window: {
+              mode: 'outside',
+              timezone: 'Asia/Shanghai',
+              days: ['mon', 'tue', 'wed', 'thu', 'fri'],
+              start: '09:00',
+              end: '18:00'
+            }
+          }
+        }
+      }
+    },
+    workspace_conditional: {
+      name: 'workspace_conditional',
+      rules: {
+        'doc.write': {
+          decision: 'allow',
+          requiredApprovals: 0,
+          when: { target: { surface: { in: ['office.docs'] } } }
+        }
+      }
+    },
+    agent_plain: { name: 'agent_plain', rules: {} }
+  };
+  const policyContext = {
+    org_policy: 'org_conditional',
+    workspace_policy: 'workspace_conditional',
+    agent_policy: 'agent_plain'
+  };
+  const intent = (capability, riskHint, extra = {}) => ({
+    id: `act_cond_${capability.replace('.', '_')}`,
+    run_id: 'run_test_conditions',
+    step_id: 'conditional_step',
+    capability,
+    side_effect: 'none',
+    risk_hint: riskHint,
+    parameters: {},
+    ...extra
+  });
+
+  const external = evaluatePolicy({
+    runId: 'run_test_conditions',
+    actionIntent: intent('message.send', 'R1', { parameters: { channel: 'ext-partner' } }),
+    policyContext,
+    policyLibrary
+  });
+  assert.equal(external.decision, 'deny');
+  assert.deepEqual(external.policy_trace.condition_matches, [{
+    source: 'org',
+    capability: 'message.send',
+    decision: 'deny',
+    matched: ['parameters.channel'],
+    unresolved: []
+  }]);
+
+  const internal = evaluatePolicy({
+    runId: 'run_test_conditions',
+    actionIntent: intent('message.send', 'R1', { parameters: { channel: 'ops-room' } }),
+    policyContext,
+    policyLibrary
+  });
+  assert.equal(internal.decision, 'allow');
+  assert.equal(internal.policy_trace.condition_matches, undefined);
+
+  const afterHours = evaluatePolicy({
+    runId: 'run_test_conditions',
+    actionIntent: intent('calendar.write', 'R1'),
+    policyContext,
+    policyLibrary,
+    conditionContext: { at: '2026-03-02T12:30:00.000Z' }
+  });
+  const businessHours = evaluatePolicy({
+    runId: 'run_test_conditions',
+    actionIntent: intent('calendar.write', 'R1'),
+    policyContext,
+    policyLibrary,
+    conditionContext: { at: '2026-03-02T03:30:00.000Z' }
+  });
+  assert.equal(afterHours.decision, 'escalate');
+  assert.deepEqual(afterHours.policy_trace.condition_matches[0].matched, ['time_window']);
+  assert.equal(businessHours.decision, 'allow');
+
+  const docsSurface = evaluatePolicy({
+    runId: 'run_test_conditions',
+    actionIntent: intent('doc.write', 'R2', { target: { surface: 'office.docs' } }),
+    policyContext,
+    policyLibrary
+  });
+  const otherSurface = evaluatePolicy({
+    runId: 'run_test_conditions',
+    actionIntent: intent('doc.write', 'R2', { target: { surface: 'office.wiki' } }),
+    policyContext,
+    policyLibrary
+  });
+  assert.equal(docsSurface.decision, 'escalate');
+  assert.equal(docsSurface.policy_trace.condition_matches[0].source, 'workspace');
+  assert.equal(otherSurface.policy_trace.condition_matches, undefined);
+});
+
+test('policy conditions fail closed when trigger or role context is missing', () => {
+  const policyLibrary = {
+    org_roles: {
+      name: 'org_roles',
+      rules: {
+        'payment.execute': { decision: 'deny', requiredApprovals: 0, when: { agent_role: { equals: 'finance_bot' } } },
+        'crm.write': { decision: 'allow', requiredApprovals: 0, when: { trigger_type: { equals: 'manual' } } },
+        '*': { decision: 'escalate', requiredApprovals: 1 }
+      }
+    },
+    empty: { name: 'empty', rules: {} }
+  };
+  const policyContext = { org_policy: 'org_roles', workspace_policy: 'empty', agent_policy: 'empty' };
+  const intent = (capability) => ({
+    id: `act_role_${capability.replace('.', '_')}`,
+    run_id: 'run_test_roles',
+    step_id: 'role_step',
+    capability,
+    side_effect: 'none',
+    risk_hint: 'R1',
+    parameters: {}
+  });
+
+  const unresolvedDeny = evaluatePolicy({
+    runId: 'run_test_roles',
+    actionIntent: intent('payment.execute'),
+    policyContext,
+    policyLibrary
+  });
+  assert.equal(unresolvedDeny.decision, 'deny');
+  assert.deepEqual(unresolvedDeny.policy_trace.condition_matches[0].unresolved, ['agent_role']);
+  assert.ok(unresolvedDeny.reason_codes.includes('policy.condition_unresolved'));
+
+  const otherRole = evaluatePolicy({
+    runId: 'run_test_roles',
+    actionIntent: intent('payment.execute'),
+    policyContext,
+    policyLibrary,
+    conditionContext: { agent_role: 'ops_assistant' }
+  });
+  assert.equal(otherRole.decision, 'escalate');
+  assert.equal(otherRole.policy_trace.condition_matches, undefined);
+
+  const unresolvedAllow = evaluatePolicy({
+    runId: 'run_test_roles',
+    actionIntent: intent('crm.write'),
+    policyContext,
+    policyLibrary
+  });
+  assert.equal(unresolvedAllow.decision, 'escalate');
+
+  const manualAllow = evaluatePolicy({
+    runId: 'run_test_roles',
+    actionIntent: intent('crm.write'),
+    policyContext,
+    policyLibrary,
+    conditionContext: { trigger_type: 'manual' }
+  });
+  assert.equal(manualAllow.decision, 'allow');
+  assert.deepEqual(manualAllow.policy_trace.condition_matches[0].matched, ['trigger_type']);
+});
+
+test('policy resolves glob capability patterns by specificity and reports the winning rule', () => {
+  const policyLibrary = {
+    org_glob: {
+      name: 'org_glob',
+      rules: {
+        '*.write': { decision: 'escalate', requiredApprovals: 1 },
+        'calendar.*': { decision: 'allow', requiredApprovals: 0 },
+        'calendar.write': {
+          decision: 'deny',
+          requiredApprovals: 0,
+          when: { parameters: { scope: { equals: 'all_hands' } } }
+        }
+      }
+    },
+    empty: { name: 'empty', rules: {} }
+  };
+  const evaluate = (capability, parameters = {}) => evaluatePolicy({
+    runId: 'run_test_glob',
+    actionIntent: {
+      id: `act_glob_${capability.replace('.', '_')}`,
+      run_id: 'run_test_glob',
+      step_id: 'glob_step',
+      capability,
+      side_effect: 'none',
+      risk_hint: 'R1',
+      parameters
+    },
+    policyContext: { org_policy: 'org_glob', workspace_policy: 'empty', agent_policy: 'empty' },
+    policyLibrary
+  });
+
+  const calendarWrite = evaluate('calendar.write', { scope: 'team' });
+  assert.equal(calendarWrite.decision, 'allow');
+  assert.equal(calendarWrite.policy_trace.effective_rule, 'calendar.*');
+  assert.deepEqual(calendarWrite.policy_trace.matched_rules, [
+    { source: 'org', capability: 'calendar.*', decision: 'allow' }
+  ]);
+
+  const allHands = evaluate('calendar.write', { scope: 'all_hands' });
+  assert.equal(allHands.decision, 'deny');
+  assert.equal(allHands.policy_trace.effective_rule, 'calendar.write');
+
+  const unscoped = evaluate('calendar.write');
+  assert.equal(unscoped.decision, 'deny');
+  assert.equal(unscoped.policy_trace.effective_rule, 'calendar.write');
+  assert.deepEqual(unscoped.policy_trace.condition_matches[0].unresolved, ['parameters.scope']);
+
+  const docWrite = evaluate('doc.write');
+  assert.equal(docWrite.decision, 'escalate');
+  assert.equal(docWrite.policy_trace.effective_rule, '*.write');
+
+  const unmatched = evaluate('doc.read');
+  assert.equal(unmatched.decision, 'allow');
+  assert.equal(unmatched.policy_trace.matched_rules, undefined);
+});
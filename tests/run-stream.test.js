@@ -0,0 +1,102 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import { DualLedger } from '../src/lib/dual-ledger.js';
+import {
+  createRunStreamHub,
+  formatRunStreamCursor,
+  formatSseMessage,
+  mergeRunStreamBacklog,
+  parseRunStreamCursor
+} from '../src/lib/run-stream.js';
+
+test('formatSseMessage and run stream cursors use the wire format', () => {
+  assert.equal(
+    formatSseMessage({ id: '3.4', event: 'run.audit', data: { ok: true } }),
+    'id: 3.4\nevent: run.audit\ndata: {"ok":true}\n\n'
+  );
+  assert.equal(formatSseMessage({ data: { a: 1 } }), 'data: {"a":1}\n\n');
+
+  assert.deepEqual(parseRunStreamCursor('12.7'), { events: 12, audit: 7 });
+  assert.deepEqual(parseRunStreamCursor('garbage'), { events: 0, audit: 0 });
+  assert.deepEqual(parseRunStreamCursor(undefined), { events: 0, audit: 0 });
+  assert.equal(formatRunStreamCursor({ events: 2, audit: 0 }), '2.0');
+});
+
+test('mergeRunStreamBacklog interleaves events and audit entries by time', () => {
+  const merged = mergeRunStreamBacklog({
+    events: [
+      { id: 'evt_1', at: '2026-01-01T00:00:00.000Z' },
+      { id: 'evt_2', at: '2026-01-01T00:00:02.000Z' }
+    ],
+    audit: [
+      { id: 'aud_1', occurred_at: '2026-01-01T00:00:00.000Z' },
+      { id: 'aud_2', occurred_at: '2026-01-01T00:00:01.000Z' }
+    ]
+  });
+  assert.deepEqual(merged.map((message) => message.item.id), ['evt_1', 'aud_1', 'aud_2', 'evt_2']);
+  assert.deepEqual(merged.map((message) => message.kind), ['event', 'audit', 'audit', 'event']);
+});
+
+test('run stream hub filters subscribers and replays only from its backlog', () => {
+  const hub = createRunStreamHub({ backlogSize: 3 });
+  const received = [];
+  const unsubscribe = hub.subscribe({ workspaceId: 'wsp_alpha_team' }, (message) => received.push(message.seq));
+
+  hub.publish({ workspaceId: 'wsp_alpha_team', runId: 'run_a', kind: 'event', item: {} });
+  hub.publish({ workspaceId: 'wsp_beta_team', runId: 'run_b', kind: 'event', item: {} });
+  hub.publish({ workspaceId: 'wsp_alpha_team', runId: 'run_a', kind: 'audit', item: {} });
+  unsubscribe();
+  hub.publish({ workspaceId: 'wsp_alpha_team', runId: 'run_a', kind: 'audit', item: {} });
+
+  assert.deepEqual(received, [1, 3]);
+  assert.equal(hub.lastSeq, 4);
+  assert.deepEqual(hub.replaySince(1, { runId: 'run_a' }).messages.map((message) => message.seq), [3, 4]);
+  assert.deepEqual(hub.replaySince(4, {}), { complete: true, messages: [] });
+  assert.equal(hub.replaySince(0, {}).complete, false);
+  assert.equal(hub.replaySince(9, {}).complete, false);
+
+  let closed = 0;
+  hub.track(() => { closed += 1; });
+  const untrack = hub.track(() => { closed += 10; });
+  untrack();
+  hub.closeAll();
+  assert.equal(closed, 1);
+});
+
+test('ledger events carry per-run seq and the stream backlog honours cursors', async () => {
+  const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'flockmesh-run-stream-'));
+  try {
+    const ledger = new DualLedger({ rootDir });
+    await ledger.init();
+    await fs.writeFile(
+      ledger.eventPath('run_stream_0001'),
+      `${JSON.stringify({ id: 'evt_legacy', run_id: 'run_stream_0001', at: '2026-01-01T00:00:00.000Z' })}\n`
+    );
+
+    const appended = await Promise.all([
+      ledger.appendEvent({ id: 'evt_a', run_id: 'run_stream_0001', at: '2026-01-01T00:00:01.000Z' }),
+      ledger.appendEvent({ id: 'evt_b', run_id: 'run_stream_0001', at: '2026-01-01T00:00:02.000Z' })
+    ]);
+    assert.deepEqual(appended.map((event) => event.seq), [2, 3]);
+    await ledger.appendAudit({
+      id: 'aud_a',
+      run_id: 'run_stream_0001',
+      event_type: 'run.created',
+      occurred_at: '2026-01-01T00:00:01.500Z'
+    });
+
+    const full = await ledger.readRunStreamBacklog('run_stream_0001');
+    assert.deepEqual(full.events.map((event) => [event.id, event.seq]), [['evt_legacy', 1], ['evt_a', 2], ['evt_b', 3]]);
+    assert.deepEqual(full.audit.map((entry) => entry.seq), [1]);
+
+    const tail = await ledger.readRunStreamBacklog('run_stream_0001', { afterEventSeq: 2, afterAuditSeq: 1 });
+    assert.deepEqual(tail.events.map((event) => event.id), ['evt_b']);
+    assert.deepEqual(tail.audit, []);
+  } finally {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,71 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  buildInitialStepState,
+  resolveReadyStepIntents,
+  runStatusFromStepStates
+} from '../src/lib/runtime.js';
+
+const actionIntents = [
+  { id: 'act_runtime_read', step_id: 'read_context' },
+  { id: 'act_runtime_send', step_id: 'send_update', depends_on: ['read_context'] }
+];
+
+function buildStepStates(statuses) {
+  return Object.fromEntries(actionIntents.map((intent) => [
+    intent.step_id,
+    {
+      ...buildInitialStepState({ runId: 'run_runtime_steps', actionIntent: intent }),
+      status: statuses[intent.step_id] || 'pending'
+    }
+  ]));
+}
+
+test('resolveReadyStepIntents waits for allowed decisions and completed dependencies', () => {
+  const decisions = [
+    { action_intent_id: 'act_runtime_read', decision: 'allow' },
+    { action_intent_id: 'act_runtime_send', decision: 'allow' }
+  ];
+
+  const first = resolveReadyStepIntents({ actionIntents, decisions, stepStates: buildStepStates({}) });
+  assert.deepEqual(first.map((intent) => intent.step_id), ['read_context']);
+
+  const second = resolveReadyStepIntents({
+    actionIntents,
+    decisions,
+    stepStates: buildStepStates({ read_context: 'completed' })
+  });
+  assert.deepEqual(second.map((intent) => intent.step_id), ['send_update']);
+
+  const escalated = resolveReadyStepIntents({
+    actionIntents,
+    decisions: [decisions[0], { action_intent_id: 'act_runtime_send', decision: 'escalate' }],
+    stepStates: buildStepStates({ read_context: 'completed' })
+  });
+  assert.equal(escalated.length, 0);
+});
+
+test('runStatusFromStepStates settles from step progress and pending approvals', () => {
+  const allow = [
+    { action_intent_id: 'act_runtime_read', decision: 'allow' },
+    { action_intent_id: 'act_runtime_send', decision: 'allow' }
+  ];
+  const escalate = [allow[0], { action_intent_id: 'act_runtime_send', decision: 'escalate' }];
+
+  assert.equal(runStatusFromStepStates({
+    actionIntents,
+    decisions: allow,
+    stepStates: buildStepStates({ read_context: 'completed', send_update: 'completed' })
+  }), 'completed');
+  assert.equal(runStatusFromStepStates({
+    actionIntents,
+    decisions: allow,
+    stepStates: buildStepStates({ read_context: 'failed' })
+  }), 'failed');
+  assert.equal(runStatusFromStepStates({
+    actionIntents,
+    decisions: escalate,
+    stepStates: buildStepStates({ read_context: 'completed' })
+  }), 'waiting_approval');
+});
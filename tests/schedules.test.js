@@ -0,0 +1,83 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  assertTimeZone,
+  nextCronFireTime,
+  parseCronExpression,
+  planScheduleFires
+} from '../src/lib/schedules.js';
+
+const next = (expression, after, timezone = 'UTC') => {
+  const fireAt = nextCronFireTime(parseCronExpression(expression), { timezone, after: Date.parse(after) });
+  return fireAt === null ? null : new Date(fireAt).toISOString();
+};
+
+test('parseCronExpression accepts lists, ranges, steps and names and rejects malformed fields', () => {
+  const cron = parseCronExpression('0,30 9-17/4 * JAN-mar sun,7');
+  assert.deepEqual(Array.from(cron.minute), [0, 30]);
+  assert.deepEqual(Array.from(cron.hour), [9, 13, 17]);
+  assert.deepEqual(Array.from(cron.month), [1, 2, 3]);
+  assert.deepEqual(Array.from(cron.day_of_week), [0]);
+  assert.equal(cron.day_of_month_restricted, false);
+
+  for (const bad of ['* * * *', '60 * * * *', '* 24 * * *', '*/0 * * * *', '5-1 * * * *', '* * * FOO *', '1-2-3 * * * *']) {
+    assert.throws(() => parseCronExpression(bad), undefined, bad);
+  }
+  assert.throws(() => assertTimeZone('Mars/Olympus_Mons'), /unknown timezone/);
+});
+
+test('nextCronFireTime follows the schedule timezone, DST gaps and day-field OR semantics', () => {
+  assert.equal(next('*/15 * * * *', '2026-01-01T00:07:30Z'), '2026-01-01T00:15:00.000Z');
+  assert.equal(next('0 9 * * MON-FRI', '2026-10-17T00:00:00Z', 'Asia/Shanghai'), '2026-10-19T01:00:00.000Z');
+
+  // 02:30 does not exist in New York on 2026-03-08; the next real 02:30 is the following day.
+  assert.equal(next('30 2 * * *', '2026-03-08T00:00:00Z', 'America/New_York'), '2026-03-09T06:30:00.000Z');
+  assert.equal(next('0 9 * * *', '2026-03-08T00:00:00Z', 'America/New_York'), '2026-03-08T13:00:00.000Z');
+
+  // Both day fields restricted: the 1st of the month or any Monday.
+  assert.equal(next('0 0 1 * MON', '2026-06-02T00:00:00Z'), '2026-06-08T00:00:00.000Z');
+
+  assert.equal(next('0 0 29 2 *', '2026-01-01T00:00:00Z'), '2028-02-29T00:00:00.000Z');
+  assert.equal(next('0 0 30 2 *', '2026-01-01T00:00:00Z'), null);
+});
+
+test('planScheduleFires applies the catch-up policy to fires missed beyond the grace window', () => {
+  const now = Date.parse('2026-01-01T01:02:00Z');
+  const plan = (catchUp, nextFireAt = '2026-01-01T00:00:00.000Z') => planScheduleFires({
+    schedule: { cron: '*/10 * * * *', timezone: 'UTC', catch_up: catchUp, next_fire_at: nextFireAt },
+    now
+  });
+
+  assert.deepEqual(plan('latest'), {
+    fires: ['2026-01-01T01:00:00.000Z'],
+    skipped: 6,
+    next_fire_at: '2026-01-01T01:10:00.000Z'
+  });
+  assert.equal(plan('all').fires.length, 7);
+  assert.equal(plan('all').skipped, 0);
+  assert.deepEqual(plan('skip').fires, ['2026-01-01T01:00:00.000Z']);
+
+  // The latest window is outside the grace period too: `skip` drops everything, `latest` runs one.
+  const late = (catchUp) => planScheduleFires({
+    schedule: { cron: '0 * * * *', timezone: 'UTC', catch_up: catchUp, next_fire_at: '2026-01-01T00:00:00.000Z' },
+    now: Date.parse('2026-01-01T03:30:00Z')
+  });
+  assert.deepEqual(late('skip').fires, []);
+  assert.equal(late('skip').skipped, 4);
+  assert.deepEqual(late('latest').fires, ['2026-01-01T03:00:00.000Z']);
+
+  const capped = planScheduleFires({
+    schedule: { cron: '* * * * *', timezone: 'UTC', catch_up: 'all', next_fire_at: '2026-01-01T00:00:00.000Z' },
+    now: Date.parse('2026-01-01T01:00:00Z')
+  });
+  assert.equal(capped.fires.length, 24);
+  assert.equal(capped.fires[23], '2026-01-01T01:00:00.000Z');
+  assert.equal(capped.skipped, 37);
+
+  assert.deepEqual(plan('latest', '2026-01-01T02:00:00.000Z'), {
+    fires: [],
+    skipped: 0,
+    next_fire_at: '2026-01-01T02:00:00.000Z'
+  });
+});
@@ -0,0 +1,63 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  SlackDeliveryError,
+  normalizeSlackChannel,
+  postSlackMessage,
+  postSlackWebhook,
+  testSlackAuth
+} from '../src/lib/slack-client.js';
+import { startSlackStandIn } from './fixtures/slack-stand-in.js';
+
+test('normalizeSlackChannel strips the leading hash only', () => {
+  assert.equal(normalizeSlackChannel(' #ops-room '), 'ops-room');
+  assert.equal(normalizeSlackChannel('C024BE91L'), 'C024BE91L');
+  assert.equal(normalizeSlackChannel(undefined), '');
+});
+
+test('Slack webhook delivery posts text and surfaces rejected hooks', async () => {
+  const slack = await startSlackStandIn();
+
+  try {
+    const sent = await postSlackWebhook({ webhookUrl: slack.webhookUrl, text: 'Deploy finished', channel: '#ops-room' });
+    assert.deepEqual(sent, { delivery_mode: 'webhook', channel: 'ops-room', ts: '' });
+    assert.deepEqual(slack.messages, [{ via: 'webhook', channel: 'ops-room', text: 'Deploy finished' }]);
+
+    await assert.rejects(
+      postSlackWebhook({ webhookUrl: `${slack.baseUrl}/hooks/revoked`, text: 'hello' }),
+      (err) => err instanceof SlackDeliveryError && err.status === 404 && err.slack_error === 'no_service'
+    );
+    await assert.rejects(postSlackWebhook({ webhookUrl: slack.webhookUrl, text: '  ' }), /non-empty text/);
+  } finally {
+    await slack.close();
+  }
+});
+
+test('Slack bot delivery uses chat.postMessage and reports API errors', async () => {
+  const slack = await startSlackStandIn();
+  const connection = { apiBaseUrl: `${slack.apiBaseUrl}/`, botToken: slack.botToken, timeoutMs: 2000 };
+
+  try {
+    const sent = await postSlackMessage(connection, { channel: '#ops-room', text: 'Rollback approved', threadTs: '1.2' });
+    assert.equal(sent.delivery_mode, 'bot');
+    assert.equal(sent.channel, 'C_ops-room');
+    assert.match(sent.ts, /^\d+\.\d{6}$/);
+    assert.equal(slack.messages[0].thread_ts, '1.2');
+    assert.equal(slack.requests[0].headers.authorization, `Bearer ${slack.botToken}`);
+
+    await assert.rejects(
+      postSlackMessage(connection, { channel: 'nowhere', text: 'hello' }),
+      (err) => err.slack_error === 'channel_not_found' && err.status === 200
+    );
+    await assert.rejects(postSlackMessage(connection, { channel: '', text: 'hello' }), /requires a channel/);
+
+    assert.equal((await testSlackAuth(connection)).team, 'Stand-in Workspace');
+    await assert.rejects(
+      testSlackAuth({ ...connection, botToken: 'xoxb-wrong' }),
+      (err) => err.slack_error === 'invalid_auth'
+    );
+  } finally {
+    await slack.close();
+  }
+});
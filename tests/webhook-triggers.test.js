@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  computeWebhookSignature,
+  digestWebhookPayload,
+  generateWebhookSecret,
+  normalizeWebhookParameterMapping,
+  verifyWebhookDelivery
+} from '../src/lib/webhook-triggers.js';
+
+const SECRET = 'whsec_not-a-real-secret';
+
+test('computeWebhookSignature signs "<timestamp>.<raw body>" with HMAC-SHA256', () => {
+  assert.equal(
+    computeWebhookSignature({ secret: SECRET, timestamp: '1700000000', rawBody: '{"a":1}' }),
+    'sha256=30eeb41c63fbfe2399c35dee0dcc42a8aaff2e5feaf66ac0d56f851e30380d12'
+  );
+  assert.equal(
+    digestWebhookPayload('{"a":1}'),
+    'sha256:015abd7f5cc57a2dd94b7590f04ad8084273905ee33ec5cebeae62276a97f862'
+  );
+  assert.match(generateWebhookSecret(), /^whsec_[A-Za-z0-9_-]{43}$/);
+});
+
+test('verifyWebhookDelivery enforces signature and replay window', () => {
+  const now = 1700000000 * 1000;
+  const rawBody = '{"alert":"disk"}';
+  const signature = computeWebhookSignature({ secret: SECRET, timestamp: '1700000000', rawBody });
+  const verify = (overrides = {}) => verifyWebhookDelivery({
+    secret: SECRET,
+    signature,
+    timestamp: '1700000000',
+    rawBody,
+    replayWindowSeconds: 300,
+    now,
+    ...overrides
+  });
+
+  assert.deepEqual(verify(), { ok: true });
+  assert.equal(verify({ now: now + 299 * 1000 }).ok, true);
+  assert.equal(verify({ signature: '' }).reason_code, 'webhook.signature_missing');
+  assert.equal(verify({ timestamp: '2023-11-14' }).reason_code, 'webhook.timestamp_invalid');
+  assert.equal(verify({ now: now + 301 * 1000 }).reason_code, 'webhook.timestamp_outside_window');
+  assert.equal(verify({ now: now - 301 * 1000 }).reason_code, 'webhook.timestamp_outside_window');
+  assert.equal(verify({ rawBody: '{"alert":"cpu"}' }).reason_code, 'webhook.signature_invalid');
+  assert.equal(verify({ secret: 'whsec_other' }).reason_code, 'webhook.signature_invalid');
+  assert.equal(verify({ signature: 'sha256=short' }).reason_code, 'webhook.signature_invalid');
+});
+
+test('normalizeWebhookParameterMapping accepts only payload templates for declared inputs', () => {
+  const declaredInputs = { incident_ref: {}, channel: {} };
+  assert.deepEqual(
+    normalizeWebhookParameterMapping({
+      incident_ref: '{{payload.alert.id}}',
+      channel: 'alerts-{{ payload.team }}'
+    }, { declaredInputs }),
+    { channel: 'alerts-{{ payload.team }}', incident_ref: '{{payload.alert.id}}' }
+  );
+  assert.deepEqual(normalizeWebhookParameterMapping({}, { declaredInputs }), {});
+
+  const normalize = (mapping) => () => normalizeWebhookParameterMapping(mapping, { declaredInputs });
+  assert.throws(normalize([]), /must be an object/);
+  assert.throws(normalize({ severity: '{{payload.sev}}' }), /undeclared playbook input: severity/);
+  assert.throws(normalize({ 'Bad-Name': '{{payload.sev}}' }), /invalid input name/);
+  assert.throws(normalize({ channel: ' ' }), /non-empty template string/);
+  assert.throws(normalize({ channel: '{{trigger.actor_id}}' }), /may only reference \{\{payload\.\*\}\}/);
+});
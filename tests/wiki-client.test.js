@@ -0,0 +1,73 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { WikiRequestError, getWikiPage, updateWikiPage } from '../src/lib/wiki-client.js';
+import { startWikiStandIn } from './fixtures/wiki-stand-in.js';
+
+const RUNBOOK = { id: '4401', title: 'On-call runbook', version: 3, content: 'step one\nstep two' };
+
+test('Wiki client reads pages with revision and storage body', async () => {
+  const wiki = await startWikiStandIn({ pages: [RUNBOOK] });
+  const connection = { baseUrl: `${wiki.baseUrl}/`, auth: { type: 'bearer', token: 'not-a-real-pat' }, timeoutMs: 2000 };
+
+  try {
+    const page = await getWikiPage(connection, { pageId: '4401' });
+    assert.deepEqual(page, {
+      page_id: '4401',
+      title: 'On-call runbook',
+      revision: 3,
+      content: 'step one\nstep two',
+      updated_at: '2026-10-19T08:00:00.000Z'
+    });
+    assert.equal(wiki.requests[0].query.get('expand'), 'body.storage,version');
+    assert.equal(wiki.requests[0].headers.authorization, 'Bearer not-a-real-pat');
+
+    await assert.rejects(
+      getWikiPage(connection, { pageId: '9999' }),
+      (err) => err instanceof WikiRequestError && err.status === 404
+    );
+    await assert.rejects(getWikiPage(connection, { pageId: '../admin' }), /page_id must match/);
+  } finally {
+    await wiki.close();
+  }
+});
+
+test('Wiki client writes against the revision it read and rejects stale writes', async () => {
+  const wiki = await startWikiStandIn({ pages: [RUNBOOK] });
+  const connection = { baseUrl: wiki.baseUrl, auth: { type: 'basic', username: 'bot', password: 'x' }, timeoutMs: 2000 };
+
+  try {
+    const written = await updateWikiPage(connection, {
+      pageId: '4401',
+      content: 'step one\nstep 2',
+      baseRevision: 3,
+      message: 'clarify step two'
+    });
+    assert.equal(written.written, true);
+    assert.equal(written.replayed, false);
+    assert.equal(written.before.revision, 3);
+    assert.equal(written.after.revision, 4);
+    assert.equal(wiki.pages.get('4401').content, 'step one\nstep 2');
+    const put = wiki.requests.find((item) => item.method === 'PUT');
+    assert.deepEqual(put.body.version, { number: 4, message: 'clarify step two' });
+    assert.equal(put.body.title, 'On-call runbook');
+
+    const replay = await updateWikiPage(connection, { pageId: '4401', content: 'step one\nstep 2', baseRevision: 3 });
+    assert.equal(replay.written, false);
+    assert.equal(replay.replayed, true);
+    assert.equal(replay.after.revision, 4);
+
+    await assert.rejects(
+      updateWikiPage(connection, { pageId: '4401', content: 'someone else', baseRevision: 3 }),
+      (err) => err.code === 'WIKI_REVISION_CONFLICT' && err.status === 409 && /revision 4/.test(err.message)
+    );
+    assert.equal(wiki.pages.get('4401').content, 'step one\nstep 2');
+
+    await assert.rejects(
+      updateWikiPage(connection, { pageId: '4401', content: 'x' }),
+      /requires base_revision/
+    );
+  } finally {
+    await wiki.close();
+  }
+});